@@ -0,0 +1,253 @@
+/**
+ * @title SimpleSwap Activity
+ * @notice Reads the LiquidityAdded, LiquidityRemoved and TokenSwapped events of an account
+ * @dev Events are queried in block ranges of BLOCK_RANGE blocks, newest first, from the Swap contract and
+ *      the ETH router: Swap events of ETH trades name the router, whose own events name the account.
+ *      Every log seen, and the block range already scanned, is cached in IndexedDB
+ *      per chain, contracts and account, so reloading the page only queries new blocks.
+ */
+
+/// @notice Number of blocks queried per page
+export const BLOCK_RANGE = 5000;
+
+/// @notice IndexedDB database holding the cached activity
+const DB_NAME = "simpleswap-activity";
+const DB_VERSION = 1;
+
+/// @notice Object store of cached entries, keyed by "<cache key>:<tx hash>:<log index>"
+const ENTRY_STORE = "entries";
+
+/// @notice Object store of the block range scanned for each cache key
+const RANGE_STORE = "ranges";
+
+/// @notice Events shown in the activity list
+const EVENT_NAMES = ["LiquidityAdded", "LiquidityRemoved", "TokenSwapped"];
+
+/// @notice Pending or open database connection
+let databasePromise;
+
+/**
+ * @notice Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request Request to wait for
+ * @return {Promise<any>} Result of the request
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @notice Opens the activity database, creating its stores on first use
+ * @return {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const entries = request.result.createObjectStore(ENTRY_STORE, { keyPath: "id" });
+      entries.createIndex("cacheKey", "cacheKey");
+      request.result.createObjectStore(RANGE_STORE, { keyPath: "cacheKey" });
+    };
+    databasePromise = requestToPromise(request);
+  }
+  return databasePromise;
+}
+
+/**
+ * @notice Builds the key grouping the cached activity of an account
+ * @param {bigint|number} chainId Chain id
+ * @param {ethers.Contract[]} contracts Contracts whose events are read
+ * @param {string} account Address of the account
+ * @return {string} Cache key
+ */
+function getCacheKey(chainId, contracts, account) {
+  const addresses = contracts.map(contract => contract.target.toLowerCase()).join(",");
+  return `${chainId}:${addresses}:${account.toLowerCase()}`;
+}
+
+/**
+ * @notice Converts an event log to a cache entry
+ * @dev Amounts stay bigint, which IndexedDB stores natively
+ * @param {string} cacheKey Cache key of the account
+ * @param {ethers.EventLog} log Decoded event log
+ * @return {object} Entry with type, block, transaction and event arguments
+ */
+function toEntry(cacheKey, log) {
+  const { args } = log;
+  const entry = {
+    id: `${cacheKey}:${log.transactionHash}:${log.index}`,
+    cacheKey,
+    type: log.eventName || log.fragment.name,
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    logIndex: log.index
+  };
+  if (entry.type === "TokenSwapped") {
+    return { ...entry, tokenIn: args.tokenIn, tokenOut: args.tokenOut, amountIn: args.amountIn, amountOut: args.amountOut };
+  }
+  return {
+    ...entry,
+    tokenA: args.tokenA,
+    tokenB: args.tokenB,
+    amountA: args.amountA,
+    amountB: args.amountB,
+    liquidity: args.liquidity
+  };
+}
+
+/**
+ * @notice Saves entries and the scanned block range of an account
+ * @param {string} cacheKey Cache key of the account
+ * @param {object[]} entries Entries to save (existing ones are overwritten)
+ * @param {object|null} range Scanned range { fromBlock, toBlock }, or null to keep the current one
+ * @return {Promise<void>}
+ */
+async function saveEntries(cacheKey, entries, range) {
+  const db = await openDatabase();
+  const transaction = db.transaction([ENTRY_STORE, RANGE_STORE], "readwrite");
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+  });
+  for (const entry of entries) {
+    transaction.objectStore(ENTRY_STORE).put(entry);
+  }
+  if (range) {
+    transaction.objectStore(RANGE_STORE).put({ cacheKey, ...range });
+  }
+  await done;
+}
+
+/**
+ * @notice Reads the cached activity of an account
+ * @param {string} cacheKey Cache key of the account
+ * @return {Promise<{entries: object[], range: object|null}>} Entries, newest first, and the scanned range
+ */
+async function readCache(cacheKey) {
+  const db = await openDatabase();
+  const transaction = db.transaction([ENTRY_STORE, RANGE_STORE], "readonly");
+  const [entries, range] = await Promise.all([
+    requestToPromise(transaction.objectStore(ENTRY_STORE).index("cacheKey").getAll(cacheKey)),
+    requestToPromise(transaction.objectStore(RANGE_STORE).get(cacheKey))
+  ]);
+  entries.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+  return { entries, range: range || null };
+}
+
+/**
+ * @notice Lists the event filters of an account
+ * @dev `provider` of the liquidity events and `trader` of TokenSwapped are indexed, so the node filters them
+ * @param {ethers.Contract[]} contracts Contracts whose events are read
+ * @param {string} account Address of the account
+ * @return {{contract: ethers.Contract, filter: ethers.DeferredTopicFilter}[]} One filter per contract and event
+ */
+function getFilters(contracts, account) {
+  return contracts.flatMap(contract => EVENT_NAMES.map(name => ({ contract, filter: contract.filters[name](account) })));
+}
+
+/**
+ * @notice Queries the events of an account in a block range
+ * @param {ethers.Contract[]} contracts Contracts whose events are read
+ * @param {string} account Address of the account
+ * @param {string} cacheKey Cache key of the account
+ * @param {number} fromBlock First block, inclusive
+ * @param {number} toBlock Last block, inclusive
+ * @return {Promise<object[]>} Entries found
+ */
+async function queryEntries(contracts, account, cacheKey, fromBlock, toBlock) {
+  const results = await Promise.all(
+    getFilters(contracts, account).map(({ contract, filter }) => contract.queryFilter(filter, fromBlock, toBlock))
+  );
+  return results.flat().map(log => toEntry(cacheKey, log));
+}
+
+/**
+ * @notice Loads the activity of an account
+ * @dev Without `older`, the blocks mined since the last scan are queried (the latest BLOCK_RANGE blocks on first use).
+ *      With `older`, the BLOCK_RANGE blocks before the oldest scanned block are queried.
+ *      Nothing before `startBlock` is queried.
+ * @param {ethers.Contract[]} contracts Swap contract, then the ETH router if deployed, connected to a provider
+ * @param {string} account Address of the account
+ * @param {bigint|number} chainId Chain id
+ * @param {boolean} older Whether to load the page before the oldest scanned block
+ * @param {number} startBlock Block the Swap contract was deployed in
+ * @return {Promise<{entries: object[], fromBlock: number}>} Every cached entry, newest first, and the oldest scanned block
+ */
+export async function loadActivity(contracts, account, chainId, older = false, startBlock = 0) {
+  const cacheKey = getCacheKey(chainId, contracts, account);
+  const { range } = await readCache(cacheKey);
+  const latest = await contracts[0].runner.provider.getBlockNumber();
+
+  let newRange;
+  let entries = [];
+  if (older && range) {
+    const toBlock = range.fromBlock - 1;
+    const fromBlock = Math.max(startBlock, toBlock - BLOCK_RANGE + 1);
+    if (toBlock >= fromBlock) {
+      entries = await queryEntries(contracts, account, cacheKey, fromBlock, toBlock);
+    }
+    newRange = { fromBlock: Math.min(fromBlock, range.fromBlock), toBlock: range.toBlock };
+  } else if (range) {
+    for (let fromBlock = range.toBlock + 1; fromBlock <= latest; fromBlock += BLOCK_RANGE) {
+      const toBlock = Math.min(latest, fromBlock + BLOCK_RANGE - 1);
+      entries.push(...await queryEntries(contracts, account, cacheKey, fromBlock, toBlock));
+    }
+    newRange = { fromBlock: range.fromBlock, toBlock: Math.max(range.toBlock, latest) };
+  } else {
+    const fromBlock = Math.max(startBlock, latest - BLOCK_RANGE + 1);
+    entries = await queryEntries(contracts, account, cacheKey, fromBlock, latest);
+    newRange = { fromBlock, toBlock: latest };
+  }
+
+  await saveEntries(cacheKey, entries, newRange);
+  const cached = await readCache(cacheKey);
+  return { entries: cached.entries, fromBlock: newRange.fromBlock };
+}
+
+/**
+ * @notice Loads the whole activity of an account since the Swap contract was deployed
+ * @dev Pages back until `startBlock`; later calls only query the blocks not cached yet
+ * @param {ethers.Contract[]} contracts Swap contract, then the ETH router if deployed, connected to a provider
+ * @param {string} account Address of the account
+ * @param {bigint|number} chainId Chain id
+ * @param {number} startBlock Block the Swap contract was deployed in
+ * @return {Promise<object[]>} Every entry, newest first
+ */
+export async function loadAllActivity(contracts, account, chainId, startBlock = 0) {
+  let { entries, fromBlock } = await loadActivity(contracts, account, chainId, false, startBlock);
+  while (fromBlock > startBlock) {
+    ({ entries, fromBlock } = await loadActivity(contracts, account, chainId, true, startBlock));
+  }
+  return entries;
+}
+
+/**
+ * @notice Calls back on every new event of an account
+ * @dev Entries received live are cached too; the scanned range is left to the next loadActivity
+ * @param {ethers.Contract[]} contracts Swap contract, then the ETH router if deployed
+ * @param {string} account Address of the account
+ * @param {bigint|number} chainId Chain id
+ * @param {function(object): void} onEntry Receives every new entry
+ * @return {Promise<function(): Promise<void>>} Function removing the subscriptions
+ */
+export async function subscribeActivity(contracts, account, chainId, onEntry) {
+  const cacheKey = getCacheKey(chainId, contracts, account);
+  const filters = getFilters(contracts, account);
+  const listener = async (...args) => {
+    const { log } = args[args.length - 1];
+    const entry = toEntry(cacheKey, log);
+    await saveEntries(cacheKey, [entry], null);
+    onEntry(entry);
+  };
+
+  for (const { contract, filter } of filters) {
+    await contract.on(filter, listener);
+  }
+  return async () => {
+    for (const { contract, filter } of filters) {
+      await contract.off(filter, listener);
+    }
+  };
+}
@@ -0,0 +1,107 @@
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@6.8.1/dist/ethers.min.js';
+
+/**
+ * @title SimpleSwap Token Approvals
+ * @notice Lets the Swap contract spend the user's tokens with as few transactions as possible
+ * @dev Existing allowances are reused. EIP-2612 tokens are approved with a signature that is
+ *      passed to the `...WithPermit` functions of the Swap contract instead of an approve transaction.
+ */
+
+/// @notice Permit argument meaning "no signature, use the existing allowance"
+export const NO_PERMIT = Object.freeze({ value: 0n, deadline: 0n, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash });
+
+/// @notice EIP-712 type of an EIP-2612 permit
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+/**
+ * @notice Checks whether a permit carries a signature
+ * @param {object} permit Value returned by prepareSpend
+ * @return {boolean} True if the `...WithPermit` variant must be called
+ */
+export function hasPermit(permit) {
+  return permit.deadline !== NO_PERMIT.deadline;
+}
+
+/**
+ * @notice Finds the EIP-712 domain a token verifies permits against
+ * @dev Uses eip712Domain (EIP-5267) when available, else the token name with version "1".
+ *      The domain is only trusted if it hashes to the token's DOMAIN_SEPARATOR.
+ * @param {ethers.Contract} token Token contract connected to a signer
+ * @return {Promise<object|null>} Typed data domain, or null if the token does not support EIP-2612
+ */
+export async function getPermitDomain(token) {
+  try {
+    const verifyingContract = await token.getAddress();
+    let domain;
+    try {
+      const [, name, version, chainId] = await token.eip712Domain();
+      domain = { name, version, chainId, verifyingContract };
+    } catch {
+      const [name, network] = await Promise.all([token.name(), token.runner.provider.getNetwork()]);
+      domain = { name, version: "1", chainId: network.chainId, verifyingContract };
+    }
+    const separator = await token.DOMAIN_SEPARATOR();
+    return ethers.TypedDataEncoder.hashDomain(domain) === separator ? domain : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @notice Signs an EIP-2612 permit for a spender
+ * @param {ethers.Contract} token Token contract connected to the owner's signer
+ * @param {object} domain Domain returned by getPermitDomain
+ * @param {string} spender Address allowed to spend
+ * @param {bigint} value Allowance granted
+ * @param {number} deadline Expiration timestamp of the signature
+ * @return {Promise<object>} Permit argument for the Swap contract
+ */
+async function signPermit(token, domain, spender, value, deadline) {
+  const signer = token.runner;
+  const owner = await signer.getAddress();
+  const nonce = await token.nonces(owner);
+  const signature = await signer.signTypedData(domain, PERMIT_TYPES, { owner, spender, value, nonce, deadline });
+  const { v, r, s } = ethers.Signature.from(signature);
+  return { value, deadline: BigInt(deadline), v, r, s };
+}
+
+/**
+ * @notice Makes sure `spender` can take `amount` of a token from the user
+ * @dev Nothing is sent when the allowance already covers the amount. Otherwise a permit is signed
+ *      if the token supports it and the user allows it, else an approve transaction is sent and awaited.
+ *      In "approve max" mode the allowance granted is unlimited, so later trades need no approval.
+ * @param {ethers.Contract} token Token contract connected to the user's signer
+ * @param {string} spender Address of the Swap contract
+ * @param {bigint} amount Amount about to be spent
+ * @param {object} options { approveMax, usePermit, deadline } taken from the settings
+ * @param {function(string): void} onStatus Receives progress messages
+ * @param {string} label Name of the token in progress messages
+ * @return {Promise<object>} Permit argument: a signature, or NO_PERMIT
+ */
+export async function prepareSpend(token, spender, amount, options, onStatus, label) {
+  const owner = await token.runner.getAddress();
+  const allowance = await token.allowance(owner, spender);
+  if (allowance >= amount) {
+    return NO_PERMIT;
+  }
+
+  const value = options.approveMax ? ethers.MaxUint256 : amount;
+  const domain = options.usePermit ? await getPermitDomain(token) : null;
+  if (domain) {
+    onStatus(`Sign the ${label} permit in your wallet...`);
+    return signPermit(token, domain, spender, value, options.deadline);
+  }
+
+  onStatus(`Approving ${label}...`);
+  const tx = await token.approve(spender, value);
+  await tx.wait();
+  return NO_PERMIT;
+}
@@ -0,0 +1,134 @@
+/**
+ * @title SimpleSwap Price Chart
+ * @notice Draws a price history on a canvas, without any charting library
+ * @dev Prices only change on events, so the line is drawn as steps: flat until the next event.
+ *      The canvas is sized from its CSS box and the device pixel ratio, so it stays sharp when zoomed.
+ */
+
+/// @notice Space kept around the plot for the labels, in CSS pixels
+const PADDING = Object.freeze({ top: 16, right: 12, bottom: 24, left: 12 });
+
+/// @notice Colors and font, matching styles.css
+const LINE_COLOR = "#007bff";
+const FILL_COLOR = "rgba(0, 123, 255, 0.12)";
+const GRID_COLOR = "#e0e0e0";
+const TEXT_COLOR = "#666";
+const FONT = "11px Arial, sans-serif";
+
+/**
+ * @notice Formats a price for the axis labels
+ * @param {number} price Price
+ * @return {string} Price with 6 significant digits
+ */
+export function formatChartPrice(price) {
+  return Number(price.toPrecision(6)).toLocaleString(undefined, { maximumFractionDigits: 18 });
+}
+
+/**
+ * @notice Formats a time for the axis labels
+ * @dev Timeframes up to a day show the time of day, longer ones the date
+ * @param {number} time Unix timestamp
+ * @param {number} span Length of the timeframe, in seconds
+ * @return {string} Label
+ */
+function formatChartTime(time, span) {
+  const date = new Date(time * 1000);
+  return span <= 86400
+    ? date.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+}
+
+/**
+ * @notice Resizes the canvas backing store to its displayed size
+ * @param {HTMLCanvasElement} canvas Canvas element
+ * @return {{context: CanvasRenderingContext2D, width: number, height: number}} Context scaled to CSS pixels
+ */
+function prepareCanvas(canvas) {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+  const context = canvas.getContext("2d");
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.clearRect(0, 0, width, height);
+  context.font = FONT;
+  return { context, width, height };
+}
+
+/**
+ * @notice Draws a price history
+ * @param {HTMLCanvasElement} canvas Canvas element
+ * @param {object} history Result of loadPriceHistory: { points, fromTime, toTime }
+ * @param {string} unit Unit of the prices, shown after the last price
+ */
+export function drawPriceChart(canvas, history, unit) {
+  const { context, width, height } = prepareCanvas(canvas);
+  const { points, fromTime, toTime } = history;
+  if (points.length === 0) {
+    return;
+  }
+
+  const prices = points.map(point => point.price);
+  const low = Math.min(...prices);
+  const high = Math.max(...prices);
+  // A flat price is drawn in the middle of the plot
+  const min = low === high ? low * 0.99 : low;
+  const max = low === high ? high * 1.01 : high;
+
+  const plotWidth = width - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const x = (time) => PADDING.left + ((time - fromTime) / Math.max(toTime - fromTime, 1)) * plotWidth;
+  const y = (price) => PADDING.top + (1 - (price - min) / (max - min)) * plotHeight;
+
+  // Grid lines at the lowest and highest prices
+  context.strokeStyle = GRID_COLOR;
+  context.lineWidth = 1;
+  context.beginPath();
+  for (const price of [low, high]) {
+    context.moveTo(PADDING.left, Math.round(y(price)) + 0.5);
+    context.lineTo(width - PADDING.right, Math.round(y(price)) + 0.5);
+  }
+  context.stroke();
+
+  // Step line: each price holds until the next point
+  context.beginPath();
+  context.moveTo(x(points[0].time), y(points[0].price));
+  for (let i = 1; i < points.length; i++) {
+    context.lineTo(x(points[i].time), y(points[i - 1].price));
+    context.lineTo(x(points[i].time), y(points[i].price));
+  }
+  context.strokeStyle = LINE_COLOR;
+  context.lineWidth = 2;
+  context.stroke();
+
+  // Area under the line
+  context.lineTo(x(points[points.length - 1].time), height - PADDING.bottom);
+  context.lineTo(x(points[0].time), height - PADDING.bottom);
+  context.closePath();
+  context.fillStyle = FILL_COLOR;
+  context.fill();
+
+  // Price range, last price and timeframe labels
+  context.fillStyle = TEXT_COLOR;
+  context.textBaseline = "bottom";
+  context.textAlign = "left";
+  context.fillText(`High ${formatChartPrice(high)}`, PADDING.left, PADDING.top - 2);
+  context.textAlign = "right";
+  context.fillText(`Last ${formatChartPrice(prices[prices.length - 1])} ${unit}`, width - PADDING.right, PADDING.top - 2);
+  context.textBaseline = "top";
+  context.textAlign = "left";
+  context.fillText(formatChartTime(fromTime, toTime - fromTime), PADDING.left, height - PADDING.bottom + 4);
+  context.textAlign = "center";
+  context.fillText(`Low ${formatChartPrice(low)}`, width / 2, height - PADDING.bottom + 4);
+  context.textAlign = "right";
+  context.fillText(formatChartTime(toTime, toTime - fromTime), width - PADDING.right, height - PADDING.bottom + 4);
+}
+
+/**
+ * @notice Clears the chart
+ * @param {HTMLCanvasElement} canvas Canvas element
+ */
+export function clearPriceChart(canvas) {
+  prepareCanvas(canvas);
+}
@@ -0,0 +1,4 @@
+// Generated by scripts/export-frontend-config.js from ignition/deployments. Do not edit by hand.
+
+/// @notice SimpleSwap deployment of every supported chain, keyed by chain id
+export const DEPLOYMENTS = {};
@@ -0,0 +1,97 @@
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@6.8.1/dist/ethers.min.js';
+
+/**
+ * @title SimpleSwap Gasless Orders
+ * @notice Signs swap orders for SimpleSwapGasless and hands them to the relayer (relayer/index.js)
+ * @dev The contract comes from `gasless` in deployments.js and the relayer from `relayerUrl`.
+ *      Orders are exact input swaps between tokens; the wallet only signs, the relayer pays the gas.
+ */
+
+/// @notice Time after which a relayer request is abandoned, in milliseconds
+const REQUEST_TIMEOUT_MS = 30000;
+
+/// @notice SimpleSwapGasless functions read by the web UI
+const GASLESS_ABI = [
+  "function nonces(address owner) view returns (uint256)"
+];
+
+/// @notice EIP-712 types of a swap order
+const SWAP_ORDER_TYPES = {
+  SwapOrder: [
+    { name: "trader", type: "address" },
+    { name: "path", type: "address[]" },
+    { name: "amountIn", type: "uint256" },
+    { name: "minOut", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" }
+  ]
+};
+
+/**
+ * @notice Tells whether a deployment accepts signed orders
+ * @param {object|null} deployment Deployment of the current chain
+ * @return {boolean} Whether orders can be signed
+ */
+export function hasGasless(deployment) {
+  return Boolean(deployment && deployment.gasless);
+}
+
+/**
+ * @notice Tells whether a deployment has a relayer submitting signed orders
+ * @param {object|null} deployment Deployment of the current chain
+ * @return {boolean} Whether orders can be relayed
+ */
+export function hasRelayer(deployment) {
+  return hasGasless(deployment) && Boolean(deployment.relayerUrl);
+}
+
+/**
+ * @notice Signs an exact input swap order with the trader's current nonce
+ * @dev An unsubmitted order keeps the nonce, so signing again replaces it
+ * @param {ethers.Signer} signer Signer of the trader
+ * @param {object} deployment Deployment with a gasless contract
+ * @param {object} fields { path, amountIn, minOut, deadline }
+ * @return {Promise<{order: object, signature: string}>} Signed order
+ */
+export async function signSwapOrder(signer, deployment, { path, amountIn, minOut, deadline }) {
+  const trader = await signer.getAddress();
+  const gasless = new ethers.Contract(deployment.gasless, GASLESS_ABI, signer);
+  const order = { trader, path, amountIn, minOut, deadline: BigInt(deadline), nonce: await gasless.nonces(trader) };
+  const domain = { name: "SimpleSwap Gasless", version: "1", chainId: deployment.chainId, verifyingContract: deployment.gasless };
+  return { order, signature: await signer.signTypedData(domain, SWAP_ORDER_TYPES, order) };
+}
+
+/**
+ * @notice Encodes a signed order as the JSON body of the relayer's POST /orders
+ * @param {{order: object, signature: string}} signed Signed order
+ * @param {object} permit EIP-2612 permit of the input token, or NO_PERMIT
+ * @return {string} JSON with amounts as decimal strings
+ */
+export function encodeSwapOrder(signed, permit) {
+  return JSON.stringify(
+    { ...signed, permit },
+    (_, value) => typeof value === "bigint" ? value.toString() : value,
+    2
+  );
+}
+
+/**
+ * @notice Submits a signed order to the relayer and waits for it to be mined
+ * @param {object} deployment Deployment with a relayerUrl
+ * @param {string} body Order from encodeSwapOrder
+ * @return {Promise<object>} { txHash, trader, nonce, amountIn, amountOut }
+ * @throws {Error} If the relayer is unreachable or refuses the order
+ */
+export async function relaySwapOrder(deployment, body) {
+  const response = await fetch(new URL("/orders", deployment.relayerUrl), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(`Relayer: ${result.error || response.status}`);
+  }
+  return result;
+}
@@ -0,0 +1,116 @@
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@6.8.1/dist/ethers.min.js';
+
+/**
+ * @title SimpleSwap Indexer Client
+ * @notice Reads pools, activity and candles from the indexer API (indexer/api.js) when the deployment has one
+ * @dev The indexer URL comes from `indexerUrl` in deployments.js. Callers fall back to RPC reads when
+ *      it is not configured or a request fails. The indexer lags the chain by its confirmation depth.
+ */
+
+/// @notice Time after which an indexer request is abandoned, in milliseconds
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * @notice Tells whether a deployment has an indexer
+ * @param {object|null} deployment Deployment of the current chain
+ * @return {boolean} Whether indexer requests can be made
+ */
+export function hasIndexer(deployment) {
+  return Boolean(deployment && deployment.indexerUrl);
+}
+
+/**
+ * @notice Sends a GET request to the indexer
+ * @param {object} deployment Deployment with an indexerUrl
+ * @param {string} path Route, e.g. "/pools"
+ * @param {object} query Query string parameters; null values are left out
+ * @return {Promise<any>} Decoded JSON body
+ * @throws {Error} If the indexer is unreachable or answers with an error
+ */
+async function fetchIndexer(deployment, path, query = {}) {
+  const url = new URL(path, deployment.indexerUrl);
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== null && value !== undefined) {
+      url.searchParams.set(key, value);
+    }
+  }
+  const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(`Indexer: ${body.error || response.status}`);
+  }
+  return body;
+}
+
+/**
+ * @notice Gets the pool of a pair from the indexer
+ * @param {object} deployment Deployment with an indexerUrl
+ * @param {string} pair Address of the pair's LP token
+ * @return {Promise<object>} Pool (tokens, raw reserves and LP supply as strings, price of token0 in token1)
+ */
+export async function getIndexedPool(deployment, pair) {
+  return fetchIndexer(deployment, `/pools/${pair}`);
+}
+
+/**
+ * @notice Gets the hourly candles of a pair from the indexer
+ * @param {object} deployment Deployment with an indexerUrl
+ * @param {string} pair Address of the pair's LP token
+ * @param {number} [from] First candle time (unix seconds)
+ * @return {Promise<object[]>} Candles { time, open, high, low, close, volume0, volume1, trades }, oldest first
+ */
+export async function getIndexedCandles(deployment, pair, from = null) {
+  return fetchIndexer(deployment, "/candles", { pair, from });
+}
+
+/**
+ * @notice Gets the last block the indexer has indexed
+ * @param {object} deployment Deployment with an indexerUrl
+ * @return {Promise<number|null>} Block number, or null before the first sync
+ */
+export async function getIndexedBlock(deployment) {
+  return (await fetchIndexer(deployment, "/status")).lastBlock;
+}
+
+/**
+ * @notice Gets the swaps and liquidity changes of an account from the indexer
+ * @dev Entries have the shape of activity.js entries (checksummed addresses, amounts as bigint),
+ *      so both sources render alike
+ * @param {object} deployment Deployment with an indexerUrl
+ * @param {string} account Address of the account
+ * @param {number} limit Largest number of swaps, and of liquidity events, returned
+ * @return {Promise<object[]>} Entries, newest first
+ */
+export async function getIndexedActivity(deployment, account, limit = 1000) {
+  const [swaps, liquidity] = await Promise.all([
+    fetchIndexer(deployment, "/swaps", { trader: account, limit }),
+    fetchIndexer(deployment, "/liquidity", { provider: account, limit })
+  ]);
+  const base = (row) => ({
+    id: `indexer:${row.transactionHash}:${row.logIndex}`,
+    blockNumber: row.blockNumber,
+    transactionHash: row.transactionHash,
+    logIndex: row.logIndex
+  });
+
+  const entries = [
+    ...swaps.map(row => ({
+      ...base(row),
+      type: "TokenSwapped",
+      tokenIn: ethers.getAddress(row.tokenIn),
+      tokenOut: ethers.getAddress(row.tokenOut),
+      amountIn: BigInt(row.amountIn),
+      amountOut: BigInt(row.amountOut)
+    })),
+    ...liquidity.map(row => ({
+      ...base(row),
+      type: row.type,
+      tokenA: ethers.getAddress(row.tokenA),
+      tokenB: ethers.getAddress(row.tokenB),
+      amountA: BigInt(row.amountA),
+      amountB: BigInt(row.amountB),
+      liquidity: BigInt(row.liquidity)
+    }))
+  ];
+  return entries.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+}
@@ -0,0 +1,56 @@
+import { DEPLOYMENTS } from './deployments.js';
+
+/**
+ * @title SimpleSwap Networks
+ * @notice Picks the SimpleSwap deployment of the wallet's chain and switches the wallet between supported chains
+ * @dev Deployments come from deployments.js, generated by scripts/export-frontend-config.js
+ */
+
+/// @notice Error code returned by wallets asked to switch to a chain they do not know
+const UNRECOGNIZED_CHAIN = 4902;
+
+/**
+ * @notice Lists the chains with a SimpleSwap deployment
+ * @return {object[]} Deployments, in chain id order
+ */
+export function getSupportedDeployments() {
+  return Object.values(DEPLOYMENTS);
+}
+
+/**
+ * @notice Gets the deployment of a chain
+ * @param {bigint|number} chainId Chain id reported by the wallet
+ * @return {object|null} Deployment ({ chainId, name, rpcUrl, explorer, indexerUrl, relayerUrl, swap, startBlock, router,
+ *         gasless, limitOrders, tokens }), or null if none
+ */
+export function getDeployment(chainId) {
+  return DEPLOYMENTS[chainId.toString()] || null;
+}
+
+/**
+ * @notice Asks the wallet to switch to the chain of a deployment
+ * @dev Chains unknown to the wallet are added first (wallet_addEthereumChain) when an RPC URL is configured
+ * @param {object} ethereum EIP-1193 provider injected by the wallet
+ * @param {object} deployment Deployment to switch to
+ * @return {Promise<void>}
+ */
+export async function switchNetwork(ethereum, deployment) {
+  const chainId = `0x${deployment.chainId.toString(16)}`;
+  try {
+    await ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId }] });
+  } catch (e) {
+    if (e.code !== UNRECOGNIZED_CHAIN || !deployment.rpcUrl) {
+      throw e;
+    }
+    await ethereum.request({
+      method: "wallet_addEthereumChain",
+      params: [{
+        chainId,
+        chainName: deployment.name,
+        rpcUrls: [deployment.rpcUrl],
+        nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+        blockExplorerUrls: deployment.explorer ? [deployment.explorer] : undefined
+      }]
+    });
+  }
+}
@@ -0,0 +1,75 @@
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@6.8.1/dist/ethers.min.js';
+
+/**
+ * @title SimpleSwap Limit Orders
+ * @notice Places, lists and cancels the limit orders of SimpleSwapLimitOrders
+ * @dev The contract comes from `limitOrders` in deployments.js. Orders are filled by keepers
+ *      (keeper/index.js) once the pool price reaches their target; the web UI never fills them.
+ */
+
+/**
+ * @notice ABI for the SimpleSwapLimitOrders contract
+ * @dev Order book writes, the order view and the events listing an account's orders
+ */
+const LIMIT_ORDERS_ABI = [
+  "function placeOrder(address tokenIn, address tokenOut, uint256 amountIn, uint256 targetPrice, uint256 tip, uint256 deadline) returns (uint256 orderId)",
+  "function cancelOrder(uint256 orderId)",
+  "function orders(uint256 orderId) view returns (address maker, address tokenIn, address tokenOut, uint256 amountIn, uint256 targetPrice, uint256 tip, uint256 deadline, uint8 status)",
+  "event OrderPlaced(uint256 indexed orderId, address indexed maker, address indexed tokenIn, address tokenOut, uint256 amountIn, uint256 targetPrice, uint256 tip, uint256 deadline)",
+  "event OrderFilled(uint256 indexed orderId, address indexed maker, address indexed keeper, uint256 amountOut)"
+];
+
+/// @notice Labels of the `OrderStatus` values of the contract
+export const ORDER_STATUS = ["None", "Open", "Filled", "Cancelled"];
+
+/**
+ * @notice Tells whether a deployment has a limit order book
+ * @param {object|null} deployment Deployment of the current chain
+ * @return {boolean} Whether orders can be placed
+ */
+export function hasLimitOrders(deployment) {
+  return Boolean(deployment && deployment.limitOrders);
+}
+
+/**
+ * @notice Connects to the limit order book of a deployment
+ * @param {object} deployment Deployment with a limitOrders address
+ * @param {ethers.ContractRunner} runner Provider or signer
+ * @return {ethers.Contract} Contract instance
+ */
+export function getLimitOrdersContract(deployment, runner) {
+  return new ethers.Contract(deployment.limitOrders, LIMIT_ORDERS_ABI, runner);
+}
+
+/**
+ * @notice Loads the orders placed by an account
+ * @dev Order ids come from the account's `OrderPlaced` events and their status from the contract,
+ *      so fills and cancellations by other accounts (keepers, after expiry) are shown too
+ * @param {ethers.Contract} contract Contract from getLimitOrdersContract
+ * @param {string} maker Address of the account
+ * @param {number} fromBlock First block searched (the deployment block of SimpleSwap)
+ * @return {Promise<object[]>} Orders { id, tokenIn, tokenOut, amountIn, targetPrice, tip, deadline, status, amountOut }, newest first
+ */
+export async function loadOrders(contract, maker, fromBlock) {
+  const [placed, filled] = await Promise.all([
+    contract.queryFilter(contract.filters.OrderPlaced(null, maker), fromBlock),
+    contract.queryFilter(contract.filters.OrderFilled(null, maker), fromBlock)
+  ]);
+  const amountsOut = new Map(filled.map(log => [log.args.orderId, log.args.amountOut]));
+
+  const orders = await Promise.all(placed.map(async log => {
+    const order = await contract.orders(log.args.orderId);
+    return {
+      id: log.args.orderId,
+      tokenIn: order.tokenIn,
+      tokenOut: order.tokenOut,
+      amountIn: order.amountIn,
+      targetPrice: order.targetPrice,
+      tip: order.tip,
+      deadline: Number(order.deadline),
+      status: ORDER_STATUS[Number(order.status)],
+      amountOut: amountsOut.get(log.args.orderId) ?? null
+    };
+  }));
+  return orders.reverse();
+}
@@ -0,0 +1,106 @@
+/**
+ * @title SimpleSwap Positions
+ * @notice Works out what a liquidity position is worth and how it compares with holding the tokens
+ * @dev Pure functions on raw token amounts (bigint). Token A is the first token of the pair as shown;
+ *      values are expressed in token A at the current pool price.
+ */
+
+/// @notice Scale of shares and ratios (1e18 = 100%)
+export const ONE = 10n ** 18n;
+
+/**
+ * @notice Computes the tokens a liquidity amount can be redeemed for
+ * @dev Mirrors SimpleSwap._removeLiquidity
+ * @param {bigint} liquidity LP tokens
+ * @param {bigint} reserveA Pool reserve of token A
+ * @param {bigint} reserveB Pool reserve of token B
+ * @param {bigint} totalSupply LP token total supply
+ * @return {bigint[]} Amounts of token A and B
+ */
+export function getUnderlyingAmounts(liquidity, reserveA, reserveB, totalSupply) {
+  if (totalSupply === 0n) {
+    return [0n, 0n];
+  }
+  return [(liquidity * reserveA) / totalSupply, (liquidity * reserveB) / totalSupply];
+}
+
+/**
+ * @notice Values an amount of token B in token A at the pool price
+ * @param {bigint} amountB Amount of token B
+ * @param {bigint} reserveA Pool reserve of token A
+ * @param {bigint} reserveB Pool reserve of token B
+ * @return {bigint} Value in token A
+ */
+function valueInA(amountB, reserveA, reserveB) {
+  return reserveB === 0n ? 0n : (amountB * reserveA) / reserveB;
+}
+
+/**
+ * @notice Works out the cost basis of a position from its liquidity events
+ * @dev Average cost method: deposits add their amounts, and a removal takes away the same
+ *      share of the basis as the share of LP tokens it burns. The deposit value uses the pool
+ *      price of each deposit (amountA / amountB).
+ *      LP tokens received or sent by transfer do not appear in these events and are not counted.
+ * @param {object[]} entries LiquidityAdded / LiquidityRemoved entries of the pair, in any order
+ * @param {string} tokenA Address of token A
+ * @return {{amountA: bigint, amountB: bigint, valueA: bigint, liquidity: bigint}} Tokens deposited,
+ *         their value in token A when deposited, and the LP tokens they minted, for the part still held
+ */
+export function getCostBasis(entries, tokenA) {
+  const basis = { amountA: 0n, amountB: 0n, valueA: 0n, liquidity: 0n };
+  const ordered = [...entries].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  for (const entry of ordered) {
+    // Events keep the token order of the call; flip them to the order shown
+    const flipped = entry.tokenA.toLowerCase() !== tokenA.toLowerCase();
+    const amountA = flipped ? entry.amountB : entry.amountA;
+    const amountB = flipped ? entry.amountA : entry.amountB;
+
+    if (entry.type === "LiquidityAdded") {
+      basis.amountA += amountA;
+      basis.amountB += amountB;
+      basis.valueA += amountA + valueInA(amountB, amountA, amountB);
+      basis.liquidity += entry.liquidity;
+    } else if (basis.liquidity > 0n) {
+      const burned = entry.liquidity < basis.liquidity ? entry.liquidity : basis.liquidity;
+      basis.amountA -= (basis.amountA * burned) / basis.liquidity;
+      basis.amountB -= (basis.amountB * burned) / basis.liquidity;
+      basis.valueA -= (basis.valueA * burned) / basis.liquidity;
+      basis.liquidity -= burned;
+    }
+  }
+  return basis;
+}
+
+/**
+ * @notice Summarises a liquidity position
+ * @dev Impermanent loss compares the position with holding the deposited tokens, both valued at
+ *      the current price. It includes the swap fees earned, so fees can turn it positive.
+ * @param {object} position { liquidity, totalSupply, reserveA, reserveB } of the pair
+ * @param {object} basis Cost basis returned by getCostBasis
+ * @return {object} Share (scaled by ONE), underlying amounts, value, hold value, profit and
+ *         impermanent loss (scaled by ONE, null without cost basis)
+ */
+export function getPositionSummary(position, basis) {
+  const { liquidity, totalSupply, reserveA, reserveB } = position;
+  const [amountA, amountB] = getUnderlyingAmounts(liquidity, reserveA, reserveB, totalSupply);
+  const value = amountA + valueInA(amountB, reserveA, reserveB);
+
+  // Only the LP tokens both held and covered by the history are compared with holding
+  const tracked = basis.liquidity < liquidity ? basis.liquidity : liquidity;
+  const trackedValue = liquidity === 0n ? 0n : (value * tracked) / liquidity;
+  const scale = (amount) => basis.liquidity === 0n ? 0n : (amount * tracked) / basis.liquidity;
+  const holdValue = scale(basis.amountA + valueInA(basis.amountB, reserveA, reserveB));
+  const costValue = scale(basis.valueA);
+
+  return {
+    share: totalSupply === 0n ? 0n : (liquidity * ONE) / totalSupply,
+    amountA,
+    amountB,
+    value,
+    holdValue,
+    costValue,
+    profit: trackedValue - costValue,
+    impermanentLoss: holdValue === 0n ? null : ((trackedValue - holdValue) * ONE) / holdValue
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * @title SimpleSwap Price History
+ * @notice Rebuilds the price history of a pair from its LiquidityAdded, LiquidityRemoved, TokenSwapped and FlashSwap events
+ * @dev Starts from the current reserves and undoes the pair's events, newest first, to get the reserves
+ *      (and so the price) before each of them. Anchoring on the current reserves keeps the history right
+ *      even when reserves changed without an event before the window (sync).
+ *      Events and block timestamps are cached in memory, so refreshing a chart only queries new blocks.
+ */
+
+/// @notice Selectable timeframes, in seconds
+export const TIMEFRAMES = Object.freeze({
+  "1H": 3600,
+  "24H": 86400,
+  "7D": 7 * 86400,
+  "30D": 30 * 86400
+});
+
+/// @notice Number of blocks queried per getLogs call
+const BLOCK_RANGE = 5000;
+
+/// @notice Events of each pair already loaded, keyed by "<swap>:<token0>:<token1>"
+const eventCache = new Map();
+
+/// @notice Block timestamps already read, keyed by block number
+const timestampCache = new Map();
+
+/**
+ * @notice Reads the timestamp of a block, once
+ * @param {ethers.Provider} provider Provider of the chain
+ * @param {number} blockNumber Block number
+ * @return {Promise<number>} Unix timestamp
+ */
+async function getTimestamp(provider, blockNumber) {
+  if (!timestampCache.has(blockNumber)) {
+    const block = await provider.getBlock(blockNumber);
+    timestampCache.set(blockNumber, block.timestamp);
+  }
+  return timestampCache.get(blockNumber);
+}
+
+/**
+ * @notice Finds the first block mined at or after a time
+ * @dev Binary search on block timestamps
+ * @param {ethers.Provider} provider Provider of the chain
+ * @param {number} timestamp Unix timestamp
+ * @param {number} minBlock First block to consider
+ * @param {number} maxBlock Last block to consider
+ * @return {Promise<number>} Block number (maxBlock if every block is older)
+ */
+export async function findBlockByTime(provider, timestamp, minBlock, maxBlock) {
+  let low = minBlock;
+  let high = maxBlock;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (await getTimestamp(provider, middle) < timestamp) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * @notice Converts an event of the pair into its effect on the reserves
+ * @param {ethers.EventLog} log Decoded LiquidityAdded, LiquidityRemoved, TokenSwapped or FlashSwap log
+ * @param {string} tokenA Address of the token the deltas are ordered by
+ * @return {object} { blockNumber, logIndex, deltaA, deltaB } with the reserve changes of token A and B
+ */
+function toReserveChange(log, tokenA) {
+  const { args } = log;
+  const name = log.eventName || log.fragment.name;
+  let deltaA;
+  let deltaB;
+  if (name === "TokenSwapped") {
+    const sellsA = args.tokenIn.toLowerCase() === tokenA.toLowerCase();
+    deltaA = sellsA ? args.amountIn : -args.amountOut;
+    deltaB = sellsA ? -args.amountOut : args.amountIn;
+  } else if (name === "FlashSwap") {
+    const flipped = args.tokenA.toLowerCase() !== tokenA.toLowerCase();
+    deltaA = flipped ? args.amountBIn - args.amountBOut : args.amountAIn - args.amountAOut;
+    deltaB = flipped ? args.amountAIn - args.amountAOut : args.amountBIn - args.amountBOut;
+  } else {
+    const flipped = args.tokenA.toLowerCase() !== tokenA.toLowerCase();
+    const sign = name === "LiquidityAdded" ? 1n : -1n;
+    deltaA = sign * (flipped ? args.amountB : args.amountA);
+    deltaB = sign * (flipped ? args.amountA : args.amountB);
+  }
+  return { blockNumber: log.blockNumber, logIndex: log.index, deltaA, deltaB };
+}
+
+/**
+ * @notice Queries the events of a pair in a block range
+ * @dev Events keep the token order of the call, so both orders are queried
+ * @param {ethers.Contract} contract Instance of the Swap contract
+ * @param {string} tokenA Address of token A
+ * @param {string} tokenB Address of token B
+ * @param {number} fromBlock First block, inclusive
+ * @param {number} toBlock Last block, inclusive
+ * @return {Promise<object[]>} Reserve changes, in chain order
+ */
+async function queryPairEvents(contract, tokenA, tokenB, fromBlock, toBlock) {
+  const filters = [];
+  for (const [first, second] of [[tokenA, tokenB], [tokenB, tokenA]]) {
+    filters.push(
+      contract.filters.LiquidityAdded(null, first, second),
+      contract.filters.LiquidityRemoved(null, first, second),
+      contract.filters.TokenSwapped(null, first, second),
+      contract.filters.FlashSwap(null, first, second)
+    );
+  }
+
+  const changes = [];
+  for (let from = fromBlock; from <= toBlock; from += BLOCK_RANGE) {
+    const to = Math.min(toBlock, from + BLOCK_RANGE - 1);
+    const results = await Promise.all(filters.map(filter => contract.queryFilter(filter, from, to)));
+    changes.push(...results.flat().map(log => toReserveChange(log, tokenA)));
+  }
+  return changes.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * @notice Loads the events of a pair from a block to the latest block
+ * @dev Only the blocks not cached yet are queried
+ * @param {ethers.Contract} contract Instance of the Swap contract
+ * @param {string} tokenA Address of token A
+ * @param {string} tokenB Address of token B
+ * @param {number} fromBlock First block needed
+ * @param {number} latestBlock Latest block
+ * @return {Promise<object[]>} Reserve changes (ordered by token A and B) from fromBlock, in chain order
+ */
+async function loadPairEvents(contract, tokenA, tokenB, fromBlock, latestBlock) {
+  const [token0, token1] = [tokenA, tokenB].map(token => token.toLowerCase()).sort();
+  const key = `${contract.target.toLowerCase()}:${token0}:${token1}`;
+  let cached = eventCache.get(key);
+
+  if (!cached || fromBlock < cached.fromBlock) {
+    const toBlock = cached ? cached.fromBlock - 1 : latestBlock;
+    const older = await queryPairEvents(contract, token0, token1, fromBlock, toBlock);
+    cached = cached
+      ? { fromBlock, toBlock: cached.toBlock, changes: [...older, ...cached.changes] }
+      : { fromBlock, toBlock, changes: older };
+  }
+  if (cached.toBlock < latestBlock) {
+    const newer = await queryPairEvents(contract, token0, token1, cached.toBlock + 1, latestBlock);
+    cached = { ...cached, toBlock: latestBlock, changes: [...cached.changes, ...newer] };
+  }
+  eventCache.set(key, cached);
+
+  const flipped = tokenA.toLowerCase() !== token0;
+  return cached.changes
+    .filter(change => change.blockNumber >= fromBlock)
+    .map(change => flipped ? { ...change, deltaA: change.deltaB, deltaB: change.deltaA } : change);
+}
+
+/**
+ * @notice Undoes reserve changes, newest first, from the current reserves
+ * @param {bigint} reserveA Current reserve of token A
+ * @param {bigint} reserveB Current reserve of token B
+ * @param {object[]} changes Reserve changes, in chain order
+ * @return {object[]} { blockNumber, reserveA, reserveB } after each change, in chain order, preceded by
+ *         the reserves before the first change (blockNumber null)
+ */
+export function replayReserves(reserveA, reserveB, changes) {
+  const states = [{ blockNumber: null, reserveA, reserveB }];
+  let currentA = reserveA;
+  let currentB = reserveB;
+  for (let i = changes.length - 1; i >= 0; i--) {
+    states[0].blockNumber = changes[i].blockNumber;
+    currentA -= changes[i].deltaA;
+    currentB -= changes[i].deltaB;
+    states.unshift({ blockNumber: null, reserveA: currentA, reserveB: currentB });
+  }
+  return states;
+}
+
+/**
+ * @notice Computes a price from reserves
+ * @param {bigint} reserveA Reserve of token A
+ * @param {bigint} reserveB Reserve of token B
+ * @param {number} decimalsA Decimals of token A
+ * @param {number} decimalsB Decimals of token B
+ * @return {number|null} Token B per token A, or null when a reserve is empty
+ */
+function toPrice(reserveA, reserveB, decimalsA, decimalsB) {
+  if (reserveA <= 0n || reserveB <= 0n) {
+    return null;
+  }
+  return (Number(reserveB) / 10 ** decimalsB) / (Number(reserveA) / 10 ** decimalsA);
+}
+
+/**
+ * @notice Loads the price of token A in token B over a timeframe
+ * @param {ethers.Contract} contract Instance of the Swap contract, connected to a provider
+ * @param {object} tokenA Token list entry of token A (address, decimals)
+ * @param {object} tokenB Token list entry of token B (address, decimals)
+ * @param {number} seconds Length of the timeframe
+ * @param {number} startBlock Block the Swap contract was deployed in
+ * @return {Promise<{points: object[], fromTime: number, toTime: number}>} Price points { time, price },
+ *         oldest first: the price at the start of the timeframe, after every change, and now
+ */
+export async function loadPriceHistory(contract, tokenA, tokenB, seconds, startBlock = 0) {
+  const provider = contract.runner.provider;
+  const latestBlock = await provider.getBlockNumber();
+  const toTime = await getTimestamp(provider, latestBlock);
+  const fromTime = toTime - seconds;
+  const fromBlock = await findBlockByTime(provider, fromTime, startBlock, latestBlock);
+
+  const [[reserveA, reserveB], changes] = await Promise.all([
+    contract.getReserves(tokenA.address, tokenB.address, { blockTag: latestBlock }),
+    loadPairEvents(contract, tokenA.address, tokenB.address, fromBlock, latestBlock)
+  ]);
+  const states = replayReserves(reserveA, reserveB, changes);
+  await Promise.all(changes.map(change => getTimestamp(provider, change.blockNumber)));
+
+  const points = [{ time: fromTime, price: toPrice(states[0].reserveA, states[0].reserveB, tokenA.decimals, tokenB.decimals) }];
+  for (const state of states.slice(1)) {
+    points.push({
+      time: timestampCache.get(state.blockNumber),
+      price: toPrice(state.reserveA, state.reserveB, tokenA.decimals, tokenB.decimals)
+    });
+  }
+  points.push({ time: toTime, price: points[points.length - 1].price });
+  return { points: points.filter(point => point.price !== null), fromTime, toTime };
+}
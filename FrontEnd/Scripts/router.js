@@ -0,0 +1,156 @@
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@6.8.1/dist/ethers.min.js';
+
+/**
+ * @title SimpleSwap Router
+ * @notice Finds the best swap path between two tokens across the known SimpleSwap pairs
+ * @dev Pairs are read from the Swap contract (getAllPairs) and every candidate path
+ *      is quoted on-chain with getAmountsOut / getAmountsIn
+ */
+
+/// @notice Denominator of the basis point values used by the Swap contract
+export const FEE_DENOMINATOR = 10000n;
+
+/// @notice Longest path considered by the router, in hops
+export const MAX_HOPS = 3;
+
+/**
+ * @notice ABI for SimpleSwap LP tokens
+ * @dev Only the functions identifying the pair of tokens
+ */
+export const PAIR_ABI = [
+  "function token0() view returns (address)",
+  "function token1() view returns (address)"
+];
+
+/// @notice Pair graph of the last Swap contract loaded, rebuilt when new pairs appear
+let graphCache = { contract: null, pairCount: -1n, graph: new Map() };
+
+/**
+ * @notice Adds an edge between two tokens of the pair graph
+ * @param {Map<string, Set<string>>} graph Token adjacency map
+ * @param {string} tokenA Address of the first token
+ * @param {string} tokenB Address of the second token
+ */
+function addEdge(graph, tokenA, tokenB) {
+  if (!graph.has(tokenA)) graph.set(tokenA, new Set());
+  graph.get(tokenA).add(tokenB);
+}
+
+/**
+ * @notice Loads the graph of tokens connected by a pool
+ * @dev Cached per Swap contract; only reloaded when allPairsLength changes
+ * @param {ethers.Contract} swapContract Instance of the Swap contract
+ * @return {Promise<Map<string, Set<string>>>} Token adjacency map (checksummed addresses)
+ */
+export async function loadPairGraph(swapContract) {
+  const contractAddress = await swapContract.getAddress();
+  const pairCount = await swapContract.allPairsLength();
+  if (graphCache.contract === contractAddress && graphCache.pairCount === pairCount) {
+    return graphCache.graph;
+  }
+
+  const runner = swapContract.runner;
+  const pairs = await swapContract.getAllPairs();
+  const tokens = await Promise.all(pairs.map(async (pairAddress) => {
+    const pair = new ethers.Contract(pairAddress, PAIR_ABI, runner);
+    return Promise.all([pair.token0(), pair.token1()]);
+  }));
+
+  const graph = new Map();
+  for (const [token0, token1] of tokens) {
+    addEdge(graph, token0, token1);
+    addEdge(graph, token1, token0);
+  }
+
+  graphCache = { contract: contractAddress, pairCount, graph };
+  return graph;
+}
+
+/**
+ * @notice Lists every path between two tokens that does not visit a token twice
+ * @param {Map<string, Set<string>>} graph Token adjacency map
+ * @param {string} tokenIn Address of the input token
+ * @param {string} tokenOut Address of the output token
+ * @param {number} maxHops Longest path to consider, in hops
+ * @return {string[][]} Candidate paths, shortest first
+ */
+export function findPaths(graph, tokenIn, tokenOut, maxHops = MAX_HOPS) {
+  const from = ethers.getAddress(tokenIn);
+  const to = ethers.getAddress(tokenOut);
+  const paths = [];
+  let frontier = [[from]];
+
+  for (let hop = 0; hop < maxHops && frontier.length > 0; hop++) {
+    const next = [];
+    for (const path of frontier) {
+      for (const token of graph.get(path[path.length - 1]) || []) {
+        if (path.includes(token)) continue;
+        if (token === to) {
+          paths.push([...path, token]);
+        } else {
+          next.push([...path, token]);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return paths;
+}
+
+/**
+ * @notice Picks the path giving the best price for a trade
+ * @dev Exact input trades maximise the output; exact output trades minimise the input.
+ *      Paths whose quote reverts (e.g. not enough liquidity) are skipped.
+ * @param {ethers.Contract} swapContract Instance of the Swap contract
+ * @param {string} tokenIn Address of the input token
+ * @param {string} tokenOut Address of the output token
+ * @param {bigint} amount Input amount, or output amount when exactOutput is set
+ * @param {boolean} exactOutput Whether `amount` is the output to receive
+ * @return {Promise<{path: string[], amounts: bigint[]}|null>} Best route, or null if none can be quoted
+ */
+export async function findBestRoute(swapContract, tokenIn, tokenOut, amount, exactOutput = false) {
+  const graph = await loadPairGraph(swapContract);
+  const paths = findPaths(graph, tokenIn, tokenOut);
+
+  const quotes = await Promise.all(paths.map(async (path) => {
+    try {
+      const amounts = exactOutput
+        ? await swapContract.getAmountsIn(amount, path)
+        : await swapContract.getAmountsOut(amount, path);
+      return { path, amounts: [...amounts] };
+    } catch {
+      return null;
+    }
+  }));
+
+  let best = null;
+  for (const quote of quotes) {
+    if (!quote) continue;
+    const better = exactOutput
+      ? !best || quote.amounts[0] < best.amounts[0]
+      : !best || quote.amounts[quote.amounts.length - 1] > best.amounts[best.amounts.length - 1];
+    if (better) best = quote;
+  }
+  return best;
+}
+
+/**
+ * @notice Computes what a path would return at spot prices
+ * @dev Reads `reserveOf` of every hop. For a direct pair this is the amount times the
+ *      price shown by getPrice, so the gap with the real quote is the price impact.
+ * @param {ethers.Contract} swapContract Instance of the Swap contract
+ * @param {string[]} path Token addresses of the route
+ * @param {bigint} amountIn Input amount
+ * @return {Promise<bigint>} Output amount at spot prices
+ */
+export async function getSpotAmountOut(swapContract, path, amountIn) {
+  let amount = amountIn;
+  for (let i = 0; i < path.length - 1; i++) {
+    const [reserveIn, reserveOut] = await Promise.all([
+      swapContract.reserveOf(path[i], path[i + 1]),
+      swapContract.reserveOf(path[i + 1], path[i])
+    ]);
+    amount = (amount * reserveOut) / reserveIn;
+  }
+  return amount;
+}
@@ -1,32 +1,47 @@
 import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@6.8.1/dist/ethers.min.js';
+import { FEE_DENOMINATOR, PAIR_ABI, findBestRoute, getSpotAmountOut } from './router.js';
+import { hasPermit, prepareSpend } from './approvals.js';
+import { encodeSwapOrder, hasGasless, hasRelayer, relaySwapOrder, signSwapOrder } from './gasless.js';
+import { getLimitOrdersContract, hasLimitOrders, loadOrders } from './orders.js';
+import { getDeployment, getSupportedDeployments, switchNetwork } from './network.js';
+import { findToken, getTokens, isNative, resolveToken } from './tokens.js';
+import { loadActivity, loadAllActivity, subscribeActivity } from './activity.js';
+import { getIndexedActivity, getIndexedBlock, getIndexedPool, hasIndexer } from './indexer.js';
+import { ONE, getCostBasis, getPositionSummary } from './positions.js';
+import { TIMEFRAMES, loadPriceHistory } from './prices.js';
+import { clearPriceChart, drawPriceChart } from './chart.js';
+import { applySlippage, getDeadline, isHighPriceImpact, isQuoteFresh, loadSettings, saveSettings } from './settings.js';
 
 /**
  * @title SimpleSwap DEX Interface
  * @notice A decentralized exchange interface for token swaps and liquidity provision
  * @dev Interacts with Ethereum smart contracts using ethers.js library
  */
-const provider = new ethers.BrowserProvider(window.ethereum);
+let provider = new ethers.BrowserProvider(window.ethereum);
 let signer;
 
-/// @notice Address of the deployed Swap contract
-const CONTRACT_ADDRESS = "0xe30Ad4daFB933547Fe3e68ea4e3dB8416CDEEf82";
-
-/// @notice Address of Token A contract
-const TOKEN_A = "0xf367150C56b9c8C14db60914C82D1b278cfA7A6D";
-
-/// @notice Address of Token B contract
-const TOKEN_B = "0x1Fd59a58510686a2d6029A8D27F66Fdc68360ed1";
+/// @notice SimpleSwap deployment of the wallet's chain (see deployments.js), null on unsupported chains
+let deployment = null;
 
 /**
  * @notice ABI for ERC20 token contracts
- * @dev Includes balanceOf, mint, and approve functions
+ * @dev Includes balanceOf, mint, approve and allowance, plus the EIP-2612 / EIP-5267 views used for permits
  */
 const TOKEN_ABI = [
   "function balanceOf(address) view returns (uint)",
+  "function totalSupply() view returns (uint)",
   "function mint(address to, uint amount)",
-  "function approve(address, uint) returns (bool)"
+  "function approve(address, uint) returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint)",
+  "function name() view returns (string)",
+  "function nonces(address owner) view returns (uint)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)"
 ];
 
+/// @notice EIP-2612 signature argument of the `...WithPermit` functions
+const PERMIT_TUPLE = "tuple(uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)";
+
 /**
  * @notice ABI for Swap contract
  * @dev Includes functions for liquidity management and token swaps
@@ -34,11 +49,57 @@ const TOKEN_ABI = [
 const SWAP_ABI = [
   "function addLiquidity(address tokenA, address tokenB, uint amountADesired, uint amountBDesired, uint amountAMin, uint amountBMin, address to, uint deadline) external returns (uint amountA, uint amountB, uint liquidity)",
   "function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline) external returns (uint[] memory)",
+  "function swapTokensForExactTokens(uint amountOut, uint amountInMax, address[] path, address to, uint deadline) external returns (uint[] memory)",
+  "function getAmountsIn(uint amountOut, address[] path) external view returns (uint[] memory amounts)",
   "function getPrice(address tokenA, address tokenB) external view returns (uint256 price)",
   "function removeLiquidity(address tokenA, address tokenB, uint liquidity, uint amountAMin, uint amountBMin, address to, uint deadline) external returns (uint amountA, uint amountB)",
-  "function balanceOf(address account) external view returns (uint256)"
+  "function getPair(address tokenA, address tokenB) external view returns (address)",
+  "function getReserves(address tokenA, address tokenB) external view returns (uint256 reserveA, uint256 reserveB)",
+  "function allPairsLength() external view returns (uint256)",
+  "function getAllPairs() external view returns (address[] memory)",
+  "function getAmountOut(uint amountIn, uint reserveIn, uint reserveOut) external view returns (uint amountOut)",
+  "function swapFeeBps() external view returns (uint256)",
+  "function getAmountsOut(uint amountIn, address[] path) external view returns (uint[] memory amounts)",
+  "function reserveOf(address token, address pairedToken) external view returns (uint256)",
+  `function addLiquidityWithPermit(address tokenA, address tokenB, uint amountADesired, uint amountBDesired, uint amountAMin, uint amountBMin, address to, uint deadline, ${PERMIT_TUPLE} permitA, ${PERMIT_TUPLE} permitB) external returns (uint amountA, uint amountB, uint liquidity)`,
+  `function removeLiquidityWithPermit(address tokenA, address tokenB, uint liquidity, uint amountAMin, uint amountBMin, address to, uint deadline, ${PERMIT_TUPLE} permit) external returns (uint amountA, uint amountB)`,
+  `function swapExactTokensForTokensWithPermit(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline, ${PERMIT_TUPLE} permit) external returns (uint[] memory)`,
+  "function quoteAddLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired) external view returns (uint256 amountA, uint256 amountB, uint256 liquidity)",
+  "function quoteRemoveLiquidity(address tokenA, address tokenB, uint256 liquidity) external view returns (uint256 amountA, uint256 amountB)",
+  "function owner() external view returns (address)",
+  "function protocolFeeBps() external view returns (uint256)",
+  "function protocolFees(address token) external view returns (uint256)",
+  "function collectProtocolFees(address token, address to) external returns (uint256 amount)",
+  "event LiquidityAdded(address indexed provider, address indexed tokenA, address indexed tokenB, uint256 amountA, uint256 amountB, uint256 liquidity)",
+  "event LiquidityRemoved(address indexed provider, address indexed tokenA, address indexed tokenB, uint256 amountA, uint256 amountB, uint256 liquidity)",
+  "event TokenSwapped(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut)",
+  "event FlashSwap(address indexed sender, address indexed tokenA, address indexed tokenB, uint256 amountAOut, uint256 amountBOut, uint256 amountAIn, uint256 amountBIn)",
+  `function swapTokensForExactTokensWithPermit(uint amountOut, uint amountInMax, address[] path, address to, uint deadline, ${PERMIT_TUPLE} permit) external returns (uint[] memory)`
+];
+
+/**
+ * @notice ABI for the ETH router
+ * @dev Wraps and unwraps ETH around Swap contract calls; pools hold WETH
+ */
+const ROUTER_ABI = [
+  "event LiquidityAdded(address indexed provider, address indexed tokenA, address indexed tokenB, uint256 amountA, uint256 amountB, uint256 liquidity)",
+  "event LiquidityRemoved(address indexed provider, address indexed tokenA, address indexed tokenB, uint256 amountA, uint256 amountB, uint256 liquidity)",
+  "event TokenSwapped(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut)",
+  "function weth() external view returns (address)",
+  "function swapExactETHForTokens(uint amountOutMin, address[] path, address to, uint deadline) external payable returns (uint[] memory amounts)",
+  "function swapETHForExactTokens(uint amountOut, address[] path, address to, uint deadline) external payable returns (uint[] memory amounts)",
+  "function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline) external returns (uint[] memory amounts)",
+  "function swapTokensForExactETH(uint amountOut, uint amountInMax, address[] path, address to, uint deadline) external returns (uint[] memory amounts)",
+  "function addLiquidityETH(address token, uint amountTokenDesired, uint amountTokenMin, uint amountETHMin, address to, uint deadline) external payable returns (uint amountToken, uint amountETH, uint liquidity)",
+  "function removeLiquidityETH(address token, uint liquidity, uint amountTokenMin, uint amountETHMin, address to, uint deadline) external returns (uint amountToken, uint amountETH)"
 ];
 
+/// @notice Decimals of the SimpleSwapLP tokens (the ERC20 default)
+const LP_DECIMALS = 18;
+
+/// @notice Delay after the last keystroke before the swap quote is refreshed, in milliseconds
+const QUOTE_DEBOUNCE_MS = 400;
+
 // UI Elements
 const connectBtn = document.getElementById("connectBtn");
 const walletAddress = document.getElementById("walletAddress");
@@ -50,23 +111,189 @@ const swapStatus = document.getElementById("swapStatus");
 const remLiqStatus = document.getElementById("remLiqStatus");
 const swapOrderBtn = document.getElementById("swapOrderBtn");
 const priceDisplay = document.getElementById("priceDisplay");
+const feeDisplay = document.getElementById("feeDisplay");
+const quoteDisplay = document.getElementById("quoteDisplay");
+const exactOutToggle = document.getElementById("exactOutToggle");
+const signOnlyOption = document.getElementById("signOnlyOption");
+const signOnlyToggle = document.getElementById("signOnlyToggle");
+const signedOrderOutput = document.getElementById("signedOrderOutput");
+const impactWarning = document.getElementById("impactWarning");
 const liqDisplay = document.getElementById("liqDisplay");
-const tokenADisplay = document.getElementById("tokenA");
-const tokenBDisplay = document.getElementById("tokenB");
+const tokenASelect = document.getElementById("tokenASelect");
+const tokenBSelect = document.getElementById("tokenBSelect");
+const tokenABalance = document.getElementById("tokenABalance");
+const tokenBBalance = document.getElementById("tokenBBalance");
+const tokenAddressInput = document.getElementById("tokenAddressInput");
+const tokenStatus = document.getElementById("tokenStatus");
 const mintStatus = document.getElementById("mintStatus");
+const slippageInput = document.getElementById("slippageInput");
+const deadlineInput = document.getElementById("deadlineInput");
+const quoteAgeInput = document.getElementById("quoteAgeInput");
+const impactWarningInput = document.getElementById("impactWarningInput");
+const usePermitInput = document.getElementById("usePermitInput");
+const approveMaxInput = document.getElementById("approveMaxInput");
+const settingsStatus = document.getElementById("settingsStatus");
+const networkStatus = document.getElementById("networkStatus");
+const networkSelect = document.getElementById("networkSelect");
+const mintTokenADisplay = document.getElementById("mintTokenA");
+const mintTokenBDisplay = document.getElementById("mintTokenB");
+const activityList = document.getElementById("activityList");
+const activityStatus = document.getElementById("activityStatus");
+const loadOlderBtn = document.getElementById("loadOlderBtn");
+const liqAmountA = document.getElementById("liqAmountA");
+const liqAmountB = document.getElementById("liqAmountB");
+const addPreview = document.getElementById("addPreview");
+const liqAmountRemove = document.getElementById("liqAmountRemove");
+const removePreview = document.getElementById("removePreview");
+const positionsList = document.getElementById("positionsList");
+const positionsStatus = document.getElementById("positionsStatus");
+const priceChart = document.getElementById("priceChart");
+const chartStatus = document.getElementById("chartStatus");
+const ownerTabBtn = document.getElementById("ownerTabBtn");
+const protocolFeeDisplay = document.getElementById("protocolFeeDisplay");
+const protocolFeesList = document.getElementById("protocolFeesList");
+const ownerStatus = document.getElementById("ownerStatus");
+const ordersTabBtn = document.getElementById("ordersTabBtn");
+const orderPriceDisplay = document.getElementById("orderPriceDisplay");
+const orderAmountIn = document.getElementById("orderAmountIn");
+const orderTargetPrice = document.getElementById("orderTargetPrice");
+const orderTip = document.getElementById("orderTip");
+const orderExpiryHours = document.getElementById("orderExpiryHours");
+const orderPreview = document.getElementById("orderPreview");
+const orderStatus = document.getElementById("orderStatus");
+const ordersList = document.getElementById("ordersList");
+const ordersStatus = document.getElementById("ordersStatus");
+
+/// @notice Slippage, deadline, quote age and price impact settings, saved in localStorage
+let settings = loadSettings();
+
+/// @notice Pending debounced quote refresh
+let quoteTimer;
+
+/// @notice Number of the latest quote request, so slower earlier answers are ignored
+let quoteRequestId = 0;
+
+/// @notice Pending debounced refresh of the add liquidity preview
+let addPreviewTimer;
+
+/// @notice Number of the latest add liquidity preview, so slower earlier answers are ignored
+let addPreviewId = 0;
+
+/// @notice Pending debounced refresh of the remove liquidity preview
+let removePreviewTimer;
+
+/// @notice Number of the latest remove liquidity preview, so slower earlier answers are ignored
+let removePreviewId = 0;
 
-/// @notice Currently selected token pair (A and B)
-let currentTokenA = TOKEN_A;
-let currentTokenB = TOKEN_B;
+/// @notice Activity entries shown in the Activity tab, newest first
+let activityEntries = [];
+
+/// @notice Removes the live activity subscriptions of the previous account or chain
+let stopActivity = null;
+
+/// @notice Timeframe of the price chart, a key of TIMEFRAMES
+let chartTimeframe = "24H";
+
+/// @notice Number of the latest price chart refresh, so slower earlier answers are ignored
+let chartRequestId = 0;
+
+/// @notice Removes the block listener refreshing the price chart of the previous account or chain
+let stopPriceChart = null;
+
+/// @notice WETH of the current chain's ETH router, null when the deployment has no router
+let wethAddress = null;
+
+/// @notice Currently selected token pair (A and B), the first tokens of the deployment
+let currentTokenA = null;
+let currentTokenB = null;
+
+/**
+ * @notice Gets the deployment of the current chain
+ * @dev Every transaction goes through this check, so nothing is sent to a chain without SimpleSwap
+ * @return {object} Current deployment
+ * @throws {Error} If SimpleSwap is not deployed on the wallet's chain
+ */
+function requireDeployment() {
+  if (!deployment) {
+    const names = getSupportedDeployments().map(d => d.name).join(", ");
+    throw new Error(names
+      ? `SimpleSwap is not deployed on this network. Switch to: ${names}.`
+      : "No SimpleSwap deployment is configured. Deploy it and run npm run export-config.");
+  }
+  return deployment;
+}
 
 /**
  * @notice Gets the Swap contract instance
  * @dev Uses the current signer or gets a new one if not available
  * @return {Promise<ethers.Contract>} Instance of the Swap contract
+ * @throws {Error} If SimpleSwap is not deployed on the wallet's chain
  */
 async function getSwapContract() {
+  const { swap } = requireDeployment();
+  signer = signer || await provider.getSigner();
+  return new ethers.Contract(swap, SWAP_ABI, signer);
+}
+
+/**
+ * @notice Gets the ETH router instance
+ * @return {Promise<ethers.Contract>} Instance of the ETH router
+ * @throws {Error} If the deployment of the wallet's chain has no ETH router
+ */
+async function getRouterContract() {
+  const { router } = requireDeployment();
+  if (!router || !wethAddress) {
+    throw new Error("ETH is not supported on this network.");
+  }
   signer = signer || await provider.getSigner();
-  return new ethers.Contract(CONTRACT_ADDRESS, SWAP_ABI, signer);
+  return new ethers.Contract(router, ROUTER_ABI, signer);
+}
+
+/**
+ * @notice Gets the contracts whose events make up the activity of an account
+ * @dev Swap events of ETH trades name the ETH router; the router's own events name the account
+ * @return {Promise<ethers.Contract[]>} The Swap contract, then the ETH router if deployed
+ */
+async function getActivityContracts() {
+  const contracts = [await getSwapContract()];
+  if (deployment.router) {
+    contracts.push(new ethers.Contract(deployment.router, ROUTER_ABI, signer));
+  }
+  return contracts;
+}
+
+/**
+ * @notice Gets the token a pool holds for a selected token
+ * @dev Pools hold ETH as WETH, so pool reads and swap paths use the router's WETH for ETH
+ * @param {string} address Token address, or NATIVE_TOKEN
+ * @return {string} Token address in SimpleSwap
+ */
+function poolToken(address) {
+  return isNative(address) ? wethAddress : address;
+}
+
+/**
+ * @notice Gets the balance of a selected token
+ * @param {string} address Token address, or NATIVE_TOKEN for the ETH balance
+ * @param {string} account Account address
+ * @return {Promise<bigint>} Raw balance
+ */
+async function getBalance(address, account) {
+  return isNative(address) ? provider.getBalance(account) : (await getTokenContract(address)).balanceOf(account);
+}
+
+/**
+ * @notice Gets the LP token of the currently selected pair
+ * @dev Every pair has its own LP token, deployed by the Swap contract on its first liquidity
+ * @return {Promise<ethers.Contract|null>} LP token instance, or null if the pair has no pool yet
+ */
+async function getPairContract() {
+  const contract = await getSwapContract();
+  const pairAddress = await contract.getPair(poolToken(currentTokenA), poolToken(currentTokenB));
+  if (pairAddress === ethers.ZeroAddress) {
+    return null;
+  }
+  return getTokenContract(pairAddress);
 }
 
 /**
@@ -80,42 +307,388 @@ async function getTokenContract(tokenAddress) {
   return new ethers.Contract(tokenAddress, TOKEN_ABI, signer);
 }
 
+/**
+ * @notice Refuses to go on with a quote older than the configured block age
+ * @param {number} quoteBlock Block number read before the quote
+ * @return {Promise<void>}
+ * @throws {Error} If the quote is stale
+ */
+async function assertFreshQuote(quoteBlock) {
+  const currentBlock = await provider.getBlockNumber();
+  if (!isQuoteFresh(quoteBlock, currentBlock, settings)) {
+    throw new Error(`Quote is ${currentBlock - quoteBlock} blocks old. Please try again.`);
+  }
+}
+
+/**
+ * @notice Approval options of a transaction sent now
+ * @param {number} deadline Deadline of the transaction, also used for permit signatures
+ * @return {object} Options for prepareSpend
+ */
+function getApprovalOptions(deadline) {
+  return { approveMax: settings.approveMax, usePermit: settings.usePermit, deadline };
+}
+
+/**
+ * @notice Shortens an address for display
+ * @param {string} address Address to shorten
+ * @return {string} First 6 and last 4 characters of the address
+ */
+function shortAddress(address) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+/**
+ * @notice Gets the token list entry of a token of the current chain
+ * @dev Selected tokens are always resolved into the list first (see loadDeployment and addToken)
+ * @param {string} address Token address
+ * @return {object} Token list entry with symbol and decimals
+ * @throws {Error} If the token is not in the list
+ */
+function getTokenInfo(address) {
+  const token = findToken(requireDeployment().chainId, address);
+  if (!token) {
+    throw new Error(`Unknown token ${address}.`);
+  }
+  return token;
+}
+
+/**
+ * @notice Gets the symbol to show for a token
+ * @param {string} address Token address
+ * @return {string} Symbol, or the shortened address for tokens outside the list
+ */
+function getSymbol(address) {
+  return (deployment && findToken(deployment.chainId, address)?.symbol) || shortAddress(address);
+}
+
+/**
+ * @notice Formats a price returned by the Swap contract
+ * @dev Prices are scaled by 1e18 and computed on raw amounts, so the decimals of both tokens are applied
+ * @param {bigint} price Amount of `tokenOut` units per `tokenIn` unit, scaled by 1e18
+ * @param {object} tokenIn Token list entry of the priced token
+ * @param {object} tokenOut Token list entry of the quote token
+ * @return {string} Human readable price
+ */
+function formatPrice(price, tokenIn, tokenOut) {
+  return ethers.formatUnits(price * 10n ** BigInt(tokenIn.decimals), 18 + tokenOut.decimals);
+}
+
+/**
+ * @notice Parses a human readable price into the Swap contract's format
+ * @dev Inverse of formatPrice, rounded down
+ * @param {string} text Amount of `tokenOut` per `tokenIn`, e.g. "1.5"
+ * @param {object} tokenIn Token list entry of the priced token
+ * @param {object} tokenOut Token list entry of the quote token
+ * @return {bigint} Amount of `tokenOut` units per `tokenIn` unit, scaled by 1e18
+ */
+function parsePrice(text, tokenIn, tokenOut) {
+  return ethers.parseUnits(text, 18 + tokenOut.decimals) / 10n ** BigInt(tokenIn.decimals);
+}
+
+/**
+ * @notice Formats a basis point value as a percentage
+ * @param {bigint} bps Value in basis points
+ * @return {string} Percentage with two decimals
+ */
+function formatBps(bps) {
+  return `${(Number(bps) / 100).toFixed(2)}%`;
+}
+
+/**
+ * @notice Fills the token pickers with the tokens of the current chain
+ * @dev Called when the chain or the token list changes
+ */
+function showTokenOptions() {
+  for (const select of [tokenASelect, tokenBSelect]) {
+    select.replaceChildren(...(deployment ? getTokens(deployment.chainId, Boolean(wethAddress)) : []).map(
+      token => new Option(`${token.symbol} — ${token.name}`, token.address)
+    ));
+  }
+  showSelectedTokens();
+}
+
+/**
+ * @notice Shows the selected pair in the token pickers and the amount placeholders
+ */
+function showSelectedTokens() {
+  tokenASelect.value = currentTokenA || "";
+  tokenBSelect.value = currentTokenB || "";
+  if (currentTokenA && currentTokenB) {
+    document.getElementById("liqAmountA").placeholder = `${getSymbol(currentTokenA)} Amount`;
+    document.getElementById("liqAmountB").placeholder = `${getSymbol(currentTokenB)} Amount`;
+  }
+}
+
+/**
+ * @notice Gets the price of the selected pair, in the format of the contract's getPrice
+ * @dev Read from the indexer's reserves when one is configured, from the contract otherwise
+ *      or when the indexer cannot answer
+ * @param {ethers.Contract} contract Instance of the Swap contract
+ * @param {ethers.Contract|null} pair LP token of the pair, or null if it has no pool
+ * @return {Promise<bigint>} Amount of token B units per token A unit, scaled by 1e18
+ */
+async function getPairPrice(contract, pair) {
+  if (pair && hasIndexer(deployment)) {
+    try {
+      const pool = await getIndexedPool(deployment, pair.target);
+      const flipped = pool.token0.address !== poolToken(currentTokenA).toLowerCase();
+      const reserveA = BigInt(flipped ? pool.reserve1 : pool.reserve0);
+      const reserveB = BigInt(flipped ? pool.reserve0 : pool.reserve1);
+      if (reserveA > 0n && reserveB > 0n) {
+        return (reserveB * 10n ** 18n) / reserveA;
+      }
+    } catch (e) {
+      console.warn("Indexer unavailable, reading the price from the contract:", e);
+    }
+  }
+  return contract.getPrice(poolToken(currentTokenA), poolToken(currentTokenB));
+}
+
 /**
  * @notice Updates the UI with current contract state
- * @dev Fetches and displays token prices, liquidity, and balances
+ * @dev Fetches and displays token prices, liquidity, and balances, in each token's decimals
  * @return {Promise<void>}
  */
 async function updateUI() {
-  if (!signer) {
+  showSelectedTokens();
+  if (!signer || !deployment) {
     priceDisplay.innerText = "-";
+    orderPriceDisplay.innerText = "-";
     liqDisplay.innerText = "-";
+    tokenABalance.innerText = "-";
+    tokenBBalance.innerText = "-";
+    await updatePriceChart();
+    await updateOwnerTab();
     return;
   }
 
   try {
     const contract = await getSwapContract();
     const address = await signer.getAddress();
-    
-    const [price, liquidity] = await Promise.all([
-      contract.getPrice(currentTokenA, currentTokenB),
-      contract.balanceOf(address)
+    const tokenA = getTokenInfo(currentTokenA);
+    const tokenB = getTokenInfo(currentTokenB);
+
+    const [balanceA, balanceB] = await Promise.all([
+      getBalance(currentTokenA, address),
+      getBalance(currentTokenB, address)
     ]);
+    tokenABalance.innerText = `Balance: ${ethers.formatUnits(balanceA, tokenA.decimals)} ${tokenA.symbol}`;
+    tokenBBalance.innerText = `Balance: ${ethers.formatUnits(balanceB, tokenB.decimals)} ${tokenB.symbol}`;
 
-    priceDisplay.innerText = ethers.formatUnits(price, 18);
-    liqDisplay.innerText = ethers.formatUnits(liquidity, 18);
-    
-    tokenADisplay.innerText = `${currentTokenA.slice(0, 6)}...${currentTokenA.slice(-4)}`;
-    tokenBDisplay.innerText = `${currentTokenB.slice(0, 6)}...${currentTokenB.slice(-4)}`;
+    const pair = await getPairContract();
+    const [price, liquidity, feeBps] = await Promise.all([
+      getPairPrice(contract, pair),
+      pair ? pair.balanceOf(address) : 0n,
+      contract.swapFeeBps()
+    ]);
+
+    priceDisplay.innerText = `${formatPrice(price, tokenA, tokenB)} ${tokenB.symbol}`;
+    orderPriceDisplay.innerText = `1 ${tokenA.symbol} = ${priceDisplay.innerText}`;
+    liqDisplay.innerText = ethers.formatUnits(liquidity, LP_DECIMALS);
+    feeDisplay.innerText = formatBps(feeBps);
   } catch (e) {
     console.error("Error updating UI:", e);
     priceDisplay.innerText = "-";
+    orderPriceDisplay.innerText = "-";
     liqDisplay.innerText = "-";
   }
+
+  // Pairs without a direct pool can still be quoted through other pools
+  await updateQuote();
+  await updatePriceChart();
+  await updateAddPreview();
+  await updateRemovePreview();
+  updateOrderPreview();
+  await updateOwnerTab();
+}
+
+/**
+ * @notice Draws the price chart of the selected pair over the selected timeframe
+ * @dev The history is rebuilt from the pair's events (see prices.js); only blocks not seen yet are queried
+ * @return {Promise<void>}
+ */
+async function updatePriceChart() {
+  const requestId = ++chartRequestId;
+  if (!signer || !deployment) {
+    clearPriceChart(priceChart);
+    chartStatus.textContent = "";
+    return;
+  }
+
+  try {
+    const contract = await getSwapContract();
+    const tokenA = getTokenInfo(currentTokenA);
+    const tokenB = getTokenInfo(currentTokenB);
+    const history = await loadPriceHistory(
+      contract,
+      { ...tokenA, address: poolToken(currentTokenA) },
+      { ...tokenB, address: poolToken(currentTokenB) },
+      TIMEFRAMES[chartTimeframe],
+      deployment.startBlock
+    );
+    if (requestId !== chartRequestId) {
+      return;
+    }
+    if (history.points.length === 0) {
+      clearPriceChart(priceChart);
+      chartStatus.textContent = "No liquidity for this pair yet.";
+      return;
+    }
+    drawPriceChart(priceChart, history, tokenB.symbol);
+    chartStatus.textContent = "";
+  } catch (e) {
+    console.error("Price chart error:", e);
+    if (requestId === chartRequestId) {
+      chartStatus.textContent = `❌ Error: ${e.reason || e.message || e}`;
+    }
+  }
+}
+
+/**
+ * @notice Selects the timeframe of the price chart
+ * @param {string} timeframe Key of TIMEFRAMES
+ * @return {Promise<void>}
+ */
+async function selectTimeframe(timeframe) {
+  chartTimeframe = timeframe;
+  document.querySelectorAll(".timeframe-btn").forEach(btn => {
+    btn.classList.toggle("active", btn.dataset.timeframe === timeframe);
+  });
+  await updatePriceChart();
+}
+
+/**
+ * @notice Redraws the price chart on every new block
+ * @dev Replaces the listener of the previous account or chain; the provider is kept, since a chain
+ *      change creates a new one
+ * @return {Promise<void>}
+ */
+async function startPriceChart() {
+  if (stopPriceChart) {
+    await stopPriceChart();
+    stopPriceChart = null;
+  }
+  if (!signer || !deployment) {
+    return;
+  }
+
+  const chartProvider = provider;
+  const listener = () => updatePriceChart();
+  await chartProvider.on("block", listener);
+  stopPriceChart = () => chartProvider.off("block", listener);
+}
+
+/**
+ * @notice Quotes a swap of the selected pair along the best route
+ * @dev Uses the router (getAmountsOut, or getAmountsIn in exact output mode).
+ *      Price impact compares the effective price with the spot price of the route,
+ *      which for a direct pair is the price shown in priceDisplay.
+ * @param {ethers.Contract} contract Instance of the Swap contract
+ * @param {bigint} amountWei Input amount, or output amount in exact output mode
+ * @param {boolean} exactOutput Whether the amount is the output to receive
+ * @return {Promise<object|null>} Quote details, or null if no route can be quoted
+ */
+async function getSwapQuote(contract, amountWei, exactOutput) {
+  const [route, feeBps] = await Promise.all([
+    findBestRoute(contract, poolToken(currentTokenA), poolToken(currentTokenB), amountWei, exactOutput),
+    contract.swapFeeBps()
+  ]);
+  if (!route) {
+    return null;
+  }
+
+  const amountIn = route.amounts[0];
+  const amountOut = route.amounts[route.amounts.length - 1];
+  const spotAmountOut = await getSpotAmountOut(contract, route.path, amountIn);
+  const impactBps = spotAmountOut > 0n ? ((spotAmountOut - amountOut) * FEE_DENOMINATOR) / spotAmountOut : 0n;
+
+  return {
+    path: route.path,
+    amountIn,
+    amountOut,
+    feeBps,
+    impactBps,
+    effectivePrice: (amountOut * 10n ** 18n) / amountIn,
+    amountInMax: exactOutput ? applySlippage(amountIn, settings, true) : amountIn,
+    amountOutMin: exactOutput ? amountOut : applySlippage(amountOut, settings)
+  };
+}
+
+/**
+ * @notice Refreshes the swap quote shortly after the user stops typing
+ */
+function scheduleQuote() {
+  clearTimeout(quoteTimer);
+  quoteTimer = setTimeout(updateQuote, QUOTE_DEBOUNCE_MS);
+}
+
+/**
+ * @notice Shows the quote for the amount typed in the swap form
+ * @dev Shows expected output, effective price, price impact and the minimum received
+ *      (maximum sent in exact output mode), and warns past the price impact threshold
+ * @return {Promise<void>}
+ */
+async function updateQuote() {
+  const requestId = ++quoteRequestId;
+  const amountIn = document.getElementById("swapAmountIn").value;
+  if (!signer || !deployment || !amountIn || Number(amountIn) <= 0) {
+    quoteDisplay.innerText = "";
+    impactWarning.innerText = "";
+    return;
+  }
+
+  try {
+    const contract = await getSwapContract();
+    const exactOutput = exactOutToggle.checked;
+    const tokenIn = getTokenInfo(currentTokenA);
+    const tokenOut = getTokenInfo(currentTokenB);
+    const typedToken = exactOutput ? tokenOut : tokenIn;
+    const quote = await getSwapQuote(contract, ethers.parseUnits(amountIn, typedToken.decimals), exactOutput);
+    if (requestId !== quoteRequestId) {
+      return;
+    }
+    if (!quote) {
+      quoteDisplay.innerText = "No route available for this pair.";
+      impactWarning.innerText = "";
+      return;
+    }
+
+    const lines = [
+      exactOutput
+        ? `Required input: ${ethers.formatUnits(quote.amountIn, tokenIn.decimals)} ${tokenIn.symbol}`
+        : `Expected output: ${ethers.formatUnits(quote.amountOut, tokenOut.decimals)} ${tokenOut.symbol}`,
+      `Effective price: ${formatPrice(quote.effectivePrice, tokenIn, tokenOut)} ${tokenOut.symbol}`,
+      `Price impact: ${formatBps(quote.impactBps)}`,
+      exactOutput
+        ? `Maximum sent: ${ethers.formatUnits(quote.amountInMax, tokenIn.decimals)} ${tokenIn.symbol}`
+        : `Minimum received: ${ethers.formatUnits(quote.amountOutMin, tokenOut.decimals)} ${tokenOut.symbol}`,
+      `Route: ${quote.path.map(getSymbol).join(" → ")} · Fee: ${formatBps(quote.feeBps)}`
+    ];
+    quoteDisplay.innerText = lines.join("\n");
+    impactWarning.innerText = isHighPriceImpact(quote.impactBps, settings)
+      ? `⚠️ Price impact above ${settings.priceImpactWarningPercent}%`
+      : "";
+  } catch (e) {
+    if (requestId !== quoteRequestId) {
+      return;
+    }
+    console.error("Quote error:", e);
+    quoteDisplay.innerText = "No quote available for this pair.";
+    impactWarning.innerText = "";
+  }
 }
 
 /**
  * @notice Executes a token swap
- * @dev Handles token approval and swap transaction
+ * @dev Handles token approval (skipped when the allowance suffices, or replaced by a permit)
+ *      and swap transaction along the best route found by the router.
+ *      In exact output mode the typed amount is the Token B quantity to receive,
+ *      and the input is quoted with getAmountsIn before approving it.
+ *      The minimum output (or maximum input) comes from a fresh quote and the slippage setting.
+ *      Swaps from or to ETH go through the ETH router, which needs no approval for ETH
+ *      and a plain approval (no permit) for tokens.
+ *      In sign only mode the swap is signed as a gasless order (see signSwap).
  * @return {Promise<void>}
  */
 async function swapTokens() {
@@ -125,6 +698,7 @@ async function swapTokens() {
   }
 
   swapStatus.textContent = "Initializing swap...";
+  signedOrderOutput.hidden = true;
   
   try {
     const amountIn = document.getElementById("swapAmountIn").value;
@@ -133,23 +707,66 @@ async function swapTokens() {
     }
 
     const contract = await getSwapContract();
-    const tokenIn = await getTokenContract(currentTokenA);
-    const amountInWei = ethers.parseUnits(amountIn, 18);
-    const deadline = Math.floor(Date.now() / 1000) + 300;
+    const exactOutput = exactOutToggle.checked;
+    const typedToken = getTokenInfo(exactOutput ? currentTokenB : currentTokenA);
+    const amountWei = ethers.parseUnits(amountIn, typedToken.decimals);
     const address = await signer.getAddress();
+    const ethIn = isNative(currentTokenA);
+    const ethOut = isNative(currentTokenB);
+    const router = ethIn || ethOut ? await getRouterContract() : null;
+    const signOnly = signOnlyToggle.checked;
+    if (signOnly && (exactOutput || router)) {
+      throw new Error("Signed orders only swap an exact amount of tokens (no ETH).");
+    }
 
-    swapStatus.textContent = "Approving tokens...";
-    const approveTx = await tokenIn.approve(CONTRACT_ADDRESS, amountInWei);
-    await approveTx.wait();
+    swapStatus.textContent = "Quoting...";
+    const quoteBlock = await provider.getBlockNumber();
+    const quote = await getSwapQuote(contract, amountWei, exactOutput);
+    if (!quote) {
+      throw new Error("No route for the selected pair.");
+    }
+    if (isHighPriceImpact(quote.impactBps, settings) &&
+        !confirm(`Price impact is ${formatBps(quote.impactBps)}. Swap anyway?`)) {
+      swapStatus.textContent = "Swap cancelled.";
+      return;
+    }
+    const { path, amountInMax, amountOutMin } = quote;
 
-    swapStatus.textContent = "Making swap...";
-    const swapTx = await contract.swapExactTokensForTokens(
-      amountInWei,
-      0,
-      [currentTokenA, currentTokenB],
-      address,
-      deadline
+    const deadline = getDeadline(settings);
+    if (signOnly) {
+      await signSwap(path, amountWei, amountOutMin, deadline, quoteBlock);
+      return;
+    }
+    const permit = ethIn ? null : await prepareSpend(
+      await getTokenContract(currentTokenA),
+      router ? router.target : contract.target,
+      amountInMax,
+      { ...getApprovalOptions(deadline), usePermit: settings.usePermit && !router },
+      status => { swapStatus.textContent = status; },
+      "tokens"
     );
+
+    await assertFreshQuote(quoteBlock);
+
+    swapStatus.textContent = "Making swap...";
+    let swapTx;
+    if (ethIn) {
+      swapTx = exactOutput
+        ? await router.swapETHForExactTokens(amountWei, path, address, deadline, { value: amountInMax })
+        : await router.swapExactETHForTokens(amountOutMin, path, address, deadline, { value: amountWei });
+    } else if (ethOut) {
+      swapTx = exactOutput
+        ? await router.swapTokensForExactETH(amountWei, amountInMax, path, address, deadline)
+        : await router.swapExactTokensForETH(amountWei, amountOutMin, path, address, deadline);
+    } else if (hasPermit(permit)) {
+      swapTx = exactOutput
+        ? await contract.swapTokensForExactTokensWithPermit(amountWei, amountInMax, path, address, deadline, permit)
+        : await contract.swapExactTokensForTokensWithPermit(amountWei, amountOutMin, path, address, deadline, permit);
+    } else {
+      swapTx = exactOutput
+        ? await contract.swapTokensForExactTokens(amountWei, amountInMax, path, address, deadline)
+        : await contract.swapExactTokensForTokens(amountWei, amountOutMin, path, address, deadline);
+    }
     await swapTx.wait();
 
     swapStatus.textContent = "✅ Swap Completed!";
@@ -160,6 +777,47 @@ async function swapTokens() {
   }
 }
 
+/**
+ * @notice Signs the quoted swap as a gasless order instead of sending it
+ * @dev The input token is permitted to (or approved for) SimpleSwapGasless; only tokens without
+ *      EIP-2612 support need an approval transaction. The order is submitted by the deployment's
+ *      relayer, or shown as JSON for any relayer to submit when there is none.
+ * @param {string[]} path Route of the swap
+ * @param {bigint} amountIn Exact amount of input tokens
+ * @param {bigint} amountOutMin Minimum output after slippage
+ * @param {number} deadline Unix timestamp after which the order expires
+ * @param {number} quoteBlock Block the quote was read at
+ * @return {Promise<void>}
+ */
+async function signSwap(path, amountIn, amountOutMin, deadline, quoteBlock) {
+  const permit = await prepareSpend(
+    await getTokenContract(currentTokenA),
+    deployment.gasless,
+    amountIn,
+    { ...getApprovalOptions(deadline), usePermit: true },
+    status => { swapStatus.textContent = status; },
+    "tokens"
+  );
+
+  await assertFreshQuote(quoteBlock);
+
+  swapStatus.textContent = "Sign the order in your wallet...";
+  const signed = await signSwapOrder(signer, deployment, { path, amountIn, minOut: amountOutMin, deadline });
+  const body = encodeSwapOrder(signed, permit);
+
+  if (!hasRelayer(deployment)) {
+    signedOrderOutput.value = body;
+    signedOrderOutput.hidden = false;
+    swapStatus.textContent = "✅ Order signed! Send it to a relayer (POST /orders).";
+    return;
+  }
+
+  swapStatus.textContent = "Waiting for the relayer...";
+  await relaySwapOrder(deployment, body);
+  swapStatus.textContent = "✅ Swap Completed by the relayer!";
+  await updateUI();
+}
+
 /**
  * @notice Swaps the order of tokens in the current pair
  * @dev Updates UI after swapping token references
@@ -169,9 +827,110 @@ function swapTokenOrder() {
   updateUI();
 }
 
+/**
+ * @notice Quotes a deposit into the selected pair
+ * @dev Uses the contract's quoteAddLiquidity, the same math as addLiquidity.
+ *      The pool share counts the minted LP tokens in the supply.
+ * @param {ethers.Contract} contract Instance of the Swap contract
+ * @param {bigint} amountADesired Amount of token A offered
+ * @param {bigint} amountBDesired Amount of token B offered
+ * @return {Promise<object>} Amounts deposited, LP tokens minted and resulting pool share (scaled by ONE)
+ */
+async function getAddQuote(contract, amountADesired, amountBDesired) {
+  const [[amountA, amountB, liquidity], pair] = await Promise.all([
+    contract.quoteAddLiquidity(poolToken(currentTokenA), poolToken(currentTokenB), amountADesired, amountBDesired),
+    getPairContract()
+  ]);
+  const totalSupply = (pair ? await pair.totalSupply() : 0n) + liquidity;
+  return { amountA, amountB, liquidity, share: totalSupply === 0n ? 0n : (liquidity * ONE) / totalSupply };
+}
+
+/**
+ * @notice Fills the other amount of the Add Liquidity form at the pool ratio
+ * @dev Pools without reserves accept any ratio, so nothing is filled for them
+ * @param {string} source Field just typed in ('A' or 'B')
+ * @param {bigint} reserveA Pool reserve of token A
+ * @param {bigint} reserveB Pool reserve of token B
+ */
+function fillLiquidityAmount(source, reserveA, reserveB) {
+  if (reserveA === 0n || reserveB === 0n) {
+    return;
+  }
+  const [input, output] = source === 'A' ? [liqAmountA, liqAmountB] : [liqAmountB, liqAmountA];
+  const [tokenIn, tokenOut] = source === 'A' ? [currentTokenA, currentTokenB] : [currentTokenB, currentTokenA];
+  const [reserveIn, reserveOut] = source === 'A' ? [reserveA, reserveB] : [reserveB, reserveA];
+  if (!input.value || Number(input.value) <= 0) {
+    return;
+  }
+  const amountIn = ethers.parseUnits(input.value, getTokenInfo(tokenIn).decimals);
+  output.value = ethers.formatUnits((amountIn * reserveOut) / reserveIn, getTokenInfo(tokenOut).decimals);
+}
+
+/**
+ * @notice Shows the amounts deposited, the LP tokens minted and the pool share for the typed amounts
+ * @param {string} [source] Field just typed in ('A' or 'B'); the other one is filled at the pool ratio
+ * @return {Promise<void>}
+ */
+async function updateAddPreview(source) {
+  const previewId = ++addPreviewId;
+  if (!signer || !deployment) {
+    addPreview.innerText = "";
+    return;
+  }
+
+  try {
+    const contract = await getSwapContract();
+    if (source) {
+      const [reserveA, reserveB] = await contract.getReserves(poolToken(currentTokenA), poolToken(currentTokenB));
+      if (previewId !== addPreviewId) {
+        return;
+      }
+      fillLiquidityAmount(source, reserveA, reserveB);
+    }
+
+    const amountA = liqAmountA.value;
+    const amountB = liqAmountB.value;
+    if (!amountA || !amountB || Number(amountA) <= 0 || Number(amountB) <= 0) {
+      addPreview.innerText = "";
+      return;
+    }
+
+    const quote = await getAddQuote(
+      contract,
+      ethers.parseUnits(amountA, getTokenInfo(currentTokenA).decimals),
+      ethers.parseUnits(amountB, getTokenInfo(currentTokenB).decimals)
+    );
+    if (previewId !== addPreviewId) {
+      return;
+    }
+    addPreview.innerText = [
+      `Deposit: ${formatTokenAmount(quote.amountA, currentTokenA)} + ${formatTokenAmount(quote.amountB, currentTokenB)}`,
+      `LP tokens: ${ethers.formatUnits(quote.liquidity, LP_DECIMALS)}`,
+      `Pool share: ${formatRatio(quote.share)}`
+    ].join("\n");
+  } catch (e) {
+    if (previewId !== addPreviewId) {
+      return;
+    }
+    console.error("Add preview error:", e);
+    addPreview.innerText = "No preview available for these amounts.";
+  }
+}
+
+/**
+ * @notice Refreshes the add liquidity preview shortly after the user stops typing
+ * @param {string} source Field typed in ('A' or 'B')
+ */
+function scheduleAddPreview(source) {
+  clearTimeout(addPreviewTimer);
+  addPreviewTimer = setTimeout(() => updateAddPreview(source), QUOTE_DEBOUNCE_MS);
+}
+
 /**
  * @notice Adds liquidity to the pool
- * @dev Handles token approvals and liquidity provision
+ * @dev Handles token approvals (skipped or signed as permits when possible) and liquidity provision.
+ *      Minimum amounts come from quoteAddLiquidity and the slippage setting.
+ *      A pair with ETH is funded through the ETH router, which refunds the ETH and tokens left unused.
  * @return {Promise<void>}
  */
 async function addLiquidity() {
@@ -183,40 +942,78 @@ async function addLiquidity() {
   liqStatus.textContent = "Initializing...";
   
   try {
-    const amountA = document.getElementById("liqAmountA").value;
-    const amountB = document.getElementById("liqAmountB").value;
+    const amountA = liqAmountA.value;
+    const amountB = liqAmountB.value;
     
     if (!amountA || !amountB || Number(amountA) <= 0 || Number(amountB) <= 0) {
       throw new Error("Invalid amounts.");
     }
 
     const contract = await getSwapContract();
+    const amountAWei = ethers.parseUnits(amountA, getTokenInfo(currentTokenA).decimals);
+    const amountBWei = ethers.parseUnits(amountB, getTokenInfo(currentTokenB).decimals);
+    const address = await signer.getAddress();
+
+    const quoteBlock = await provider.getBlockNumber();
+    const [expectedA, expectedB] = await contract.quoteAddLiquidity(
+      poolToken(currentTokenA),
+      poolToken(currentTokenB),
+      amountAWei,
+      amountBWei
+    );
+
+    const deadline = getDeadline(settings);
+    const onStatus = status => { liqStatus.textContent = status; };
+
+    if (isNative(currentTokenA) || isNative(currentTokenB)) {
+      const router = await getRouterContract();
+      const ethIsA = isNative(currentTokenA);
+      const [token, amountToken, amountETH, expectedToken, expectedETH] = ethIsA
+        ? [currentTokenB, amountBWei, amountAWei, expectedB, expectedA]
+        : [currentTokenA, amountAWei, amountBWei, expectedA, expectedB];
+      await prepareSpend(await getTokenContract(token), router.target, amountToken,
+        { ...getApprovalOptions(deadline), usePermit: false }, onStatus, "tokens");
+
+      await assertFreshQuote(quoteBlock);
+
+      liqStatus.textContent = "Adding Liquidity...";
+      const tx = await router.addLiquidityETH(
+        token,
+        amountToken,
+        applySlippage(expectedToken, settings),
+        applySlippage(expectedETH, settings),
+        address,
+        deadline,
+        { value: amountETH }
+      );
+      await tx.wait();
+
+      liqStatus.textContent = "✅ Liquidity Added!";
+      await updateUI();
+      return;
+    }
+
     const tokenA = await getTokenContract(currentTokenA);
     const tokenB = await getTokenContract(currentTokenB);
-    const amountAWei = ethers.parseUnits(amountA, 18);
-    const amountBWei = ethers.parseUnits(amountB, 18);
-    const deadline = Math.floor(Date.now() / 1000) + 300;
-    const address = await signer.getAddress();
+    const permitA = await prepareSpend(tokenA, contract.target, amountAWei, getApprovalOptions(deadline), onStatus, "Token A");
+    const permitB = await prepareSpend(tokenB, contract.target, amountBWei, getApprovalOptions(deadline), onStatus, "Token B");
 
-    liqStatus.textContent = "Approving Token A...";
-    const approveA = await tokenA.approve(CONTRACT_ADDRESS, amountAWei);
-    
-    liqStatus.textContent = "Approving Token B...";
-    const approveB = await tokenB.approve(CONTRACT_ADDRESS, amountBWei);
-    
-    await Promise.all([approveA.wait(), approveB.wait()]);
+    await assertFreshQuote(quoteBlock);
 
     liqStatus.textContent = "Adding Liquidity...";
-    const tx = await contract.addLiquidity(
+    const args = [
       currentTokenA,
       currentTokenB,
       amountAWei,
       amountBWei,
-      0,
-      0,
+      applySlippage(expectedA, settings),
+      applySlippage(expectedB, settings),
       address,
       deadline
-    );
+    ];
+    const tx = hasPermit(permitA) || hasPermit(permitB)
+      ? await contract.addLiquidityWithPermit(...args, permitA, permitB)
+      : await contract.addLiquidity(...args);
     await tx.wait();
 
     liqStatus.textContent = "✅ Liquidity Added!";
@@ -228,44 +1025,153 @@ async function addLiquidity() {
 }
 
 /**
- * @notice Removes liquidity from the pool
- * @dev Handles LP token approval and liquidity removal
+ * @notice Quotes a removal of the selected pair's liquidity
+ * @dev Uses the contract's quoteRemoveLiquidity, the same math as removeLiquidity
+ * @param {ethers.Contract} contract Instance of the Swap contract
+ * @param {bigint} liquidity LP tokens to burn
+ * @return {Promise<object>} Amounts returned and the minimums allowed by the slippage setting
+ */
+async function getRemoveQuote(contract, liquidity) {
+  const [amountA, amountB] = await contract.quoteRemoveLiquidity(poolToken(currentTokenA), poolToken(currentTokenB), liquidity);
+  return {
+    amountA,
+    amountB,
+    amountAMin: applySlippage(amountA, settings),
+    amountBMin: applySlippage(amountB, settings)
+  };
+}
+
+/**
+ * @notice Shows the tokens the typed LP amount would return, and the minimums sent with the removal
  * @return {Promise<void>}
  */
-async function removeLiquidity() {
-  if (!signer) {
-    alert("Connect your wallet first.");
+async function updateRemovePreview() {
+  const previewId = ++removePreviewId;
+  const amountLP = liqAmountRemove.value;
+  if (!signer || !deployment || !amountLP || Number(amountLP) <= 0) {
+    removePreview.innerText = "";
     return;
   }
 
-  remLiqStatus.textContent = "Initializing...";
-  
   try {
-    const amountLP = document.getElementById("liqAmountRemove").value;
-    if (!amountLP || Number(amountLP) <= 0) {
+    const contract = await getSwapContract();
+    const quote = await getRemoveQuote(contract, ethers.parseUnits(amountLP, LP_DECIMALS));
+    if (previewId !== removePreviewId) {
+      return;
+    }
+    removePreview.innerText = [
+      `You receive: ${formatTokenAmount(quote.amountA, currentTokenA)} + ${formatTokenAmount(quote.amountB, currentTokenB)}`,
+      `Minimum received: ${formatTokenAmount(quote.amountAMin, currentTokenA)} + ${formatTokenAmount(quote.amountBMin, currentTokenB)}`
+    ].join("\n");
+  } catch (e) {
+    if (previewId !== removePreviewId) {
+      return;
+    }
+    console.error("Remove preview error:", e);
+    removePreview.innerText = "No preview available for this pair.";
+  }
+}
+
+/**
+ * @notice Refreshes the remove liquidity preview shortly after the user stops typing
+ */
+function scheduleRemovePreview() {
+  clearTimeout(removePreviewTimer);
+  removePreviewTimer = setTimeout(updateRemovePreview, QUOTE_DEBOUNCE_MS);
+}
+
+/**
+ * @notice Fills the LP amount with a share of the user's LP balance of the selected pair
+ * @param {number} percent Share of the balance to remove (25, 50, 75 or 100)
+ * @return {Promise<void>}
+ */
+async function setRemovePercent(percent) {
+  if (!signer) {
+    alert("Connect your wallet first.");
+    return;
+  }
+
+  try {
+    const lpToken = await getPairContract();
+    const balance = lpToken ? await lpToken.balanceOf(await signer.getAddress()) : 0n;
+    liqAmountRemove.value = ethers.formatUnits((balance * BigInt(percent)) / 100n, LP_DECIMALS);
+    await updateRemovePreview();
+  } catch (e) {
+    console.error("LP balance error:", e);
+    remLiqStatus.textContent = `❌ Error: ${e.reason || e.message || e}`;
+  }
+}
+
+/**
+ * @notice Removes liquidity from the pool
+ * @dev Handles approval of the selected pair's LP token and liquidity removal.
+ *      LP tokens support EIP-2612, so the approval is a signature unless permits are turned off.
+ *      Minimum amounts come from quoteRemoveLiquidity and the slippage setting.
+ *      A pair with ETH is removed through the ETH router, after a plain approval of the LP tokens.
+ * @return {Promise<void>}
+ */
+async function removeLiquidity() {
+  if (!signer) {
+    alert("Connect your wallet first.");
+    return;
+  }
+
+  remLiqStatus.textContent = "Initializing...";
+  
+  try {
+    const amountLP = liqAmountRemove.value;
+    if (!amountLP || Number(amountLP) <= 0) {
       throw new Error("Invalid Amount");
     }
 
     const contract = await getSwapContract();
-    const lpToken = await getTokenContract(CONTRACT_ADDRESS);
-    const amountLPWei = ethers.parseUnits(amountLP, 18);
-    const deadline = Math.floor(Date.now() / 1000) + 300;
+    const lpToken = await getPairContract();
+    if (!lpToken) {
+      throw new Error("No pool for the selected pair.");
+    }
+    const amountLPWei = ethers.parseUnits(amountLP, LP_DECIMALS);
     const address = await signer.getAddress();
 
-    remLiqStatus.textContent = "Approving LP tokens...";
-    const approveTx = await lpToken.approve(CONTRACT_ADDRESS, amountLPWei);
-    await approveTx.wait();
+    const quoteBlock = await provider.getBlockNumber();
+    const { amountAMin, amountBMin } = await getRemoveQuote(contract, amountLPWei);
+
+    const deadline = getDeadline(settings);
+    const onStatus = status => { remLiqStatus.textContent = status; };
+
+    if (isNative(currentTokenA) || isNative(currentTokenB)) {
+      const router = await getRouterContract();
+      const ethIsA = isNative(currentTokenA);
+      await prepareSpend(lpToken, router.target, amountLPWei, { ...getApprovalOptions(deadline), usePermit: false },
+        onStatus, "LP tokens");
+
+      await assertFreshQuote(quoteBlock);
+
+      remLiqStatus.textContent = "Removing LP Tokens...";
+      const tx = await router.removeLiquidityETH(
+        ethIsA ? currentTokenB : currentTokenA,
+        amountLPWei,
+        ethIsA ? amountBMin : amountAMin,
+        ethIsA ? amountAMin : amountBMin,
+        address,
+        deadline
+      );
+      await tx.wait();
+
+      remLiqStatus.textContent = "✅ Liquidity removed!";
+      await updateUI();
+      return;
+    }
+
+    const permit = await prepareSpend(lpToken, contract.target, amountLPWei, getApprovalOptions(deadline),
+      onStatus, "LP tokens");
+
+    await assertFreshQuote(quoteBlock);
 
     remLiqStatus.textContent = "Removing LP Tokens...";
-    const tx = await contract.removeLiquidity(
-      currentTokenA,
-      currentTokenB,
-      amountLPWei,
-      0,
-      0,
-      address,
-      deadline
-    );
+    const args = [currentTokenA, currentTokenB, amountLPWei, amountAMin, amountBMin, address, deadline];
+    const tx = hasPermit(permit)
+      ? await contract.removeLiquidityWithPermit(...args, permit)
+      : await contract.removeLiquidity(...args);
     await tx.wait();
 
     remLiqStatus.textContent = "✅ Liquidity removed!";
@@ -291,16 +1197,18 @@ async function mintTokens(tokenType) {
   mintStatus.textContent = `Minting 100 Token ${tokenType}...`;
   
   try {
-    const tokenAddress = tokenType === 'A' ? TOKEN_A : TOKEN_B;
+    const { tokens } = requireDeployment();
+    const tokenAddress = tokenType === 'A' ? tokens[0] : tokens[1];
     const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, signer);
+    const { symbol, decimals } = getTokenInfo(tokenAddress);
     
     const tx = await tokenContract.mint(
       await signer.getAddress(),
-      ethers.parseUnits("100", 18)
+      ethers.parseUnits("100", decimals)
     );
     await tx.wait();
     
-    mintStatus.textContent = `✅ 100 Token ${tokenType} Minted!`;
+    mintStatus.textContent = `✅ 100 ${symbol} Minted!`;
     await updateUI();
   } catch (e) {
     console.error("Mint error:", e);
@@ -308,6 +1216,695 @@ async function mintTokens(tokenType) {
   }
 }
 
+/**
+ * @notice Loads the deployment of the wallet's current chain
+ * @dev Resets the selected pair to the first two tokens of the deployment
+ * @return {Promise<void>}
+ */
+async function loadDeployment() {
+  const { chainId } = await provider.getNetwork();
+  deployment = getDeployment(chainId);
+
+  wethAddress = null;
+  ordersTabBtn.hidden = !hasLimitOrders(deployment);
+  if (ordersTabBtn.hidden && ordersTabBtn.classList.contains("active")) {
+    document.querySelector('.tab-btn[data-tab="swap"]').click();
+  }
+  signOnlyOption.hidden = !hasGasless(deployment);
+  if (!hasGasless(deployment)) {
+    signOnlyToggle.checked = false;
+  }
+  if (!deployment) {
+    currentTokenA = null;
+    currentTokenB = null;
+    networkStatus.textContent = `⚠️ SimpleSwap is not deployed on chain ${chainId}. Switch to a supported network.`;
+    return;
+  }
+
+  networkStatus.textContent = `🌐 ${deployment.name}`;
+  networkSelect.value = deployment.chainId;
+
+  // ETH is offered when the deployment has an ETH router
+  if (deployment.router) {
+    try {
+      wethAddress = await new ethers.Contract(deployment.router, ROUTER_ABI, provider).weth();
+    } catch (e) {
+      console.error("Error loading the ETH router:", e);
+    }
+  }
+
+  // Deployment tokens are always in the token list
+  const tokens = await Promise.all(deployment.tokens.map(
+    address => resolveToken(provider, deployment.chainId, address).catch(e => {
+      console.error(`Error loading token ${address}:`, e);
+      return null;
+    })
+  ));
+  [currentTokenA, currentTokenB] = deployment.tokens;
+  if (tokens[0] && tokens[1]) {
+    mintTokenADisplay.innerText = `${tokens[0].symbol} (${shortAddress(tokens[0].address)})`;
+    mintTokenBDisplay.innerText = `${tokens[1].symbol} (${shortAddress(tokens[1].address)})`;
+  }
+  showTokenOptions();
+}
+
+/**
+ * @notice Adds the ERC20 token typed in the token address field to the token list
+ * @dev Reads name, symbol and decimals from the token contract
+ * @return {Promise<void>}
+ */
+async function addToken() {
+  tokenStatus.textContent = "Reading token...";
+  try {
+    const { chainId } = requireDeployment();
+    const token = await resolveToken(provider, chainId, tokenAddressInput.value.trim());
+    showTokenOptions();
+    tokenAddressInput.value = "";
+    tokenStatus.textContent = `✅ ${token.symbol} (${token.name}, ${token.decimals} decimals) added!`;
+  } catch (e) {
+    console.error("Add token error:", e);
+    tokenStatus.textContent = `❌ Error: ${e.reason || e.message || e}`;
+  }
+}
+
+/**
+ * @notice Selects a token of the pair from a token picker
+ * @dev Picking the token already on the other side flips the pair. ETH and WETH share their pools,
+ *      so picking one while the other is on the other side flips the pair too.
+ * @param {string} side Either 'A' or 'B'
+ * @param {string} address Address of the picked token
+ */
+function selectToken(side, address) {
+  const other = side === 'A' ? currentTokenB : currentTokenA;
+  if (address === other) {
+    swapTokenOrder();
+    return;
+  }
+  const otherSide = poolToken(address).toLowerCase() === poolToken(other).toLowerCase()
+    ? (side === 'A' ? currentTokenA : currentTokenB)
+    : other;
+  if (side === 'A') {
+    [currentTokenA, currentTokenB] = [address, otherSide];
+  } else {
+    [currentTokenA, currentTokenB] = [otherSide, address];
+  }
+  updateUI();
+}
+
+/**
+ * @notice Asks the wallet to switch to the network picked in the network selector
+ * @dev The chainChanged listener reloads the deployment once the wallet has switched
+ * @return {Promise<void>}
+ */
+async function switchToSelectedNetwork() {
+  const target = getDeployment(networkSelect.value);
+  try {
+    await switchNetwork(window.ethereum, target);
+  } catch (e) {
+    console.error("Switch network error:", e);
+    networkStatus.textContent = `❌ Error: ${e.message || e}`;
+  }
+}
+
+/**
+ * @notice Reacts to the wallet switching chains
+ * @dev ethers providers are bound to one network, so a new one is created
+ * @return {Promise<void>}
+ */
+async function handleChainChanged() {
+  provider = new ethers.BrowserProvider(window.ethereum);
+  signer = signer ? await provider.getSigner() : undefined;
+  await loadDeployment();
+  await updateUI();
+  await startActivity();
+  await startPriceChart();
+}
+
+/**
+ * @notice Reacts to the user switching or disconnecting accounts in the wallet
+ * @param {string[]} accounts Accounts exposed by the wallet, the active one first
+ * @return {Promise<void>}
+ */
+async function handleAccountsChanged(accounts) {
+  if (accounts.length === 0) {
+    signer = undefined;
+    walletAddress.textContent = "Not connected";
+  } else {
+    signer = await provider.getSigner(accounts[0]);
+    walletAddress.textContent = `✅ ${shortAddress(accounts[0])}`;
+  }
+  await updateUI();
+  await startActivity();
+  await startPriceChart();
+}
+
+/**
+ * @notice Formats a token amount with the token's decimals and symbol
+ * @dev The token must have been resolved into the token list first
+ * @param {bigint} amount Raw amount
+ * @param {string} address Token address
+ * @return {string} Amount followed by the symbol
+ */
+function formatTokenAmount(amount, address) {
+  const { decimals, symbol } = getTokenInfo(address);
+  return `${ethers.formatUnits(amount, decimals)} ${symbol}`;
+}
+
+/**
+ * @notice Describes an activity entry
+ * @param {object} entry Entry returned by loadActivity
+ * @return {string} One line description with amounts and symbols
+ */
+function describeActivity(entry) {
+  if (entry.type === "TokenSwapped") {
+    return `Swapped ${formatTokenAmount(entry.amountIn, entry.tokenIn)} for ${formatTokenAmount(entry.amountOut, entry.tokenOut)}`;
+  }
+  const amounts = `${formatTokenAmount(entry.amountA, entry.tokenA)} + ${formatTokenAmount(entry.amountB, entry.tokenB)}`;
+  const liquidity = ethers.formatUnits(entry.liquidity, LP_DECIMALS);
+  return entry.type === "LiquidityAdded"
+    ? `Added ${amounts} (${liquidity} LP)`
+    : `Removed ${amounts} (${liquidity} LP)`;
+}
+
+/**
+ * @notice Shows the activity entries in the Activity tab
+ * @dev Token symbols and decimals are read for tokens missing from the token list.
+ *      Built with DOM nodes, as symbols come from arbitrary token contracts.
+ * @return {Promise<void>}
+ */
+async function renderActivity() {
+  const { chainId, explorer } = requireDeployment();
+  const tokens = new Set(activityEntries.flatMap(entry =>
+    entry.type === "TokenSwapped" ? [entry.tokenIn, entry.tokenOut] : [entry.tokenA, entry.tokenB]
+  ));
+  await Promise.all([...tokens].map(address => resolveToken(provider, chainId, address)));
+
+  activityList.replaceChildren(...activityEntries.map(entry => {
+    const item = document.createElement("li");
+    item.textContent = `${describeActivity(entry)} · Block ${entry.blockNumber} · `;
+    if (explorer) {
+      const link = document.createElement("a");
+      link.href = `${explorer}/tx/${entry.transactionHash}`;
+      link.target = "_blank";
+      link.rel = "noopener";
+      link.textContent = shortAddress(entry.transactionHash);
+      item.append(link);
+    } else {
+      item.append(shortAddress(entry.transactionHash));
+    }
+    return item;
+  }));
+}
+
+/**
+ * @notice Loads the activity of the connected account
+ * @dev Read from the indexer when one is configured; otherwise, or if it cannot answer, from the chain
+ *      a page of blocks at a time
+ * @param {boolean} older Whether to load the page of blocks before the ones already shown
+ * @return {Promise<void>}
+ */
+async function refreshActivity(older = false) {
+  if (!signer || !deployment) {
+    activityList.replaceChildren();
+    activityStatus.textContent = "Connect your wallet to see your activity.";
+    return;
+  }
+
+  activityStatus.textContent = "Loading activity...";
+  if (!older && hasIndexer(deployment)) {
+    try {
+      const [entries, lastBlock] = await Promise.all([
+        getIndexedActivity(deployment, await signer.getAddress()),
+        getIndexedBlock(deployment)
+      ]);
+      activityEntries = entries;
+      await renderActivity();
+      loadOlderBtn.disabled = true;
+      activityStatus.textContent = `Showing activity from the indexer, up to block ${lastBlock}.`;
+      return;
+    } catch (e) {
+      console.warn("Indexer unavailable, reading activity from the chain:", e);
+    }
+  }
+
+  try {
+    const { entries, fromBlock } = await loadActivity(
+      await getActivityContracts(), await signer.getAddress(), deployment.chainId, older, deployment.startBlock
+    );
+    activityEntries = entries;
+    await renderActivity();
+    loadOlderBtn.disabled = fromBlock <= deployment.startBlock;
+    activityStatus.textContent = `Showing activity since block ${fromBlock}.`;
+  } catch (e) {
+    console.error("Activity error:", e);
+    activityStatus.textContent = `❌ Error: ${e.reason || e.message || e}`;
+  }
+}
+
+/**
+ * @notice Loads every liquidity change of an account, for the cost basis of its positions
+ * @dev From the indexer when one is configured; events it has not indexed yet are then missing.
+ *      Falls back to scanning the chain since the deployment block.
+ * @param {string} address Address of the account
+ * @return {Promise<object[]>} Activity entries, newest first
+ */
+async function loadPositionHistory(address) {
+  if (hasIndexer(deployment)) {
+    try {
+      return await getIndexedActivity(deployment, address);
+    } catch (e) {
+      console.warn("Indexer unavailable, reading liquidity history from the chain:", e);
+    }
+  }
+  return loadAllActivity(await getActivityContracts(), address, deployment.chainId, deployment.startBlock);
+}
+
+/**
+ * @notice Formats a ratio scaled by ONE as a percentage
+ * @param {bigint} ratio Ratio, 1e18 = 100%
+ * @return {string} Percentage with two decimals
+ */
+function formatRatio(ratio) {
+  return `${(Number((ratio * 10000n) / ONE) / 100).toFixed(2)}%`;
+}
+
+/**
+ * @notice Builds the rows of one position in the Positions tab
+ * @param {string} tokenA Address of the token values are expressed in
+ * @param {string} tokenB Address of the other token
+ * @param {bigint} liquidity LP tokens held
+ * @param {object} summary Summary returned by getPositionSummary
+ * @param {object} basis Cost basis returned by getCostBasis
+ * @return {HTMLElement} Position card
+ */
+function renderPosition(tokenA, tokenB, liquidity, summary, basis) {
+  const { symbol } = getTokenInfo(tokenA);
+  const lines = [
+    `${symbol} / ${getTokenInfo(tokenB).symbol}`,
+    `LP tokens: ${ethers.formatUnits(liquidity, LP_DECIMALS)} (pool share ${formatRatio(summary.share)})`,
+    `Underlying: ${formatTokenAmount(summary.amountA, tokenA)} + ${formatTokenAmount(summary.amountB, tokenB)}`,
+    `Value: ${formatTokenAmount(summary.value, tokenA)}`
+  ];
+  if (summary.impermanentLoss === null) {
+    lines.push("Cost basis: no deposits found in your history");
+  } else {
+    lines.push(
+      `Cost basis: ${formatTokenAmount(summary.costValue, tokenA)} ` +
+        `(deposited ${formatTokenAmount(basis.amountA, tokenA)} + ${formatTokenAmount(basis.amountB, tokenB)})`,
+      `Profit: ${formatTokenAmount(summary.profit, tokenA)}`,
+      `Value if held: ${formatTokenAmount(summary.holdValue, tokenA)}`,
+      `Impermanent loss vs holding (fees included): ${formatRatio(summary.impermanentLoss)}`
+    );
+  }
+
+  const card = document.createElement("div");
+  card.className = "position";
+  card.replaceChildren(...lines.map(line => {
+    const row = document.createElement("p");
+    row.textContent = line;
+    return row;
+  }));
+  return card;
+}
+
+/**
+ * @notice Shows every liquidity position of the connected account
+ * @dev Pools come from getAllPairs; cost basis comes from the account's whole liquidity history.
+ *      Values are in token A of the selected pair when the pool is that pair, else in the pair's token0.
+ * @return {Promise<void>}
+ */
+async function updatePositions() {
+  if (!signer || !deployment) {
+    positionsList.replaceChildren();
+    positionsStatus.textContent = "Connect your wallet to see your positions.";
+    return;
+  }
+
+  positionsStatus.textContent = "Loading positions...";
+  try {
+    const contract = await getSwapContract();
+    const address = await signer.getAddress();
+    const history = await loadPositionHistory(address);
+
+    const cards = [];
+    for (const pairAddress of await contract.getAllPairs()) {
+      const pair = new ethers.Contract(pairAddress, [...TOKEN_ABI, ...PAIR_ABI], signer);
+      const [token0, token1, liquidity, totalSupply] = await Promise.all([
+        pair.token0(), pair.token1(), pair.balanceOf(address), pair.totalSupply()
+      ]);
+      if (liquidity === 0n) continue;
+
+      const [tokenA, tokenB] = token1 === poolToken(currentTokenA) ? [token1, token0] : [token0, token1];
+      await Promise.all([tokenA, tokenB].map(token => resolveToken(provider, deployment.chainId, token)));
+      const [reserveA, reserveB] = await contract.getReserves(tokenA, tokenB);
+
+      const pairKey = [token0, token1].join();
+      const basis = getCostBasis(history.filter(entry =>
+        entry.type !== "TokenSwapped" &&
+        [entry.tokenA, entry.tokenB].sort((a, b) => a.toLowerCase() < b.toLowerCase() ? -1 : 1).join() === pairKey
+      ), tokenA);
+      const summary = getPositionSummary({ liquidity, totalSupply, reserveA, reserveB }, basis);
+      cards.push(renderPosition(tokenA, tokenB, liquidity, summary, basis));
+    }
+
+    positionsList.replaceChildren(...cards);
+    positionsStatus.textContent = cards.length ? "" : "You have no liquidity positions.";
+  } catch (e) {
+    console.error("Positions error:", e);
+    positionsStatus.textContent = `❌ Error: ${e.reason || e.message || e}`;
+  }
+}
+
+/**
+ * @notice Shows the Owner tab to the owner of the Swap contract only
+ * @dev Called with every UI refresh, so it follows account and chain changes.
+ *      Leaves the tab for the Swap tab when the account is no longer the owner.
+ * @return {Promise<void>}
+ */
+async function updateOwnerTab() {
+  let isOwner = false;
+  if (signer && deployment) {
+    try {
+      const contract = await getSwapContract();
+      isOwner = (await contract.owner()) === await signer.getAddress();
+    } catch (e) {
+      console.error("Owner check error:", e);
+    }
+  }
+
+  ownerTabBtn.hidden = !isOwner;
+  if (!isOwner && ownerTabBtn.classList.contains("active")) {
+    document.querySelector('.tab-btn[data-tab="swap"]').click();
+  }
+}
+
+/**
+ * @notice Lists the tokens that may hold protocol fees
+ * @dev Fees accrue on swap inputs, so only tokens of the token list and of existing pools are checked
+ * @param {ethers.Contract} contract Instance of the Swap contract
+ * @return {Promise<string[]>} Token addresses
+ */
+async function getFeeTokens(contract) {
+  const tokens = new Map(getTokens(deployment.chainId).map(token => [token.address.toLowerCase(), token.address]));
+  for (const pairAddress of await contract.getAllPairs()) {
+    const pair = new ethers.Contract(pairAddress, PAIR_ABI, provider);
+    for (const token of await Promise.all([pair.token0(), pair.token1()])) {
+      tokens.set(token.toLowerCase(), token);
+    }
+  }
+  return [...tokens.values()];
+}
+
+/**
+ * @notice Shows the protocol fee and the fees accrued per token in the Owner tab
+ * @return {Promise<void>}
+ */
+async function updateProtocolFees() {
+  ownerStatus.textContent = "Loading protocol fees...";
+  try {
+    const contract = await getSwapContract();
+    const [protocolFeeBps, swapFeeBps, tokens] = await Promise.all([
+      contract.protocolFeeBps(), contract.swapFeeBps(), getFeeTokens(contract)
+    ]);
+    protocolFeeDisplay.innerText = protocolFeeBps === 0n
+      ? "Off"
+      : `${formatBps(protocolFeeBps)} of the swap fee (${formatBps(Number(swapFeeBps * protocolFeeBps) / Number(FEE_DENOMINATOR))} of every swap)`;
+
+    const accrued = await Promise.all(tokens.map(token => contract.protocolFees(token)));
+    const rows = [];
+    for (const [i, token] of tokens.entries()) {
+      if (accrued[i] === 0n) continue;
+      await resolveToken(provider, deployment.chainId, token);
+
+      const row = document.createElement("li");
+      row.className = "fee-row";
+      const amount = document.createElement("span");
+      amount.textContent = formatTokenAmount(accrued[i], token);
+      const button = document.createElement("button");
+      button.textContent = "Collect";
+      button.onclick = () => collectProtocolFees(token);
+      row.replaceChildren(amount, button);
+      rows.push(row);
+    }
+
+    protocolFeesList.replaceChildren(...rows);
+    ownerStatus.textContent = rows.length ? "" : "No protocol fees accrued.";
+  } catch (e) {
+    console.error("Protocol fees error:", e);
+    ownerStatus.textContent = `❌ Error: ${e.reason || e.message || e}`;
+  }
+}
+
+/**
+ * @notice Sends the protocol fees accrued in a token to the connected owner account
+ * @param {string} token Token address
+ * @return {Promise<void>}
+ */
+async function collectProtocolFees(token) {
+  ownerStatus.textContent = `Collecting ${getSymbol(token)} fees...`;
+  try {
+    const contract = await getSwapContract();
+    const tx = await contract.collectProtocolFees(token, await signer.getAddress());
+    await tx.wait();
+
+    await updateProtocolFees();
+    ownerStatus.textContent = `✅ ${getSymbol(token)} fees collected!`;
+    await updateUI();
+  } catch (e) {
+    console.error("Collect fees error:", e);
+    ownerStatus.textContent = `❌ Error: ${e.reason || e.message || e}`;
+  }
+}
+
+/**
+ * @notice Reads the Place Limit Order form
+ * @return {object|null} { amountIn, targetPrice, tip, minAmountOut, hours } in raw units, or null while incomplete
+ */
+function readOrderForm() {
+  if (!deployment || isNative(currentTokenA) || isNative(currentTokenB) ||
+      !orderAmountIn.value || Number(orderAmountIn.value) <= 0 ||
+      !orderTargetPrice.value || Number(orderTargetPrice.value) <= 0) {
+    return null;
+  }
+  const tokenIn = getTokenInfo(currentTokenA);
+  const amountIn = ethers.parseUnits(orderAmountIn.value, tokenIn.decimals);
+  const targetPrice = parsePrice(orderTargetPrice.value, tokenIn, getTokenInfo(currentTokenB));
+  return {
+    amountIn,
+    targetPrice,
+    tip: orderTip.value ? ethers.parseUnits(orderTip.value, tokenIn.decimals) : 0n,
+    minAmountOut: (amountIn * targetPrice) / 10n ** 18n,
+    hours: Number(orderExpiryHours.value)
+  };
+}
+
+/**
+ * @notice Shows the least output and the escrow of the typed limit order
+ * @dev Same math as the contract's minAmountOut
+ */
+function updateOrderPreview() {
+  try {
+    const form = readOrderForm();
+    orderPreview.innerText = form
+      ? `Receive at least: ${formatTokenAmount(form.minAmountOut, currentTokenB)}\n` +
+        `Escrowed: ${formatTokenAmount(form.amountIn + form.tip, currentTokenA)} (tip included)`
+      : "";
+  } catch (e) {
+    orderPreview.innerText = "";
+  }
+}
+
+/**
+ * @notice Places a limit order selling the typed amount of Token A for Token B
+ * @dev Approves the order book for the amount and the tip (a plain approval: the contract takes no permit),
+ *      then escrows them. Keepers fill the order once the pool price reaches the target.
+ * @return {Promise<void>}
+ */
+async function placeLimitOrder() {
+  if (!signer) {
+    alert("Connect your wallet first.");
+    return;
+  }
+
+  orderStatus.textContent = "Placing order...";
+  try {
+    if (isNative(currentTokenA) || isNative(currentTokenB)) {
+      throw new Error("Limit orders do not support ETH. Select WETH instead.");
+    }
+    const form = readOrderForm();
+    if (!form) {
+      throw new Error("Enter a valid amount and target price.");
+    }
+    if (!(form.hours > 0)) {
+      throw new Error("Enter a valid expiry.");
+    }
+
+    const contract = getLimitOrdersContract(requireDeployment(), signer);
+    const deadline = Math.floor(Date.now() / 1000) + Math.round(form.hours * 3600);
+    await prepareSpend(
+      await getTokenContract(currentTokenA),
+      contract.target,
+      form.amountIn + form.tip,
+      { ...getApprovalOptions(deadline), usePermit: false },
+      status => { orderStatus.textContent = status; },
+      "tokens"
+    );
+
+    orderStatus.textContent = "Escrowing tokens...";
+    const tx = await contract.placeOrder(currentTokenA, currentTokenB, form.amountIn, form.targetPrice, form.tip, deadline);
+    await tx.wait();
+
+    orderStatus.textContent = "✅ Order placed!";
+    await updateUI();
+    await updateOrders();
+  } catch (e) {
+    console.error("Place order error:", e);
+    orderStatus.textContent = `❌ Error: ${e.reason || e.message || e}`;
+  }
+}
+
+/**
+ * @notice Describes a limit order
+ * @param {object} order Order returned by loadOrders
+ * @return {string} Amounts, target price, status and expiry
+ */
+function describeOrder(order) {
+  const tokenIn = getTokenInfo(order.tokenIn);
+  const tokenOut = getTokenInfo(order.tokenOut);
+  const expired = order.status === "Open" && order.deadline <= Date.now() / 1000;
+  const lines = [
+    `#${order.id} Sell ${formatTokenAmount(order.amountIn, order.tokenIn)} at ${formatPrice(order.targetPrice, tokenIn, tokenOut)} ${tokenOut.symbol}`,
+    order.amountOut === null
+      ? `${expired ? "Expired" : order.status} · tip ${formatTokenAmount(order.tip, order.tokenIn)}`
+      : `Filled for ${formatTokenAmount(order.amountOut, order.tokenOut)}`
+  ];
+  if (order.status === "Open") {
+    lines.push(`Expires ${new Date(order.deadline * 1000).toLocaleString()}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * @notice Lists the limit orders of the connected account in the Orders tab
+ * @return {Promise<void>}
+ */
+async function updateOrders() {
+  if (!signer || !hasLimitOrders(deployment)) {
+    ordersList.replaceChildren();
+    return;
+  }
+
+  ordersStatus.textContent = "Loading orders...";
+  try {
+    const contract = getLimitOrdersContract(deployment, provider);
+    const orders = await loadOrders(contract, await signer.getAddress(), deployment.startBlock);
+    for (const order of orders) {
+      await Promise.all([order.tokenIn, order.tokenOut].map(token => resolveToken(provider, deployment.chainId, token)));
+    }
+
+    ordersList.replaceChildren(...orders.map(order => {
+      const row = document.createElement("li");
+      row.className = "order-row";
+      const text = document.createElement("span");
+      text.textContent = describeOrder(order);
+      row.append(text);
+      if (order.status === "Open") {
+        const button = document.createElement("button");
+        button.textContent = "Cancel";
+        button.onclick = () => cancelLimitOrder(order.id);
+        row.append(button);
+      }
+      return row;
+    }));
+    ordersStatus.textContent = orders.length ? "" : "No orders yet.";
+  } catch (e) {
+    console.error("Orders error:", e);
+    ordersStatus.textContent = `❌ Error: ${e.reason || e.message || e}`;
+  }
+}
+
+/**
+ * @notice Cancels a limit order of the connected account, returning its escrow
+ * @param {bigint} orderId Id of the order
+ * @return {Promise<void>}
+ */
+async function cancelLimitOrder(orderId) {
+  ordersStatus.textContent = `Cancelling order #${orderId}...`;
+  try {
+    const tx = await getLimitOrdersContract(requireDeployment(), signer).cancelOrder(orderId);
+    await tx.wait();
+
+    await updateOrders();
+    ordersStatus.textContent = `✅ Order #${orderId} cancelled!`;
+    await updateUI();
+  } catch (e) {
+    console.error("Cancel order error:", e);
+    ordersStatus.textContent = `❌ Error: ${e.reason || e.message || e}`;
+  }
+}
+
+/**
+ * @notice Loads the activity of the connected account and follows its new events
+ * @dev Called on connection and whenever the account or the chain changes
+ * @return {Promise<void>}
+ */
+async function startActivity() {
+  if (stopActivity) {
+    await stopActivity();
+    stopActivity = null;
+  }
+  await refreshActivity();
+  if (!signer || !deployment) {
+    return;
+  }
+
+  try {
+    stopActivity = await subscribeActivity(await getActivityContracts(), await signer.getAddress(), deployment.chainId, async (entry) => {
+      if (activityEntries.some(known => known.transactionHash === entry.transactionHash && known.logIndex === entry.logIndex)) {
+        return;
+      }
+      activityEntries = [entry, ...activityEntries];
+      await renderActivity();
+    });
+  } catch (e) {
+    console.error("Activity subscription error:", e);
+  }
+}
+
+/**
+ * @notice Shows the current settings in the settings panel
+ */
+function showSettings() {
+  slippageInput.value = settings.slippagePercent;
+  deadlineInput.value = settings.deadlineMinutes;
+  quoteAgeInput.value = settings.maxQuoteAgeBlocks;
+  impactWarningInput.value = settings.priceImpactWarningPercent;
+  usePermitInput.checked = settings.usePermit;
+  approveMaxInput.checked = settings.approveMax;
+}
+
+/**
+ * @notice Saves the values typed in the settings panel
+ * @dev Invalid values are rejected and the previous settings are kept
+ */
+function updateSettings() {
+  try {
+    settings = saveSettings({
+      slippagePercent: slippageInput.value,
+      deadlineMinutes: deadlineInput.value,
+      maxQuoteAgeBlocks: quoteAgeInput.value,
+      priceImpactWarningPercent: impactWarningInput.value,
+      usePermit: usePermitInput.checked,
+      approveMax: approveMaxInput.checked
+    });
+    showSettings();
+    scheduleQuote();
+    settingsStatus.textContent = "✅ Settings saved!";
+  } catch (e) {
+    settingsStatus.textContent = `❌ Error: ${e.message}`;
+  }
+}
+
 /**
  * @notice Initializes the application
  * @dev Sets up event listeners and UI interactions
@@ -324,6 +1921,15 @@ async function init() {
     });
   });
 
+  // Networks with a SimpleSwap deployment
+  for (const { chainId, name } of getSupportedDeployments()) {
+    networkSelect.add(new Option(name, chainId));
+  }
+  document.getElementById("switchNetworkBtn").onclick = switchToSelectedNetwork;
+  window.ethereum.on("chainChanged", handleChainChanged);
+  window.ethereum.on("accountsChanged", handleAccountsChanged);
+  await loadDeployment();
+
   // Wallet connection
   connectBtn.onclick = async () => {
     try {
@@ -331,15 +1937,54 @@ async function init() {
       signer = await provider.getSigner();
       const address = await signer.getAddress();
       walletAddress.textContent = `✅ ${address.slice(0, 6)}...${address.slice(-4)}`;
+      if (!deployment && networkSelect.options.length > 0 && confirm(`SimpleSwap is not deployed on this network. Switch to ${networkSelect.selectedOptions[0]?.text}?`)) {
+        await switchToSelectedNetwork();
+      }
       await updateUI();
+      await startActivity();
+      await startPriceChart();
     } catch (e) {
       alert("Error connecting wallet: " + (e.message || e));
     }
   };
 
+  // Transaction settings
+  showSettings();
+  document.getElementById("saveSettingsBtn").onclick = updateSettings;
+
   // Assign event handlers
   swapBtn.onclick = swapTokens;
+  document.getElementById("swapAmountIn").addEventListener("input", scheduleQuote);
+  exactOutToggle.addEventListener("change", () => {
+    document.getElementById("swapAmountIn").placeholder = exactOutToggle.checked
+      ? "Token B Quantity to Receive"
+      : "Token Quantity";
+    updateQuote();
+  });
   swapOrderBtn.onclick = swapTokenOrder;
+  loadOlderBtn.onclick = () => refreshActivity(true);
+  liqAmountA.addEventListener("input", () => scheduleAddPreview('A'));
+  liqAmountB.addEventListener("input", () => scheduleAddPreview('B'));
+  liqAmountRemove.addEventListener("input", scheduleRemovePreview);
+  document.querySelectorAll(".percent-btn").forEach(btn => {
+    btn.onclick = () => setRemovePercent(Number(btn.dataset.percent));
+  });
+  document.querySelectorAll(".timeframe-btn").forEach(btn => {
+    btn.onclick = () => selectTimeframe(btn.dataset.timeframe);
+  });
+  document.getElementById("refreshPositionsBtn").onclick = updatePositions;
+  document.querySelector('.tab-btn[data-tab="positions"]').addEventListener("click", updatePositions);
+  document.getElementById("refreshFeesBtn").onclick = updateProtocolFees;
+  document.getElementById("placeOrderBtn").onclick = placeLimitOrder;
+  document.getElementById("refreshOrdersBtn").onclick = updateOrders;
+  ordersTabBtn.addEventListener("click", updateOrders);
+  for (const input of [orderAmountIn, orderTargetPrice, orderTip]) {
+    input.addEventListener("input", updateOrderPreview);
+  }
+  ownerTabBtn.addEventListener("click", updateProtocolFees);
+  tokenASelect.addEventListener("change", () => selectToken('A', tokenASelect.value));
+  tokenBSelect.addEventListener("change", () => selectToken('B', tokenBSelect.value));
+  document.getElementById("addTokenBtn").onclick = addToken;
   addLiqBtn.onclick = addLiquidity;
   remLiqBtn.onclick = removeLiquidity;
   document.getElementById("mintTokenABtn").onclick = () => mintTokens('A');
@@ -0,0 +1,127 @@
+/**
+ * @title SimpleSwap Transaction Settings
+ * @notice Slippage tolerance, transaction deadline, quote freshness, price impact warning
+ *         and approval preferences used by the web UI
+ * @dev Persisted in localStorage so they survive page reloads
+ */
+
+/// @notice localStorage key holding the saved settings
+const STORAGE_KEY = "simpleswap.settings";
+
+/// @notice Denominator of basis point values
+const BPS_DENOMINATOR = 10000n;
+
+/// @notice Settings used until the user saves their own
+export const DEFAULT_SETTINGS = Object.freeze({
+  slippagePercent: 0.5,
+  deadlineMinutes: 20,
+  maxQuoteAgeBlocks: 3,
+  priceImpactWarningPercent: 5,
+  approveMax: false,
+  usePermit: true
+});
+
+/// @notice Accepted range of every setting
+const LIMITS = {
+  slippagePercent: [0, 50],
+  deadlineMinutes: [1, 4320],
+  maxQuoteAgeBlocks: [1, 100],
+  priceImpactWarningPercent: [0, 100]
+};
+
+/// @notice On/off settings: unlimited approvals, and EIP-2612 signatures instead of approve transactions
+const FLAGS = ["approveMax", "usePermit"];
+
+/**
+ * @notice Checks and normalises a settings object
+ * @param {object} settings Settings to check
+ * @return {object} Settings with numeric and boolean values
+ * @throws {Error} If a value is missing or out of range
+ */
+export function validateSettings(settings) {
+  const validated = {};
+  for (const [key, [min, max]] of Object.entries(LIMITS)) {
+    const value = Number(settings[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`${key} must be between ${min} and ${max}.`);
+    }
+    validated[key] = key.endsWith("Percent") ? value : Math.floor(value);
+  }
+  for (const key of FLAGS) {
+    validated[key] = settings[key] === true || settings[key] === "true";
+  }
+  return validated;
+}
+
+/**
+ * @notice Loads the saved settings
+ * @dev Falls back to the defaults when nothing is saved or the saved value is invalid
+ * @return {object} Current settings
+ */
+export function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved ? validateSettings({ ...DEFAULT_SETTINGS, ...saved }) : { ...DEFAULT_SETTINGS };
+  } catch (e) {
+    console.warn("Ignoring invalid saved settings:", e);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * @notice Validates and saves settings
+ * @param {object} settings Settings to save
+ * @return {object} The saved settings
+ * @throws {Error} If a value is out of range
+ */
+export function saveSettings(settings) {
+  const validated = validateSettings(settings);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(validated));
+  return validated;
+}
+
+/**
+ * @notice Applies the slippage tolerance to a quoted amount
+ * @dev Rounds down for minimums and up for maximums, always in the user's favour
+ * @param {bigint} amount Quoted amount
+ * @param {object} settings Current settings
+ * @param {boolean} maximum Whether to compute a maximum (input) instead of a minimum (output)
+ * @return {bigint} Minimum or maximum acceptable amount
+ */
+export function applySlippage(amount, settings, maximum = false) {
+  const slippageBps = BigInt(Math.round(settings.slippagePercent * 100));
+  if (maximum) {
+    return (amount * (BPS_DENOMINATOR + slippageBps) + BPS_DENOMINATOR - 1n) / BPS_DENOMINATOR;
+  }
+  return (amount * (BPS_DENOMINATOR - slippageBps)) / BPS_DENOMINATOR;
+}
+
+/**
+ * @notice Checks whether a price impact is above the warning threshold
+ * @param {bigint} impactBps Price impact in basis points
+ * @param {object} settings Current settings
+ * @return {boolean} True if the user should be warned
+ */
+export function isHighPriceImpact(impactBps, settings) {
+  return Number(impactBps) > settings.priceImpactWarningPercent * 100;
+}
+
+/**
+ * @notice Computes the deadline of a transaction sent now
+ * @param {object} settings Current settings
+ * @return {number} Unix timestamp
+ */
+export function getDeadline(settings) {
+  return Math.floor(Date.now() / 1000) + settings.deadlineMinutes * 60;
+}
+
+/**
+ * @notice Checks whether a quote is recent enough to send a transaction from it
+ * @param {number} quoteBlock Block number the quote was read at
+ * @param {number} currentBlock Latest block number
+ * @param {object} settings Current settings
+ * @return {boolean} True if the quote is at most maxQuoteAgeBlocks old
+ */
+export function isQuoteFresh(quoteBlock, currentBlock, settings) {
+  return currentBlock - quoteBlock <= settings.maxQuoteAgeBlocks;
+}
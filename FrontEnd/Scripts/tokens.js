@@ -0,0 +1,163 @@
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@6.8.1/dist/ethers.min.js';
+
+/**
+ * @title SimpleSwap Token List
+ * @notice Keeps the tokens known to the web UI, with their name, symbol and decimals
+ * @dev Saved in localStorage in the Uniswap token list format
+ *      (https://github.com/Uniswap/token-lists), so it can be exported to or imported from other apps.
+ *      A single list holds the tokens of every chain; each entry carries its chainId.
+ *      Native ETH is not saved in the list: it is added by getTokens on chains with an ETH router.
+ */
+
+/// @notice localStorage key holding the token list
+const STORAGE_KEY = "simpleswap.tokenlist";
+
+/// @notice Address standing for native ETH in the token pickers; it is not a contract
+export const NATIVE_TOKEN = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+/**
+ * @notice ABI of the optional ERC20 metadata functions
+ */
+const METADATA_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint)"
+];
+
+/**
+ * @notice Creates an empty token list
+ * @return {object} Token list with no tokens
+ */
+function emptyList() {
+  return {
+    name: "SimpleSwap Tokens",
+    timestamp: new Date().toISOString(),
+    version: { major: 1, minor: 0, patch: 0 },
+    tokens: []
+  };
+}
+
+/**
+ * @notice Loads the saved token list
+ * @dev Falls back to an empty list when nothing is saved or the saved value is invalid
+ * @return {object} Token list
+ */
+export function loadTokenList() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && Array.isArray(saved.tokens) ? saved : emptyList();
+  } catch (e) {
+    console.warn("Ignoring invalid saved token list:", e);
+    return emptyList();
+  }
+}
+
+/**
+ * @notice Adds a token to the saved list
+ * @dev Adding a token is a minor version bump in the token list format
+ * @param {object} token Entry with chainId, address, name, symbol and decimals
+ */
+function saveToken(token) {
+  const list = loadTokenList();
+  list.tokens.push(token);
+  list.version = { ...list.version, minor: list.version.minor + 1, patch: 0 };
+  list.timestamp = new Date().toISOString();
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+}
+
+/**
+ * @notice Checks whether an address stands for native ETH
+ * @param {string} address Token address
+ * @return {boolean} True for NATIVE_TOKEN
+ */
+export function isNative(address) {
+  return address.toLowerCase() === NATIVE_TOKEN.toLowerCase();
+}
+
+/**
+ * @notice Token list entry of native ETH
+ * @param {number} chainId Chain id
+ * @return {object} Entry with the NATIVE_TOKEN address
+ */
+function nativeToken(chainId) {
+  return { chainId, address: NATIVE_TOKEN, name: "Ether", symbol: "ETH", decimals: 18 };
+}
+
+/**
+ * @notice Lists the known tokens of a chain
+ * @param {number} chainId Chain id
+ * @param {boolean} includeNative Whether to list native ETH first
+ * @return {object[]} Token list entries of that chain
+ */
+export function getTokens(chainId, includeNative = false) {
+  const tokens = loadTokenList().tokens.filter(token => token.chainId === chainId);
+  return includeNative ? [nativeToken(chainId), ...tokens] : tokens;
+}
+
+/**
+ * @notice Finds a known token
+ * @param {number} chainId Chain id
+ * @param {string} address Token address, or NATIVE_TOKEN
+ * @return {object|undefined} Token list entry, if the token is in the list or is native ETH
+ */
+export function findToken(chainId, address) {
+  if (isNative(address)) {
+    return nativeToken(chainId);
+  }
+  return getTokens(chainId).find(token => token.address.toLowerCase() === address.toLowerCase());
+}
+
+/**
+ * @notice Reads the metadata of any ERC20 token
+ * @dev name and symbol are optional in ERC20; the address is used when they are missing.
+ *      decimals falls back to 18, the ERC20 default.
+ * @param {ethers.Provider} provider Provider of the token's chain
+ * @param {number} chainId Chain id
+ * @param {string} address Token address
+ * @return {Promise<object>} Token list entry
+ * @throws {Error} If the address is invalid or not an ERC20 token
+ */
+export async function fetchToken(provider, chainId, address) {
+  if (!ethers.isAddress(address)) {
+    throw new Error("Invalid token address.");
+  }
+  const token = new ethers.Contract(address, METADATA_ABI, provider);
+  try {
+    await token.totalSupply();
+  } catch {
+    throw new Error("Not an ERC20 token on this network.");
+  }
+
+  const [name, symbol, decimals] = await Promise.all([
+    token.name().catch(() => ""),
+    token.symbol().catch(() => ""),
+    token.decimals().catch(() => 18n)
+  ]);
+  const checksummed = ethers.getAddress(address);
+  return {
+    chainId,
+    address: checksummed,
+    name: name || checksummed,
+    symbol: symbol || `${checksummed.slice(0, 6)}...`,
+    decimals: Number(decimals)
+  };
+}
+
+/**
+ * @notice Gets a token from the list, reading and saving it first if it is new
+ * @param {ethers.Provider} provider Provider of the token's chain
+ * @param {number} chainId Chain id
+ * @param {string} address Token address
+ * @return {Promise<object>} Token list entry
+ * @throws {Error} If the address is invalid or not an ERC20 token
+ */
+export async function resolveToken(provider, chainId, address) {
+  const known = findToken(chainId, address);
+  if (known) {
+    return known;
+  }
+  const token = await fetchToken(provider, chainId, address);
+  saveToken(token);
+  return token;
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./ERC20Mock.sol";
+
+// Mintable test token with configurable decimals, deployed by the DevStack Ignition module
+contract ERC20DecimalsMock is ERC20Mock {
+    uint8 private immutable _decimals;
+
+    constructor(string memory name, string memory symbol, uint8 decimals_, uint256 initialSupply)
+        ERC20Mock(name, symbol, initialSupply)
+    {
+        _decimals = decimals_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./ERC20Mock.sol";
+
+// Test token burning a share of every transfer, like fee-on-transfer tokens (mints and burns are exempt)
+contract ERC20FeeOnTransferMock is ERC20Mock {
+    uint256 public immutable feeBps;
+
+    constructor(string memory name, string memory symbol, uint256 initialSupply, uint256 feeBps_)
+        ERC20Mock(name, symbol, initialSupply)
+    {
+        feeBps = feeBps_;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (from != address(0) && to != address(0)) {
+            uint256 fee = (value * feeBps) / 10000;
+            super._update(from, address(0), fee);
+            value -= fee;
+        }
+        super._update(from, to, value);
+    }
+}
@@ -2,9 +2,15 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
-contract ERC20Mock is ERC20 {
-    constructor(string memory name, string memory symbol, uint256 initialSupply) ERC20(name, symbol) {
+contract ERC20Mock is ERC20, ERC20Permit {
+    constructor(string memory name, string memory symbol, uint256 initialSupply) ERC20(name, symbol) ERC20Permit(name) {
         _mint(msg.sender, initialSupply);
     }
-}
\ No newline at end of file
+
+    // Test token: anyone can mint (used by the frontend's Mint tab)
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
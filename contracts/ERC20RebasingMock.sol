@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./ERC20Mock.sol";
+
+// Test token whose balances all scale with a multiplier anyone can change, like rebasing tokens.
+// Balances are stored as shares; amounts are converted at the current multiplier (1e18 = 1x).
+contract ERC20RebasingMock is ERC20Mock {
+    uint256 public multiplier = 1e18;
+
+    // Minted here, once the multiplier is set
+    constructor(string memory name, string memory symbol, uint256 initialSupply) ERC20Mock(name, symbol, 0) {
+        _mint(msg.sender, initialSupply);
+    }
+
+    function rebase(uint256 newMultiplier) external {
+        multiplier = newMultiplier;
+    }
+
+    function balanceOf(address account) public view override returns (uint256) {
+        return (super.balanceOf(account) * multiplier) / 1e18;
+    }
+
+    function totalSupply() public view override returns (uint256) {
+        return (super.totalSupply() * multiplier) / 1e18;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        super._update(from, to, (value * 1e18) / multiplier);
+    }
+}
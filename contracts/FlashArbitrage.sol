@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {ISimpleSwapCallee} from "./ISimpleSwapCallee.sol";
+import {SimpleSwap} from "./SimpleSwap.sol";
+
+/**
+ * @author Carlos Bermudez
+ * @title FlashArbitrage
+ * @dev Sample `ISimpleSwapCallee` receiver. It borrows a token from a SimpleSwap pool, sells it on another
+ *      market with the SimpleSwap router interface (another SimpleSwap deployment), pays the pool back
+ *      in the other token and keeps the difference. No capital is needed: the trade reverts if the market
+ *      does not return enough to repay the pool plus `minProfit`.
+ *
+ * @notice Flash swap arbitrage between SimpleSwap and another market.
+ */
+contract FlashArbitrage is ISimpleSwapCallee, Ownable {
+
+    /**
+     * @notice The SimpleSwap contract lending the tokens.
+     */
+    SimpleSwap public immutable simpleSwap;
+
+    /**
+     * @notice Emitted when an arbitrage is completed.
+     * @param tokenBorrowed The token borrowed from SimpleSwap and sold on the market.
+     * @param tokenRepaid The token bought on the market and repaid to SimpleSwap.
+     * @param amountBorrowed Amount of `tokenBorrowed` borrowed.
+     * @param amountRepaid Amount of `tokenRepaid` paid to SimpleSwap.
+     * @param profit Amount of `tokenRepaid` sent to the owner.
+     */
+    event Arbitrage(address indexed tokenBorrowed, address indexed tokenRepaid, uint256 amountBorrowed, uint256 amountRepaid, uint256 profit);
+
+    /**
+     * @notice Sets the SimpleSwap contract to borrow from; the deployer becomes the owner.
+     * @param _simpleSwap The SimpleSwap contract.
+     */
+    constructor(SimpleSwap _simpleSwap)
+        Ownable(msg.sender)
+    {
+        simpleSwap = _simpleSwap;
+    }
+
+    /**
+     * @notice Borrows `amountBorrow` of `tokenBorrow` from the (tokenBorrow, tokenRepay) pool and sells it on `market`.
+     * @dev The repayment is what swapping `tokenRepay` for `amountBorrow` would cost on SimpleSwap (`getAmountsIn`).
+     * @param market Market to sell on, with the SimpleSwap router interface.
+     * @param tokenBorrow The token to borrow and sell.
+     * @param tokenRepay The token to buy and repay with.
+     * @param amountBorrow Amount of `tokenBorrow` to borrow.
+     * @param minProfit Minimum amount of `tokenRepay` left after repaying.
+     */
+    function arbitrage(address market, address tokenBorrow, address tokenRepay, uint256 amountBorrow, uint256 minProfit)
+            external onlyOwner
+    {
+        address[] memory path = new address[](2);
+        path[0] = tokenRepay;
+        path[1] = tokenBorrow;
+        uint256 amountRepay = simpleSwap.getAmountsIn(amountBorrow, path)[0];
+
+        simpleSwap.flashSwap(tokenBorrow, tokenRepay, amountBorrow, 0, address(this), abi.encode(market, amountRepay, minProfit));
+    }
+
+    /**
+     * @notice Sells the borrowed tokens on the market and repays SimpleSwap.
+     * @dev Only flash swaps started by this contract are accepted.
+     * @param sender The account that called `flashSwap`.
+     * @param tokenA The borrowed token.
+     * @param tokenB The token to repay with.
+     * @param amountAOut Amount of `tokenA` borrowed.
+     * @param data Encoded (market, amount to repay, minimum profit).
+     */
+    function simpleSwapCall(address sender, address tokenA, address tokenB, uint256 amountAOut, uint256, bytes calldata data)
+            external
+    {
+        require(msg.sender == address(simpleSwap), "FlashArbitrage: Unknown caller.");
+        require(sender == address(this), "FlashArbitrage: Unknown initiator.");
+        (address market, uint256 amountRepay, uint256 minProfit) = abi.decode(data, (address, uint256, uint256));
+
+        address[] memory path = new address[](2);
+        path[0] = tokenA;
+        path[1] = tokenB;
+        IERC20(tokenA).approve(market, amountAOut);
+        uint256 received = SimpleSwap(market).swapExactTokensForTokens(amountAOut, amountRepay + minProfit, path, address(this), block.timestamp + 1)[1];
+
+        require(IERC20(tokenB).transfer(msg.sender, amountRepay), "FlashArbitrage: Repay failed.");
+        require(IERC20(tokenB).transfer(owner(), received - amountRepay), "FlashArbitrage: Transfer failed.");
+
+        emit Arbitrage(tokenA, tokenB, amountAOut, amountRepay, received - amountRepay);
+    }
+}
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./ISimpleSwapCallee.sol";
+import "./SimpleSwap.sol";
+
+// Test flash swap receiver: repays the amounts it is told to, and can try to re-enter SimpleSwap
+contract FlashBorrowerMock is ISimpleSwapCallee {
+    SimpleSwap public immutable simpleSwap;
+
+    constructor(SimpleSwap _simpleSwap) {
+        simpleSwap = _simpleSwap;
+    }
+
+    // Starts a flash swap; the receiver must already hold what it repays on top of the borrowed tokens
+    function borrow(address tokenA, address tokenB, uint256 amountAOut, uint256 amountBOut, uint256 repayA, uint256 repayB, bool reenter) external {
+        simpleSwap.flashSwap(tokenA, tokenB, amountAOut, amountBOut, address(this), abi.encode(repayA, repayB, reenter));
+    }
+
+    function simpleSwapCall(address, address tokenA, address tokenB, uint256 amountAOut, uint256, bytes calldata data) external {
+        (uint256 repayA, uint256 repayB, bool reenter) = abi.decode(data, (uint256, uint256, bool));
+        if (reenter) {
+            // Try to borrow again while the first flash swap is not settled
+            simpleSwap.flashSwap(tokenA, tokenB, amountAOut, 0, address(this), "");
+        }
+        if (repayA > 0) IERC20(tokenA).transfer(msg.sender, repayA);
+        if (repayB > 0) IERC20(tokenB).transfer(msg.sender, repayB);
+    }
+}
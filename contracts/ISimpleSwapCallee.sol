@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+/**
+ * @author Carlos Bermudez
+ * @title ISimpleSwapCallee
+ * @dev Receiver of `SimpleSwap.flashSwap`. The borrowed tokens are sent to the receiver before this callback,
+ *      which must transfer the repayment to SimpleSwap before returning.
+ *      SimpleSwap is locked (`nonReentrant`) during the callback, so the repayment cannot come from
+ *      another SimpleSwap operation.
+ *
+ * @notice Callback interface for SimpleSwap flash swaps.
+ */
+interface ISimpleSwapCallee {
+    /**
+     * @notice Called by SimpleSwap once the borrowed tokens have been sent.
+     * @dev Implementations must check that the caller is SimpleSwap and that `sender` is trusted.
+     * @param sender The account that called `flashSwap`.
+     * @param tokenA Token A of the pool, as passed to `flashSwap`.
+     * @param tokenB Token B of the pool, as passed to `flashSwap`.
+     * @param amountAOut Amount of token A sent to the receiver.
+     * @param amountBOut Amount of token B sent to the receiver.
+     * @param data Data passed to `flashSwap`.
+     */
+    function simpleSwapCall(address sender, address tokenA, address tokenB, uint256 amountAOut, uint256 amountBOut, bytes calldata data) external;
+}
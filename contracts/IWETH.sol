@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @author Carlos Bermudez
+ * @title IWETH
+ * @dev Wrapped Ether (WETH9) as used by `SimpleSwapETHRouter`: an ERC20 minted 1:1 for the ETH deposited.
+ *
+ * @notice Interface of the Wrapped Ether contract.
+ */
+interface IWETH is IERC20 {
+    /**
+     * @notice Wraps the ETH sent into the same amount of WETH for the caller.
+     */
+    function deposit() external payable;
+
+    /**
+     * @notice Burns WETH of the caller and sends back the same amount of ETH.
+     * @param amount Amount to unwrap.
+     */
+    function withdraw(uint256 amount) external;
+}
@@ -3,35 +3,149 @@
 pragma solidity ^0.8.27;
 
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import {ERC20Burnable} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {Pausable} from "@openzeppelin/contracts/utils/Pausable.sol";
 import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {SimpleSwapLP} from "./SimpleSwapLP.sol";
+import {ISimpleSwapCallee} from "./ISimpleSwapCallee.sol";
 
 /**
  * @author Carlos Bermudez
  * @title SimpleSwap
  * @dev A simple decentralized exchange (DEX) contract that supports swapping, adding, and removing liquidity for ERC20 tokens.
- *      The contract extends the ERC20 token standard, providing token functionality for liquidity pool tokens.
- *      It also includes the `ERC20Burnable` extension to allow burning of tokens and `Ownable` for access control.
+ *      Every token pair is an independent pool with its own reserves and its own `SimpleSwapLP` token,
+ *      deployed the first time liquidity is added to that pair. `Ownable` is used for access control.
  * 
  *      Key Features:
- *      - Allows users to add liquidity to a token pair (tokenA, tokenB) and receive liquidity tokens in return.
+ *      - Allows users to add liquidity to a token pair (tokenA, tokenB) and receive that pair's liquidity tokens in return.
  *      - Allows users to remove liquidity and receive the underlying tokens (tokenA, tokenB).
- *      - Supports token swaps between a specified pair of ERC20 tokens.
+ *      - Supports token swaps between a specified pair of ERC20 tokens, directly or through intermediate pools.
  *      - Includes safety checks like ensuring sufficient liquidity, checking deadlines for time-sensitive operations, 
- *        and verifying that exactly two tokens are selected for swaps.
+ *        and verifying that a valid token path is selected for swaps.
+ *      - Credits reserves with the balance received, so tokens taking a fee on transfer and rebasing tokens
+ *        can be pooled; anyone can `sync` or `skim` a pair whose balances moved outside of trades.
  *
  * @notice This contract is for creating a basic DEX (decentralized exchange) that supports liquidity provisioning and token swaps.
  */
-contract SimpleSwap is ERC20, ERC20Burnable, ReentrancyGuard, Ownable {
+contract SimpleSwap is ReentrancyGuard, Ownable, Pausable {
    
     /**
-     * @notice Tracks the internal token reserves held by the contract for each ERC20 token.
-     * @dev Maps each token address to the amount currently held (as recorded by the contract).
+     * @notice Tracks the internal token reserves of every pool.
+     * @dev `reserveOf[token][pairedToken]` is the amount of `token` held by the (token, pairedToken) pool,
+     *      so both orderings of a pair point at the same pool.
      *      This reserve must be manually updated during token transfers in and out to maintain consistency.
      */
-    mapping(address => uint256) public reserveOf;
+    mapping(address => mapping(address => uint256)) public reserveOf;
+
+    /**
+     * @notice Sum of the reserves of a token across all pools.
+     * @dev Used to tell which part of the contract balance belongs to which pool when syncing.
+     */
+    mapping(address => uint256) public totalReserveOf;
+
+    /**
+     * @notice Tokens paired with each token, one entry per pool.
+     * @dev Lets `sync` walk every pool of a token, since they all share the contract's balance of it.
+     */
+    mapping(address => address[]) internal pairedTokens;
+
+    /**
+     * @notice LP token of each pair, registered under both token orderings.
+     */
+    mapping(address => mapping(address => address)) public getPair;
+
+    /**
+     * @notice LP tokens of every pair created so far, in creation order.
+     */
+    address[] public allPairs;
+
+    /**
+     * @notice Denominator of fee values expressed in basis points.
+     */
+    uint256 public constant FEE_DENOMINATOR = 10000;
+
+    /**
+     * @notice Highest swap fee the owner can set (10%).
+     */
+    uint256 public constant MAX_SWAP_FEE = 1000;
+
+    /**
+     * @notice Fee charged on every swap input, in basis points.
+     * @dev The fee stays in the pool reserves, so it is earned by the pair's liquidity providers,
+     *      except the protocol share when `protocolFeeBps` is set.
+     */
+    uint256 public swapFeeBps = 30;
+
+    /**
+     * @notice Highest protocol fee the owner can set (half of the swap fee).
+     */
+    uint256 public constant MAX_PROTOCOL_FEE = 5000;
+
+    /**
+     * @notice Share of the swap fee kept for the protocol, in basis points of the fee. Off (0) by default.
+     * @dev The protocol share is taken out of the input before it is added to the reserves, so it does not
+     *      change the amounts of a swap, only the part of the fee earned by liquidity providers.
+     */
+    uint256 public protocolFeeBps;
+
+    /**
+     * @notice Protocol fees accrued per token and not collected yet.
+     * @dev Held by the contract outside of every pool reserve.
+     */
+    mapping(address => uint256) public protocolFees;
+
+    /**
+     * @notice Number of price observations kept for each pair.
+     * @dev Bounds how far back `SimpleSwapOracle.consult` can look: one observation is written per block that
+     *      changes the pool.
+     */
+    uint256 public constant OBSERVATION_CARDINALITY = 64;
+
+    /**
+     * @notice Snapshot of a pool's price accumulators.
+     * @dev `price0Cumulative` adds up, every second, the price of token0 in token1 (the pair's sorted tokens),
+     *      scaled by 1e18 like `getPrice`; `price1Cumulative` does the same for token1 in token0.
+     *      As in Uniswap V2 the accumulators are meant to overflow: only their differences are used, modulo 2**224.
+     * @param timestamp Block timestamp of the snapshot.
+     * @param price0Cumulative Cumulative price of token0 at `timestamp`.
+     * @param price1Cumulative Cumulative price of token1 at `timestamp`.
+     */
+    struct Observation {
+        uint32 timestamp;
+        uint224 price0Cumulative;
+        uint224 price1Cumulative;
+    }
+
+    /**
+     * @notice Ring buffer of the price observations of each pair, keyed by the pair's LP token.
+     * @dev An observation is written before the first reserve change of every block, so the price is constant
+     *      between two consecutive observations and the accumulators can be interpolated exactly.
+     */
+    mapping(address => Observation[OBSERVATION_CARDINALITY]) public observations;
+
+    /**
+     * @notice Position of the latest observation of each pair in `observations`.
+     */
+    mapping(address => uint256) public observationIndex;
+
+    /**
+     * @notice EIP-2612 signature letting SimpleSwap spend the caller's tokens without a prior `approve`.
+     * @dev Passed to the `...WithPermit` functions. A zero `deadline` means no signature:
+     *      the existing allowance is used for that token.
+     * @param value Allowance granted by the signature.
+     * @param deadline Expiration timestamp of the signature.
+     * @param v Recovery byte of the signature.
+     * @param r First 32 bytes of the signature.
+     * @param s Second 32 bytes of the signature.
+     */
+    struct PermitSignature {
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
 
     /**
     * @notice Ensures that the provided deadline is later than the current block timestamp.
@@ -57,14 +171,17 @@ contract SimpleSwap is ERC20, ERC20Burnable, ReentrancyGuard, Ownable {
         _;
     }
     /**
-    * @notice Ensures that exactly two tokens are selected for a given operation.
-    * @dev This modifier checks that the `path` array contains exactly two token addresses, 
-    *      as the swapping functionality is designed for two-token pairs. If the array does not have exactly two tokens, 
-    *      the transaction is reverted with a specific error message.
+    * @notice Ensures that a valid swap path is selected for a given operation.
+    * @dev This modifier checks that the `path` array contains at least two token addresses 
+    *      (one hop per consecutive pair) and that no hop swaps a token for itself.
+    *      Otherwise the transaction is reverted with a specific error message.
     * @param path The array of token addresses selected for the operation.
     */
     modifier checkTokensSelected(address[] memory path) {
-        require (path.length==2, "SSwap: No tokens selected.");
+        require (path.length>=2, "SSwap: No tokens selected.");
+        for (uint256 i; i < path.length - 1; i++) {
+            require(path[i] != path[i + 1], "SSwap: Same tokens.");
+        }
         _;
     }
     
@@ -95,6 +212,7 @@ contract SimpleSwap is ERC20, ERC20Burnable, ReentrancyGuard, Ownable {
     /**
     * @notice Emitted when a token swap is executed.
     * @dev Logs the trader, token in/out, and the amounts exchanged.
+    *      Multi-hop swaps emit one event per hop, in path order.
     * @param trader The address that initiated the swap.
     * @param tokenIn The address of the token sent by the trader.
     * @param tokenOut The address of the token received by the trader.
@@ -103,24 +221,108 @@ contract SimpleSwap is ERC20, ERC20Burnable, ReentrancyGuard, Ownable {
     */
     event TokenSwapped(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
 
+    /**
+    * @notice Emitted when a flash swap is settled.
+    * @dev The pool's reserves change by `amountAIn - amountAOut` and `amountBIn - amountBOut`.
+    * @param sender The address that called `flashSwap`.
+    * @param tokenA The address of token A.
+    * @param tokenB The address of token B.
+    * @param amountAOut Amount of token A lent.
+    * @param amountBOut Amount of token B lent.
+    * @param amountAIn Amount of token A paid back.
+    * @param amountBIn Amount of token B paid back.
+    */
+    event FlashSwap(address indexed sender, address indexed tokenA, address indexed tokenB, uint256 amountAOut, uint256 amountBOut, uint256 amountAIn, uint256 amountBIn);
+
+    /**
+    * @notice Emitted when the first liquidity of a new pair creates its pool.
+    * @param token0 The lower token address of the pair.
+    * @param token1 The higher token address of the pair.
+    * @param pair The address of the pair's LP token.
+    * @param pairCount Number of pairs after this one was created.
+    */
+    event PairCreated(address indexed token0, address indexed token1, address pair, uint256 pairCount);
 
+    /**
+    * @notice Emitted when the owner changes the swap fee.
+    * @param previousFee The previous fee in basis points.
+    * @param newFee The new fee in basis points.
+    */
+    event SwapFeeUpdated(uint256 previousFee, uint256 newFee);
 
+    /**
+    * @notice Emitted when the owner changes the protocol fee.
+    * @param previousFee The previous share of the swap fee, in basis points.
+    * @param newFee The new share of the swap fee, in basis points.
+    */
+    event ProtocolFeeUpdated(uint256 previousFee, uint256 newFee);
 
     /**
-    * @notice Initializes the SimpleSwap contract with the name "Simple Swap" and symbol "SSWP".
-    * @dev The constructor also sets the contract owner to the address that deploys the contract.
-    *      The `ERC20` and `Ownable` constructors are called to set up the token name, symbol, and owner.
+    * @notice Emitted when the owner collects the protocol fees of a token.
+    * @param token The token collected.
+    * @param to The recipient of the fees.
+    * @param amount The amount collected.
+    */
+    event ProtocolFeesCollected(address indexed token, address indexed to, uint256 amount);
+
+
+
+    /**
+    * @notice Initializes the SimpleSwap contract.
+    * @dev The constructor sets the contract owner to the address that deploys the contract.
+    *      LP tokens ("SSWP") are deployed per pair, see `SimpleSwapLP`.
     */
     constructor()
-        ERC20("Simple Swap", "SSWP")
         Ownable(msg.sender)
     {
 
     }
 
+    /**
+     * @notice Increases the reserve of a token in the (token, pairedToken) pool.
+     * @param token The token whose reserve grows.
+     * @param pairedToken The other token of the pool.
+     * @param amount The amount added to the reserve.
+     */
+    function _increaseReserve(address token, address pairedToken, uint256 amount) 
+            internal 
+    {
+        reserveOf[token][pairedToken] += amount;
+        totalReserveOf[token] += amount;
+    }
+
+    /**
+     * @notice Decreases the reserve of a token in the (token, pairedToken) pool.
+     * @param token The token whose reserve shrinks.
+     * @param pairedToken The other token of the pool.
+     * @param amount The amount taken from the reserve.
+     */
+    function _decreaseReserve(address token, address pairedToken, uint256 amount) 
+            internal 
+    {
+        reserveOf[token][pairedToken] -= amount;
+        totalReserveOf[token] -= amount;
+    }
+
+    /**
+     * @notice Adds the input of a swap to the (token, pairedToken) pool, minus the protocol share of the fee.
+     * @param token The token paid in.
+     * @param pairedToken The other token of the pool.
+     * @param amountIn The amount paid in, fee included.
+     */
+    function _increaseReserveAfterFee(address token, address pairedToken, uint256 amountIn) 
+            internal 
+    {
+        uint256 protocolFee = amountIn * swapFeeBps * protocolFeeBps / (FEE_DENOMINATOR * FEE_DENOMINATOR);
+        if (protocolFee > 0) {
+            protocolFees[token] += protocolFee;
+        }
+        _increaseReserve(token, pairedToken, amountIn - protocolFee);
+    }
+
     /**
      * @notice Updates the internal reserves after liquidity is added.
-     * @dev Increases the values stored in the `reserveOf` mapping for the specified tokens.
+     * @dev Increases the reserves of the (tokenA, tokenB) pool.
      *      This function should be called only after the tokens have been successfully transferred
      *      to the contract to ensure internal reserves remain in sync with actual balances.
      * @param tokenA The address of token A being added to the pool.
@@ -131,27 +333,133 @@ contract SimpleSwap is ERC20, ERC20Burnable, ReentrancyGuard, Ownable {
     function _updateReservesAfterAdd(address tokenA, address tokenB, uint256 amountA, uint256 amountB) 
             internal 
     {
-        reserveOf[tokenA] += amountA;
-        reserveOf[tokenB] += amountB;
+        _increaseReserve(tokenA, tokenB, amountA);
+        _increaseReserve(tokenB, tokenA, amountB);
     }
 
     /**
-    * @notice Retrieves the current reserves of two tokens in the contract.
-    * @dev This function queries the contract's balance for each token (tokenA and tokenB) 
+     * @notice Returns the LP token of a pair, deploying it if the pair does not exist yet.
+     * @dev Tokens are sorted so the pair has a single LP token whatever order the caller uses.
+     * @param tokenA Address of token A.
+     * @param tokenB Address of token B.
+     * @return lpToken The pair's LP token.
+     */
+    function _getOrCreatePair(address tokenA, address tokenB) 
+            internal returns (SimpleSwapLP lpToken) 
+    {
+        address pair = getPair[tokenA][tokenB];
+        if (pair != address(0)) {
+            return SimpleSwapLP(pair);
+        }
+        (address token0, address token1) = _sortTokens(tokenA, tokenB);
+        lpToken = new SimpleSwapLP(token0, token1);
+        getPair[token0][token1] = address(lpToken);
+        getPair[token1][token0] = address(lpToken);
+        allPairs.push(address(lpToken));
+        pairedTokens[token0].push(token1);
+        pairedTokens[token1].push(token0);
+
+        emit PairCreated(token0, token1, address(lpToken), allPairs.length);
+
+        return lpToken;
+    }
+
+    /**
+     * @notice Orders the tokens of a pair by address, as in the pair's LP token.
+     * @param tokenA Address of token A.
+     * @param tokenB Address of token B.
+     * @return token0 The lower address.
+     * @return token1 The higher address.
+     */
+    function _sortTokens(address tokenA, address tokenB) 
+            internal pure returns (address token0, address token1) 
+    {
+        return tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+    }
+
+    /**
+     * @notice Records the price accumulators of the (tokenA, tokenB) pool before its reserves change.
+     * @dev Called before every reserve change of a pool (liquidity, swaps and sync). Only the first change of a
+     *      block writes an observation: later ones happen at the same timestamp and add nothing to the accumulators.
+     * @param tokenA Address of token A.
+     * @param tokenB Address of token B.
+     */
+    function _updateOracle(address tokenA, address tokenB) 
+            internal 
+    {
+        address pair = getPair[tokenA][tokenB];
+        if (pair == address(0)) return;
+        uint256 index = observationIndex[pair];
+        Observation memory last = observations[pair][index];
+        if (last.timestamp == uint32(block.timestamp)) return;
+        if (last.timestamp != 0) {
+            index = (index + 1) % OBSERVATION_CARDINALITY;
+            observationIndex[pair] = index;
+        }
+        (address token0, address token1) = _sortTokens(tokenA, tokenB);
+        observations[pair][index] = _observe(token0, token1, last);
+    }
+
+    /**
+     * @notice Extends an observation of a pool to the current block.
+     * @dev The current reserves have held since the observation, so their price is added for the elapsed time.
+     *      Nothing is added while a reserve is empty.
+     * @param token0 The lower token address of the pair.
+     * @param token1 The higher token address of the pair.
+     * @param last The latest observation of the pair.
+     * @return The pair's accumulators at the current block timestamp.
+     */
+    function _observe(address token0, address token1, Observation memory last) 
+            internal view returns (Observation memory) 
+    {
+        (uint256 reserve0, uint256 reserve1) = _getReserves(token0, token1);
+        if (reserve0 > 0 && reserve1 > 0) {
+            uint256 price0 = (reserve1 * 1e18) / reserve0;
+            uint256 price1 = (reserve0 * 1e18) / reserve1;
+            unchecked {
+                uint256 elapsed = uint32(block.timestamp) - last.timestamp;
+                last.price0Cumulative += uint224(price0 * elapsed);
+                last.price1Cumulative += uint224(price1 * elapsed);
+            }
+        }
+        last.timestamp = uint32(block.timestamp);
+        return last;
+    }
+
+    /**
+    * @notice Retrieves the current reserves of the (tokenA, tokenB) pool.
+    * @dev Reads the internal `reserveOf` records of the pair
     *      to determine how much liquidity is available for swapping or adding liquidity.
     * @param _tokenA Address of token A.
     * @param _tokenB Address of token B.
-    * @return _reserveA The current balance (reserve) of token A in the contract.
-    * @return _reserveB The current balance (reserve) of token B in the contract.
+    * @return _reserveA The current reserve of token A in the pool.
+    * @return _reserveB The current reserve of token B in the pool.
     */
     function _getReserves (address _tokenA, address _tokenB) 
             internal view returns (uint256 _reserveA, uint256 _reserveB) 
     {
-        _reserveA = reserveOf[_tokenA]; //IERC20(_tokenA).balanceOf(address(this)); 
-        _reserveB = reserveOf[_tokenB]; //IERC20(_tokenB).balanceOf(address(this));   
+        _reserveA = reserveOf[_tokenA][_tokenB];
+        _reserveB = reserveOf[_tokenB][_tokenA];
 
         return (_reserveA, _reserveB);
     }
+    /**
+    * @notice Applies an EIP-2612 permit of the caller to this contract.
+    * @dev Failures are ignored: if the signature was already used (e.g. front-run by someone submitting it),
+    *      the allowance is in place anyway, and if it is not the following `transferFrom` reverts.
+    *      Skipped when `permit.deadline` is zero.
+    * @param token The EIP-2612 token to spend.
+    * @param permit The caller's signature.
+    */
+    function _permit(address token, PermitSignature calldata permit) 
+            internal 
+    {
+        if (permit.deadline == 0) return;
+        try IERC20Permit(token).permit(msg.sender, address(this), permit.value, permit.deadline, permit.v, permit.r, permit.s) {
+        } catch {
+        }
+    }
+
     /**
     * @notice Safely transfers tokens from one address to another using the ERC20 `transferFrom` function.
     * @dev This function ensures that the transfer is successful by checking the result of the `transferFrom` call.
@@ -182,6 +490,22 @@ contract SimpleSwap is ERC20, ERC20Burnable, ReentrancyGuard, Ownable {
         require(result, "SSwap: Transfer failed!");
     }
 
+    /**
+    * @notice Takes tokens from the caller and returns how many actually arrived.
+    * @dev Reserves are credited with the balance delta, so tokens taking a fee on transfer
+    *      never leave them above the contract balance.
+    * @param _token Address of the token being transferred.
+    * @param _amount The amount of tokens to take.
+    * @return received The increase of the contract balance.
+    */
+    function _transferIn (address _token, uint256 _amount) 
+            internal returns (uint256 received) 
+    {
+        uint256 balance = IERC20(_token).balanceOf(address(this));
+        _safeTransferFrom(_token, msg.sender, address(this), _amount);
+        return IERC20(_token).balanceOf(address(this)) - balance;
+    }
+
     /**
     * @notice Computes the integer square root of a given number using the Babylonian method.
     * @dev Returns the floor value of the square root (i.e., largest integer `z` such that `z*z <= y`).
@@ -249,8 +573,9 @@ contract SimpleSwap is ERC20, ERC20Burnable, ReentrancyGuard, Ownable {
     }
 
     /**
-    * @notice Calculates the optimal output amount of token B for a given input of token A.
-    * @dev Assumes a constant product formula without fee (i.e., simple x*y=k).
+    * @notice Calculates the amount of token B matching a given amount of token A at the current pool ratio.
+    * @dev Linear quote (amount * reserveB / reserveA) used to keep the pool ratio when adding liquidity.
+    *      Swaps use `_getAmountOut` instead.
     * @param _amount The amount of input token (A).
     * @param _reserveA Reserve of input token (A).
     * @param _reserveB Reserve of output token (B).
@@ -264,6 +589,42 @@ contract SimpleSwap is ERC20, ERC20Burnable, ReentrancyGuard, Ownable {
         return amountOut;
     }
 
+    /**
+    * @notice Calculates the swap output for a given input using the constant product formula (x*y=k).
+    * @dev The swap fee is taken from the input before pricing; it remains in the reserves for the LPs.
+    * @param _amountIn The amount of input token.
+    * @param _reserveIn Reserve of the input token.
+    * @param _reserveOut Reserve of the output token.
+    * @return amountOut The amount of output token received.
+    */
+    function _getAmountOut(uint256 _amountIn, uint256 _reserveIn, uint256 _reserveOut) 
+            internal view checkLiquidity(_reserveIn, _reserveOut) returns (uint256 amountOut) 
+    {
+        require(_amountIn > 0,"SSwap: Insufficient amount.");
+        uint256 amountInWithFee = _amountIn * (FEE_DENOMINATOR - swapFeeBps);
+        amountOut = (amountInWithFee * _reserveOut) / (_reserveIn * FEE_DENOMINATOR + amountInWithFee);
+        return amountOut;
+    }
+
+    /**
+    * @notice Calculates the input needed to receive a given output using the constant product formula (x*y=k).
+    * @dev Inverse of `_getAmountOut`, including the swap fee. Rounds up so the pool never loses on the trade.
+    * @param _amountOut The amount of output token wanted.
+    * @param _reserveIn Reserve of the input token.
+    * @param _reserveOut Reserve of the output token.
+    * @return amountIn The amount of input token required.
+    */
+    function _getAmountIn(uint256 _amountOut, uint256 _reserveIn, uint256 _reserveOut) 
+            internal view checkLiquidity(_reserveIn, _reserveOut) returns (uint256 amountIn) 
+    {
+        require(_amountOut > 0,"SSwap: Insufficient amount.");
+        require(_amountOut < _reserveOut, "SSwap: Not Enough Liquidity");
+        uint256 numerator = _reserveIn * _amountOut * FEE_DENOMINATOR;
+        uint256 denominator = (_reserveOut - _amountOut) * (FEE_DENOMINATOR - swapFeeBps);
+        amountIn = (numerator / denominator) + 1;
+        return amountIn;
+    }
+
     /**
     * @notice Calculates the optimal token amounts to add to the liquidity pool.
     * @dev Maintains price ratio based on current reserves. If the pool is empty, it accepts the desired amounts.
@@ -321,17 +682,69 @@ contract SimpleSwap is ERC20, ERC20Burnable, ReentrancyGuard, Ownable {
                            uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline) 
             external checkDeadline(deadline) nonReentrant returns (uint256 amountA, uint256 amountB, uint256 liquidity) 
     {
-        require(tokenA != tokenB, "SSwap: Same Tokens");
-        (uint256 _reserveA, uint256 _reserveB) = _getReserves(tokenA, tokenB);
-        (amountA, amountB) = _addLiquidity(amountADesired, amountBDesired, amountAMin, amountBMin, _reserveA, _reserveB);
+        return _provideLiquidity(tokenA, tokenB, amountADesired, amountBDesired, amountAMin, amountBMin, to);
+    }
+
+    /**
+    * @notice Same as `addLiquidity`, approving both tokens with EIP-2612 signatures instead of `approve` transactions.
+    * @dev Pass an empty signature (zero deadline) for a token that is already approved or does not support permits.
+    * @param tokenA Address of token A.
+    * @param tokenB Address of token B.
+    * @param amountADesired Desired amount of token A to deposit.
+    * @param amountBDesired Desired amount of token B to deposit.
+    * @param amountAMin Minimum amount of token A to deposit.
+    * @param amountBMin Minimum amount of token B to deposit.
+    * @param to Recipient of the liquidity tokens.
+    * @param deadline Unix timestamp after which the transaction will revert.
+    * @param permitA Signature allowing this contract to spend token A.
+    * @param permitB Signature allowing this contract to spend token B.
+    * @return amountA Actual amount of token A deposited.
+    * @return amountB Actual amount of token B deposited.
+    * @return liquidity Amount of liquidity tokens minted.
+    */
+    function addLiquidityWithPermit (address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, 
+                           uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline,
+                           PermitSignature calldata permitA, PermitSignature calldata permitB) 
+            external checkDeadline(deadline) nonReentrant returns (uint256 amountA, uint256 amountB, uint256 liquidity) 
+    {
+        _permit(tokenA, permitA);
+        _permit(tokenB, permitB);
+        return _provideLiquidity(tokenA, tokenB, amountADesired, amountBDesired, amountAMin, amountBMin, to);
+    }
 
-        _safeTransferFrom(tokenA, msg.sender, address(this), amountA);
-        _safeTransferFrom(tokenB, msg.sender, address(this), amountB);
+    /**
+    * @notice Deposits liquidity from the caller and mints the pair's LP tokens.
+    * @dev Shared by `addLiquidity` and `addLiquidityWithPermit`; allowances must be in place.
+    *      The minimums are checked on the amounts taken; reserves and liquidity use the amounts received,
+    *      which are lower for tokens taking a fee on transfer.
+    * @param tokenA Address of token A.
+    * @param tokenB Address of token B.
+    * @param amountADesired Desired amount of token A to deposit.
+    * @param amountBDesired Desired amount of token B to deposit.
+    * @param amountAMin Minimum amount of token A to deposit.
+    * @param amountBMin Minimum amount of token B to deposit.
+    * @param to Recipient of the liquidity tokens.
+    * @return amountA Amount of token A received.
+    * @return amountB Amount of token B received.
+    * @return liquidity Amount of liquidity tokens minted.
+    */
+    function _provideLiquidity (address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, 
+                           uint256 amountAMin, uint256 amountBMin, address to) 
+            internal returns (uint256 amountA, uint256 amountB, uint256 liquidity) 
+    {
+        _requireNotPaused();
+        (amountA, amountB, ) = _quoteAddLiquidity(tokenA, tokenB, amountADesired, amountBDesired, amountAMin, amountBMin);
+
+        SimpleSwapLP lpToken = _getOrCreatePair(tokenA, tokenB);
+        _updateOracle(tokenA, tokenB);
+
+        amountA = _transferIn(tokenA, amountA);
+        amountB = _transferIn(tokenB, amountB);
+        liquidity = _calculateLiquidity(tokenA, tokenB, amountA, amountB, lpToken.totalSupply());
 
         _updateReservesAfterAdd(tokenA, tokenB, amountA, amountB);
 
-        liquidity = _calculateLiquidity(tokenA, tokenB, amountA, amountB, totalSupply());
-        _mint(to, liquidity);
+        lpToken.mint(to, liquidity);
         
         emit LiquidityAdded(msg.sender, tokenA, tokenB, amountA, amountB, liquidity);
 
@@ -339,28 +752,76 @@ contract SimpleSwap is ERC20, ERC20Burnable, ReentrancyGuard, Ownable {
 
     }   
 
+    /**
+    * @notice Calculates the tokens taken and the liquidity minted for a deposit into the (tokenA, tokenB) pool.
+    * @dev Shared by `_provideLiquidity` and `quoteAddLiquidity`, so quotes and deposits use the same math.
+    *      A pair without LP token yet has no supply, so its first deposit mints sqrt(amountA * amountB).
+    * @param tokenA Address of token A.
+    * @param tokenB Address of token B.
+    * @param amountADesired Desired amount of token A to deposit.
+    * @param amountBDesired Desired amount of token B to deposit.
+    * @param amountAMin Minimum amount of token A to deposit.
+    * @param amountBMin Minimum amount of token B to deposit.
+    * @return amountA Amount of token A deposited.
+    * @return amountB Amount of token B deposited.
+    * @return liquidity Amount of liquidity tokens minted.
+    */
+    function _quoteAddLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, 
+                           uint256 amountAMin, uint256 amountBMin) 
+            internal view returns (uint256 amountA, uint256 amountB, uint256 liquidity) 
+    {
+        require(tokenA != tokenB, "SSwap: Same Tokens");
+        (uint256 _reserveA, uint256 _reserveB) = _getReserves(tokenA, tokenB);
+        (amountA, amountB) = _addLiquidity(amountADesired, amountBDesired, amountAMin, amountBMin, _reserveA, _reserveB);
+
+        address pair = getPair[tokenA][tokenB];
+        uint256 totalSupply = pair == address(0) ? 0 : SimpleSwapLP(pair).totalSupply();
+        liquidity = _calculateLiquidity(tokenA, tokenB, amountA, amountB, totalSupply);
+        return (amountA, amountB, liquidity);
+    }
+
     /**
     * @notice Calculates the amount of token A and B to return for a given liquidity.
     * @dev Assumes liquidity token represents proportional ownership of reserves.
     * @param _liquidity The amount of liquidity tokens being burned.
     * @param _reserveA Current reserve of token A in the pool.
     * @param _reserveB Current reserve of token B in the pool.
+    * @param _totalSupply Current total supply of the pair's liquidity tokens.
     * @return tokenAmountA Amount of token A to return.
     * @return tokenAmountB Amount of token B to return.
     */
 
-    function _removeLiquidity(uint256 _liquidity, uint256 _reserveA, uint256 _reserveB) 
-            internal view checkLiquidity(_reserveA, _reserveB) returns (uint256 tokenAmountA, uint256 tokenAmountB) 
+    function _removeLiquidity(uint256 _liquidity, uint256 _reserveA, uint256 _reserveB, uint256 _totalSupply) 
+            internal pure checkLiquidity(_reserveA, _reserveB) returns (uint256 tokenAmountA, uint256 tokenAmountB) 
     {
-        uint256 _totalSupply = totalSupply();
         tokenAmountA = (_liquidity * _reserveA) / _totalSupply ;
         tokenAmountB = (_liquidity * _reserveB) / _totalSupply ;
         
         return (tokenAmountA, tokenAmountB);
     }
 
+    /**
+    * @notice Calculates the tokens returned for burning liquidity of the (tokenA, tokenB) pool.
+    * @dev Shared by `_withdrawLiquidity` and `quoteRemoveLiquidity`, so quotes and removals use the same math.
+    * @param tokenA Address of token A.
+    * @param tokenB Address of token B.
+    * @param liquidity Amount of liquidity tokens to burn.
+    * @return amountA Amount of token A returned.
+    * @return amountB Amount of token B returned.
+    */
+    function _quoteRemoveLiquidity(address tokenA, address tokenB, uint256 liquidity) 
+            internal view returns (uint256 amountA, uint256 amountB) 
+    {
+        address pair = getPair[tokenA][tokenB];
+        require(pair != address(0), "SSwap: Pair not found.");
+        (uint256 _reserveA, uint256 _reserveB) = _getReserves(tokenA, tokenB);
+        return _removeLiquidity(liquidity, _reserveA, _reserveB, SimpleSwapLP(pair).totalSupply());
+    }
+
     /**
     * @notice Removes liquidity from the pool and returns token A and B to the user.
+    * @dev The pair's LP tokens are burned from the caller, who must have approved this contract on the LP token
+    *      (or use `removeLiquidityWithPermit`).
     * @param tokenA Address of token A.
     * @param tokenB Address of token B.
     * @param liquidity Amount of liquidity tokens to burn.
@@ -374,12 +835,51 @@ contract SimpleSwap is ERC20, ERC20Burnable, ReentrancyGuard, Ownable {
     function removeLiquidity(address tokenA, address tokenB, uint liquidity, uint amountAMin, uint amountBMin, address to, uint deadline)
             external checkDeadline(deadline) nonReentrant returns (uint amountA, uint amountB) 
     {
-        (uint256 _reserveA, uint256 _reserveB) = _getReserves(tokenA, tokenB);
-        (amountA, amountB) = _removeLiquidity(liquidity, _reserveA, _reserveB);
+        return _withdrawLiquidity(tokenA, tokenB, liquidity, amountAMin, amountBMin, to);
+    }
+
+    /**
+    * @notice Same as `removeLiquidity`, approving the LP tokens with an EIP-2612 signature instead of an `approve` transaction.
+    * @param tokenA Address of token A.
+    * @param tokenB Address of token B.
+    * @param liquidity Amount of liquidity tokens to burn.
+    * @param amountAMin Minimum amount of token A to receive.
+    * @param amountBMin Minimum amount of token B to receive.
+    * @param to Recipient of the withdrawn tokens.
+    * @param deadline Unix timestamp after which the transaction will revert.
+    * @param permit Signature allowing this contract to burn the caller's LP tokens of the pair.
+    * @return amountA Amount of token A received.
+    * @return amountB Amount of token B received.
+    */
+    function removeLiquidityWithPermit(address tokenA, address tokenB, uint liquidity, uint amountAMin, uint amountBMin, address to, uint deadline,
+                                       PermitSignature calldata permit)
+            external checkDeadline(deadline) nonReentrant returns (uint amountA, uint amountB) 
+    {
+        _permit(getPair[tokenA][tokenB], permit);
+        return _withdrawLiquidity(tokenA, tokenB, liquidity, amountAMin, amountBMin, to);
+    }
+
+    /**
+    * @notice Burns the caller's LP tokens and sends out their share of the pool.
+    * @dev Shared by `removeLiquidity` and `removeLiquidityWithPermit`; the LP allowance must be in place.
+    * @param tokenA Address of token A.
+    * @param tokenB Address of token B.
+    * @param liquidity Amount of liquidity tokens to burn.
+    * @param amountAMin Minimum amount of token A to receive.
+    * @param amountBMin Minimum amount of token B to receive.
+    * @param to Recipient of the withdrawn tokens.
+    * @return amountA Amount of token A received.
+    * @return amountB Amount of token B received.
+    */
+    function _withdrawLiquidity(address tokenA, address tokenB, uint liquidity, uint amountAMin, uint amountBMin, address to)
+            internal returns (uint amountA, uint amountB) 
+    {
+        (amountA, amountB) = _quoteRemoveLiquidity(tokenA, tokenB, liquidity);
         require(amountA>=amountAMin && amountB>=amountBMin,"SSwap: Balance.");
-        reserveOf[tokenA] -= amountA;
-        reserveOf[tokenB] -= amountB;
-        burn(liquidity);
+        _updateOracle(tokenA, tokenB);
+        _decreaseReserve(tokenA, tokenB, amountA);
+        _decreaseReserve(tokenB, tokenA, amountB);
+        SimpleSwapLP(getPair[tokenA][tokenB]).burnFrom(msg.sender, liquidity);
         _safeTransfer (tokenA,to,amountA);
         _safeTransfer (tokenB,to,amountB);
 
@@ -389,73 +889,509 @@ contract SimpleSwap is ERC20, ERC20Burnable, ReentrancyGuard, Ownable {
     }
 
     /**
-    * @notice Returns the expected output amount of token B for a given input of token A.
-    * @dev Only supports two-token swaps (path.length == 2).
-    * @param amountIn Input amount of token A.
-    * @param path Array containing token A and token B addresses.
-    * @return amounts Array where amounts[0] = input, amounts[1] = output.
+    * @notice Returns the amounts of every hop for a given input along a path.
+    * @dev Each consecutive pair of tokens in `path` is one hop through its own pool.
+    * @param amountIn Input amount of the first token.
+    * @param path Array of token addresses: [tokenIn, ...intermediate tokens, tokenOut].
+    * @return amounts Array where amounts[0] = input and amounts[i] = output of hop i - 1.
     */
     function _getAmountsOut(uint256 amountIn, address[] memory path) 
             internal view checkTokensSelected(path) returns (uint256[] memory amounts) {
         amounts = new uint256[](path.length);
         amounts[0] = amountIn;
-        (uint256 _reserveA, uint256 _reserveB) = _getReserves(path[0], path[1]);
-        amounts[1] = _getOptimalAmountOut(amounts[0], _reserveA, _reserveB);
+        for (uint256 i; i < path.length - 1; i++) {
+            (uint256 _reserveIn, uint256 _reserveOut) = _getReserves(path[i], path[i + 1]);
+            amounts[i + 1] = _getAmountOut(amounts[i], _reserveIn, _reserveOut);
+        }
         
         return amounts;
     }
 
     /**
-    * @notice Swaps an exact amount of token A for token B.
+    * @notice Returns the amounts of every hop needed to receive an exact output along a path.
+    * @dev Works backwards from the last hop.
+    * @param amountOut Output amount of the last token wanted.
+    * @param path Array of token addresses: [tokenIn, ...intermediate tokens, tokenOut].
+    * @return amounts Array where amounts[0] = input and amounts[path.length - 1] = output.
+    */
+    function _getAmountsIn(uint256 amountOut, address[] memory path) 
+            internal view checkTokensSelected(path) returns (uint256[] memory amounts) {
+        amounts = new uint256[](path.length);
+        amounts[path.length - 1] = amountOut;
+        for (uint256 i = path.length - 1; i > 0; i--) {
+            (uint256 _reserveIn, uint256 _reserveOut) = _getReserves(path[i - 1], path[i]);
+            amounts[i - 1] = _getAmountIn(amounts[i], _reserveIn, _reserveOut);
+        }
+        
+        return amounts;
+    }
+
+    /**
+    * @notice Executes a swap whose amounts have already been computed.
+    * @dev Pulls the input from the caller, then runs `_swapPath`. The whole input must arrive: tokens taking
+    *      a fee on transfer need `swapExactTokensForTokensSupportingFeeOnTransferTokens`.
+    * @param amounts Amounts of every hop, as returned by `_getAmountsOut` or `_getAmountsIn`.
+    * @param path Array of token addresses: [tokenIn, ...intermediate tokens, tokenOut].
+    * @param to Recipient of the output tokens.
+    */
+    function _swap(uint256[] memory amounts, address[] calldata path, address to) 
+            internal 
+    {
+        require(_transferIn(path[0], amounts[0]) >= amounts[0], "SSwap: Fee on transfer.");
+        _swapPath(amounts, path, to);
+    }
+
+    /**
+    * @notice Moves an input already received through every pool of the path and sends the output.
+    * @dev Intermediate tokens never leave the contract; only the pool reserves change.
+    * @param amounts Amounts of every hop, amounts[0] being the input received.
+    * @param path Array of token addresses: [tokenIn, ...intermediate tokens, tokenOut].
+    * @param to Recipient of the output tokens.
+    */
+    function _swapPath(uint256[] memory amounts, address[] calldata path, address to) 
+            internal 
+    {
+        _requireNotPaused();
+        uint256 last = path.length - 1;
+        for (uint256 i; i < last; i++) {
+            _updateOracle(path[i], path[i + 1]);
+            _increaseReserveAfterFee(path[i], path[i + 1], amounts[i]);
+            _decreaseReserve(path[i + 1], path[i], amounts[i + 1]);
+
+            emit TokenSwapped(msg.sender, path[i], path[i + 1], amounts[i], amounts[i + 1]);
+        }
+        _safeTransfer(path[last], to, amounts[last]);
+    }
+
+    /**
+    * @notice Swaps an exact amount of the first token of `path` for the last one.
     * @param amountIn Exact amount of input tokens to send.
     * @param amountOutMin Minimum amount of output tokens expected.
-    * @param path Array with two elements: [tokenIn, tokenOut].
+    * @param path Array of token addresses: [tokenIn, ...intermediate tokens, tokenOut].
     * @param to Recipient of the output tokens.
     * @param deadline Unix timestamp after which the transaction will revert.
-    * @return amounts Array with input and output amounts: [amountIn, amountOut].
+    * @return amounts Amounts of every hop: [amountIn, ...intermediate amounts, amountOut].
     */
     function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) 
             external checkDeadline(deadline) checkTokensSelected(path) nonReentrant returns (uint[] memory amounts) 
     {
-        require(path[0] != path[1], "SSwap: Same tokens.");
+        return _swapExactTokensForTokens(amountIn, amountOutMin, path, to);
+    }
+
+    /**
+    * @notice Same as `swapExactTokensForTokens`, approving the input token with an EIP-2612 signature.
+    * @param amountIn Exact amount of input tokens to send.
+    * @param amountOutMin Minimum amount of output tokens expected.
+    * @param path Array of token addresses: [tokenIn, ...intermediate tokens, tokenOut].
+    * @param to Recipient of the output tokens.
+    * @param deadline Unix timestamp after which the transaction will revert.
+    * @param permit Signature allowing this contract to spend the input token.
+    * @return amounts Amounts of every hop: [amountIn, ...intermediate amounts, amountOut].
+    */
+    function swapExactTokensForTokensWithPermit(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline,
+                                                PermitSignature calldata permit) 
+            external checkDeadline(deadline) checkTokensSelected(path) nonReentrant returns (uint[] memory amounts) 
+    {
+        _permit(path[0], permit);
+        return _swapExactTokensForTokens(amountIn, amountOutMin, path, to);
+    }
+
+    /**
+    * @notice Quotes and executes an exact input swap.
+    * @param amountIn Exact amount of input tokens to send.
+    * @param amountOutMin Minimum amount of output tokens expected.
+    * @param path Array of token addresses: [tokenIn, ...intermediate tokens, tokenOut].
+    * @param to Recipient of the output tokens.
+    * @return amounts Amounts of every hop: [amountIn, ...intermediate amounts, amountOut].
+    */
+    function _swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to) 
+            internal returns (uint[] memory amounts) 
+    {
         amounts = _getAmountsOut(amountIn, path);
-        require(amounts[1] >= amountOutMin, "SSwap: Transfer cancelled.");
-        _safeTransferFrom(path[0], msg.sender, address(this), amountIn);
-        _safeTransfer(path[1], to, amounts[1]);
-        reserveOf[path[0]] += amounts[0]; 
-        reserveOf[path[1]] -= amounts[1];
+        require(amounts[amounts.length - 1] >= amountOutMin, "SSwap: Transfer cancelled.");
+        _swap(amounts, path, to);
         
-        emit TokenSwapped(msg.sender, path[0], path[1], amounts[0], amounts[1]);
+        return amounts;
+    }
+
+    /**
+    * @notice Same as `swapExactTokensForTokens`, for input or output tokens taking a fee on transfer.
+    * @dev The hops are quoted from the input actually received, and `amountOutMin` is checked on the
+    *      balance increase of `to`. Rebasing tokens need no special variant: `sync` and `skim` settle
+    *      supply changes between transactions.
+    * @param amountIn Amount of input tokens to send, fee included.
+    * @param amountOutMin Minimum amount of output tokens `to` must receive.
+    * @param path Array of token addresses: [tokenIn, ...intermediate tokens, tokenOut].
+    * @param to Recipient of the output tokens.
+    * @param deadline Unix timestamp after which the transaction will revert.
+    */
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path,
+                                                                  address to, uint deadline) 
+            external checkDeadline(deadline) checkTokensSelected(path) nonReentrant 
+    {
+        IERC20 tokenOut = IERC20(path[path.length - 1]);
+        uint256[] memory amounts = _getAmountsOut(_transferIn(path[0], amountIn), path);
+        uint256 balanceBefore = tokenOut.balanceOf(to);
+        _swapPath(amounts, path, to);
+        require(tokenOut.balanceOf(to) - balanceBefore >= amountOutMin, "SSwap: Transfer cancelled.");
+    }
+
+    /**
+    * @notice Swaps as little of the first token of `path` as needed to receive an exact amount of the last one.
+    * @param amountOut Exact amount of output tokens to receive.
+    * @param amountInMax Maximum amount of input tokens the caller is willing to send.
+    * @param path Array of token addresses: [tokenIn, ...intermediate tokens, tokenOut].
+    * @param to Recipient of the output tokens.
+    * @param deadline Unix timestamp after which the transaction will revert.
+    * @return amounts Amounts of every hop: [amountIn, ...intermediate amounts, amountOut].
+    */
+    function swapTokensForExactTokens(uint amountOut, uint amountInMax, address[] calldata path, address to, uint deadline) 
+            external checkDeadline(deadline) checkTokensSelected(path) nonReentrant returns (uint[] memory amounts) 
+    {
+        return _swapTokensForExactTokens(amountOut, amountInMax, path, to);
+    }
+
+    /**
+    * @notice Same as `swapTokensForExactTokens`, approving the input token with an EIP-2612 signature.
+    * @dev Sign for `amountInMax`; only the quoted input is spent.
+    * @param amountOut Exact amount of output tokens to receive.
+    * @param amountInMax Maximum amount of input tokens the caller is willing to send.
+    * @param path Array of token addresses: [tokenIn, ...intermediate tokens, tokenOut].
+    * @param to Recipient of the output tokens.
+    * @param deadline Unix timestamp after which the transaction will revert.
+    * @param permit Signature allowing this contract to spend the input token.
+    * @return amounts Amounts of every hop: [amountIn, ...intermediate amounts, amountOut].
+    */
+    function swapTokensForExactTokensWithPermit(uint amountOut, uint amountInMax, address[] calldata path, address to, uint deadline,
+                                                PermitSignature calldata permit) 
+            external checkDeadline(deadline) checkTokensSelected(path) nonReentrant returns (uint[] memory amounts) 
+    {
+        _permit(path[0], permit);
+        return _swapTokensForExactTokens(amountOut, amountInMax, path, to);
+    }
+
+    /**
+    * @notice Quotes and executes an exact output swap.
+    * @param amountOut Exact amount of output tokens to receive.
+    * @param amountInMax Maximum amount of input tokens the caller is willing to send.
+    * @param path Array of token addresses: [tokenIn, ...intermediate tokens, tokenOut].
+    * @param to Recipient of the output tokens.
+    * @return amounts Amounts of every hop: [amountIn, ...intermediate amounts, amountOut].
+    */
+    function _swapTokensForExactTokens(uint amountOut, uint amountInMax, address[] calldata path, address to) 
+            internal returns (uint[] memory amounts) 
+    {
+        amounts = _getAmountsIn(amountOut, path);
+        require(amounts[0] <= amountInMax, "SSwap: Excessive input.");
+        _swap(amounts, path, to);
         
         return amounts;
     }
     /**
-     * @notice Synchronizes the internal reserve record for a given token with the actual on-chain balance.
-     * @dev This function sets the `reserveOf` mapping to match the token's real balance held by the contract.
-     *      It should be used if tokens are transferred directly to the contract outside of standard functions,
-     *      potentially causing internal reserves to become inconsistent.
-     * @param token The address of the ERC20 token to synchronize.
+     * @notice Lends tokens of the (tokenA, tokenB) pool for the duration of a callback.
+     * @dev The output is sent to `to` first, then `to.simpleSwapCall` runs and must pay the pool back, in
+     *      either token. The pool's constant product, with the swap fee charged on what is paid in, must not
+     *      decrease. Borrowing one token and repaying the other is a swap paid after delivery; repaying the same
+     *      token is a flash loan, costing `amountOut * swapFeeBps / (FEE_DENOMINATOR - swapFeeBps)` rounded up.
+     *      Payments are measured on the contract balances, so tokens sent before the call are not counted.
+     * @param tokenA Address of token A.
+     * @param tokenB Address of token B.
+     * @param amountAOut Amount of token A to lend.
+     * @param amountBOut Amount of token B to lend.
+     * @param to Receiver of the tokens, implementing `ISimpleSwapCallee`.
+     * @param data Data passed to the callback.
      */
-    function syncReserve(address token) external onlyOwner {
-        reserveOf[token] = IERC20(token).balanceOf(address(this));
+    function flashSwap(address tokenA, address tokenB, uint256 amountAOut, uint256 amountBOut, address to, bytes calldata data) 
+            external nonReentrant whenNotPaused 
+    {
+        require(getPair[tokenA][tokenB] != address(0), "SSwap: Pair not found.");
+        require(amountAOut > 0 || amountBOut > 0, "SSwap: Insufficient amount.");
+        {
+            (uint256 _reserveA, uint256 _reserveB) = _getReserves(tokenA, tokenB);
+            require(amountAOut < _reserveA && amountBOut < _reserveB, "SSwap: Not Enough Liquidity");
+        }
+
+        uint256 balanceA = IERC20(tokenA).balanceOf(address(this)) - amountAOut;
+        uint256 balanceB = IERC20(tokenB).balanceOf(address(this)) - amountBOut;
+        if (amountAOut > 0) _safeTransfer(tokenA, to, amountAOut);
+        if (amountBOut > 0) _safeTransfer(tokenB, to, amountBOut);
+        ISimpleSwapCallee(to).simpleSwapCall(msg.sender, tokenA, tokenB, amountAOut, amountBOut, data);
+
+        _settleFlashSwap(tokenA, tokenB, amountAOut, amountBOut, _amountReceived(tokenA, balanceA), _amountReceived(tokenB, balanceB));
+    }
+
+    /**
+     * @notice Returns how much of a token the contract holds above an expected balance.
+     * @param token The token to check.
+     * @param expected The balance without any payment.
+     * @return The amount received, zero if the balance is not above `expected`.
+     */
+    function _amountReceived(address token, uint256 expected) 
+            internal view returns (uint256) 
+    {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        return balance > expected ? balance - expected : 0;
+    }
+
+    /**
+     * @notice Checks the constant product after a flash swap and applies it to the pool's reserves.
+     * @dev Reserves are untouched during the callback, so they still hold the values before the flash swap.
+     * @param tokenA Address of token A.
+     * @param tokenB Address of token B.
+     * @param amountAOut Amount of token A lent.
+     * @param amountBOut Amount of token B lent.
+     * @param amountAIn Amount of token A paid back.
+     * @param amountBIn Amount of token B paid back.
+     */
+    function _settleFlashSwap(address tokenA, address tokenB, uint256 amountAOut, uint256 amountBOut, uint256 amountAIn, uint256 amountBIn) 
+            internal 
+    {
+        (uint256 _reserveA, uint256 _reserveB) = _getReserves(tokenA, tokenB);
+        uint256 adjustedA = (_reserveA + amountAIn - amountAOut) * FEE_DENOMINATOR - amountAIn * swapFeeBps;
+        uint256 adjustedB = (_reserveB + amountBIn - amountBOut) * FEE_DENOMINATOR - amountBIn * swapFeeBps;
+        require(adjustedA * adjustedB >= _reserveA * _reserveB * FEE_DENOMINATOR * FEE_DENOMINATOR, "SSwap: K.");
+
+        _updateOracle(tokenA, tokenB);
+        _increaseReserveAfterFee(tokenA, tokenB, amountAIn);
+        _decreaseReserve(tokenA, tokenB, amountAOut);
+        _increaseReserveAfterFee(tokenB, tokenA, amountBIn);
+        _decreaseReserve(tokenB, tokenA, amountBOut);
+
+        emit FlashSwap(msg.sender, tokenA, tokenB, amountAOut, amountBOut, amountAIn, amountBIn);
+    }
+
+    /**
+     * @notice Synchronizes the reserves of every pool of a pair's tokens with the actual on-chain balances.
+     * @dev All pools of a token share the contract's balance of it, so a gap between that balance (minus protocol
+     *      fees) and the sum of the reserves is shared by all of them in proportion to their reserves: syncing one
+     *      pool of a rebasing token also rebases its other pools. While no pool holds a token, its balance goes
+     *      to the (tokenA, tokenB) pool, but only if that pool has LP holders and both of its reserves end up
+     *      nonzero; otherwise the balance is left for `skim`, as a one-sided pool could never take liquidity again.
+     *      Anyone can call it, e.g. after a rebasing token's supply changes or tokens are transferred directly
+     *      to the contract.
+     *      Not available during a flash swap, while part of the balances is lent out.
+     * @param tokenA The address of token A of the pool.
+     * @param tokenB The address of token B of the pool.
+     */
+    function sync(address tokenA, address tokenB) external nonReentrant {
+        address pair = getPair[tokenA][tokenB];
+        require(pair != address(0), "SSwap: Pair not found.");
+        _updateOracle(tokenA, tokenB);
+        uint256 unheldA = _syncReserves(tokenA);
+        uint256 unheldB = _syncReserves(tokenB);
+
+        if (unheldA == 0 && unheldB == 0) return;
+        if (reserveOf[tokenA][tokenB] + unheldA == 0 || reserveOf[tokenB][tokenA] + unheldB == 0) return;
+        if (SimpleSwapLP(pair).totalSupply() == 0) return;
+        _increaseReserve(tokenA, tokenB, unheldA);
+        _increaseReserve(tokenB, tokenA, unheldB);
+    }
+
+    /**
+     * @notice Scales the reserves of `token` in all its pools so that they add up to the contract balance.
+     * @dev Protocol fees are left untouched, and rounding dust stays out of the reserves, for `skim`.
+     * @param token The token whose reserves are synchronized.
+     * @return unheld The balance available while no pool holds `token`, left for the caller to credit.
+     */
+    function _syncReserves(address token) internal returns (uint256 unheld) {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 available = balance > protocolFees[token] ? balance - protocolFees[token] : 0;
+        uint256 total = totalReserveOf[token];
+        if (available == total) return 0;
+        if (total == 0) return available;
+
+        address[] storage paired = pairedTokens[token];
+        uint256 newTotal;
+        for (uint256 i = 0; i < paired.length; i++) {
+            uint256 reserve = reserveOf[token][paired[i]];
+            if (reserve == 0) continue;
+            _updateOracle(token, paired[i]);
+            reserve = reserve * available / total;
+            reserveOf[token][paired[i]] = reserve;
+            newTotal += reserve;
+        }
+        totalReserveOf[token] = newTotal;
+        return 0;
+    }
+
+    /**
+     * @notice Sends the balances of a pair's tokens that no pool or protocol fee accounts for.
+     * @dev The alternative to `sync`: donations and positive rebases go to `to` instead of the pool.
+     * @param tokenA The address of token A of the pool.
+     * @param tokenB The address of token B of the pool.
+     * @param to Recipient of the excess tokens.
+     */
+    function skim(address tokenA, address tokenB, address to) external nonReentrant {
+        _skim(tokenA, to);
+        _skim(tokenB, to);
+    }
+
+    /**
+     * @notice Sends the balance of a token above its reserves and protocol fees.
+     * @param token The token to skim.
+     * @param to Recipient of the excess tokens.
+     */
+    function _skim(address token, address to) internal {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 reserved = totalReserveOf[token] + protocolFees[token];
+        if (balance > reserved) {
+            _safeTransfer(token, to, balance - reserved);
+        }
+    }
+
+    /**
+    * @notice Stops swaps, flash swaps and deposits, e.g. while an exploit is investigated.
+    * @dev Removing liquidity, `sync` and `skim` stay open, so liquidity providers can always withdraw.
+    */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+    * @notice Resumes swaps, flash swaps and deposits.
+    */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /**
+    * @notice Sets the fee charged on swaps.
+    * @param newFeeBps The new fee in basis points, at most `MAX_SWAP_FEE`.
+    */
+    function setSwapFee(uint256 newFeeBps) external onlyOwner {
+        require(newFeeBps <= MAX_SWAP_FEE, "SSwap: Fee too high.");
+        emit SwapFeeUpdated(swapFeeBps, newFeeBps);
+        swapFeeBps = newFeeBps;
+    }
+
+    /**
+    * @notice Sets the share of the swap fee kept for the protocol.
+    * @dev Applies to swaps made after the change; fees already accrued are not affected.
+    * @param newFeeBps The new share in basis points of the swap fee, at most `MAX_PROTOCOL_FEE`. 0 turns it off.
+    */
+    function setProtocolFee(uint256 newFeeBps) external onlyOwner {
+        require(newFeeBps <= MAX_PROTOCOL_FEE, "SSwap: Fee too high.");
+        emit ProtocolFeeUpdated(protocolFeeBps, newFeeBps);
+        protocolFeeBps = newFeeBps;
+    }
+
+    /**
+    * @notice Sends the protocol fees accrued in a token.
+    * @param token The token to collect.
+    * @param to The recipient of the fees.
+    * @return amount The amount collected.
+    */
+    function collectProtocolFees(address token, address to) external onlyOwner nonReentrant returns (uint256 amount) {
+        amount = protocolFees[token];
+        require(amount > 0, "SSwap: Insufficient amount.");
+        protocolFees[token] = 0;
+        _safeTransfer(token, to, amount);
+        emit ProtocolFeesCollected(token, to, amount);
+    }
+
+    /**
+    * @notice Returns the reserves of the (tokenA, tokenB) pool.
+    * @param tokenA Address of token A.
+    * @param tokenB Address of token B.
+    * @return reserveA Reserve of token A in the pool.
+    * @return reserveB Reserve of token B in the pool.
+    */
+    function getReserves(address tokenA, address tokenB) 
+            external view returns (uint256 reserveA, uint256 reserveB) 
+    {
+        return _getReserves(tokenA, tokenB);
+    }
+
+    /**
+    * @notice Returns the number of pairs created so far.
+    * @return The length of `allPairs`.
+    */
+    function allPairsLength() external view returns (uint256) {
+        return allPairs.length;
+    }
+
+    /**
+    * @notice Returns the LP tokens of every pair created so far.
+    * @dev Each LP token exposes `token0` and `token1` to identify its pair.
+    * @return The `allPairs` array.
+    */
+    function getAllPairs() external view returns (address[] memory) {
+        return allPairs;
     }
 
     /**
     * @notice Calculates output token amount based on input amount and reserves.
-    * @dev Pure function, does not interact with state.
+    * @dev Constant product pricing with the current swap fee applied.
     * @param amountIn Amount of input tokens.
     * @param reserveIn Reserve of input token.
     * @param reserveOut Reserve of output token.
     * @return amountOut Expected amount of output tokens.
     */
     function getAmountOut(uint amountIn, uint reserveIn, uint reserveOut) 
-            external pure returns (uint amountOut) 
+            external view returns (uint amountOut) 
     {
-        amountOut = _getOptimalAmountOut(amountIn, reserveIn, reserveOut);
+        amountOut = _getAmountOut(amountIn, reserveIn, reserveOut);
 
         return amountOut;
     }
 
+    /**
+    * @notice Returns the output of every hop for an exact input along a path.
+    * @param amountIn Input amount of the first token.
+    * @param path Array of token addresses: [tokenIn, ...intermediate tokens, tokenOut].
+    * @return amounts Amounts of every hop: [amountIn, ...intermediate amounts, amountOut].
+    */
+    function getAmountsOut(uint amountIn, address[] calldata path) 
+            external view returns (uint[] memory amounts) 
+    {
+        return _getAmountsOut(amountIn, path);
+    }
+
+    /**
+    * @notice Returns the input amount needed to receive an exact output along a path.
+    * @param amountOut Output amount wanted.
+    * @param path Array of token addresses: [tokenIn, ...intermediate tokens, tokenOut].
+    * @return amounts Amounts of every hop: [amountIn, ...intermediate amounts, amountOut].
+    */
+    function getAmountsIn(uint amountOut, address[] calldata path) 
+            external view returns (uint[] memory amounts) 
+    {
+        return _getAmountsIn(amountOut, path);
+    }
+
+    /**
+    * @notice Returns what depositing up to `amountADesired` and `amountBDesired` into the (tokenA, tokenB) pool would do now.
+    * @dev Same math as `addLiquidity` without minimums: the side in excess of the pool ratio is reduced.
+    *      Use it to fill in the matching amount and preview the LP tokens minted.
+    * @param tokenA Address of token A.
+    * @param tokenB Address of token B.
+    * @param amountADesired Amount of token A offered.
+    * @param amountBDesired Amount of token B offered.
+    * @return amountA Amount of token A that would be deposited.
+    * @return amountB Amount of token B that would be deposited.
+    * @return liquidity Amount of liquidity tokens that would be minted.
+    */
+    function quoteAddLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired) 
+            external view returns (uint256 amountA, uint256 amountB, uint256 liquidity) 
+    {
+        return _quoteAddLiquidity(tokenA, tokenB, amountADesired, amountBDesired, 0, 0);
+    }
+
+    /**
+    * @notice Returns the tokens that burning `liquidity` of the (tokenA, tokenB) pool would return now.
+    * @dev Same math as `removeLiquidity`; use it to preview removals and derive `amountAMin` / `amountBMin`.
+    * @param tokenA Address of token A.
+    * @param tokenB Address of token B.
+    * @param liquidity Amount of liquidity tokens to burn.
+    * @return amountA Amount of token A returned.
+    * @return amountB Amount of token B returned.
+    */
+    function quoteRemoveLiquidity(address tokenA, address tokenB, uint256 liquidity) 
+            external view returns (uint256 amountA, uint256 amountB) 
+    {
+        return _quoteRemoveLiquidity(tokenA, tokenB, liquidity);
+    }
+
     /**
     * @notice Returns the current price of tokenB in terms of tokenA.
     * @dev Uses 18 decimals for fixed-point precision.
@@ -0,0 +1,304 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {IWETH} from "./IWETH.sol";
+import {SimpleSwap} from "./SimpleSwap.sol";
+
+/**
+ * @author Carlos Bermudez
+ * @title SimpleSwapETHRouter
+ * @dev Pools hold WETH like any other ERC20; ETH only exists at the edges of a trade. The router wraps the ETH
+ *      sent, pulls the caller's tokens (approved to the router), calls SimpleSwap with itself as the trader and
+ *      unwraps the WETH received. It holds nothing between transactions: unused ETH and tokens are refunded.
+ *      Deadlines, minimum amounts and pool math are SimpleSwap's, so are its revert messages.
+ *      SimpleSwap events of these trades name the router as trader or provider, so the router emits events of
+ *      the same signatures naming the caller, once per call: `TokenSwapped` for the whole path and
+ *      `LiquidityAdded` / `LiquidityRemoved` for the (token, WETH) pool.
+ *
+ * @notice Native ETH entry points for SimpleSwap.
+ */
+contract SimpleSwapETHRouter {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @notice The SimpleSwap contract trades are sent to.
+     */
+    SimpleSwap public immutable simpleSwap;
+
+    /**
+     * @notice The Wrapped Ether contract standing for ETH in SimpleSwap pools.
+     */
+    IWETH public immutable weth;
+
+    /**
+    * @notice Emitted for every swap through the router, over its whole path.
+    * @dev Same signature as `SimpleSwap.TokenSwapped`, whose events for this trade name the router.
+    * @param trader The caller.
+    * @param tokenIn The first token of the path (WETH for ETH).
+    * @param tokenOut The last token of the path (WETH for ETH).
+    * @param amountIn Amount the caller paid, in ETH or tokens.
+    * @param amountOut Amount the recipient received, in ETH or tokens.
+    */
+    event TokenSwapped(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
+
+    /**
+    * @notice Emitted when liquidity is added through the router.
+    * @dev Same signature as `SimpleSwap.LiquidityAdded`, whose event for this deposit names the router.
+    * @param provider The caller.
+    * @param tokenA The token of the pool.
+    * @param tokenB WETH.
+    * @param amountA Amount of `tokenA` added.
+    * @param amountB Amount of ETH added.
+    * @param liquidity Amount of LP tokens minted.
+    */
+    event LiquidityAdded(address indexed provider, address indexed tokenA, address indexed tokenB, uint256 amountA, uint256 amountB, uint256 liquidity);
+
+    /**
+    * @notice Emitted when liquidity is removed through the router.
+    * @dev Same signature as `SimpleSwap.LiquidityRemoved`, whose event for this withdrawal names the router.
+    * @param provider The caller.
+    * @param tokenA The token of the pool.
+    * @param tokenB WETH.
+    * @param amountA Amount of `tokenA` withdrawn.
+    * @param amountB Amount of ETH withdrawn.
+    * @param liquidity Amount of LP tokens burned.
+    */
+    event LiquidityRemoved(address indexed provider, address indexed tokenA, address indexed tokenB, uint256 amountA, uint256 amountB, uint256 liquidity);
+
+    /**
+     * @notice Checks that a path starts (or ends) with WETH.
+     * @param path Array of token addresses: [tokenIn, ...intermediate tokens, tokenOut].
+     * @param last Whether WETH must be the last token instead of the first.
+     */
+    modifier checkWETHPath(address[] calldata path, bool last) {
+        require(path.length >= 2 && path[last ? path.length - 1 : 0] == address(weth), "SSwapRouter: Invalid path.");
+        _;
+    }
+
+    /**
+     * @notice Sets the SimpleSwap and WETH contracts.
+     * @param _simpleSwap The SimpleSwap contract.
+     * @param _weth The Wrapped Ether contract.
+     */
+    constructor(SimpleSwap _simpleSwap, IWETH _weth) {
+        simpleSwap = _simpleSwap;
+        weth = _weth;
+    }
+
+    /**
+     * @notice Accepts the ETH of unwrapped WETH.
+     * @dev ETH sent by anyone else would be stuck, so it is refused.
+     */
+    receive() external payable {
+        require(msg.sender == address(weth), "SSwapRouter: Only WETH.");
+    }
+
+    /**
+     * @notice Wraps ETH and lets SimpleSwap spend it.
+     * @param amount Amount of ETH to wrap.
+     */
+    function _wrap(uint256 amount) internal {
+        weth.deposit{value: amount}();
+        IERC20(address(weth)).forceApprove(address(simpleSwap), amount);
+    }
+
+    /**
+     * @notice Unwraps WETH held by the router and sends the ETH.
+     * @param to Recipient of the ETH.
+     * @param amount Amount to unwrap.
+     */
+    function _unwrapTo(address to, uint256 amount) internal {
+        if (amount == 0) return;
+        weth.withdraw(amount);
+        (bool success, ) = to.call{value: amount}("");
+        require(success, "SSwapRouter: ETH transfer failed.");
+    }
+
+    /**
+     * @notice Takes tokens from the caller and lets SimpleSwap spend what arrived.
+     * @param token The token to take.
+     * @param amount Amount to take.
+     * @return received Amount received, lower than `amount` for tokens taking a fee on transfer.
+     */
+    function _pull(address token, uint256 amount) internal returns (uint256 received) {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        received = IERC20(token).balanceOf(address(this)) - balance;
+        IERC20(token).forceApprove(address(simpleSwap), received);
+    }
+
+    /**
+    * @notice Swaps all the ETH sent for as many tokens as possible.
+    * @param amountOutMin Minimum amount of output tokens expected.
+    * @param path Array of token addresses, starting with WETH.
+    * @param to Recipient of the output tokens.
+    * @param deadline Unix timestamp after which the transaction will revert.
+    * @return amounts Amounts of every hop: [amountIn, ...intermediate amounts, amountOut].
+    */
+    function swapExactETHForTokens(uint256 amountOutMin, address[] calldata path, address to, uint256 deadline)
+            external payable checkWETHPath(path, false) returns (uint256[] memory amounts)
+    {
+        _wrap(msg.value);
+        amounts = simpleSwap.swapExactTokensForTokens(msg.value, amountOutMin, path, to, deadline);
+        emit TokenSwapped(msg.sender, path[0], path[path.length - 1], amounts[0], amounts[amounts.length - 1]);
+    }
+
+    /**
+    * @notice Swaps as little of the ETH sent as needed for an exact amount of tokens, and refunds the rest.
+    * @param amountOut Exact amount of output tokens to receive.
+    * @param path Array of token addresses, starting with WETH.
+    * @param to Recipient of the output tokens.
+    * @param deadline Unix timestamp after which the transaction will revert.
+    * @return amounts Amounts of every hop: [amountIn, ...intermediate amounts, amountOut].
+    */
+    function swapETHForExactTokens(uint256 amountOut, address[] calldata path, address to, uint256 deadline)
+            external payable checkWETHPath(path, false) returns (uint256[] memory amounts)
+    {
+        _wrap(msg.value);
+        amounts = simpleSwap.swapTokensForExactTokens(amountOut, msg.value, path, to, deadline);
+        _unwrapTo(msg.sender, msg.value - amounts[0]);
+        emit TokenSwapped(msg.sender, path[0], path[path.length - 1], amounts[0], amountOut);
+    }
+
+    /**
+    * @notice Swaps an exact amount of tokens for as much ETH as possible.
+    * @param amountIn Exact amount of input tokens to send.
+    * @param amountOutMin Minimum amount of ETH expected.
+    * @param path Array of token addresses, ending with WETH.
+    * @param to Recipient of the ETH.
+    * @param deadline Unix timestamp after which the transaction will revert.
+    * @return amounts Amounts of every hop: [amountIn, ...intermediate amounts, amountOut].
+    */
+    function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] calldata path, address to, uint256 deadline)
+            external checkWETHPath(path, true) returns (uint256[] memory amounts)
+    {
+        _pull(path[0], amountIn);
+        amounts = simpleSwap.swapExactTokensForTokens(amountIn, amountOutMin, path, address(this), deadline);
+        _unwrapTo(to, amounts[amounts.length - 1]);
+        emit TokenSwapped(msg.sender, path[0], path[path.length - 1], amountIn, amounts[amounts.length - 1]);
+    }
+
+    /**
+    * @notice Same as `swapExactETHForTokens`, for output tokens taking a fee on transfer.
+    * @dev `amountOutMin` is checked on the balance increase of `to`.
+    * @param amountOutMin Minimum amount of output tokens `to` must receive.
+    * @param path Array of token addresses, starting with WETH.
+    * @param to Recipient of the output tokens.
+    * @param deadline Unix timestamp after which the transaction will revert.
+    */
+    function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] calldata path, address to,
+                                                               uint256 deadline)
+            external payable checkWETHPath(path, false)
+    {
+        _wrap(msg.value);
+        IERC20 tokenOut = IERC20(path[path.length - 1]);
+        uint256 balance = tokenOut.balanceOf(to);
+        simpleSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(msg.value, amountOutMin, path, to, deadline);
+        emit TokenSwapped(msg.sender, path[0], address(tokenOut), msg.value, tokenOut.balanceOf(to) - balance);
+    }
+
+    /**
+    * @notice Same as `swapExactTokensForETH`, for input tokens taking a fee on transfer.
+    * @dev Swaps what reaches SimpleSwap after both transfers (caller to router, router to SimpleSwap).
+    * @param amountIn Amount of input tokens to send, fee included.
+    * @param amountOutMin Minimum amount of ETH expected.
+    * @param path Array of token addresses, ending with WETH.
+    * @param to Recipient of the ETH.
+    * @param deadline Unix timestamp after which the transaction will revert.
+    */
+    function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] calldata path,
+                                                               address to, uint256 deadline)
+            external checkWETHPath(path, true)
+    {
+        simpleSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+            _pull(path[0], amountIn), amountOutMin, path, address(this), deadline
+        );
+        uint256 amountOut = IERC20(address(weth)).balanceOf(address(this));
+        _unwrapTo(to, amountOut);
+        emit TokenSwapped(msg.sender, path[0], address(weth), amountIn, amountOut);
+    }
+
+    /**
+    * @notice Swaps as few tokens as needed for an exact amount of ETH.
+    * @dev Only the quoted input is taken from the caller.
+    * @param amountOut Exact amount of ETH to receive.
+    * @param amountInMax Maximum amount of input tokens the caller is willing to send.
+    * @param path Array of token addresses, ending with WETH.
+    * @param to Recipient of the ETH.
+    * @param deadline Unix timestamp after which the transaction will revert.
+    * @return amounts Amounts of every hop: [amountIn, ...intermediate amounts, amountOut].
+    */
+    function swapTokensForExactETH(uint256 amountOut, uint256 amountInMax, address[] calldata path, address to, uint256 deadline)
+            external checkWETHPath(path, true) returns (uint256[] memory amounts)
+    {
+        uint256 amountIn = simpleSwap.getAmountsIn(amountOut, path)[0];
+        require(amountIn <= amountInMax, "SSwap: Excessive input.");
+        _pull(path[0], amountIn);
+        amounts = simpleSwap.swapTokensForExactTokens(amountOut, amountIn, path, address(this), deadline);
+        _unwrapTo(to, amountOut);
+        emit TokenSwapped(msg.sender, path[0], address(weth), amountIn, amountOut);
+    }
+
+    /**
+    * @notice Adds liquidity to the (token, WETH) pool with the ETH sent.
+    * @dev The ETH sent is the desired WETH amount. What the pool ratio leaves unused is refunded.
+    *      For tokens taking a fee on transfer, the desired amount is what reaches the router.
+    * @param token Address of the other token of the pool.
+    * @param amountTokenDesired Amount of `token` to add.
+    * @param amountTokenMin Minimum amount of `token` to add.
+    * @param amountETHMin Minimum amount of ETH to add.
+    * @param to Recipient of the LP tokens.
+    * @param deadline Unix timestamp after which the transaction will revert.
+    * @return amountToken Amount of `token` added.
+    * @return amountETH Amount of ETH added.
+    * @return liquidity Amount of LP tokens minted.
+    */
+    function addLiquidityETH(address token, uint256 amountTokenDesired, uint256 amountTokenMin, uint256 amountETHMin,
+                             address to, uint256 deadline)
+            external payable returns (uint256 amountToken, uint256 amountETH, uint256 liquidity)
+    {
+        uint256 received = _pull(token, amountTokenDesired);
+        _wrap(msg.value);
+        (amountToken, amountETH, liquidity) = simpleSwap.addLiquidity(
+            token, address(weth), received, msg.value, amountTokenMin, amountETHMin, to, deadline
+        );
+
+        uint256 unused = IERC20(token).balanceOf(address(this));
+        if (unused > 0) {
+            IERC20(token).safeTransfer(msg.sender, unused);
+        }
+        _unwrapTo(msg.sender, msg.value - amountETH);
+        emit LiquidityAdded(msg.sender, token, address(weth), amountToken, amountETH, liquidity);
+    }
+
+    /**
+    * @notice Burns LP tokens of the (token, WETH) pool for `token` and ETH.
+    * @dev The caller approves the pool's LP token to the router. The router forwards the tokens it received,
+    *      less than `amountToken` for tokens taking a fee on transfer.
+    * @param token Address of the other token of the pool.
+    * @param liquidity Amount of LP tokens to burn.
+    * @param amountTokenMin Minimum amount of `token` to receive.
+    * @param amountETHMin Minimum amount of ETH to receive.
+    * @param to Recipient of the tokens and ETH.
+    * @param deadline Unix timestamp after which the transaction will revert.
+    * @return amountToken Amount of `token` received.
+    * @return amountETH Amount of ETH received.
+    */
+    function removeLiquidityETH(address token, uint256 liquidity, uint256 amountTokenMin, uint256 amountETHMin,
+                                address to, uint256 deadline)
+            external returns (uint256 amountToken, uint256 amountETH)
+    {
+        address pair = simpleSwap.getPair(token, address(weth));
+        require(pair != address(0), "SSwap: Pair not found.");
+        _pull(pair, liquidity);
+        (amountToken, amountETH) = simpleSwap.removeLiquidity(
+            token, address(weth), liquidity, amountTokenMin, amountETHMin, address(this), deadline
+        );
+
+        IERC20(token).safeTransfer(to, IERC20(token).balanceOf(address(this)));
+        _unwrapTo(to, amountETH);
+        emit LiquidityRemoved(msg.sender, token, address(weth), amountToken, amountETH, liquidity);
+    }
+}
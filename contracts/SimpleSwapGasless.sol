@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {SignatureChecker} from "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import {Nonces} from "@openzeppelin/contracts/utils/Nonces.sol";
+import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {SimpleSwap} from "./SimpleSwap.sol";
+
+/**
+ * @author Carlos Bermudez
+ * @title SimpleSwapGasless
+ * @dev Traders sign an EIP-712 `SwapOrder` off-chain; anyone (a relayer) submits it and pays the gas. The input is
+ *      taken from the trader, who approves this contract once or signs an EIP-2612 permit sent with the order,
+ *      and swapped with `swapExactTokensForTokens` on SimpleSwap, the output going straight to the trader.
+ *      Every order carries the trader's next nonce (`nonces(trader)`), so orders execute once and in order;
+ *      `cancelNextOrder` burns a nonce to cancel a signed order. The EIP-712 domain binds signatures to this
+ *      contract and chain.
+ *      Tokens taking a fee on transfer are not supported. SimpleSwap events of these trades name this contract
+ *      as trader; `SwapOrderExecuted` names the trader and the relayer.
+ *
+ * @notice Gasless swaps on SimpleSwap through signed orders.
+ */
+contract SimpleSwapGasless is EIP712, Nonces, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @notice A swap of an exact input signed by its trader.
+     * @param trader Owner of the input tokens and recipient of the output.
+     * @param path Array of token addresses: [tokenIn, ...intermediate tokens, tokenOut].
+     * @param amountIn Exact amount of input tokens to swap.
+     * @param minOut Minimum amount of output tokens.
+     * @param deadline Unix timestamp after which the order can no longer be executed.
+     * @param nonce The trader's nonce at signing time.
+     */
+    struct SwapOrder {
+        address trader;
+        address[] path;
+        uint256 amountIn;
+        uint256 minOut;
+        uint256 deadline;
+        uint256 nonce;
+    }
+
+    /**
+     * @notice EIP-712 type hash of `SwapOrder`.
+     */
+    bytes32 public constant SWAP_ORDER_TYPEHASH =
+        keccak256("SwapOrder(address trader,address[] path,uint256 amountIn,uint256 minOut,uint256 deadline,uint256 nonce)");
+
+    /**
+     * @notice The SimpleSwap contract orders are executed on.
+     */
+    SimpleSwap public immutable simpleSwap;
+
+    /**
+     * @notice Emitted when a signed order is executed.
+     * @param trader The signer of the order.
+     * @param relayer The account that submitted it.
+     * @param nonce The nonce of the order.
+     * @param amountIn Amount of input tokens swapped.
+     * @param amountOut Amount of output tokens sent to the trader.
+     */
+    event SwapOrderExecuted(address indexed trader, address indexed relayer, uint256 indexed nonce, uint256 amountIn, uint256 amountOut);
+
+    /**
+     * @notice Emitted when a trader cancels the order signed with a nonce.
+     * @param trader The trader.
+     * @param nonce The nonce burned.
+     */
+    event SwapOrderCancelled(address indexed trader, uint256 indexed nonce);
+
+    /**
+     * @notice Sets the SimpleSwap contract.
+     * @param _simpleSwap The SimpleSwap contract.
+     */
+    constructor(SimpleSwap _simpleSwap) EIP712("SimpleSwap Gasless", "1") {
+        simpleSwap = _simpleSwap;
+    }
+
+    /**
+     * @notice Returns the EIP-712 digest a trader signs for an order.
+     * @param order The order.
+     * @return The typed data hash of the order.
+     */
+    function hashSwapOrder(SwapOrder calldata order) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            SWAP_ORDER_TYPEHASH,
+            order.trader,
+            keccak256(abi.encodePacked(order.path)),
+            order.amountIn,
+            order.minOut,
+            order.deadline,
+            order.nonce
+        )));
+    }
+
+    /**
+     * @notice Executes a signed order, the caller paying the gas.
+     * @dev The signature may be an ECDSA signature of the trader or, for contract wallets, valid under ERC-1271.
+     *      The nonce must be the trader's current one. Pass an empty permit (zero deadline) when the trader has
+     *      approved this contract; a permit that fails (e.g. already used) is ignored, like in SimpleSwap.
+     * @param order The order.
+     * @param signature The trader's signature of `hashSwapOrder(order)`.
+     * @param permit EIP-2612 signature of the trader letting this contract spend the input token.
+     * @return amounts Amounts of every hop: [amountIn, ...intermediate amounts, amountOut].
+     */
+    function executeSwapOrder(SwapOrder calldata order, bytes calldata signature, SimpleSwap.PermitSignature calldata permit)
+            external nonReentrant returns (uint256[] memory amounts)
+    {
+        require(order.deadline > block.timestamp, "SSwap: Deadline reached.");
+        require(SignatureChecker.isValidSignatureNow(order.trader, hashSwapOrder(order), signature), "SSwap: Invalid signature.");
+        _useCheckedNonce(order.trader, order.nonce);
+
+        IERC20 tokenIn = IERC20(order.path[0]);
+        if (permit.deadline != 0) {
+            try IERC20Permit(address(tokenIn)).permit(order.trader, address(this), permit.value, permit.deadline, permit.v, permit.r, permit.s) {
+            } catch {
+            }
+        }
+        tokenIn.safeTransferFrom(order.trader, address(this), order.amountIn);
+        tokenIn.forceApprove(address(simpleSwap), order.amountIn);
+        amounts = simpleSwap.swapExactTokensForTokens(order.amountIn, order.minOut, order.path, order.trader, order.deadline);
+
+        emit SwapOrderExecuted(order.trader, msg.sender, order.nonce, order.amountIn, amounts[amounts.length - 1]);
+    }
+
+    /**
+     * @notice Cancels the caller's order signed with their current nonce, and any other order using it.
+     * @dev Orders signed with later nonces must be signed again with the new ones.
+     * @return nonce The nonce cancelled.
+     */
+    function cancelNextOrder() external returns (uint256 nonce) {
+        nonce = _useNonce(msg.sender);
+        emit SwapOrderCancelled(msg.sender, nonce);
+    }
+}
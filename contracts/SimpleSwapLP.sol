@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+// Compatible with OpenZeppelin Contracts ^5.0.0
+pragma solidity ^0.8.27;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {ERC20Burnable} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @author Carlos Bermudez
+ * @title SimpleSwapLP
+ * @dev Liquidity pool token for a single SimpleSwap pair. One instance is deployed by `SimpleSwap`
+ *      for every token pair, so each pool keeps its own LP supply.
+ *      The deploying `SimpleSwap` contract is the owner and the only account allowed to mint.
+ *      Burning goes through `ERC20Burnable`, so `SimpleSwap` needs an allowance to burn on removal.
+ *      `ERC20Permit` lets that allowance be given with an EIP-2612 signature (`removeLiquidityWithPermit`).
+ *
+ * @notice LP share token ("SSWP") of a SimpleSwap pool.
+ */
+contract SimpleSwapLP is ERC20, ERC20Burnable, ERC20Permit, Ownable {
+
+    /**
+     * @notice First token of the pair (the lower address).
+     */
+    address public immutable token0;
+
+    /**
+     * @notice Second token of the pair (the higher address).
+     */
+    address public immutable token1;
+
+    /**
+    * @notice Initializes the LP token for the pair (token0, token1).
+    * @dev The deployer (the `SimpleSwap` contract) becomes the owner.
+    * @param _token0 The lower token address of the pair.
+    * @param _token1 The higher token address of the pair.
+    */
+    constructor(address _token0, address _token1)
+        ERC20("Simple Swap", "SSWP")
+        ERC20Permit("Simple Swap")
+        Ownable(msg.sender)
+    {
+        token0 = _token0;
+        token1 = _token1;
+    }
+
+    /**
+    * @notice Mints LP tokens for a liquidity provider.
+    * @dev Only callable by the owning `SimpleSwap` contract.
+    * @param to Address receiving the LP tokens.
+    * @param amount Amount of LP tokens to mint.
+    */
+    function mint(address to, uint256 amount) external onlyOwner {
+        _mint(to, amount);
+    }
+}
@@ -0,0 +1,214 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {SimpleSwap} from "./SimpleSwap.sol";
+
+/**
+ * @author Carlos Bermudez
+ * @title SimpleSwapLimitOrders
+ * @dev A maker escrows `amountIn` of tokenIn plus a keeper tip, with a target price: the least tokenOut per tokenIn
+ *      accepted, scaled by 1e18 in raw units like `SimpleSwap.getPrice(tokenIn, tokenOut)`. Once the swap of the
+ *      escrow gives at least `amountIn * targetPrice / 1e18`, any keeper can fill the order: the escrow is swapped
+ *      on the tokenIn/tokenOut pool with that minimum output, the output goes to the maker and the tip to the
+ *      keeper. The minimum output is the only price check, so the order executes at the target price or better,
+ *      fee and price impact included; `isFillable` tells when.
+ *      Makers cancel their orders at any time; once expired, anyone can cancel an order, returning the escrow
+ *      to its maker. Tokens taking a fee on transfer are refused.
+ *      SimpleSwap events of the fills name this contract as trader; `OrderFilled` names the maker and the keeper.
+ *
+ * @notice On-chain limit orders on SimpleSwap pools, filled by keepers.
+ */
+contract SimpleSwapLimitOrders is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @notice Life cycle of an order.
+     */
+    enum OrderStatus { None, Open, Filled, Cancelled }
+
+    /**
+     * @notice A limit order and its escrow.
+     * @param maker Owner of the escrow and recipient of the output.
+     * @param tokenIn Token sold.
+     * @param tokenOut Token bought.
+     * @param amountIn Amount of tokenIn sold.
+     * @param targetPrice Least tokenOut per tokenIn accepted (scaled by 1e18).
+     * @param tip Amount of tokenIn paid to the keeper filling the order.
+     * @param deadline Unix timestamp after which the order can no longer be filled.
+     * @param status Status of the order.
+     */
+    struct Order {
+        address maker;
+        address tokenIn;
+        address tokenOut;
+        uint256 amountIn;
+        uint256 targetPrice;
+        uint256 tip;
+        uint256 deadline;
+        OrderStatus status;
+    }
+
+    /**
+     * @notice The SimpleSwap contract orders are filled on.
+     */
+    SimpleSwap public immutable simpleSwap;
+
+    /**
+     * @notice Orders by id.
+     */
+    mapping(uint256 => Order) public orders;
+
+    /**
+     * @notice Number of orders placed, and id of the next one.
+     */
+    uint256 public orderCount;
+
+    /**
+     * @notice Emitted when an order is placed.
+     * @param orderId Id of the order.
+     * @param maker The maker.
+     * @param tokenIn Token sold.
+     * @param tokenOut Token bought.
+     * @param amountIn Amount of tokenIn sold.
+     * @param targetPrice Least tokenOut per tokenIn accepted (scaled by 1e18).
+     * @param tip Keeper tip, in tokenIn.
+     * @param deadline Expiry of the order.
+     */
+    event OrderPlaced(uint256 indexed orderId, address indexed maker, address indexed tokenIn, address tokenOut,
+                      uint256 amountIn, uint256 targetPrice, uint256 tip, uint256 deadline);
+
+    /**
+     * @notice Emitted when an order is filled.
+     * @param orderId Id of the order.
+     * @param maker The maker, who received the output.
+     * @param keeper The account that filled the order and received the tip.
+     * @param amountOut Amount of tokenOut sent to the maker.
+     */
+    event OrderFilled(uint256 indexed orderId, address indexed maker, address indexed keeper, uint256 amountOut);
+
+    /**
+     * @notice Emitted when an order is cancelled and its escrow returned.
+     * @param orderId Id of the order.
+     * @param maker The maker.
+     * @param caller The maker, or anyone once the order expired.
+     */
+    event OrderCancelled(uint256 indexed orderId, address indexed maker, address indexed caller);
+
+    /**
+     * @notice Sets the SimpleSwap contract.
+     * @param _simpleSwap The SimpleSwap contract.
+     */
+    constructor(SimpleSwap _simpleSwap) {
+        simpleSwap = _simpleSwap;
+    }
+
+    /**
+     * @notice Escrows tokenIn and places a limit order.
+     * @dev Takes `amountIn + tip` of tokenIn from the caller, who must have approved this contract.
+     *      The tokenIn/tokenOut pool must exist.
+     * @param tokenIn Token sold.
+     * @param tokenOut Token bought.
+     * @param amountIn Amount of tokenIn sold.
+     * @param targetPrice Least tokenOut per tokenIn accepted (scaled by 1e18, raw units).
+     * @param tip Amount of tokenIn paid to the keeper filling the order.
+     * @param deadline Unix timestamp after which the order can no longer be filled.
+     * @return orderId Id of the order.
+     */
+    function placeOrder(address tokenIn, address tokenOut, uint256 amountIn, uint256 targetPrice, uint256 tip, uint256 deadline)
+            external nonReentrant returns (uint256 orderId)
+    {
+        require(amountIn > 0 && targetPrice > 0, "SSwapOrders: Invalid amount.");
+        require(deadline > block.timestamp, "SSwapOrders: Deadline reached.");
+        require(simpleSwap.getPair(tokenIn, tokenOut) != address(0), "SSwapOrders: Pair not found.");
+
+        uint256 balanceBefore = IERC20(tokenIn).balanceOf(address(this));
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn + tip);
+        require(IERC20(tokenIn).balanceOf(address(this)) - balanceBefore == amountIn + tip, "SSwapOrders: Fee on transfer.");
+
+        orderId = orderCount++;
+        orders[orderId] = Order(msg.sender, tokenIn, tokenOut, amountIn, targetPrice, tip, deadline, OrderStatus.Open);
+        emit OrderPlaced(orderId, msg.sender, tokenIn, tokenOut, amountIn, targetPrice, tip, deadline);
+    }
+
+    /**
+     * @notice Returns the least output a fill sends to the maker.
+     * @param orderId Id of the order.
+     * @return Amount of tokenOut at the target price.
+     */
+    function minAmountOut(uint256 orderId) public view returns (uint256) {
+        Order storage order = orders[orderId];
+        return order.amountIn * order.targetPrice / 1e18;
+    }
+
+    /**
+     * @notice Tells whether `fillOrder` would succeed now.
+     * @dev Open, not expired, and the swap output at least `minAmountOut`.
+     * @param orderId Id of the order.
+     * @return Whether the order can be filled.
+     */
+    function isFillable(uint256 orderId) external view returns (bool) {
+        Order storage order = orders[orderId];
+        if (order.status != OrderStatus.Open || order.deadline <= block.timestamp) {
+            return false;
+        }
+        address[] memory path = _path(order);
+        try simpleSwap.getAmountsOut(order.amountIn, path) returns (uint256[] memory amounts) {
+            return amounts[1] >= minAmountOut(orderId);
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @notice Fills an order whose swap gives at least the target price, paying the tip to the caller.
+     * @dev Reverts with SimpleSwap's "SSwap: Transfer cancelled." when the swap would give less than `minAmountOut`.
+     * @param orderId Id of the order.
+     * @return amountOut Amount of tokenOut sent to the maker.
+     */
+    function fillOrder(uint256 orderId) external nonReentrant returns (uint256 amountOut) {
+        Order storage order = orders[orderId];
+        require(order.status == OrderStatus.Open, "SSwapOrders: Order not open.");
+        require(order.deadline > block.timestamp, "SSwapOrders: Deadline reached.");
+        order.status = OrderStatus.Filled;
+
+        IERC20(order.tokenIn).forceApprove(address(simpleSwap), order.amountIn);
+        uint256[] memory amounts = simpleSwap.swapExactTokensForTokens(
+            order.amountIn, minAmountOut(orderId), _path(order), order.maker, order.deadline
+        );
+        amountOut = amounts[1];
+        if (order.tip > 0) {
+            IERC20(order.tokenIn).safeTransfer(msg.sender, order.tip);
+        }
+
+        emit OrderFilled(orderId, order.maker, msg.sender, amountOut);
+    }
+
+    /**
+     * @notice Cancels an order and returns its escrow, tip included, to the maker.
+     * @dev Only the maker can cancel an order before its deadline; anyone can cancel it after.
+     * @param orderId Id of the order.
+     */
+    function cancelOrder(uint256 orderId) external nonReentrant {
+        Order storage order = orders[orderId];
+        require(order.status == OrderStatus.Open, "SSwapOrders: Order not open.");
+        require(msg.sender == order.maker || order.deadline <= block.timestamp, "SSwapOrders: Not allowed.");
+        order.status = OrderStatus.Cancelled;
+
+        IERC20(order.tokenIn).safeTransfer(order.maker, order.amountIn + order.tip);
+        emit OrderCancelled(orderId, order.maker, msg.sender);
+    }
+
+    /**
+     * @notice Returns the swap path of an order.
+     * @param order The order.
+     * @return path [tokenIn, tokenOut].
+     */
+    function _path(Order storage order) internal view returns (address[] memory path) {
+        path = new address[](2);
+        path[0] = order.tokenIn;
+        path[1] = order.tokenOut;
+    }
+}
@@ -0,0 +1,175 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {SimpleSwap} from "./SimpleSwap.sol";
+
+/**
+ * @author Carlos Bermudez
+ * @title SimpleSwapOracle
+ * @dev SimpleSwap writes the price observations of every pair (`observations`, `observationIndex`) and this
+ *      contract reads them: it extends the latest observation to the current block with the current reserves,
+ *      and interpolates between observations for past times. It holds no state, so it can be deployed at any
+ *      time for an existing SimpleSwap and answers for every pair from its first observation.
+ *
+ * @notice Time-weighted average prices (TWAPs) of SimpleSwap pools.
+ */
+contract SimpleSwapOracle {
+
+    /**
+     * @notice The SimpleSwap contract whose observations are read.
+     */
+    SimpleSwap public immutable simpleSwap;
+
+    /**
+     * @notice Number of observations SimpleSwap keeps for each pair.
+     */
+    uint256 public immutable cardinality;
+
+    /**
+     * @notice Sets the SimpleSwap contract read.
+     * @param _simpleSwap The SimpleSwap contract.
+     */
+    constructor(SimpleSwap _simpleSwap) {
+        simpleSwap = _simpleSwap;
+        cardinality = _simpleSwap.OBSERVATION_CARDINALITY();
+    }
+
+    /**
+     * @notice Reads an observation of a pair.
+     * @param pair The pair's LP token.
+     * @param index Position in the pair's ring buffer.
+     * @return observation The observation.
+     */
+    function _observation(address pair, uint256 index) internal view returns (SimpleSwap.Observation memory observation) {
+        (observation.timestamp, observation.price0Cumulative, observation.price1Cumulative) = simpleSwap.observations(pair, index);
+    }
+
+    /**
+     * @notice Returns the price accumulators of a pair at the current block.
+     * @dev The current reserves have held since the latest observation, so their price is added for the elapsed
+     *      time, as SimpleSwap does when it writes the next observation. Nothing is added while a reserve is empty.
+     * @param tokenA Address of token A.
+     * @param tokenB Address of token B.
+     * @return pair The pair's LP token.
+     * @return token0 The lower token address of the pair.
+     * @return current The pair's accumulators at the current block timestamp.
+     */
+    function _observeNow(address tokenA, address tokenB)
+            internal view returns (address pair, address token0, SimpleSwap.Observation memory current)
+    {
+        pair = simpleSwap.getPair(tokenA, tokenB);
+        require(pair != address(0), "SSwap: Pair not found.");
+        token0 = tokenA < tokenB ? tokenA : tokenB;
+        address token1 = tokenA < tokenB ? tokenB : tokenA;
+
+        current = _observation(pair, simpleSwap.observationIndex(pair));
+        (uint256 reserve0, uint256 reserve1) = simpleSwap.getReserves(token0, token1);
+        if (reserve0 > 0 && reserve1 > 0) {
+            unchecked {
+                uint256 elapsed = uint32(block.timestamp) - current.timestamp;
+                current.price0Cumulative += uint224((reserve1 * 1e18) / reserve0 * elapsed);
+                current.price1Cumulative += uint224((reserve0 * 1e18) / reserve1 * elapsed);
+            }
+        }
+        current.timestamp = uint32(block.timestamp);
+    }
+
+    /**
+     * @notice Returns the price accumulators of a pair at a past time.
+     * @dev Binary search for the observations around `target`, then linear interpolation between them.
+     * @param pair The pair's LP token.
+     * @param current The pair's accumulators now, from `_observeNow`.
+     * @param target Timestamp to read, at most the current one.
+     * @return The pair's accumulators at `target`.
+     */
+    function _observeAt(address pair, SimpleSwap.Observation memory current, uint32 target)
+            internal view returns (SimpleSwap.Observation memory)
+    {
+        uint256 index = simpleSwap.observationIndex(pair);
+        SimpleSwap.Observation memory before = _observation(pair, index);
+        SimpleSwap.Observation memory next = current;
+
+        if (target < before.timestamp) {
+            // The oldest observation is the next slot once the ring has wrapped, the first slot before that
+            uint256 oldest = (index + 1) % cardinality;
+            SimpleSwap.Observation memory first = _observation(pair, oldest);
+            if (first.timestamp == 0) {
+                oldest = 0;
+                first = _observation(pair, 0);
+            }
+            require(first.timestamp <= target, "SSwap: Window too long.");
+
+            // Positions relative to the oldest observation: observation[low] <= target < observation[high]
+            uint256 low;
+            uint256 high = (index + cardinality - oldest) % cardinality;
+            while (high - low > 1) {
+                uint256 middle = (low + high) / 2;
+                if (_observation(pair, (oldest + middle) % cardinality).timestamp <= target) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            before = _observation(pair, (oldest + low) % cardinality);
+            next = _observation(pair, (oldest + high) % cardinality);
+        }
+
+        uint32 span = next.timestamp - before.timestamp;
+        if (span == 0) return before;
+        unchecked {
+            uint32 offset = target - before.timestamp;
+            before.price0Cumulative += (next.price0Cumulative - before.price0Cumulative) / span * offset;
+            before.price1Cumulative += (next.price1Cumulative - before.price1Cumulative) / span * offset;
+        }
+        before.timestamp = target;
+        return before;
+    }
+
+    /**
+    * @notice Returns the price accumulators of the (tokenA, tokenB) pool at the current block.
+    * @dev The time-weighted average price between two reads is the difference of an accumulator divided by
+    *      the time elapsed, modulo 2**224 (the accumulators overflow). Read them at two blocks to get any TWAP.
+    * @param tokenA Address of token A.
+    * @param tokenB Address of token B.
+    * @return priceACumulative Sum over time of the price of tokenA in tokenB (scaled by 1e18).
+    * @return priceBCumulative Sum over time of the price of tokenB in tokenA (scaled by 1e18).
+    * @return timestamp Current block timestamp.
+    */
+    function getCumulativePrices(address tokenA, address tokenB)
+            external view returns (uint256 priceACumulative, uint256 priceBCumulative, uint32 timestamp)
+    {
+        (, address token0, SimpleSwap.Observation memory current) = _observeNow(tokenA, tokenB);
+        return tokenA == token0
+            ? (current.price0Cumulative, current.price1Cumulative, current.timestamp)
+            : (current.price1Cumulative, current.price0Cumulative, current.timestamp);
+    }
+
+    /**
+    * @notice Returns the value of `amountIn` of `tokenIn` in `tokenOut` at the time-weighted average price
+    *         of the last `window` seconds.
+    * @dev Unlike `SimpleSwap.getPrice`, a trade inside the window only moves the result by its weight in time,
+    *      so the price cannot be pushed around within one transaction. The window must be covered by
+    *      the `cardinality` latest observations of the pair.
+    * @param tokenIn Address of the token priced.
+    * @param tokenOut Address of the token the price is expressed in.
+    * @param amountIn Amount of `tokenIn`.
+    * @param window Length of the averaging period, in seconds.
+    * @return amountOut Value of `amountIn` in `tokenOut`.
+    */
+    function consult(address tokenIn, address tokenOut, uint256 amountIn, uint32 window)
+            external view returns (uint256 amountOut)
+    {
+        require(window > 0 && window <= block.timestamp, "SSwap: Invalid window.");
+        (address pair, address token0, SimpleSwap.Observation memory current) = _observeNow(tokenIn, tokenOut);
+        SimpleSwap.Observation memory past = _observeAt(pair, current, current.timestamp - window);
+
+        uint256 price;
+        unchecked {
+            price = tokenIn == token0
+                ? (current.price0Cumulative - past.price0Cumulative) / window
+                : (current.price1Cumulative - past.price1Cumulative) / window;
+        }
+        amountOut = (amountIn * price) / 1e18;
+        return amountOut;
+    }
+}
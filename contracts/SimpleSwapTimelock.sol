@@ -0,0 +1,246 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {SimpleSwap} from "./SimpleSwap.sol";
+
+/**
+ * @author Carlos Bermudez
+ * @title SimpleSwapTimelock
+ * @dev Meant to own SimpleSwap (`simpleSwap.transferOwnership(timelock)`), so parameter changes take effect only
+ *      after a public delay. The owner of the timelock queues a change with `queueChange`, and executes it once
+ *      `delay` has passed and within `GRACE_PERIOD` after that; it can be cancelled until then. Raising the delay
+ *      also postpones the changes already queued, so it cannot be bypassed. Changes cover the swap fee, the protocol
+ *      fee, the recipient of the protocol fees, the delay itself and the owner of SimpleSwap.
+ *      Values are checked when queued, and again by SimpleSwap when executed.
+ *      Pausing is an emergency measure, so `pause` and `unpause` reach SimpleSwap at once. Protocol fees can only
+ *      be collected to `feeRecipient`, by anyone.
+ *
+ * @notice Timelocked governance of SimpleSwap parameters, with an immediate emergency pause.
+ */
+contract SimpleSwapTimelock is Ownable {
+
+    /**
+     * @notice Parameters changed through the timelock.
+     * @dev SwapFee and ProtocolFee are in basis points, FeeRecipient and SwapOwner are addresses, Delay is in seconds.
+     */
+    enum Parameter { SwapFee, ProtocolFee, FeeRecipient, Delay, SwapOwner }
+
+    /**
+     * @notice A queued change.
+     * @param parameter The parameter changed.
+     * @param value The new value; addresses are stored as uint256.
+     * @param eta Unix timestamp from which the change can be executed under the delay it was queued with,
+     *        0 once executed or cancelled.
+     * @param queuedAt Unix timestamp at which the change was queued.
+     */
+    struct Change {
+        Parameter parameter;
+        uint256 value;
+        uint256 eta;
+        uint256 queuedAt;
+    }
+
+    /**
+     * @notice Shortest delay allowed.
+     */
+    uint256 public constant MIN_DELAY = 1 hours;
+
+    /**
+     * @notice Longest delay allowed.
+     */
+    uint256 public constant MAX_DELAY = 30 days;
+
+    /**
+     * @notice Time after its eta during which a change can be executed.
+     */
+    uint256 public constant GRACE_PERIOD = 14 days;
+
+    /**
+     * @notice The SimpleSwap contract governed.
+     */
+    SimpleSwap public immutable simpleSwap;
+
+    /**
+     * @notice Time between queueing a change and executing it, in seconds.
+     */
+    uint256 public delay;
+
+    /**
+     * @notice Recipient of the protocol fees.
+     */
+    address public feeRecipient;
+
+    /**
+     * @notice Changes by id.
+     */
+    mapping(uint256 => Change) public changes;
+
+    /**
+     * @notice Number of changes queued, and id of the next one.
+     */
+    uint256 public changeCount;
+
+    /**
+     * @notice Emitted when a change is queued.
+     * @param id Id of the change.
+     * @param parameter The parameter changed.
+     * @param value The new value.
+     * @param eta Unix timestamp from which the change can be executed.
+     */
+    event ChangeQueued(uint256 indexed id, Parameter indexed parameter, uint256 value, uint256 eta);
+
+    /**
+     * @notice Emitted when a change is executed.
+     * @param id Id of the change.
+     * @param parameter The parameter changed.
+     * @param value The new value.
+     */
+    event ChangeExecuted(uint256 indexed id, Parameter indexed parameter, uint256 value);
+
+    /**
+     * @notice Emitted when a change is cancelled.
+     * @param id Id of the change.
+     * @param parameter The parameter that would have changed.
+     */
+    event ChangeCancelled(uint256 indexed id, Parameter indexed parameter);
+
+    /**
+     * @notice Emitted when the recipient of the protocol fees changes.
+     * @param previousRecipient The previous recipient.
+     * @param newRecipient The new recipient.
+     */
+    event FeeRecipientUpdated(address previousRecipient, address newRecipient);
+
+    /**
+     * @notice Emitted when the delay changes.
+     * @param previousDelay The previous delay, in seconds.
+     * @param newDelay The new delay, in seconds.
+     */
+    event DelayUpdated(uint256 previousDelay, uint256 newDelay);
+
+    /**
+     * @notice Sets the governed contract, the delay, the fee recipient and the owner.
+     * @param _simpleSwap The SimpleSwap contract, whose ownership must then be transferred to this contract.
+     * @param _delay Time between queueing a change and executing it, in seconds.
+     * @param _feeRecipient Recipient of the protocol fees.
+     * @param initialOwner Account queueing changes and pausing.
+     */
+    constructor(SimpleSwap _simpleSwap, uint256 _delay, address _feeRecipient, address initialOwner)
+        Ownable(initialOwner)
+    {
+        _checkValue(Parameter.Delay, _delay);
+        _checkValue(Parameter.FeeRecipient, uint256(uint160(_feeRecipient)));
+        simpleSwap = _simpleSwap;
+        delay = _delay;
+        feeRecipient = _feeRecipient;
+    }
+
+    /**
+     * @notice Checks a new value of a parameter.
+     * @param parameter The parameter.
+     * @param value The new value.
+     */
+    function _checkValue(Parameter parameter, uint256 value) internal view {
+        if (parameter == Parameter.SwapFee) {
+            require(value <= simpleSwap.MAX_SWAP_FEE(), "SSwap: Fee too high.");
+        } else if (parameter == Parameter.ProtocolFee) {
+            require(value <= simpleSwap.MAX_PROTOCOL_FEE(), "SSwap: Fee too high.");
+        } else if (parameter == Parameter.Delay) {
+            require(value >= MIN_DELAY && value <= MAX_DELAY, "SSwapTimelock: Invalid delay.");
+        } else {
+            require(value != 0 && value <= type(uint160).max, "SSwapTimelock: Invalid address.");
+        }
+    }
+
+    /**
+     * @notice Queues a parameter change, executable after the delay.
+     * @param parameter The parameter to change.
+     * @param value The new value; pass addresses as uint256.
+     * @return id Id of the change.
+     */
+    function queueChange(Parameter parameter, uint256 value) external onlyOwner returns (uint256 id) {
+        _checkValue(parameter, value);
+        uint256 eta = block.timestamp + delay;
+        id = changeCount++;
+        changes[id] = Change(parameter, value, eta, block.timestamp);
+        emit ChangeQueued(id, parameter, value, eta);
+    }
+
+    /**
+     * @notice Returns the timestamp from which a change can be executed.
+     * @dev The later of its eta and its queue time plus the current delay: raising the delay postpones the
+     *      changes already queued, while lowering it does not bring them forward.
+     * @param id Id of the change.
+     * @return eta The timestamp, 0 if the change is not queued.
+     */
+    function getEta(uint256 id) public view returns (uint256 eta) {
+        Change memory change = changes[id];
+        if (change.eta == 0) return 0;
+        uint256 delayed = change.queuedAt + delay;
+        return delayed > change.eta ? delayed : change.eta;
+    }
+
+    /**
+     * @notice Executes a queued change whose delay has passed.
+     * @dev Changes not executed within `GRACE_PERIOD` after their eta (`getEta`) are stale and must be queued again.
+     * @param id Id of the change.
+     */
+    function executeChange(uint256 id) external onlyOwner {
+        Change memory change = changes[id];
+        uint256 eta = getEta(id);
+        require(eta != 0, "SSwapTimelock: Change not queued.");
+        require(block.timestamp >= eta, "SSwapTimelock: Change locked.");
+        require(block.timestamp <= eta + GRACE_PERIOD, "SSwapTimelock: Change stale.");
+        delete changes[id].eta;
+
+        if (change.parameter == Parameter.SwapFee) {
+            simpleSwap.setSwapFee(change.value);
+        } else if (change.parameter == Parameter.ProtocolFee) {
+            simpleSwap.setProtocolFee(change.value);
+        } else if (change.parameter == Parameter.FeeRecipient) {
+            emit FeeRecipientUpdated(feeRecipient, address(uint160(change.value)));
+            feeRecipient = address(uint160(change.value));
+        } else if (change.parameter == Parameter.Delay) {
+            emit DelayUpdated(delay, change.value);
+            delay = change.value;
+        } else {
+            simpleSwap.transferOwnership(address(uint160(change.value)));
+        }
+
+        emit ChangeExecuted(id, change.parameter, change.value);
+    }
+
+    /**
+     * @notice Cancels a queued change.
+     * @param id Id of the change.
+     */
+    function cancelChange(uint256 id) external onlyOwner {
+        require(changes[id].eta != 0, "SSwapTimelock: Change not queued.");
+        delete changes[id].eta;
+        emit ChangeCancelled(id, changes[id].parameter);
+    }
+
+    /**
+     * @notice Stops swaps, flash swaps and deposits on SimpleSwap at once.
+     */
+    function pause() external onlyOwner {
+        simpleSwap.pause();
+    }
+
+    /**
+     * @notice Resumes swaps, flash swaps and deposits on SimpleSwap at once.
+     */
+    function unpause() external onlyOwner {
+        simpleSwap.unpause();
+    }
+
+    /**
+     * @notice Sends the protocol fees accrued in a token to `feeRecipient`.
+     * @param token The token to collect.
+     * @return amount The amount collected.
+     */
+    function collectProtocolFees(address token) external returns (uint256 amount) {
+        return simpleSwap.collectProtocolFees(token, feeRecipient);
+    }
+}
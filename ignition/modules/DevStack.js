@@ -0,0 +1,86 @@
+const path = require("path");
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { parseUnits } = require("ethers");
+const SimpleSwapModule = require("./SimpleSwap");
+
+/**
+ * @title DevStack Ignition module
+ * @notice Deploys SimpleSwap, its ETH router, TWAP oracle, signed order executor and limit order book, mintable
+ *         mock tokens and the initial liquidity of their pools
+ * @dev Tokens (name, symbol, decimals, supply minted to the deployer) and pools (token symbols and
+ *      human readable amounts) are read from ignition/dev-stack.json, or from the file named by the
+ *      DEV_STACK_CONFIG environment variable. They shape the module, so they cannot be Ignition parameters.
+ *      Pools may use "WETH", the WETH mock deployed for the router; the deployer wraps the ETH they need.
+ *      The deployer owns SimpleSwap, so fee changes apply immediately until ignition/modules/Timelock.js is run.
+ *      Parameters:
+ *        - liquidityProvider: recipient of the initial LP tokens (default: first account)
+ *        - deadline: deadline of the addLiquidity calls (default: 2100-01-01)
+ */
+const configFile = process.env.DEV_STACK_CONFIG
+  ? path.resolve(process.env.DEV_STACK_CONFIG)
+  : path.join(__dirname, "..", "dev-stack.json");
+const config = require(configFile);
+
+const DevStackModule = buildModule("DevStackModule", (m) => {
+  const { swap } = m.useModule(SimpleSwapModule);
+  const liquidityProvider = m.getParameter("liquidityProvider", m.getAccount(0));
+  const deadline = m.getParameter("deadline", 4102444800);
+
+  const weth = m.contract("WETHMock");
+  const router = m.contract("SimpleSwapETHRouter", [swap, weth]);
+  const oracle = m.contract("SimpleSwapOracle", [swap]);
+  const gasless = m.contract("SimpleSwapGasless", [swap]);
+  const limitOrders = m.contract("SimpleSwapLimitOrders", [swap]);
+
+  const tokens = { WETH: weth };
+  const decimals = { WETH: 18 };
+  for (const token of config.tokens) {
+    if (tokens[token.symbol]) {
+      throw new Error(`Token symbol ${token.symbol} is used twice (WETH is the WETH mock).`);
+    }
+    tokens[token.symbol] = m.contract(
+      "ERC20DecimalsMock",
+      [token.name, token.symbol, token.decimals, parseUnits(token.supply, token.decimals)],
+      { id: token.symbol }
+    );
+    decimals[token.symbol] = token.decimals;
+  }
+
+  const pools = config.pools.map((pool) => {
+    const id = `${pool.tokenA}_${pool.tokenB}`;
+    if (!tokens[pool.tokenA] || !tokens[pool.tokenB]) {
+      throw new Error(`Pool ${id} uses a token missing from the config.`);
+    }
+    return {
+      id,
+      tokenA: pool.tokenA,
+      tokenB: pool.tokenB,
+      amountA: parseUnits(pool.amountA, decimals[pool.tokenA]),
+      amountB: parseUnits(pool.amountB, decimals[pool.tokenB])
+    };
+  });
+
+  // One approval per token covering all its pools: a second approve would overwrite the first
+  const allowances = {};
+  for (const pool of pools) {
+    allowances[pool.tokenA] = (allowances[pool.tokenA] || 0n) + pool.amountA;
+    allowances[pool.tokenB] = (allowances[pool.tokenB] || 0n) + pool.amountB;
+  }
+  const approvals = Object.entries(allowances).map(([symbol, amount]) => {
+    const after = symbol === "WETH" ? [m.call(weth, "deposit", [], { id: "deposit_WETH", value: amount })] : [];
+    return m.call(tokens[symbol], "approve", [swap, amount], { id: `approve_${symbol}`, after });
+  });
+
+  for (const pool of pools) {
+    m.call(
+      swap,
+      "addLiquidity",
+      [tokens[pool.tokenA], tokens[pool.tokenB], pool.amountA, pool.amountB, pool.amountA, pool.amountB, liquidityProvider, deadline],
+      { id: `addLiquidity_${pool.id}`, after: approvals }
+    );
+  }
+
+  return { swap, router, oracle, gasless, limitOrders, ...tokens };
+});
+
+module.exports = DevStackModule;
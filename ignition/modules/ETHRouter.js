@@ -0,0 +1,18 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const SimpleSwapModule = require("./SimpleSwap");
+
+/**
+ * @title ETHRouter Ignition module
+ * @notice Deploys the native ETH router of the SimpleSwap deployment
+ * @dev Parameters:
+ *        - weth: address of the network's Wrapped Ether contract (required)
+ */
+const ETHRouterModule = buildModule("ETHRouterModule", (m) => {
+  const { swap } = m.useModule(SimpleSwapModule);
+  const weth = m.getParameter("weth");
+  const router = m.contract("SimpleSwapETHRouter", [swap, weth]);
+
+  return { swap, router };
+});
+
+module.exports = ETHRouterModule;
@@ -0,0 +1,15 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const SimpleSwapModule = require("./SimpleSwap");
+
+/**
+ * @title Gasless Ignition module
+ * @notice Deploys SimpleSwapGasless, the executor of signed swap orders, for the SimpleSwap deployment
+ */
+const GaslessModule = buildModule("GaslessModule", (m) => {
+  const { swap } = m.useModule(SimpleSwapModule);
+  const gasless = m.contract("SimpleSwapGasless", [swap]);
+
+  return { swap, gasless };
+});
+
+module.exports = GaslessModule;
@@ -0,0 +1,15 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const SimpleSwapModule = require("./SimpleSwap");
+
+/**
+ * @title LimitOrders Ignition module
+ * @notice Deploys SimpleSwapLimitOrders, the keeper-filled limit order book, for the SimpleSwap deployment
+ */
+const LimitOrdersModule = buildModule("LimitOrdersModule", (m) => {
+  const { swap } = m.useModule(SimpleSwapModule);
+  const limitOrders = m.contract("SimpleSwapLimitOrders", [swap]);
+
+  return { swap, limitOrders };
+});
+
+module.exports = LimitOrdersModule;
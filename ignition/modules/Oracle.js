@@ -0,0 +1,15 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const SimpleSwapModule = require("./SimpleSwap");
+
+/**
+ * @title Oracle Ignition module
+ * @notice Deploys SimpleSwapOracle, the TWAP reader of the SimpleSwap deployment
+ */
+const OracleModule = buildModule("OracleModule", (m) => {
+  const { swap } = m.useModule(SimpleSwapModule);
+  const oracle = m.contract("SimpleSwapOracle", [swap]);
+
+  return { swap, oracle };
+});
+
+module.exports = OracleModule;
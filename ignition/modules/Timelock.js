@@ -0,0 +1,23 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const SimpleSwapModule = require("./SimpleSwap");
+
+/**
+ * @title Timelock Ignition module
+ * @notice Deploys SimpleSwapTimelock and hands it the ownership of the SimpleSwap deployment
+ * @dev Parameters: `delay` in seconds (default 2 days), `feeRecipient` and `owner` (default: the deployer).
+ *      Run it with the deployer owning SimpleSwap; afterwards fee changes take `delay` to apply.
+ */
+const TimelockModule = buildModule("TimelockModule", (m) => {
+  const { swap } = m.useModule(SimpleSwapModule);
+  const deployer = m.getAccount(0);
+  const delay = m.getParameter("delay", 2 * 24 * 3600);
+  const feeRecipient = m.getParameter("feeRecipient", deployer);
+  const owner = m.getParameter("owner", deployer);
+
+  const timelock = m.contract("SimpleSwapTimelock", [swap, delay, feeRecipient, owner]);
+  m.call(swap, "transferOwnership", [timelock]);
+
+  return { swap, timelock };
+});
+
+module.exports = TimelockModule;
@@ -0,0 +1,254 @@
+const http = require("http");
+const { CANDLE_SECONDS, getMeta } = require("./db");
+
+/**
+ * @title Indexer API
+ * @notice Read-only HTTP/JSON API over the indexer database
+ * @dev Routes:
+ *        GET /status                                  chain, contract and last indexed block
+ *        GET /pools                                   every pool with its tokens, reserves, price and 24h volume
+ *        GET /pools/:pair                             one pool
+ *        GET /swaps?trader=&pair=&before=&limit=      swaps, newest first
+ *        GET /liquidity?provider=&pair=&before=&limit= liquidity events, newest first
+ *        GET /candles?pair=&from=&to=                 hourly OHLC of a pool, oldest first
+ *        GET /tvl                                     liquidity locked per token and per pool
+ *      Token amounts are raw integer strings; the decimals of every token are returned with it.
+ *      Responses allow any origin, so the web UI can call the API from another port.
+ */
+
+/// @notice Rows returned by list routes when no limit is given, and the largest limit accepted
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * @notice Error answered with an HTTP status
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * @notice Reads an address from the query string
+ * @param {URLSearchParams} query Query string
+ * @param {string} name Parameter name
+ * @param {boolean} required Whether the parameter must be present
+ * @return {string|null} Lowercase address, or null if absent
+ * @throws {HttpError} If the value is not an address, or is missing when required
+ */
+function readAddress(query, name, required = false) {
+  const value = query.get(name);
+  if (value === null || value === "") {
+    if (required) throw new HttpError(400, `Missing ${name}.`);
+    return null;
+  }
+  if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+    throw new HttpError(400, `Invalid ${name}.`);
+  }
+  return value.toLowerCase();
+}
+
+/**
+ * @notice Reads a non-negative integer from the query string
+ * @param {URLSearchParams} query Query string
+ * @param {string} name Parameter name
+ * @param {number|null} fallback Value used when the parameter is absent
+ * @return {number|null} Parsed value
+ * @throws {HttpError} If the value is not a non-negative integer
+ */
+function readInteger(query, name, fallback) {
+  const value = query.get(name);
+  if (value === null || value === "") return fallback;
+  if (!/^\d+$/.test(value)) {
+    throw new HttpError(400, `Invalid ${name}.`);
+  }
+  return Number(value);
+}
+
+/**
+ * @notice Reads the limit of a list route
+ * @param {URLSearchParams} query Query string
+ * @return {number} Limit between 1 and MAX_LIMIT
+ */
+function readLimit(query) {
+  return Math.min(Math.max(readInteger(query, "limit", DEFAULT_LIMIT), 1), MAX_LIMIT);
+}
+
+/**
+ * @notice Gets a token of the database
+ * @param {Database} db Open database
+ * @param {string} address Lowercase token address
+ * @return {object} { address, symbol, decimals }
+ */
+function getToken(db, address) {
+  return db.prepare("SELECT address, symbol, decimals FROM tokens WHERE address = ?").get(address) ||
+    { address, symbol: null, decimals: 18 };
+}
+
+/**
+ * @notice Builds the API view of a pool
+ * @dev The price is the reserve ratio: token1 per token0, adjusted for decimals
+ * @param {Database} db Open database
+ * @param {object} pool Row of the pools table
+ * @param {number} now Current unix timestamp, for the 24h volume
+ * @return {object} Pool with tokens, reserves, LP supply, price and volume of the last 24 hours
+ */
+function describePool(db, pool, now) {
+  const token0 = getToken(db, pool.token0);
+  const token1 = getToken(db, pool.token1);
+  const reserves = db.prepare(`
+    SELECT block_number, reserve0, reserve1, total_supply FROM reserves WHERE pair = ? ORDER BY block_number DESC LIMIT 1
+  `).get(pool.pair) || { block_number: null, reserve0: "0", reserve1: "0", total_supply: "0" };
+  const volumes = db.prepare("SELECT volume0, volume1 FROM candles WHERE pair = ? AND time >= ?")
+    .all(pool.pair, now - 24 * CANDLE_SECONDS);
+
+  const amount0 = Number(reserves.reserve0) / 10 ** token0.decimals;
+  const amount1 = Number(reserves.reserve1) / 10 ** token1.decimals;
+  return {
+    pair: pool.pair,
+    token0,
+    token1,
+    createdBlock: pool.block_number,
+    reserve0: reserves.reserve0,
+    reserve1: reserves.reserve1,
+    totalSupply: reserves.total_supply,
+    reservesBlock: reserves.block_number,
+    price: amount0 > 0 ? amount1 / amount0 : null,
+    volume24h: {
+      volume0: volumes.reduce((sum, row) => sum + BigInt(row.volume0), 0n).toString(),
+      volume1: volumes.reduce((sum, row) => sum + BigInt(row.volume1), 0n).toString()
+    }
+  };
+}
+
+/**
+ * @notice Builds the WHERE clause of a list route
+ * @param {object} filters Column name to value; null values are ignored
+ * @param {number|null} before Only rows from blocks before this one
+ * @return {{where: string, params: any[]}} SQL condition and its parameters
+ */
+function buildFilter(filters, before) {
+  const conditions = [];
+  const params = [];
+  for (const [column, value] of Object.entries(filters)) {
+    if (value === null) continue;
+    conditions.push(`${column} = ?`);
+    params.push(value);
+  }
+  if (before !== null) {
+    conditions.push("block_number < ?");
+    params.push(before);
+  }
+  return { where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "", params };
+}
+
+/**
+ * @notice Route handlers, by first path segment
+ * @dev Each receives (db, query, pathSegments) and returns the JSON body
+ */
+const ROUTES = {
+  status(db) {
+    return {
+      chainId: Number(getMeta(db, "chain_id")),
+      swap: getMeta(db, "swap"),
+      lastBlock: getMeta(db, "last_block") === null ? null : Number(getMeta(db, "last_block"))
+    };
+  },
+
+  pools(db, query, segments) {
+    const now = Math.floor(Date.now() / 1000);
+    if (segments.length > 1) {
+      const pool = db.prepare("SELECT * FROM pools WHERE pair = ?").get(segments[1].toLowerCase());
+      if (!pool) throw new HttpError(404, "Pool not found.");
+      return describePool(db, pool, now);
+    }
+    return db.prepare("SELECT * FROM pools ORDER BY block_number, pair").all().map(pool => describePool(db, pool, now));
+  },
+
+  swaps(db, query) {
+    const { where, params } = buildFilter(
+      { trader: readAddress(query, "trader"), pair: readAddress(query, "pair") },
+      readInteger(query, "before", null)
+    );
+    return db.prepare(`
+      SELECT pair, block_number AS blockNumber, log_index AS logIndex, timestamp, tx_hash AS transactionHash,
+             trader, token_in AS tokenIn, token_out AS tokenOut, amount_in AS amountIn, amount_out AS amountOut
+      FROM swaps ${where} ORDER BY block_number DESC, log_index DESC LIMIT ?
+    `).all(...params, readLimit(query));
+  },
+
+  liquidity(db, query) {
+    const { where, params } = buildFilter(
+      { provider: readAddress(query, "provider"), pair: readAddress(query, "pair") },
+      readInteger(query, "before", null)
+    );
+    return db.prepare(`
+      SELECT pair, type, block_number AS blockNumber, log_index AS logIndex, timestamp, tx_hash AS transactionHash,
+             provider, token_a AS tokenA, token_b AS tokenB, amount_a AS amountA, amount_b AS amountB, liquidity
+      FROM liquidity_events ${where} ORDER BY block_number DESC, log_index DESC LIMIT ?
+    `).all(...params, readLimit(query));
+  },
+
+  candles(db, query) {
+    const pair = readAddress(query, "pair", true);
+    const from = readInteger(query, "from", 0);
+    const to = readInteger(query, "to", Math.floor(Date.now() / 1000));
+    return db.prepare(`
+      SELECT time, open, high, low, close, volume0, volume1, trades FROM candles
+      WHERE pair = ? AND time >= ? AND time <= ? ORDER BY time
+    `).all(pair, from, to);
+  },
+
+  tvl(db) {
+    const now = Math.floor(Date.now() / 1000);
+    const pools = db.prepare("SELECT * FROM pools ORDER BY block_number, pair").all().map(pool => describePool(db, pool, now));
+    const totals = new Map();
+    for (const pool of pools) {
+      for (const [token, amount] of [[pool.token0, pool.reserve0], [pool.token1, pool.reserve1]]) {
+        const total = totals.get(token.address) || { ...token, amount: 0n };
+        total.amount += BigInt(amount);
+        totals.set(token.address, total);
+      }
+    }
+    return {
+      tokens: [...totals.values()].map(token => ({ ...token, amount: token.amount.toString() })),
+      pools: pools.map(({ pair, token0, token1, reserve0, reserve1 }) => ({ pair, token0, token1, reserve0, reserve1 }))
+    };
+  }
+};
+
+/**
+ * @notice Creates the HTTP server of the API
+ * @param {Database} db Open database
+ * @return {http.Server} Server, not listening yet
+ */
+function createServer(db) {
+  return http.createServer((request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    const segments = url.pathname.split("/").filter(Boolean);
+    let status = 200;
+    let body;
+
+    try {
+      const route = ROUTES[segments[0] || "status"];
+      if (request.method !== "GET" || !route || (segments.length > 1 && segments[0] !== "pools")) {
+        throw new HttpError(404, "Not found.");
+      }
+      body = route(db, url.searchParams, segments);
+    } catch (e) {
+      status = e instanceof HttpError ? e.status : 500;
+      body = { error: e instanceof HttpError ? e.message : "Internal error." };
+      if (status === 500) console.error("API error:", e);
+    }
+
+    response.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*"
+    });
+    response.end(JSON.stringify(body));
+  });
+}
+
+module.exports = { createServer };
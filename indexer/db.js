@@ -0,0 +1,246 @@
+const Database = require("better-sqlite3");
+
+/**
+ * @title Indexer Database
+ * @notice SQLite storage of the SimpleSwap indexer: pools, reserves, swaps, liquidity events and hourly candles
+ * @dev Token amounts are stored as decimal strings, so no precision is lost; prices are floating point,
+ *      already adjusted for the decimals of both tokens. Every row keeps the block it comes from,
+ *      so a reorg is undone by deleting the rows above the last block still on the chain.
+ */
+
+/// @notice Length of a candle, in seconds
+const CANDLE_SECONDS = 3600;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  -- Hashes of the indexed blocks that had events, and of the last block of every batch
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS tokens (
+    address TEXT PRIMARY KEY,
+    symbol TEXT NOT NULL,
+    decimals INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS pools (
+    pair TEXT PRIMARY KEY,
+    token0 TEXT NOT NULL,
+    token1 TEXT NOT NULL,
+    block_number INTEGER NOT NULL
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS pools_tokens ON pools (token0, token1);
+
+  -- Reserves and LP supply of a pool, recorded whenever they change
+  CREATE TABLE IF NOT EXISTS reserves (
+    pair TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    reserve0 TEXT NOT NULL,
+    reserve1 TEXT NOT NULL,
+    total_supply TEXT NOT NULL,
+    PRIMARY KEY (pair, block_number)
+  );
+
+  CREATE TABLE IF NOT EXISTS swaps (
+    id TEXT PRIMARY KEY,
+    pair TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    trader TEXT NOT NULL,
+    token_in TEXT NOT NULL,
+    token_out TEXT NOT NULL,
+    amount_in TEXT NOT NULL,
+    amount_out TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS swaps_trader ON swaps (trader, block_number);
+  CREATE INDEX IF NOT EXISTS swaps_pair ON swaps (pair, block_number);
+
+  CREATE TABLE IF NOT EXISTS liquidity_events (
+    id TEXT PRIMARY KEY,
+    pair TEXT NOT NULL,
+    type TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    token_a TEXT NOT NULL,
+    token_b TEXT NOT NULL,
+    amount_a TEXT NOT NULL,
+    amount_b TEXT NOT NULL,
+    liquidity TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS liquidity_provider ON liquidity_events (provider, block_number);
+
+  -- Hourly OHLC of the price of token0 in token1, rebuilt from the swaps of the hour
+  CREATE TABLE IF NOT EXISTS candles (
+    pair TEXT NOT NULL,
+    time INTEGER NOT NULL,
+    open REAL NOT NULL,
+    high REAL NOT NULL,
+    low REAL NOT NULL,
+    close REAL NOT NULL,
+    volume0 TEXT NOT NULL,
+    volume1 TEXT NOT NULL,
+    trades INTEGER NOT NULL,
+    PRIMARY KEY (pair, time)
+  );
+`;
+
+/**
+ * @notice Opens (or creates) the indexer database
+ * @param {string} file Path of the SQLite file, or ":memory:"
+ * @return {Database} Open database with the schema in place
+ */
+function openDatabase(file) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  return db;
+}
+
+/**
+ * @notice Reads a value of the meta table
+ * @param {Database} db Open database
+ * @param {string} key Key to read
+ * @return {string|null} Stored value, or null if unset
+ */
+function getMeta(db, key) {
+  const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+  return row ? row.value : null;
+}
+
+/**
+ * @notice Writes a value of the meta table
+ * @param {Database} db Open database
+ * @param {string} key Key to write
+ * @param {string|number} value Value to store
+ */
+function setMeta(db, key, value) {
+  db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value")
+    .run(key, String(value));
+}
+
+/**
+ * @notice Makes sure the database indexes the given chain and SimpleSwap contract
+ * @dev Records them on first use
+ * @param {Database} db Open database
+ * @param {bigint|number} chainId Chain id of the RPC
+ * @param {string} swap Address of the SimpleSwap contract
+ * @throws {Error} If the database was filled from another chain or contract
+ */
+function checkDatabaseTarget(db, chainId, swap) {
+  const storedChain = getMeta(db, "chain_id");
+  const storedSwap = getMeta(db, "swap");
+  if (storedChain === null) {
+    setMeta(db, "chain_id", chainId);
+    setMeta(db, "swap", swap.toLowerCase());
+    return;
+  }
+  if (storedChain !== String(chainId) || storedSwap !== swap.toLowerCase()) {
+    throw new Error(`The database indexes SimpleSwap ${storedSwap} on chain ${storedChain}. Use another database file.`);
+  }
+}
+
+/**
+ * @notice Gets the start of the candle containing a timestamp
+ * @param {number} timestamp Unix timestamp, in seconds
+ * @return {number} Start of the hour
+ */
+function getCandleTime(timestamp) {
+  return timestamp - (timestamp % CANDLE_SECONDS);
+}
+
+/**
+ * @notice Rebuilds the candle of a pool for one hour from its swaps
+ * @dev The price of a swap is its execution price, in token1 per token0. The candle is deleted
+ *      when the hour has no swaps left (after a reorg).
+ * @param {Database} db Open database
+ * @param {string} pair Address of the pool's LP token
+ * @param {number} time Start of the hour
+ */
+function rebuildCandle(db, pair, time) {
+  const pool = db.prepare(`
+    SELECT p.token0, t0.decimals AS decimals0, t1.decimals AS decimals1
+    FROM pools p JOIN tokens t0 ON t0.address = p.token0 JOIN tokens t1 ON t1.address = p.token1
+    WHERE p.pair = ?
+  `).get(pair);
+  const swaps = db.prepare(`
+    SELECT token_in, amount_in, amount_out FROM swaps
+    WHERE pair = ? AND timestamp >= ? AND timestamp < ?
+    ORDER BY block_number, log_index
+  `).all(pair, time, time + CANDLE_SECONDS);
+
+  db.prepare("DELETE FROM candles WHERE pair = ? AND time = ?").run(pair, time);
+  if (!pool || swaps.length === 0) return;
+
+  let open, high, low, close;
+  let volume0 = 0n;
+  let volume1 = 0n;
+  for (const swap of swaps) {
+    const sells0 = swap.token_in === pool.token0;
+    const amount0 = BigInt(sells0 ? swap.amount_in : swap.amount_out);
+    const amount1 = BigInt(sells0 ? swap.amount_out : swap.amount_in);
+    if (amount0 === 0n) continue;
+
+    const price = (Number(amount1) / 10 ** pool.decimals1) / (Number(amount0) / 10 ** pool.decimals0);
+    open = open === undefined ? price : open;
+    high = high === undefined ? price : Math.max(high, price);
+    low = low === undefined ? price : Math.min(low, price);
+    close = price;
+    volume0 += amount0;
+    volume1 += amount1;
+  }
+  if (open === undefined) return;
+
+  db.prepare(`
+    INSERT INTO candles (pair, time, open, high, low, close, volume0, volume1, trades)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(pair, time, open, high, low, close, volume0.toString(), volume1.toString(), swaps.length);
+}
+
+/**
+ * @notice Deletes everything indexed after a block, after a reorg
+ * @dev Candles of the hours that lose swaps are rebuilt from the swaps left
+ * @param {Database} db Open database
+ * @param {number} blockNumber Last block still on the chain
+ */
+function rollbackTo(db, blockNumber) {
+  db.transaction(() => {
+    const hours = db.prepare("SELECT DISTINCT pair, timestamp FROM swaps WHERE block_number > ?").all(blockNumber);
+    for (const table of ["swaps", "liquidity_events", "reserves", "pools"]) {
+      db.prepare(`DELETE FROM ${table} WHERE block_number > ?`).run(blockNumber);
+    }
+    db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+
+    const rebuilt = new Set();
+    for (const { pair, timestamp } of hours) {
+      const time = getCandleTime(timestamp);
+      const key = `${pair}:${time}`;
+      if (rebuilt.has(key)) continue;
+      rebuilt.add(key);
+      rebuildCandle(db, pair, time);
+    }
+    setMeta(db, "last_block", blockNumber);
+  })();
+}
+
+module.exports = {
+  CANDLE_SECONDS,
+  openDatabase,
+  getMeta,
+  setMeta,
+  checkDatabaseTarget,
+  getCandleTime,
+  rebuildCandle,
+  rollbackTo
+};
@@ -0,0 +1,129 @@
+const path = require("path");
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { buildDeployments } = require("../scripts/export-frontend-config");
+const { openDatabase, checkDatabaseTarget } = require("./db");
+const { createIndexer, sync } = require("./sync");
+const { createServer } = require("./api");
+
+/**
+ * @title SimpleSwap Indexer
+ * @notice Follows a SimpleSwap deployment into SQLite and serves it over HTTP
+ * @dev Run with `npm run indexer`. Settings come from environment variables:
+ *        - INDEXER_RPC_URL: JSON-RPC endpoint (default: http://127.0.0.1:8545, the local Hardhat node)
+ *        - INDEXER_SWAP: SimpleSwap address (default: the Ignition deployment of the RPC's chain)
+ *        - INDEXER_ROUTER: ETH router address, whose callers are credited with its trades
+ *          (default: the router of the Ignition deployment, unless INDEXER_SWAP is set)
+ *        - INDEXER_START_BLOCK: first block to index (default: the deployment block, or 0)
+ *        - INDEXER_CONFIRMATIONS: depth at which blocks are indexed (default: 0 on Hardhat, 3 elsewhere)
+ *        - INDEXER_DB: SQLite file (default: indexer/data/chain-<chain id>.sqlite)
+ *        - INDEXER_PORT: port of the HTTP API (default: 8787)
+ *        - INDEXER_POLL_MS: delay between syncs, in milliseconds (default: 4000)
+ */
+
+const DEFAULT_RPC_URL = "http://127.0.0.1:8545";
+const DEFAULT_PORT = 8787;
+const DEFAULT_POLL_MS = 4000;
+const DATA_DIR = path.join(__dirname, "data");
+
+/// @notice Chain id of the Hardhat network, which does not reorganise
+const HARDHAT_CHAIN_ID = 31337n;
+
+/**
+ * @notice Reads an integer environment variable
+ * @param {string} name Variable name
+ * @param {number} fallback Value used when the variable is unset
+ * @return {number} Parsed value
+ * @throws {Error} If the value is not a non-negative integer
+ */
+function readIntegerEnv(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === "") return fallback;
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${name} must be a non-negative integer.`);
+  }
+  return Number(value);
+}
+
+/**
+ * @notice Builds the indexer settings from the environment and the Ignition deployments
+ * @param {bigint} chainId Chain id of the RPC
+ * @return {object} { swap, router, startBlock, confirmations, dbFile, port, pollMs }
+ * @throws {Error} If no SimpleSwap address is configured or deployed on the chain
+ */
+function loadConfig(chainId) {
+  const deployment = buildDeployments()[chainId.toString()];
+  const swap = process.env.INDEXER_SWAP || (deployment && deployment.swap);
+  if (!swap) {
+    throw new Error(`No SimpleSwap deployment found for chain ${chainId}. Set INDEXER_SWAP.`);
+  }
+  return {
+    swap,
+    router: process.env.INDEXER_ROUTER || (deployment && !process.env.INDEXER_SWAP ? deployment.router : null),
+    startBlock: readIntegerEnv("INDEXER_START_BLOCK", deployment && !process.env.INDEXER_SWAP ? deployment.startBlock : 0),
+    confirmations: readIntegerEnv("INDEXER_CONFIRMATIONS", chainId === HARDHAT_CHAIN_ID ? 0 : 3),
+    dbFile: process.env.INDEXER_DB || path.join(DATA_DIR, `chain-${chainId}.sqlite`),
+    port: readIntegerEnv("INDEXER_PORT", DEFAULT_PORT),
+    pollMs: readIntegerEnv("INDEXER_POLL_MS", DEFAULT_POLL_MS)
+  };
+}
+
+/**
+ * @notice Starts the indexer loop and the HTTP API
+ * @return {Promise<void>}
+ */
+async function main() {
+  const provider = new ethers.JsonRpcProvider(process.env.INDEXER_RPC_URL || DEFAULT_RPC_URL);
+  const { chainId } = await provider.getNetwork();
+  const config = loadConfig(chainId);
+
+  fs.mkdirSync(path.dirname(path.resolve(config.dbFile)), { recursive: true });
+  const db = openDatabase(config.dbFile);
+  checkDatabaseTarget(db, chainId, config.swap);
+
+  const indexer = createIndexer({ provider, db, ...config });
+  const server = createServer(db);
+  server.listen(config.port, () => {
+    console.log(`Indexing SimpleSwap ${config.swap} on chain ${chainId} (${config.confirmations} confirmations)`);
+    console.log(`API listening on http://127.0.0.1:${config.port}`);
+  });
+
+  let timer;
+  let stopped = false;
+  const loop = async () => {
+    try {
+      const result = await sync(indexer);
+      if (result.reorgedTo !== null) {
+        console.log(`Reorg: rolled back to block ${result.reorgedTo}`);
+      }
+      if (result.events > 0) {
+        console.log(`Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.events} events`);
+      }
+    } catch (e) {
+      console.error("Sync error:", e.message || e);
+    }
+    if (!stopped) {
+      timer = setTimeout(loop, config.pollMs);
+    }
+  };
+  await loop();
+
+  const stop = () => {
+    stopped = true;
+    clearTimeout(timer);
+    server.close();
+    provider.destroy();
+    db.close();
+  };
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e.message || e);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,264 @@
+const { ethers } = require("ethers");
+const { getMeta, setMeta, getCandleTime, rebuildCandle, rollbackTo } = require("./db");
+
+/**
+ * @title Indexer Sync
+ * @notice Follows the events of a SimpleSwap contract into the indexer database
+ * @dev Only blocks at least `confirmations` deep are indexed. Before every sync the hash of the last
+ *      indexed block is checked; if the chain reorganised deeper than that, the data of the dropped
+ *      blocks is deleted and indexed again from the last block both chains share.
+ *      Reserves are read at the last indexed block once the indexer has caught up with the chain.
+ *      SimpleSwap events of ETH trades name the ETH router; its own events, which name the caller, are read
+ *      alongside to credit those trades and liquidity changes to the caller.
+ */
+
+/// @notice Blocks queried per getLogs call
+const BATCH_SIZE = 2000;
+
+/// @notice Block hashes kept to find the common ancestor after a reorg
+const KEPT_BLOCKS = 1000;
+
+/// @notice SimpleSwap events and views used by the indexer
+const SWAP_ABI = [
+  "event PairCreated(address indexed token0, address indexed token1, address pair, uint256 pairCount)",
+  "event LiquidityAdded(address indexed provider, address indexed tokenA, address indexed tokenB, uint256 amountA, uint256 amountB, uint256 liquidity)",
+  "event LiquidityRemoved(address indexed provider, address indexed tokenA, address indexed tokenB, uint256 amountA, uint256 amountB, uint256 liquidity)",
+  "event TokenSwapped(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut)",
+  "function getReserves(address tokenA, address tokenB) view returns (uint256 reserveA, uint256 reserveB)"
+];
+
+/// @notice ERC20 views used for token metadata and LP supply
+const TOKEN_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)"
+];
+
+/**
+ * @notice Creates the state of an indexer
+ * @param {object} options { provider, db, swap, router, startBlock, confirmations }; `router` is optional
+ * @return {object} Indexer context used by the other functions
+ */
+function createIndexer({ provider, db, swap, router = null, startBlock = 0, confirmations = 0 }) {
+  return {
+    provider,
+    db,
+    swap: new ethers.Contract(swap, SWAP_ABI, provider),
+    router: router && router.toLowerCase(),
+    startBlock,
+    confirmations
+  };
+}
+
+/**
+ * @notice Gets the last indexed block
+ * @param {object} indexer Indexer context
+ * @return {number} Block number, or startBlock - 1 before the first sync
+ */
+function getLastBlock(indexer) {
+  const value = getMeta(indexer.db, "last_block");
+  return value === null ? indexer.startBlock - 1 : Number(value);
+}
+
+/**
+ * @notice Undoes the blocks dropped by a reorg
+ * @dev Walks back the stored block hashes until one is still on the chain
+ * @param {object} indexer Indexer context
+ * @return {Promise<number|null>} Block rolled back to, or null if the last indexed block is still on the chain
+ */
+async function handleReorg(indexer) {
+  const stored = indexer.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC").all();
+  if (stored.length === 0) return null;
+
+  for (const [i, { number, hash }] of stored.entries()) {
+    const block = await indexer.provider.getBlock(number);
+    if (block && block.hash === hash) {
+      if (i === 0) return null;
+      rollbackTo(indexer.db, number);
+      return number;
+    }
+  }
+
+  // Deeper than every stored hash: index everything again
+  rollbackTo(indexer.db, indexer.startBlock - 1);
+  return indexer.startBlock - 1;
+}
+
+/**
+ * @notice Reads the symbol and decimals of the tokens not in the database yet
+ * @param {object} indexer Indexer context
+ * @param {string[]} addresses Token addresses (lowercase)
+ * @return {Promise<object[]>} { address, symbol, decimals } of the new tokens
+ */
+async function fetchNewTokens(indexer, addresses) {
+  const known = indexer.db.prepare("SELECT 1 FROM tokens WHERE address = ?");
+  const tokens = [];
+  for (const address of new Set(addresses)) {
+    if (known.get(address)) continue;
+    const token = new ethers.Contract(address, TOKEN_ABI, indexer.provider);
+    const [symbol, decimals] = await Promise.all([
+      token.symbol().catch(() => "???"),
+      token.decimals().catch(() => 18n)
+    ]);
+    tokens.push({ address, symbol, decimals: Number(decimals) });
+  }
+  return tokens;
+}
+
+/**
+ * @notice Finds the account behind every SimpleSwap event
+ * @dev The router emits an event of the same name after the SimpleSwap events of each call, in the same
+ *      transaction, naming its caller; the router's events are dropped once read.
+ * @param {object} indexer Indexer context
+ * @param {object[]} events { log, event } of SimpleSwap and the router, in log order
+ * @return {object[]} { log, event, account } of SimpleSwap; `account` is the trader or provider (lowercase), if any
+ */
+function creditRouterCallers(indexer, events) {
+  const fromRouter = ({ log }) => log.address.toLowerCase() === indexer.router;
+  return events.filter(entry => !fromRouter(entry)).map(({ log, event }) => {
+    if (event.name === "PairCreated") return { log, event, account: null };
+    const account = event.args[0].toLowerCase();
+    if (account !== indexer.router) return { log, event, account };
+    const caller = events.find(entry => fromRouter(entry) && entry.event.name === event.name &&
+      entry.log.transactionHash === log.transactionHash && entry.log.index > log.index);
+    return { log, event, account: caller ? caller.event.args[0].toLowerCase() : account };
+  });
+}
+
+/**
+ * @notice Indexes the events of a block range
+ * @dev Network reads happen first; the database is then updated in a single transaction
+ * @param {object} indexer Indexer context
+ * @param {number} fromBlock First block, inclusive
+ * @param {number} toBlock Last block, inclusive
+ * @return {Promise<number>} Number of events indexed
+ */
+async function indexRange(indexer, fromBlock, toBlock) {
+  const { db, provider, swap, router } = indexer;
+  const logs = await provider.getLogs({ address: router ? [swap.target, router] : swap.target, fromBlock, toBlock });
+  const events = creditRouterCallers(indexer, logs
+    .map(log => ({ log, event: swap.interface.parseLog(log) }))
+    .filter(({ event }) => event !== null));
+
+  const blockNumbers = new Set([...events.map(({ log }) => log.blockNumber), toBlock]);
+  const blocks = new Map();
+  for (const number of blockNumbers) {
+    const block = await provider.getBlock(number);
+    blocks.set(number, { number, hash: block.hash, timestamp: block.timestamp });
+  }
+  const tokens = await fetchNewTokens(indexer, events
+    .filter(({ event }) => event.name === "PairCreated")
+    .flatMap(({ event }) => [event.args.token0.toLowerCase(), event.args.token1.toLowerCase()]));
+
+  const findPair = db.prepare("SELECT pair FROM pools WHERE token0 = ? AND token1 = ?");
+  const getPair = (tokenA, tokenB) => {
+    const [token0, token1] = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort();
+    const row = findPair.get(token0, token1);
+    return row ? row.pair : null;
+  };
+
+  db.transaction(() => {
+    const insertToken = db.prepare("INSERT OR IGNORE INTO tokens (address, symbol, decimals) VALUES (?, ?, ?)");
+    for (const token of tokens) {
+      insertToken.run(token.address, token.symbol, token.decimals);
+    }
+
+    const touchedCandles = new Map();
+    for (const { log, event, account } of events) {
+      const { args } = event;
+      const { timestamp } = blocks.get(log.blockNumber);
+      const id = `${log.transactionHash}:${log.index}`;
+
+      if (event.name === "PairCreated") {
+        db.prepare("INSERT OR IGNORE INTO pools (pair, token0, token1, block_number) VALUES (?, ?, ?, ?)")
+          .run(args.pair.toLowerCase(), args.token0.toLowerCase(), args.token1.toLowerCase(), log.blockNumber);
+      } else if (event.name === "TokenSwapped") {
+        const pair = getPair(args.tokenIn, args.tokenOut);
+        db.prepare(`
+          INSERT OR IGNORE INTO swaps (id, pair, block_number, log_index, timestamp, tx_hash, trader, token_in, token_out, amount_in, amount_out)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(id, pair, log.blockNumber, log.index, timestamp, log.transactionHash, account,
+          args.tokenIn.toLowerCase(), args.tokenOut.toLowerCase(), args.amountIn.toString(), args.amountOut.toString());
+        touchedCandles.set(`${pair}:${getCandleTime(timestamp)}`, [pair, getCandleTime(timestamp)]);
+      } else {
+        db.prepare(`
+          INSERT OR IGNORE INTO liquidity_events (id, pair, type, block_number, log_index, timestamp, tx_hash, provider, token_a, token_b, amount_a, amount_b, liquidity)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(id, getPair(args.tokenA, args.tokenB), event.name, log.blockNumber, log.index, timestamp, log.transactionHash,
+          account, args.tokenA.toLowerCase(), args.tokenB.toLowerCase(),
+          args.amountA.toString(), args.amountB.toString(), args.liquidity.toString());
+      }
+    }
+
+    for (const [pair, time] of touchedCandles.values()) {
+      rebuildCandle(db, pair, time);
+    }
+    const insertBlock = db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)");
+    for (const block of blocks.values()) {
+      insertBlock.run(block.number, block.hash, block.timestamp);
+    }
+    db.prepare("DELETE FROM blocks WHERE number < ?").run(toBlock - KEPT_BLOCKS);
+    setMeta(db, "last_block", toBlock);
+  })();
+
+  return events.length;
+}
+
+/**
+ * @notice Records the reserves and LP supply of every pool at a block, when they changed
+ * @param {object} indexer Indexer context
+ * @param {number} blockNumber Block to read the state at
+ * @return {Promise<void>}
+ */
+async function snapshotReserves(indexer, blockNumber) {
+  const { db, provider, swap } = indexer;
+  const pools = db.prepare("SELECT pair, token0, token1 FROM pools").all();
+  const latest = db.prepare("SELECT reserve0, reserve1, total_supply FROM reserves WHERE pair = ? ORDER BY block_number DESC LIMIT 1");
+
+  const snapshots = [];
+  for (const pool of pools) {
+    const lpToken = new ethers.Contract(pool.pair, TOKEN_ABI, provider);
+    const [[reserve0, reserve1], totalSupply] = await Promise.all([
+      swap.getReserves(pool.token0, pool.token1, { blockTag: blockNumber }),
+      lpToken.totalSupply({ blockTag: blockNumber })
+    ]);
+    const snapshot = { pair: pool.pair, reserve0: reserve0.toString(), reserve1: reserve1.toString(), totalSupply: totalSupply.toString() };
+    const previous = latest.get(pool.pair);
+    if (!previous || previous.reserve0 !== snapshot.reserve0 || previous.reserve1 !== snapshot.reserve1 ||
+        previous.total_supply !== snapshot.totalSupply) {
+      snapshots.push(snapshot);
+    }
+  }
+
+  const insert = db.prepare(`
+    INSERT OR REPLACE INTO reserves (pair, block_number, reserve0, reserve1, total_supply) VALUES (?, ?, ?, ?, ?)
+  `);
+  db.transaction(() => {
+    for (const snapshot of snapshots) {
+      insert.run(snapshot.pair, blockNumber, snapshot.reserve0, snapshot.reserve1, snapshot.totalSupply);
+    }
+  })();
+}
+
+/**
+ * @notice Indexes every confirmed block not indexed yet
+ * @param {object} indexer Indexer context
+ * @return {Promise<{fromBlock: number, toBlock: number, events: number, reorgedTo: number|null}>} What was indexed
+ */
+async function sync(indexer) {
+  const reorgedTo = await handleReorg(indexer);
+  const head = await indexer.provider.getBlockNumber();
+  const target = head - indexer.confirmations;
+  const fromBlock = getLastBlock(indexer) + 1;
+
+  let events = 0;
+  for (let from = fromBlock; from <= target; from += BATCH_SIZE) {
+    events += await indexRange(indexer, from, Math.min(target, from + BATCH_SIZE - 1));
+  }
+  if (target >= fromBlock || reorgedTo !== null) {
+    await snapshotReserves(indexer, getLastBlock(indexer));
+  }
+  return { fromBlock, toBlock: Math.max(target, fromBlock - 1), events, reorgedTo };
+}
+
+module.exports = { createIndexer, getLastBlock, sync };
@@ -0,0 +1,187 @@
+const { ethers } = require("ethers");
+const { buildDeployments } = require("../scripts/export-frontend-config");
+
+/**
+ * @title SimpleSwap Keeper
+ * @notice Fills SimpleSwapLimitOrders orders once their pool reaches the target price, earning their tips
+ * @dev Run with `npm run keeper`. Settings come from environment variables:
+ *        - KEEPER_RPC_URL: JSON-RPC endpoint (default: http://127.0.0.1:8545, the local Hardhat node)
+ *        - KEEPER_LIMIT_ORDERS: SimpleSwapLimitOrders address (default: the Ignition deployment of the RPC's chain)
+ *        - KEEPER_PRIVATE_KEY: key of the account paying the gas and earning the tips (default: the node's first account)
+ *        - KEEPER_POLL_MS: delay between event polls, in milliseconds (default: 4000)
+ *        - KEEPER_SWEEP_MS: delay between checks of every open order, in milliseconds (default: 60000)
+ *      Open orders are read from the contract at start and followed through its events. Every `TokenSwapped`
+ *      and `FlashSwap` event of SimpleSwap moves a pool price, so the open orders of that pool are checked with
+ *      `isFillable` and filled. Orders are checked again when placed. Prices also move without an event (`sync`
+ *      after a rebase or a direct transfer), so every open order is checked again every KEEPER_SWEEP_MS.
+ *      Fills are sent one at a time. A failed read or fill is logged and retried on the next check.
+ */
+
+const DEFAULT_RPC_URL = "http://127.0.0.1:8545";
+const DEFAULT_POLL_MS = 4000;
+const DEFAULT_SWEEP_MS = 60000;
+
+/// @notice `OrderStatus.Open` of SimpleSwapLimitOrders
+const STATUS_OPEN = 1n;
+
+/// @notice SimpleSwapLimitOrders functions and events used by the keeper
+const LIMIT_ORDERS_ABI = [
+  "function simpleSwap() view returns (address)",
+  "function orderCount() view returns (uint256)",
+  "function orders(uint256 orderId) view returns (address maker, address tokenIn, address tokenOut, uint256 amountIn, uint256 targetPrice, uint256 tip, uint256 deadline, uint8 status)",
+  "function isFillable(uint256 orderId) view returns (bool)",
+  "function fillOrder(uint256 orderId) returns (uint256 amountOut)",
+  "event OrderPlaced(uint256 indexed orderId, address indexed maker, address indexed tokenIn, address tokenOut, uint256 amountIn, uint256 targetPrice, uint256 tip, uint256 deadline)",
+  "event OrderFilled(uint256 indexed orderId, address indexed maker, address indexed keeper, uint256 amountOut)",
+  "event OrderCancelled(uint256 indexed orderId, address indexed maker, address indexed caller)"
+];
+
+/// @notice SimpleSwap events watched by the keeper
+const SWAP_ABI = [
+  "event TokenSwapped(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut)",
+  "event FlashSwap(address indexed sender, address indexed tokenA, address indexed tokenB, uint256 amountAOut, uint256 amountBOut, uint256 amountAIn, uint256 amountBIn)"
+];
+
+/**
+ * @notice Creates a keeper
+ * @param {object} options { limitOrders: SimpleSwapLimitOrders address, signer: account paying the gas and earning the tips }
+ * @return {object} Keeper, for the functions below
+ */
+function createKeeper({ limitOrders, signer }) {
+  return {
+    limitOrders: new ethers.Contract(limitOrders, LIMIT_ORDERS_ABI, signer),
+    signer,
+    open: new Map(),
+    queue: Promise.resolve()
+  };
+}
+
+/**
+ * @notice Tells whether an order trades on the pool of two tokens, in either direction
+ * @param {{tokenIn: string, tokenOut: string}} order Open order
+ * @param {string} tokenA Address of a token of the pool
+ * @param {string} tokenB Address of the other token
+ * @return {boolean} Whether the order uses the pool
+ */
+function isOnPool(order, tokenA, tokenB) {
+  return (order.tokenIn === tokenA && order.tokenOut === tokenB) || (order.tokenIn === tokenB && order.tokenOut === tokenA);
+}
+
+/**
+ * @notice Reads every open order of the contract
+ * @param {object} keeper Keeper from createKeeper
+ * @return {Promise<number>} Number of open orders
+ */
+async function loadOpenOrders(keeper) {
+  keeper.open.clear();
+  const count = await keeper.limitOrders.orderCount();
+  for (let orderId = 0n; orderId < count; orderId++) {
+    const order = await keeper.limitOrders.orders(orderId);
+    if (order.status === STATUS_OPEN) {
+      keeper.open.set(orderId, { tokenIn: order.tokenIn, tokenOut: order.tokenOut });
+    }
+  }
+  return keeper.open.size;
+}
+
+/**
+ * @notice Fills the open orders that can be filled now
+ * @dev Orders are checked with `isFillable` and simulated before being sent, so no gas is spent on fills
+ *      that would revert. Orders another keeper filled, or their maker cancelled, are forgotten. Errors are
+ *      logged per order and never reject, so one failed RPC call does not stop the others.
+ * @param {object} keeper Keeper from createKeeper
+ * @param {string[]} [pool] [tokenA, tokenB]: only check the orders of this pool
+ * @return {Promise<object[]>} Fills { orderId, txHash, amountOut }
+ */
+async function fillReadyOrders(keeper, pool) {
+  const run = async () => {
+    const fills = [];
+    for (const [orderId, order] of [...keeper.open]) {
+      if (pool && !isOnPool(order, pool[0], pool[1])) continue;
+      try {
+        if (!(await keeper.limitOrders.isFillable(orderId))) {
+          if ((await keeper.limitOrders.orders(orderId)).status !== STATUS_OPEN) {
+            keeper.open.delete(orderId);
+          }
+          continue;
+        }
+
+        const amountOut = await keeper.limitOrders.fillOrder.staticCall(orderId);
+        const tx = await keeper.limitOrders.fillOrder(orderId);
+        await tx.wait();
+        keeper.open.delete(orderId);
+        fills.push({ orderId, txHash: tx.hash, amountOut });
+      } catch (e) {
+        console.error(`Keeper: order ${orderId} not filled:`, e.reason || e.shortMessage || e.message);
+      }
+    }
+    return fills;
+  };
+
+  const result = keeper.queue.then(run);
+  keeper.queue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * @notice Starts following the contract and SimpleSwap events
+ * @return {Promise<void>}
+ */
+async function main() {
+  const provider = new ethers.JsonRpcProvider(process.env.KEEPER_RPC_URL || DEFAULT_RPC_URL);
+  provider.pollingInterval = Number(process.env.KEEPER_POLL_MS || DEFAULT_POLL_MS);
+  const { chainId } = await provider.getNetwork();
+  const deployment = buildDeployments()[chainId.toString()];
+  const limitOrders = process.env.KEEPER_LIMIT_ORDERS || (deployment && deployment.limitOrders);
+  if (!limitOrders) {
+    throw new Error(`No SimpleSwapLimitOrders deployment found for chain ${chainId}. Set KEEPER_LIMIT_ORDERS.`);
+  }
+  const signer = process.env.KEEPER_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.KEEPER_PRIVATE_KEY, provider)
+    : await provider.getSigner(0);
+
+  const keeper = createKeeper({ limitOrders, signer });
+  const swap = new ethers.Contract(await keeper.limitOrders.simpleSwap(), SWAP_ABI, provider);
+  const fill = (pool) => fillReadyOrders(keeper, pool)
+    .then((fills) => {
+      for (const { orderId, amountOut, txHash } of fills) {
+        console.log(`Filled order ${orderId} (${amountOut} out): ${txHash}`);
+      }
+    })
+    .catch((e) => console.error("Keeper: check failed:", e.shortMessage || e.message));
+
+  console.log(`Keeping SimpleSwapLimitOrders ${limitOrders} on chain ${chainId} from ${await signer.getAddress()}`);
+  console.log(`${await loadOpenOrders(keeper)} open orders`);
+  await fill();
+
+  await swap.on("TokenSwapped", (trader, tokenIn, tokenOut) => fill([tokenIn, tokenOut]));
+  await swap.on("FlashSwap", (sender, tokenA, tokenB) => fill([tokenA, tokenB]));
+  await keeper.limitOrders.on("OrderPlaced", (orderId, maker, tokenIn, tokenOut) => {
+    keeper.open.set(orderId, { tokenIn, tokenOut });
+    fill([tokenIn, tokenOut]);
+  });
+  await keeper.limitOrders.on("OrderCancelled", (orderId) => {
+    keeper.open.delete(orderId);
+  });
+  await keeper.limitOrders.on("OrderFilled", (orderId) => {
+    keeper.open.delete(orderId);
+  });
+
+  const sweep = setInterval(() => fill(), Number(process.env.KEEPER_SWEEP_MS || DEFAULT_SWEEP_MS));
+
+  const stop = () => {
+    clearInterval(sweep);
+    provider.destroy();
+  };
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e.message || e);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { createKeeper, loadOpenOrders, fillReadyOrders };
@@ -0,0 +1,105 @@
+const { ethers } = require("ethers");
+
+/**
+ * @title SimpleSwap Gasless Order Helpers
+ * @notice Builds, signs and checks the EIP-712 swap orders executed by SimpleSwapGasless
+ * @dev The trader signs; a relayer submits the order with `executeSwapOrder` and pays the gas.
+ *      Orders use the trader's current nonce of the contract, so they execute once and in nonce order.
+ */
+
+/// @notice SimpleSwapGasless functions used by the helpers and the relayer
+const GASLESS_ABI = [
+  "function nonces(address owner) view returns (uint256)",
+  "function executeSwapOrder((address trader, address[] path, uint256 amountIn, uint256 minOut, uint256 deadline, uint256 nonce) order, bytes signature, (uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) permit) returns (uint256[] amounts)",
+  "function cancelNextOrder() returns (uint256 nonce)",
+  "event SwapOrderExecuted(address indexed trader, address indexed relayer, uint256 indexed nonce, uint256 amountIn, uint256 amountOut)"
+];
+
+/// @notice EIP-712 types of a swap order
+const SWAP_ORDER_TYPES = {
+  SwapOrder: [
+    { name: "trader", type: "address" },
+    { name: "path", type: "address[]" },
+    { name: "amountIn", type: "uint256" },
+    { name: "minOut", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" }
+  ]
+};
+
+/// @notice Permit sent with orders whose trader already approved the contract
+const NO_PERMIT = { value: 0n, deadline: 0n, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+
+/**
+ * @notice Connects to a SimpleSwapGasless contract
+ * @param {string} address Address of the contract
+ * @param {ethers.ContractRunner} runner Provider or signer
+ * @return {ethers.Contract} Contract instance
+ */
+function getGasless(address, runner) {
+  return new ethers.Contract(address, GASLESS_ABI, runner);
+}
+
+/**
+ * @notice Gets the EIP-712 domain of a SimpleSwapGasless contract
+ * @param {string} address Address of the contract
+ * @param {bigint|number} chainId Chain id of its network
+ * @return {object} EIP-712 domain
+ */
+function getDomain(address, chainId) {
+  return { name: "SimpleSwap Gasless", version: "1", chainId, verifyingContract: address };
+}
+
+/**
+ * @notice Builds an order, with the trader's current nonce unless one is given
+ * @dev Orders signed with later nonces run once the earlier ones have run or been cancelled
+ * @param {ethers.Contract} gasless Contract from getGasless
+ * @param {object} fields { trader, path, amountIn, minOut, deadline, nonce? }
+ * @return {Promise<object>} Order, with amounts as bigints
+ */
+async function buildSwapOrder(gasless, { trader, path, amountIn, minOut, deadline, nonce }) {
+  return {
+    trader,
+    path,
+    amountIn: BigInt(amountIn),
+    minOut: BigInt(minOut),
+    deadline: BigInt(deadline),
+    nonce: nonce === undefined ? await gasless.nonces(trader) : BigInt(nonce)
+  };
+}
+
+/**
+ * @notice Signs an order as its trader
+ * @param {ethers.Signer} signer Signer of the trader
+ * @param {string} address Address of the SimpleSwapGasless contract
+ * @param {object} order Order from buildSwapOrder
+ * @return {Promise<string>} Signature
+ */
+async function signSwapOrder(signer, address, order) {
+  const { chainId } = await signer.provider.getNetwork();
+  return signer.signTypedData(getDomain(address, chainId), SWAP_ORDER_TYPES, order);
+}
+
+/**
+ * @notice Recovers the signer of an order
+ * @dev Only covers EOA signatures; the contract also accepts ERC-1271 signatures of contract wallets
+ * @param {string} address Address of the SimpleSwapGasless contract
+ * @param {bigint|number} chainId Chain id of its network
+ * @param {object} order The order
+ * @param {string} signature The signature
+ * @return {string} Address of the signer
+ */
+function recoverSwapOrderSigner(address, chainId, order, signature) {
+  return ethers.verifyTypedData(getDomain(address, chainId), SWAP_ORDER_TYPES, order, signature);
+}
+
+module.exports = {
+  GASLESS_ABI,
+  SWAP_ORDER_TYPES,
+  NO_PERMIT,
+  getGasless,
+  getDomain,
+  buildSwapOrder,
+  signSwapOrder,
+  recoverSwapOrderSigner
+};
@@ -0,0 +1,118 @@
+const { ethers } = require("ethers");
+
+/**
+ * @title SimpleSwap TWAP Helpers
+ * @notice Reads time-weighted average prices (TWAPs) of SimpleSwap pools
+ * @dev Two sources:
+ *        - consult: SimpleSwapOracle's `consult`, over a window covered by the pair's latest on-chain observations
+ *        - getTwap: SimpleSwapOracle's `getCumulativePrices` read at two blocks, for any period the RPC can still serve
+ *          (blocks older than ~128 need an archive node, and the oracle must already be deployed at the first one)
+ *      Prices are bigints scaled by 1e18 and computed on raw amounts, like `getPrice`;
+ *      formatPrice applies the decimals of both tokens.
+ */
+
+/// @notice SimpleSwapOracle functions used by the helpers
+const ORACLE_ABI = [
+  "function consult(address tokenIn, address tokenOut, uint256 amountIn, uint32 window) view returns (uint256 amountOut)",
+  "function getCumulativePrices(address tokenA, address tokenB) view returns (uint256 priceACumulative, uint256 priceBCumulative, uint32 timestamp)"
+];
+
+/// @notice Scale of the prices
+const PRICE_SCALE = 10n ** 18n;
+
+/// @notice The accumulators overflow at 2**224, so their differences are taken modulo this value
+const ACCUMULATOR_MODULUS = 2n ** 224n;
+
+/**
+ * @notice Connects to the SimpleSwapOracle of a SimpleSwap deployment
+ * @param {string} address Address of the SimpleSwapOracle contract
+ * @param {ethers.ContractRunner} runner Provider or signer
+ * @return {ethers.Contract} Contract exposing `consult` and `getCumulativePrices`
+ */
+function getOracle(address, runner) {
+  return new ethers.Contract(address, ORACLE_ABI, runner);
+}
+
+/**
+ * @notice Reads the price accumulators of a pair at a block
+ * @param {ethers.Contract} oracle Contract from getOracle (or any SimpleSwapOracle instance)
+ * @param {string} tokenA Address of token A
+ * @param {string} tokenB Address of token B
+ * @param {number|string} blockTag Block to read, "latest" by default
+ * @return {Promise<object>} { priceACumulative, priceBCumulative, timestamp }
+ */
+async function readCumulativePrices(oracle, tokenA, tokenB, blockTag = "latest") {
+  const [priceACumulative, priceBCumulative, timestamp] = await oracle.getCumulativePrices(tokenA, tokenB, { blockTag });
+  return { priceACumulative, priceBCumulative, timestamp: Number(timestamp) };
+}
+
+/**
+ * @notice Computes the average prices between two reads of the accumulators
+ * @param {object} start Read of readCumulativePrices at the start of the period
+ * @param {object} end Read of readCumulativePrices at the end of the period, same token order
+ * @return {{priceA: bigint, priceB: bigint}} Average price of token A in token B, and of token B in token A
+ * @throws {Error} If the end is not later than the start
+ */
+function computeTwap(start, end) {
+  const elapsed = BigInt(end.timestamp - start.timestamp);
+  if (elapsed <= 0n) {
+    throw new Error("TWAP: the end of the period must be later than its start.");
+  }
+  const difference = (later, earlier) => ((later - earlier) % ACCUMULATOR_MODULUS + ACCUMULATOR_MODULUS) % ACCUMULATOR_MODULUS;
+  return {
+    priceA: difference(end.priceACumulative, start.priceACumulative) / elapsed,
+    priceB: difference(end.priceBCumulative, start.priceBCumulative) / elapsed
+  };
+}
+
+/**
+ * @notice Gets the average prices of a pair between two blocks
+ * @param {ethers.Contract} oracle Contract from getOracle
+ * @param {string} tokenA Address of token A
+ * @param {string} tokenB Address of token B
+ * @param {number} fromBlock Start of the period; the pair must exist at this block
+ * @param {number|string} toBlock End of the period, "latest" by default
+ * @return {Promise<{priceA: bigint, priceB: bigint}>} Average prices, see computeTwap
+ */
+async function getTwap(oracle, tokenA, tokenB, fromBlock, toBlock = "latest") {
+  const [start, end] = await Promise.all([
+    readCumulativePrices(oracle, tokenA, tokenB, fromBlock),
+    readCumulativePrices(oracle, tokenA, tokenB, toBlock)
+  ]);
+  return computeTwap(start, end);
+}
+
+/**
+ * @notice Values an amount at the average price of the last seconds, on-chain
+ * @param {ethers.Contract} oracle Contract from getOracle
+ * @param {string} tokenIn Address of the token priced
+ * @param {string} tokenOut Address of the token the price is expressed in
+ * @param {bigint} amountIn Raw amount of tokenIn
+ * @param {number} windowSeconds Length of the averaging period
+ * @return {Promise<bigint>} Raw amount of tokenOut
+ */
+async function consult(oracle, tokenIn, tokenOut, amountIn, windowSeconds) {
+  return oracle.consult(tokenIn, tokenOut, amountIn, windowSeconds);
+}
+
+/**
+ * @notice Formats a price scaled by 1e18 as a human readable number of tokens
+ * @param {bigint} price Raw units of token B per raw unit of token A, scaled by 1e18
+ * @param {number} decimalsA Decimals of token A
+ * @param {number} decimalsB Decimals of token B
+ * @return {string} Token B per 1 token A
+ */
+function formatPrice(price, decimalsA, decimalsB) {
+  return ethers.formatUnits(price * 10n ** BigInt(decimalsA), 18 + decimalsB);
+}
+
+module.exports = {
+  ORACLE_ABI,
+  PRICE_SCALE,
+  getOracle,
+  readCumulativePrices,
+  computeTwap,
+  getTwap,
+  consult,
+  formatPrice
+};
@@ -0,0 +1,276 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { buildDeployments } = require("../scripts/export-frontend-config");
+const { NO_PERMIT, getGasless } = require("../lib/gasless");
+
+/**
+ * @title SimpleSwap Relayer
+ * @notice Submits signed swap orders to SimpleSwapGasless and pays their gas
+ * @dev Run with `npm run relayer`. Settings come from environment variables:
+ *        - RELAYER_RPC_URL: JSON-RPC endpoint (default: http://127.0.0.1:8545, the local Hardhat node)
+ *        - RELAYER_GASLESS: SimpleSwapGasless address (default: the Ignition deployment of the RPC's chain)
+ *        - RELAYER_PRIVATE_KEY: key of the account paying the gas (default: the node's first account)
+ *        - RELAYER_PORT: port of the HTTP API (default: 8788)
+ *      Routes:
+ *        GET  /status   chain, contract and relayer account
+ *        POST /orders   { order, signature, permit? }: simulates the order, then sends it and waits for it to be mined
+ *      Amounts are decimal strings of raw units. Orders that would revert are answered with 400 and the revert reason,
+ *      without spending gas. Responses allow any origin, so the web UI can call the API from another port.
+ */
+
+const DEFAULT_RPC_URL = "http://127.0.0.1:8545";
+const DEFAULT_PORT = 8788;
+
+/// @notice Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * @notice Error answered with an HTTP status
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * @notice Reads an address field
+ * @param {object} object Object holding the field
+ * @param {string} name Field name
+ * @return {string} Checksummed address
+ * @throws {HttpError} If the value is not an address
+ */
+function readAddress(object, name) {
+  if (typeof object[name] !== "string" || !ethers.isAddress(object[name])) {
+    throw new HttpError(400, `Invalid ${name}.`);
+  }
+  return ethers.getAddress(object[name]);
+}
+
+/**
+ * @notice Reads a non-negative integer field
+ * @param {object} object Object holding the field
+ * @param {string} name Field name
+ * @return {bigint} Parsed value
+ * @throws {HttpError} If the value is not a non-negative integer
+ */
+function readUint(object, name) {
+  const value = object[name];
+  if (!(typeof value === "string" && /^\d+$/.test(value)) && !(Number.isSafeInteger(value) && value >= 0)) {
+    throw new HttpError(400, `Invalid ${name}.`);
+  }
+  return BigInt(value);
+}
+
+/**
+ * @notice Reads a 32 byte hex field
+ * @param {object} object Object holding the field
+ * @param {string} name Field name
+ * @return {string} Hex value
+ * @throws {HttpError} If the value is not 32 bytes of hex
+ */
+function readBytes32(object, name) {
+  if (!ethers.isHexString(object[name], 32)) {
+    throw new HttpError(400, `Invalid ${name}.`);
+  }
+  return object[name];
+}
+
+/**
+ * @notice Validates the body of POST /orders
+ * @param {object} body Parsed JSON body
+ * @return {{order: object, signature: string, permit: object}} Arguments of executeSwapOrder
+ * @throws {HttpError} If a field is missing or malformed
+ */
+function parseOrderRequest(body) {
+  const order = body && body.order;
+  if (!order || typeof order !== "object") {
+    throw new HttpError(400, "Missing order.");
+  }
+  if (!Array.isArray(order.path) || order.path.length < 2) {
+    throw new HttpError(400, "Invalid path.");
+  }
+  if (typeof body.signature !== "string" || !ethers.isHexString(body.signature)) {
+    throw new HttpError(400, "Invalid signature.");
+  }
+
+  const permit = body.permit || null;
+  return {
+    order: {
+      trader: readAddress(order, "trader"),
+      path: order.path.map((token) => readAddress({ token }, "token")),
+      amountIn: readUint(order, "amountIn"),
+      minOut: readUint(order, "minOut"),
+      deadline: readUint(order, "deadline"),
+      nonce: readUint(order, "nonce")
+    },
+    signature: body.signature,
+    permit: permit
+      ? {
+        value: readUint(permit, "value"),
+        deadline: readUint(permit, "deadline"),
+        v: Number(readUint(permit, "v")),
+        r: readBytes32(permit, "r"),
+        s: readBytes32(permit, "s")
+      }
+      : NO_PERMIT
+  };
+}
+
+/**
+ * @notice Reads the JSON body of a request
+ * @param {http.IncomingMessage} request Request
+ * @return {Promise<object>} Parsed body
+ * @throws {HttpError} If the body is too large or not JSON
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request too large."));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(new HttpError(400, "Invalid JSON."));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+/**
+ * @notice Simulates an order, then submits it
+ * @dev Orders are sent one at a time, so the relayer account's nonces never collide
+ * @param {object} relayer Relayer from createRelayer
+ * @param {object} body Parsed body of POST /orders
+ * @return {Promise<object>} { txHash, trader, nonce, amountIn, amountOut }
+ * @throws {HttpError} If the order is malformed or would revert
+ */
+async function relayOrder(relayer, body) {
+  const { order, signature, permit } = parseOrderRequest(body);
+  const run = async () => {
+    try {
+      await relayer.gasless.executeSwapOrder.staticCall(order, signature, permit);
+    } catch (e) {
+      throw new HttpError(400, e.reason || e.shortMessage || "Order would revert.");
+    }
+
+    const tx = await relayer.gasless.executeSwapOrder(order, signature, permit);
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map((log) => relayer.gasless.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "SwapOrderExecuted");
+    return {
+      txHash: tx.hash,
+      trader: order.trader,
+      nonce: order.nonce.toString(),
+      amountIn: event.args.amountIn.toString(),
+      amountOut: event.args.amountOut.toString()
+    };
+  };
+
+  const result = relayer.queue.then(run);
+  relayer.queue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * @notice Creates a relayer
+ * @param {object} options { gasless: SimpleSwapGasless address, signer: account paying the gas }
+ * @return {object} Relayer, for relayOrder and createServer
+ */
+function createRelayer({ gasless, signer }) {
+  return { gasless: getGasless(gasless, signer), signer, queue: Promise.resolve() };
+}
+
+/**
+ * @notice Creates the HTTP server of the relayer
+ * @param {object} relayer Relayer from createRelayer
+ * @return {http.Server} Server, not listening yet
+ */
+function createServer(relayer) {
+  return http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    let status = 200;
+    let body;
+
+    try {
+      if (request.method === "OPTIONS") {
+        status = 204;
+      } else if (request.method === "GET" && pathname === "/status") {
+        const { chainId } = await relayer.signer.provider.getNetwork();
+        body = {
+          chainId: Number(chainId),
+          contract: relayer.gasless.target,
+          relayer: await relayer.signer.getAddress()
+        };
+      } else if (request.method === "POST" && pathname === "/orders") {
+        body = await relayOrder(relayer, await readBody(request));
+      } else {
+        throw new HttpError(404, "Not found.");
+      }
+    } catch (e) {
+      status = e instanceof HttpError ? e.status : 500;
+      body = { error: e instanceof HttpError ? e.message : "Internal error." };
+      if (status === 500) console.error("Relayer error:", e);
+    }
+
+    response.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type"
+    });
+    response.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+/**
+ * @notice Starts the relayer API
+ * @return {Promise<void>}
+ */
+async function main() {
+  const provider = new ethers.JsonRpcProvider(process.env.RELAYER_RPC_URL || DEFAULT_RPC_URL);
+  const { chainId } = await provider.getNetwork();
+  const deployment = buildDeployments()[chainId.toString()];
+  const gasless = process.env.RELAYER_GASLESS || (deployment && deployment.gasless);
+  if (!gasless) {
+    throw new Error(`No SimpleSwapGasless deployment found for chain ${chainId}. Set RELAYER_GASLESS.`);
+  }
+  const signer = process.env.RELAYER_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider)
+    : await provider.getSigner(0);
+  const port = Number(process.env.RELAYER_PORT || DEFAULT_PORT);
+
+  const server = createServer(createRelayer({ gasless, signer }));
+  server.listen(port, async () => {
+    console.log(`Relaying orders to SimpleSwapGasless ${gasless} on chain ${chainId} from ${await signer.getAddress()}`);
+    console.log(`API listening on http://127.0.0.1:${port}`);
+  });
+
+  const stop = () => {
+    server.close();
+    provider.destroy();
+  };
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e.message || e);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { createRelayer, createServer, relayOrder };
@@ -0,0 +1,162 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * @title Frontend Config Export
+ * @notice Generates FrontEnd/Scripts/deployments.js, the per-chain config of the web UI,
+ *         from the Ignition deployments
+ * @dev Run after every `npx hardhat ignition deploy`:
+ *        npm run export-config
+ *      Deployed contracts are recognised by the artifact name of their future (SimpleSwap, SimpleSwapETHRouter,
+ *      SimpleSwapGasless, SimpleSwapLimitOrders and the mock tokens). A deployment whose ABI differs from the
+ *      current artifact in artifacts/ predates the contract's current version, so the frontend cannot use it:
+ *      chains whose SimpleSwap is outdated are left out, and outdated periphery contracts are not listed.
+ *      `npm run export-config` compiles first, so the comparison is made against the current sources.
+ *      Chain names, RPC URLs, explorers, indexer and relayer URLs and tokens deployed outside Ignition come from
+ *      scripts/networks.json.
+ */
+
+const ROOT = path.join(__dirname, "..");
+const DEPLOYMENTS_DIR = path.join(ROOT, "ignition", "deployments");
+const NETWORKS_FILE = path.join(__dirname, "networks.json");
+const OUTPUT_FILE = path.join(ROOT, "FrontEnd", "Scripts", "deployments.js");
+
+/// @notice Artifact names of the mock tokens listed in the frontend
+const TOKEN_CONTRACTS = ["ERC20Mock", "ERC20DecimalsMock"];
+
+/**
+ * @notice Finds the block in which a future was deployed
+ * @dev Read from the transaction receipts recorded in the deployment journal
+ * @param {string} deploymentDir Path of a chain-<id> deployment folder
+ * @param {string} futureId Id of the deployed future
+ * @return {number} Block number, or 0 if the journal has no receipt for it
+ */
+function readDeploymentBlock(deploymentDir, futureId) {
+  const journalFile = path.join(deploymentDir, "journal.jsonl");
+  if (!fs.existsSync(journalFile)) return 0;
+
+  for (const line of fs.readFileSync(journalFile, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    const message = JSON.parse(line);
+    if (message.futureId === futureId && message.receipt) {
+      return message.receipt.blockNumber;
+    }
+  }
+  return 0;
+}
+
+/**
+ * @notice Tells whether a deployed contract has the ABI of its current artifact
+ * @dev ABIs are compared on their human readable signatures, so the order of the fragments does not matter.
+ *      A contract without a current artifact (not compiled) is assumed to be up to date.
+ * @param {{contractName: string, sourceName: string, abi: object[]}} deployed Artifact stored with the deployment
+ * @return {boolean} Whether the ABIs match
+ */
+function hasCurrentAbi(deployed) {
+  const artifactFile = path.join(ROOT, "artifacts", deployed.sourceName, `${deployed.contractName}.json`);
+  if (!fs.existsSync(artifactFile)) return true;
+
+  const { abi } = JSON.parse(fs.readFileSync(artifactFile, "utf8"));
+  const signatures = (fragments) => new ethers.Interface(fragments).format(true).sort().join("\n");
+  return signatures(deployed.abi) === signatures(abi);
+}
+
+/**
+ * @notice Reads the contracts of one Ignition deployment
+ * @param {string} deploymentDir Path of a chain-<id> deployment folder
+ * @return {{swap: string|null, startBlock: number, router: string|null, gasless: string|null, limitOrders: string|null, tokens: string[], outdated: string[]}}
+ *         SimpleSwap address and deployment block, ETH router, signed order executor and limit order book addresses,
+ *         mock token addresses and the names of the contracts left out because their ABI is outdated
+ */
+function readDeployment(deploymentDir) {
+  const addresses = JSON.parse(fs.readFileSync(path.join(deploymentDir, "deployed_addresses.json"), "utf8"));
+  const result = { swap: null, startBlock: 0, router: null, gasless: null, limitOrders: null, tokens: [], outdated: [] };
+
+  for (const [futureId, address] of Object.entries(addresses)) {
+    const artifactFile = path.join(deploymentDir, "artifacts", `${futureId}.json`);
+    const artifact = JSON.parse(fs.readFileSync(artifactFile, "utf8"));
+    const { contractName } = artifact;
+    if (!TOKEN_CONTRACTS.includes(contractName) && !hasCurrentAbi(artifact)) {
+      result.outdated.push(`${contractName} ${address}`);
+      continue;
+    }
+    if (contractName === "SimpleSwap") {
+      result.swap = address;
+      result.startBlock = readDeploymentBlock(deploymentDir, futureId);
+    } else if (contractName === "SimpleSwapETHRouter") {
+      result.router = address;
+    } else if (contractName === "SimpleSwapGasless") {
+      result.gasless = address;
+    } else if (contractName === "SimpleSwapLimitOrders") {
+      result.limitOrders = address;
+    } else if (TOKEN_CONTRACTS.includes(contractName)) {
+      result.tokens.push(address);
+    }
+  }
+  return result;
+}
+
+/**
+ * @notice Builds the config of every chain with a SimpleSwap deployment
+ * @return {object} Config keyed by chain id
+ */
+function buildDeployments() {
+  const networks = JSON.parse(fs.readFileSync(NETWORKS_FILE, "utf8"));
+  const deployments = {};
+
+  const folders = fs.existsSync(DEPLOYMENTS_DIR) ? fs.readdirSync(DEPLOYMENTS_DIR) : [];
+  for (const folder of folders) {
+    const match = /^chain-(\d+)$/.exec(folder);
+    if (!match) continue;
+
+    const chainId = match[1];
+    const { swap, startBlock, router, gasless, limitOrders, tokens, outdated } = readDeployment(path.join(DEPLOYMENTS_DIR, folder));
+    if (outdated.length > 0) {
+      console.warn(`Chain ${chainId}: skipping ${outdated.join(", ")}, deployed with an outdated ABI. Redeploy to list it.`);
+    }
+    if (!swap) continue;
+
+    const network = networks[chainId] || {};
+    deployments[chainId] = {
+      chainId: Number(chainId),
+      name: network.name || `Chain ${chainId}`,
+      rpcUrl: network.rpcUrl || null,
+      explorer: network.explorer || null,
+      indexerUrl: network.indexerUrl || null,
+      relayerUrl: network.relayerUrl || null,
+      swap,
+      startBlock,
+      router,
+      gasless,
+      limitOrders,
+      tokens: [...tokens, ...(network.tokens || []).filter((token) => !tokens.includes(token))]
+    };
+  }
+  return deployments;
+}
+
+/**
+ * @notice Writes the config module loaded by the frontend
+ */
+function main() {
+  const deployments = buildDeployments();
+  const source = [
+    "// Generated by scripts/export-frontend-config.js from ignition/deployments. Do not edit by hand.",
+    "",
+    "/// @notice SimpleSwap deployment of every supported chain, keyed by chain id",
+    `export const DEPLOYMENTS = ${JSON.stringify(deployments, null, 2)};`,
+    ""
+  ].join("\n");
+
+  fs.writeFileSync(OUTPUT_FILE, source);
+  for (const deployment of Object.values(deployments)) {
+    console.log(`${deployment.name} (${deployment.chainId}): SimpleSwap ${deployment.swap}, ${deployment.tokens.length} tokens`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildDeployments };
@@ -0,0 +1,778 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { buildDeployments } = require("../scripts/export-frontend-config");
+
+/**
+ * @title SimpleSwap Tasks
+ * @notice Command line operations on a SimpleSwap deployment:
+ *         swap:add-liquidity, swap:remove-liquidity, swap:swap, swap:quote, swap:price, swap:sync, swap:pools,
+ *         swap:collect-fees, swap:pause, swap:unpause and the timelock tasks swap:queue-change, swap:execute-change,
+ *         swap:cancel-change and swap:changes
+ * @dev The SimpleSwap address comes from the Ignition deployment of the selected network (or --swap).
+ *      Tokens are given by address or by symbol (tokens of the deployment and of existing pools).
+ *      Amounts are human readable and parsed with each token's decimals.
+ *      Every task prints its result, as JSON with --json, and returns it.
+ *      Owner tasks go through the SimpleSwapTimelock owning SimpleSwap, when there is one.
+ */
+
+/// @notice Name shown in front of task errors
+const PLUGIN_NAME = "SimpleSwap";
+
+/// @notice Minimal ERC20 interface used by the tasks
+const TOKEN_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+/// @notice Decimals of SimpleSwapLP tokens
+const LP_DECIMALS = 18;
+
+/// @notice Defaults matching the web UI settings
+const DEFAULT_SLIPPAGE_PERCENT = "0.5";
+const DEFAULT_DEADLINE_MINUTES = 20;
+
+/// @notice Denominator of basis point values
+const BPS_DENOMINATOR = 10000n;
+
+/// @notice Names of the SimpleSwapTimelock `Parameter` values, in enum order
+const TIMELOCK_PARAMETERS = ["swap-fee", "protocol-fee", "fee-recipient", "delay", "swap-owner"];
+
+/// @notice Timelock parameters holding an address
+const ADDRESS_PARAMETERS = ["fee-recipient", "swap-owner"];
+
+/**
+ * @notice Loads the SimpleSwap contract and signer of the selected network
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} args Task arguments (uses `swap`)
+ * @return {Promise<object>} { swap, signer, knownTokens, tokens } where `tokens` caches token info by address
+ * @throws {Error} If no SimpleSwap address is given or deployed on the network
+ */
+async function getContext(hre, args) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deployment = buildDeployments()[chainId.toString()];
+  const address = args.swap || (deployment && deployment.swap);
+  if (!address) {
+    throw new HardhatPluginError(PLUGIN_NAME, `No SimpleSwap deployment found for chain ${chainId}. Deploy it with Ignition or pass --swap.`);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const swap = await hre.ethers.getContractAt("SimpleSwap", address, signer);
+  return { hre, swap, signer, knownTokens: deployment ? deployment.tokens : [], tokens: new Map() };
+}
+
+/**
+ * @notice Reads the symbol and decimals of a token, once per task
+ * @param {object} context Task context
+ * @param {string} address Token address
+ * @return {Promise<object>} { address, symbol, decimals, contract }
+ */
+async function getToken(context, address) {
+  const key = address.toLowerCase();
+  if (!context.tokens.has(key)) {
+    const contract = new context.hre.ethers.Contract(address, TOKEN_ABI, context.signer);
+    const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+    context.tokens.set(key, { address: contract.target, symbol, decimals: Number(decimals), contract });
+  }
+  return context.tokens.get(key);
+}
+
+/**
+ * @notice Lists the tokens of the deployment and of every existing pool
+ * @param {object} context Task context
+ * @return {Promise<Set<string>>} Token addresses
+ */
+async function listTokens(context) {
+  const candidates = new Set(context.knownTokens);
+  for (const pair of await context.swap.getAllPairs()) {
+    const lpToken = await context.hre.ethers.getContractAt("SimpleSwapLP", pair);
+    candidates.add(await lpToken.token0());
+    candidates.add(await lpToken.token1());
+  }
+  return candidates;
+}
+
+/**
+ * @notice Resolves a token given by address or symbol
+ * @dev Symbols are looked up among the tokens of the deployment and of every existing pool
+ * @param {object} context Task context
+ * @param {string} value Token address or symbol
+ * @return {Promise<object>} Token info (see getToken)
+ * @throws {Error} If the symbol matches no token, or more than one
+ */
+async function resolveToken(context, value) {
+  const { ethers } = context.hre;
+  if (ethers.isAddress(value)) {
+    return getToken(context, ethers.getAddress(value));
+  }
+
+  const matches = [];
+  for (const address of await listTokens(context)) {
+    const token = await getToken(context, address);
+    if (token.symbol.toLowerCase() === value.toLowerCase()) {
+      matches.push(token);
+    }
+  }
+  if (matches.length !== 1) {
+    throw new HardhatPluginError(PLUGIN_NAME, matches.length === 0
+      ? `Unknown token "${value}". Pass its address instead.`
+      : `Several tokens use the symbol "${value}". Pass the address instead.`);
+  }
+  return matches[0];
+}
+
+/**
+ * @notice Resolves a comma separated list of tokens
+ * @param {object} context Task context
+ * @param {string} value Token addresses or symbols, e.g. "TKA,TKB,TUSD"
+ * @return {Promise<object[]>} Token infos, in order
+ * @throws {Error} If fewer than two tokens are given
+ */
+async function resolvePath(context, value) {
+  const items = value.split(",").map(item => item.trim()).filter(Boolean);
+  if (items.length < 2) {
+    throw new HardhatPluginError(PLUGIN_NAME, "A path needs at least two tokens.");
+  }
+  const path = [];
+  for (const item of items) {
+    path.push(await resolveToken(context, item));
+  }
+  return path;
+}
+
+/**
+ * @notice Parses a human readable amount of a token
+ * @param {object} context Task context
+ * @param {string} value Amount, e.g. "1.5"
+ * @param {number} decimals Decimals of the token
+ * @param {string} name Name of the argument, for the error message
+ * @return {bigint} Amount in the token's smallest unit
+ * @throws {Error} If the amount is not a positive number
+ */
+function parseAmount(context, value, decimals, name) {
+  let amount;
+  try {
+    amount = context.hre.ethers.parseUnits(value, decimals);
+  } catch (e) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Invalid ${name}: "${value}".`);
+  }
+  if (amount <= 0n) {
+    throw new HardhatPluginError(PLUGIN_NAME, `${name} must be greater than zero.`);
+  }
+  return amount;
+}
+
+/**
+ * @notice Formats an amount of a token for output
+ * @param {object} context Task context
+ * @param {bigint} amount Amount in the token's smallest unit
+ * @param {object} token Token info
+ * @return {object} { token, symbol, amount } with the amount as a decimal string
+ */
+function describeAmount(context, amount, token) {
+  return { token: token.address, symbol: token.symbol, amount: context.hre.ethers.formatUnits(amount, token.decimals) };
+}
+
+/**
+ * @notice Lowers an amount by the slippage tolerance, or raises it for maximums
+ * @param {bigint} amount Quoted amount
+ * @param {string} slippagePercent Slippage tolerance in percent, e.g. "0.5"
+ * @param {boolean} roundUp Whether to raise the amount (maximum input) instead of lowering it
+ * @return {bigint} Amount after slippage
+ * @throws {Error} If the slippage is not between 0 and 50 percent
+ */
+function applySlippage(amount, slippagePercent, roundUp = false) {
+  const percent = Number(slippagePercent);
+  if (!Number.isFinite(percent) || percent < 0 || percent > 50) {
+    throw new HardhatPluginError(PLUGIN_NAME, "slippage must be between 0 and 50 percent.");
+  }
+  const bps = BigInt(Math.round(percent * 100));
+  return roundUp
+    ? (amount * (BPS_DENOMINATOR + bps)) / BPS_DENOMINATOR
+    : (amount * (BPS_DENOMINATOR - bps)) / BPS_DENOMINATOR;
+}
+
+/**
+ * @notice Computes a transaction deadline from the chain clock
+ * @param {object} context Task context
+ * @param {number} minutes Minutes from the latest block
+ * @return {Promise<number>} Unix timestamp
+ */
+async function getDeadline(context, minutes) {
+  const block = await context.hre.ethers.provider.getBlock("latest");
+  return block.timestamp + minutes * 60;
+}
+
+/**
+ * @notice Approves SimpleSwap to spend a token when the current allowance is too low
+ * @param {object} context Task context
+ * @param {ethers.Contract} token Token contract, connected to the signer
+ * @param {bigint} amount Amount to be spent
+ * @return {Promise<string|null>} Hash of the approval transaction, or null if none was needed
+ */
+async function ensureAllowance(context, token, amount) {
+  const allowance = await token.allowance(context.signer.address, context.swap.target);
+  if (allowance >= amount) {
+    return null;
+  }
+  const tx = await token.approve(context.swap.target, amount);
+  await tx.wait();
+  return tx.hash;
+}
+
+/**
+ * @notice Decodes the SimpleSwap events of a transaction
+ * @param {object} context Task context
+ * @param {ethers.TransactionReceipt} receipt Receipt of the transaction
+ * @param {string} name Event name
+ * @return {ethers.LogDescription[]} Matching events, in log order
+ */
+function getEvents(context, receipt, name) {
+  return getContractEvents(context.swap, receipt, name);
+}
+
+/**
+ * @notice Decodes the events of a contract in a transaction
+ * @param {ethers.Contract} contract Contract emitting the events
+ * @param {ethers.TransactionReceipt} receipt Receipt of the transaction
+ * @param {string} name Event name
+ * @return {ethers.LogDescription[]} Matching events, in log order
+ */
+function getContractEvents(contract, receipt, name) {
+  return receipt.logs
+    .filter(log => log.address.toLowerCase() === contract.target.toLowerCase())
+    .map(log => contract.interface.parseLog(log))
+    .filter(event => event && event.name === name);
+}
+
+/**
+ * @notice Gets the SimpleSwapTimelock owning SimpleSwap
+ * @param {object} context Task context
+ * @return {Promise<ethers.Contract|null>} Timelock connected to the signer, or null if SimpleSwap is owned by an account
+ */
+async function getTimelock(context) {
+  const owner = await context.swap.owner();
+  if ((await context.hre.ethers.provider.getCode(owner)) === "0x") {
+    return null;
+  }
+  const timelock = await context.hre.ethers.getContractAt("SimpleSwapTimelock", owner, context.signer);
+  try {
+    return (await timelock.simpleSwap()) === context.swap.target ? timelock : null;
+  } catch (e) {
+    // Another kind of contract
+    return null;
+  }
+}
+
+/**
+ * @notice Gets the SimpleSwapTimelock owning SimpleSwap, for the timelock tasks
+ * @param {object} context Task context
+ * @return {Promise<ethers.Contract>} Timelock connected to the signer
+ * @throws {Error} If SimpleSwap is not owned by a timelock
+ */
+async function requireTimelock(context) {
+  const timelock = await getTimelock(context);
+  if (!timelock) {
+    throw new HardhatPluginError(PLUGIN_NAME, "SimpleSwap is not owned by a SimpleSwapTimelock. Deploy one with ignition/modules/Timelock.js.");
+  }
+  return timelock;
+}
+
+/**
+ * @notice Describes who can change the SimpleSwap parameters, for the output of the owner tasks
+ * @param {ethers.Contract|null} timelock Timelock owning SimpleSwap, from getTimelock
+ * @return {string} Human readable line
+ */
+function describeGovernance(timelock) {
+  return timelock
+    ? `Owned by the timelock ${timelock.target}: fee changes wait for its delay`
+    : "Owned by an account, not a timelock: fee changes apply immediately until ignition/modules/Timelock.js is run";
+}
+
+/**
+ * @notice Formats the value of a timelock parameter for output
+ * @param {object} context Task context
+ * @param {number} parameter Index of the parameter
+ * @param {bigint} value Raw value
+ * @return {string} Address, or the number as a decimal string
+ */
+function describeParameterValue(context, parameter, value) {
+  return ADDRESS_PARAMETERS.includes(TIMELOCK_PARAMETERS[parameter])
+    ? context.hre.ethers.getAddress(context.hre.ethers.toBeHex(value, 20))
+    : value.toString();
+}
+
+/**
+ * @notice Prints the result of a task
+ * @param {boolean} json Whether to print JSON
+ * @param {object} result Result of the task
+ * @param {string[]} lines Human readable lines
+ * @return {object} The result
+ */
+function report(json, result, lines) {
+  console.log(json ? JSON.stringify(result, null, 2) : lines.join("\n"));
+  return result;
+}
+
+/**
+ * @notice Adds the options shared by every task
+ * @param {object} definition Task definition
+ * @return {object} The task definition
+ */
+function withCommonParams(definition) {
+  return definition
+    .addOptionalParam("swap", "SimpleSwap address (default: the Ignition deployment of the network)")
+    .addFlag("json", "Print the result as JSON");
+}
+
+/**
+ * @notice Adds the options of tasks sending a transaction with minimum amounts
+ * @param {object} definition Task definition
+ * @return {object} The task definition
+ */
+function withTransactionParams(definition) {
+  return withCommonParams(definition)
+    .addOptionalParam("slippage", "Slippage tolerance in percent", DEFAULT_SLIPPAGE_PERCENT)
+    .addOptionalParam("deadline", "Minutes before the transaction expires", DEFAULT_DEADLINE_MINUTES, types.int)
+    .addOptionalParam("to", "Recipient (default: the sender)");
+}
+
+withTransactionParams(task("swap:add-liquidity", "Adds liquidity to a pool, creating it if needed"))
+  .addParam("tokenA", "Token A address or symbol")
+  .addParam("tokenB", "Token B address or symbol")
+  .addParam("amountA", "Amount of token A offered")
+  .addParam("amountB", "Amount of token B offered")
+  .setAction(async (args, hre) => {
+    const context = await getContext(hre, args);
+    const tokenA = await resolveToken(context, args.tokenA);
+    const tokenB = await resolveToken(context, args.tokenB);
+    const amountADesired = parseAmount(context, args.amountA, tokenA.decimals, "amountA");
+    const amountBDesired = parseAmount(context, args.amountB, tokenB.decimals, "amountB");
+
+    const [expectedA, expectedB] = await context.swap.quoteAddLiquidity(tokenA.address, tokenB.address, amountADesired, amountBDesired);
+    const approvals = [
+      await ensureAllowance(context, tokenA.contract, amountADesired),
+      await ensureAllowance(context, tokenB.contract, amountBDesired)
+    ].filter(Boolean);
+
+    const tx = await context.swap.addLiquidity(
+      tokenA.address,
+      tokenB.address,
+      amountADesired,
+      amountBDesired,
+      applySlippage(expectedA, args.slippage),
+      applySlippage(expectedB, args.slippage),
+      args.to || context.signer.address,
+      await getDeadline(context, args.deadline)
+    );
+    const receipt = await tx.wait();
+    const [event] = getEvents(context, receipt, "LiquidityAdded");
+
+    const result = {
+      txHash: tx.hash,
+      approvals,
+      pair: await context.swap.getPair(tokenA.address, tokenB.address),
+      amountA: describeAmount(context, event.args.amountA, tokenA),
+      amountB: describeAmount(context, event.args.amountB, tokenB),
+      liquidity: hre.ethers.formatUnits(event.args.liquidity, LP_DECIMALS)
+    };
+    return report(args.json, result, [
+      `Added ${result.amountA.amount} ${tokenA.symbol} + ${result.amountB.amount} ${tokenB.symbol}`,
+      `Minted ${result.liquidity} LP tokens of pair ${result.pair}`,
+      `Transaction: ${tx.hash}`
+    ]);
+  });
+
+withTransactionParams(task("swap:remove-liquidity", "Burns LP tokens of a pool for its tokens"))
+  .addParam("tokenA", "Token A address or symbol")
+  .addParam("tokenB", "Token B address or symbol")
+  .addParam("liquidity", "Amount of LP tokens to burn, or \"all\"")
+  .setAction(async (args, hre) => {
+    const context = await getContext(hre, args);
+    const tokenA = await resolveToken(context, args.tokenA);
+    const tokenB = await resolveToken(context, args.tokenB);
+    const pair = await context.swap.getPair(tokenA.address, tokenB.address);
+    if (pair === hre.ethers.ZeroAddress) {
+      throw new HardhatPluginError(PLUGIN_NAME, `There is no ${tokenA.symbol}/${tokenB.symbol} pool.`);
+    }
+
+    const lpToken = await hre.ethers.getContractAt("SimpleSwapLP", pair, context.signer);
+    const liquidity = args.liquidity === "all"
+      ? await lpToken.balanceOf(context.signer.address)
+      : parseAmount(context, args.liquidity, LP_DECIMALS, "liquidity");
+    if (liquidity === 0n) {
+      throw new HardhatPluginError(PLUGIN_NAME, `No ${tokenA.symbol}/${tokenB.symbol} LP tokens to remove.`);
+    }
+
+    const [expectedA, expectedB] = await context.swap.quoteRemoveLiquidity(tokenA.address, tokenB.address, liquidity);
+    const approvals = [await ensureAllowance(context, lpToken, liquidity)].filter(Boolean);
+
+    const tx = await context.swap.removeLiquidity(
+      tokenA.address,
+      tokenB.address,
+      liquidity,
+      applySlippage(expectedA, args.slippage),
+      applySlippage(expectedB, args.slippage),
+      args.to || context.signer.address,
+      await getDeadline(context, args.deadline)
+    );
+    const receipt = await tx.wait();
+    const [event] = getEvents(context, receipt, "LiquidityRemoved");
+
+    const result = {
+      txHash: tx.hash,
+      approvals,
+      pair,
+      amountA: describeAmount(context, event.args.amountA, tokenA),
+      amountB: describeAmount(context, event.args.amountB, tokenB),
+      liquidity: hre.ethers.formatUnits(event.args.liquidity, LP_DECIMALS)
+    };
+    return report(args.json, result, [
+      `Burned ${result.liquidity} LP tokens of pair ${pair}`,
+      `Received ${result.amountA.amount} ${tokenA.symbol} + ${result.amountB.amount} ${tokenB.symbol}`,
+      `Transaction: ${tx.hash}`
+    ]);
+  });
+
+/**
+ * @notice Quotes a swap along a path
+ * @param {object} context Task context
+ * @param {object} args Task arguments (path, amount, exactOutput)
+ * @return {Promise<object>} { path, amounts } with token infos and raw amounts of every hop
+ */
+async function quoteSwap(context, args) {
+  const path = await resolvePath(context, args.path);
+  const addresses = path.map(token => token.address);
+  const amounts = args.exactOutput
+    ? await context.swap.getAmountsIn(parseAmount(context, args.amount, path[path.length - 1].decimals, "amount"), addresses)
+    : await context.swap.getAmountsOut(parseAmount(context, args.amount, path[0].decimals, "amount"), addresses);
+  return { path, amounts: [...amounts] };
+}
+
+withCommonParams(task("swap:quote", "Quotes a swap along a path without sending it"))
+  .addParam("path", "Comma separated token addresses or symbols, input first (e.g. TKA,TKB)")
+  .addParam("amount", "Input amount, or output amount with --exact-output")
+  .addFlag("exactOutput", "Quote the input needed for an exact output")
+  .setAction(async (args, hre) => {
+    const context = await getContext(hre, args);
+    const { path, amounts } = await quoteSwap(context, args);
+
+    const hops = amounts.map((amount, i) => describeAmount(context, amount, path[i]));
+    const result = { exactOutput: args.exactOutput, amountIn: hops[0], amountOut: hops[hops.length - 1], hops };
+    return report(args.json, result, [
+      `${result.amountIn.amount} ${result.amountIn.symbol} -> ${result.amountOut.amount} ${result.amountOut.symbol}`,
+      `Route: ${hops.map(hop => `${hop.amount} ${hop.symbol}`).join(" -> ")}`
+    ]);
+  });
+
+withTransactionParams(task("swap:swap", "Swaps tokens along a path"))
+  .addParam("path", "Comma separated token addresses or symbols, input first (e.g. TKA,TKB)")
+  .addParam("amount", "Input amount, or output amount with --exact-output")
+  .addFlag("exactOutput", "Receive an exact output amount instead of sending an exact input")
+  .setAction(async (args, hre) => {
+    const context = await getContext(hre, args);
+    const { path, amounts } = await quoteSwap(context, args);
+    const addresses = path.map(token => token.address);
+    const to = args.to || context.signer.address;
+    const deadline = await getDeadline(context, args.deadline);
+
+    let tx;
+    let approval;
+    if (args.exactOutput) {
+      const amountInMax = applySlippage(amounts[0], args.slippage, true);
+      approval = await ensureAllowance(context, path[0].contract, amountInMax);
+      tx = await context.swap.swapTokensForExactTokens(amounts[amounts.length - 1], amountInMax, addresses, to, deadline);
+    } else {
+      approval = await ensureAllowance(context, path[0].contract, amounts[0]);
+      const amountOutMin = applySlippage(amounts[amounts.length - 1], args.slippage);
+      tx = await context.swap.swapExactTokensForTokens(amounts[0], amountOutMin, addresses, to, deadline);
+    }
+    const receipt = await tx.wait();
+
+    // One TokenSwapped event per hop, in path order
+    const hops = getEvents(context, receipt, "TokenSwapped").map((event, i) => ({
+      amountIn: describeAmount(context, event.args.amountIn, path[i]),
+      amountOut: describeAmount(context, event.args.amountOut, path[i + 1])
+    }));
+    const result = {
+      txHash: tx.hash,
+      approvals: [approval].filter(Boolean),
+      amountIn: hops[0].amountIn,
+      amountOut: hops[hops.length - 1].amountOut,
+      hops
+    };
+    return report(args.json, result, [
+      `Swapped ${result.amountIn.amount} ${result.amountIn.symbol} for ${result.amountOut.amount} ${result.amountOut.symbol}`,
+      `Transaction: ${tx.hash}`
+    ]);
+  });
+
+withCommonParams(task("swap:price", "Shows the price and reserves of a pool"))
+  .addParam("tokenA", "Token A address or symbol")
+  .addParam("tokenB", "Token B address or symbol")
+  .setAction(async (args, hre) => {
+    const context = await getContext(hre, args);
+    const tokenA = await resolveToken(context, args.tokenA);
+    const tokenB = await resolveToken(context, args.tokenB);
+    const [[reserveA, reserveB], feeBps, timelock] = await Promise.all([
+      context.swap.getReserves(tokenA.address, tokenB.address),
+      context.swap.swapFeeBps(),
+      getTimelock(context)
+    ]);
+    if (reserveA === 0n || reserveB === 0n) {
+      throw new HardhatPluginError(PLUGIN_NAME, `The ${tokenA.symbol}/${tokenB.symbol} pool has no liquidity.`);
+    }
+
+    // Price of 1 token A in token B, in whole tokens whatever the decimals of each side
+    const price = (reserveB * 10n ** BigInt(tokenA.decimals + 18)) / reserveA;
+    const result = {
+      price: hre.ethers.formatUnits(price, tokenB.decimals + 18),
+      inversePrice: hre.ethers.formatUnits((reserveA * 10n ** BigInt(tokenB.decimals + 18)) / reserveB, tokenA.decimals + 18),
+      reserveA: describeAmount(context, reserveA, tokenA),
+      reserveB: describeAmount(context, reserveB, tokenB),
+      feeBps: Number(feeBps),
+      timelock: timelock ? timelock.target : null
+    };
+    return report(args.json, result, [
+      `1 ${tokenA.symbol} = ${result.price} ${tokenB.symbol}`,
+      `1 ${tokenB.symbol} = ${result.inversePrice} ${tokenA.symbol}`,
+      `Reserves: ${result.reserveA.amount} ${tokenA.symbol} / ${result.reserveB.amount} ${tokenB.symbol}`,
+      `Swap fee: ${result.feeBps / 100}%. ${describeGovernance(timelock)}`
+    ]);
+  });
+
+withCommonParams(task("swap:sync", "Sets the reserves of every pool of a pair's tokens from the SimpleSwap balances (direct transfers, rebases)"))
+  .addParam("tokenA", "Token A address or symbol")
+  .addParam("tokenB", "Token B address or symbol")
+  .setAction(async (args, hre) => {
+    const context = await getContext(hre, args);
+    const tokenA = await resolveToken(context, args.tokenA);
+    const tokenB = await resolveToken(context, args.tokenB);
+
+    const before = await context.swap.getReserves(tokenA.address, tokenB.address);
+    const tx = await context.swap.sync(tokenA.address, tokenB.address);
+    await tx.wait();
+    const after = await context.swap.getReserves(tokenA.address, tokenB.address);
+
+    const result = {
+      txHash: tx.hash,
+      before: { reserveA: describeAmount(context, before[0], tokenA), reserveB: describeAmount(context, before[1], tokenB) },
+      after: { reserveA: describeAmount(context, after[0], tokenA), reserveB: describeAmount(context, after[1], tokenB) }
+    };
+    return report(args.json, result, [
+      `Reserves before: ${result.before.reserveA.amount} ${tokenA.symbol} / ${result.before.reserveB.amount} ${tokenB.symbol}`,
+      `Reserves after: ${result.after.reserveA.amount} ${tokenA.symbol} / ${result.after.reserveB.amount} ${tokenB.symbol}`,
+      `Transaction: ${tx.hash}`
+    ]);
+  });
+
+withCommonParams(task("swap:collect-fees", "Sends the accrued protocol fees to the owner (owner only, or anyone through a timelock)"))
+  .addOptionalParam("token", "Token address or symbol (default: every token with accrued fees)")
+  .addOptionalParam("to", "Recipient (default: the sender, or the fee recipient of the timelock)")
+  .setAction(async (args, hre) => {
+    const context = await getContext(hre, args);
+    const tokens = args.token ? [await resolveToken(context, args.token)] : [];
+    if (!args.token) {
+      for (const address of await listTokens(context)) {
+        if (await context.swap.protocolFees(address) > 0n) {
+          tokens.push(await getToken(context, address));
+        }
+      }
+    }
+
+    // A timelock always sends the fees to its fee recipient
+    const timelock = await getTimelock(context);
+    const to = timelock ? await timelock.feeRecipient() : args.to || context.signer.address;
+    if (timelock && args.to && hre.ethers.getAddress(args.to) !== to) {
+      throw new HardhatPluginError(PLUGIN_NAME, `SimpleSwap is owned by a timelock sending the fees to ${to}. Change it with swap:queue-change.`);
+    }
+    const collected = [];
+    for (const token of tokens) {
+      const tx = timelock
+        ? await timelock.collectProtocolFees(token.address)
+        : await context.swap.collectProtocolFees(token.address, to);
+      const receipt = await tx.wait();
+      const [event] = getEvents(context, receipt, "ProtocolFeesCollected");
+      collected.push({ txHash: tx.hash, ...describeAmount(context, event.args.amount, token) });
+    }
+
+    const result = { to, protocolFeeBps: Number(await context.swap.protocolFeeBps()), collected, timelock: timelock ? timelock.target : null };
+    return report(args.json, result, [
+      `Protocol fee: ${result.protocolFeeBps / 100}% of the swap fee. ${describeGovernance(timelock)}`,
+      collected.length === 0 ? "No protocol fees to collect" : `Sent to ${to}:`,
+      ...collected.map(fee => `${fee.amount} ${fee.symbol} (transaction: ${fee.txHash})`)
+    ]);
+  });
+
+/**
+ * @notice Pauses or unpauses SimpleSwap, directly or through its timelock
+ * @param {object} args Task arguments
+ * @param {object} hre Hardhat runtime environment
+ * @param {boolean} paused Whether to pause
+ * @return {Promise<object>} Result { paused, txHash, via }
+ */
+async function setPaused(args, hre, paused) {
+  const context = await getContext(hre, args);
+  const timelock = await getTimelock(context);
+  const governor = timelock || context.swap;
+  const tx = paused ? await governor.pause() : await governor.unpause();
+  await tx.wait();
+
+  const result = { paused, txHash: tx.hash, via: timelock ? timelock.target : null };
+  return report(args.json, result, [
+    paused
+      ? "SimpleSwap paused: swaps, flash swaps and deposits are stopped; liquidity can still be removed"
+      : "SimpleSwap unpaused: swaps, flash swaps and deposits are open",
+    describeGovernance(timelock),
+    `Transaction: ${tx.hash}`
+  ]);
+}
+
+withCommonParams(task("swap:pause", "Stops swaps, flash swaps and deposits; liquidity can still be removed (owner only)"))
+  .setAction((args, hre) => setPaused(args, hre, true));
+
+withCommonParams(task("swap:unpause", "Resumes swaps, flash swaps and deposits (owner only)"))
+  .setAction((args, hre) => setPaused(args, hre, false));
+
+withCommonParams(task("swap:queue-change", "Queues a parameter change in the timelock owning SimpleSwap (timelock owner only)"))
+  .addParam("parameter", `One of ${TIMELOCK_PARAMETERS.join(", ")}`)
+  .addParam("value", "Fees in basis points, the delay in seconds, or an address")
+  .setAction(async (args, hre) => {
+    const context = await getContext(hre, args);
+    const timelock = await requireTimelock(context);
+    const parameter = TIMELOCK_PARAMETERS.indexOf(args.parameter);
+    if (parameter < 0) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Unknown parameter: ${args.parameter}. Use one of ${TIMELOCK_PARAMETERS.join(", ")}.`);
+    }
+    let value;
+    try {
+      value = ADDRESS_PARAMETERS.includes(args.parameter)
+        ? BigInt(hre.ethers.getAddress(args.value))
+        : BigInt(args.value);
+    } catch (e) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Invalid value for ${args.parameter}: ${args.value}`);
+    }
+
+    const tx = await timelock.queueChange(parameter, value);
+    const receipt = await tx.wait();
+    const [event] = getContractEvents(timelock, receipt, "ChangeQueued");
+    const result = {
+      id: Number(event.args.id),
+      parameter: args.parameter,
+      value: describeParameterValue(context, parameter, value),
+      eta: Number(event.args.eta),
+      txHash: tx.hash
+    };
+    return report(args.json, result, [
+      `Queued change #${result.id}: ${result.parameter} = ${result.value}`,
+      `Executable from ${new Date(result.eta * 1000).toISOString()} with swap:execute-change --id ${result.id}`,
+      `Transaction: ${tx.hash}`
+    ]);
+  });
+
+withCommonParams(task("swap:execute-change", "Executes a queued timelock change whose delay has passed (timelock owner only)"))
+  .addParam("id", "Id of the change", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const context = await getContext(hre, args);
+    const timelock = await requireTimelock(context);
+    const tx = await timelock.executeChange(args.id);
+    const receipt = await tx.wait();
+    const [event] = getContractEvents(timelock, receipt, "ChangeExecuted");
+    const parameter = Number(event.args.parameter);
+    const result = {
+      id: args.id,
+      parameter: TIMELOCK_PARAMETERS[parameter],
+      value: describeParameterValue(context, parameter, event.args.value),
+      txHash: tx.hash
+    };
+    return report(args.json, result, [
+      `Executed change #${result.id}: ${result.parameter} = ${result.value}`,
+      `Transaction: ${tx.hash}`
+    ]);
+  });
+
+withCommonParams(task("swap:cancel-change", "Cancels a queued timelock change (timelock owner only)"))
+  .addParam("id", "Id of the change", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const context = await getContext(hre, args);
+    const timelock = await requireTimelock(context);
+    const tx = await timelock.cancelChange(args.id);
+    await tx.wait();
+    const result = { id: args.id, txHash: tx.hash };
+    return report(args.json, result, [
+      `Cancelled change #${result.id}`,
+      `Transaction: ${tx.hash}`
+    ]);
+  });
+
+withCommonParams(task("swap:changes", "Shows the timelock settings and its pending changes"))
+  .setAction(async (args, hre) => {
+    const context = await getContext(hre, args);
+    const timelock = await requireTimelock(context);
+    const [delay, feeRecipient, gracePeriod, changeCount, paused, block] = await Promise.all([
+      timelock.delay(),
+      timelock.feeRecipient(),
+      timelock.GRACE_PERIOD(),
+      timelock.changeCount(),
+      context.swap.paused(),
+      hre.ethers.provider.getBlock("latest")
+    ]);
+
+    const pending = [];
+    for (let id = 0n; id < changeCount; id++) {
+      const [change, eta] = await Promise.all([timelock.changes(id), timelock.getEta(id)]);
+      if (eta === 0n) {
+        continue;
+      }
+      const parameter = Number(change.parameter);
+      const now = BigInt(block.timestamp);
+      pending.push({
+        id: Number(id),
+        parameter: TIMELOCK_PARAMETERS[parameter],
+        value: describeParameterValue(context, parameter, change.value),
+        eta: Number(eta),
+        status: now < eta ? "locked" : now <= eta + gracePeriod ? "ready" : "stale"
+      });
+    }
+
+    const result = { timelock: timelock.target, delay: Number(delay), feeRecipient, paused, pending };
+    return report(args.json, result, [
+      `Timelock: ${result.timelock} (delay ${result.delay}s, fees to ${feeRecipient})`,
+      `SimpleSwap ${paused ? "paused" : "running"}`,
+      pending.length === 0 ? "No pending changes" : "Pending changes:",
+      ...pending.map(change =>
+        `#${change.id} ${change.parameter} = ${change.value}: ${change.status}, executable from ${new Date(change.eta * 1000).toISOString()}`)
+    ]);
+  });
+
+withCommonParams(task("swap:pools", "Lists every pool with its reserves and LP supply"))
+  .setAction(async (args, hre) => {
+    const context = await getContext(hre, args);
+    const pools = [];
+    for (const pair of await context.swap.getAllPairs()) {
+      const lpToken = await hre.ethers.getContractAt("SimpleSwapLP", pair);
+      const token0 = await getToken(context, await lpToken.token0());
+      const token1 = await getToken(context, await lpToken.token1());
+      const [[reserve0, reserve1], totalSupply] = await Promise.all([
+        context.swap.getReserves(token0.address, token1.address),
+        lpToken.totalSupply()
+      ]);
+      pools.push({
+        pair,
+        reserve0: describeAmount(context, reserve0, token0),
+        reserve1: describeAmount(context, reserve1, token1),
+        totalSupply: hre.ethers.formatUnits(totalSupply, LP_DECIMALS)
+      });
+    }
+
+    const result = { swap: context.swap.target, pools };
+    return report(args.json, result, [
+      `SimpleSwap ${context.swap.target}: ${pools.length} pools`,
+      ...pools.map(pool =>
+        `${pool.reserve0.symbol}/${pool.reserve1.symbol} ${pool.pair}: ` +
+        `${pool.reserve0.amount} ${pool.reserve0.symbol} / ${pool.reserve1.amount} ${pool.reserve1.symbol}, ` +
+        `${pool.totalSupply} LP`)
+    ]);
+  });
@@ -0,0 +1,65 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const DevStackModule = require("../ignition/modules/DevStack");
+const config = require("../ignition/dev-stack.json");
+
+describe("DevStack Ignition Module", function () {
+  let deployment;
+  let owner, user1;
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+    deployment = await ignition.deploy(DevStackModule);
+  });
+
+  it("should deploy every configured token with its name, symbol and decimals", async function () {
+    for (const token of config.tokens) {
+      const contract = deployment[token.symbol];
+      expect(await contract.name()).to.equal(token.name);
+      expect(await contract.symbol()).to.equal(token.symbol);
+      expect(await contract.decimals()).to.equal(token.decimals);
+    }
+  });
+
+  it("should seed every configured pool", async function () {
+    const decimals = { WETH: 18, ...Object.fromEntries(config.tokens.map(token => [token.symbol, token.decimals])) };
+
+    for (const pool of config.pools) {
+      const tokenA = deployment[pool.tokenA];
+      const tokenB = deployment[pool.tokenB];
+      const [reserveA, reserveB] = await deployment.swap.getReserves(tokenA.target, tokenB.target);
+
+      expect(reserveA).to.equal(ethers.parseUnits(pool.amountA, decimals[pool.tokenA]));
+      expect(reserveB).to.equal(ethers.parseUnits(pool.amountB, decimals[pool.tokenB]));
+
+      const lpToken = await ethers.getContractAt("SimpleSwapLP", await deployment.swap.getPair(tokenA.target, tokenB.target));
+      expect(await lpToken.balanceOf(owner.address)).to.be.gt(0);
+    }
+    expect(await deployment.swap.allPairsLength()).to.equal(config.pools.length);
+  });
+
+  it("should deploy the ETH router with the WETH mock", async function () {
+    expect(await deployment.router.simpleSwap()).to.equal(deployment.swap.target);
+    expect(await deployment.router.weth()).to.equal(deployment.WETH.target);
+  });
+
+  it("should deploy the TWAP oracle", async function () {
+    expect(await deployment.oracle.simpleSwap()).to.equal(deployment.swap.target);
+    expect(await deployment.oracle.cardinality()).to.equal(await deployment.swap.OBSERVATION_CARDINALITY());
+  });
+
+  it("should deploy the signed order executor", async function () {
+    expect(await deployment.gasless.simpleSwap()).to.equal(deployment.swap.target);
+  });
+
+  it("should deploy the limit order book", async function () {
+    expect(await deployment.limitOrders.simpleSwap()).to.equal(deployment.swap.target);
+    expect(await deployment.limitOrders.orderCount()).to.equal(0);
+  });
+
+  it("should let anyone mint the mock tokens", async function () {
+    const token = deployment[config.tokens[0].symbol];
+    await token.connect(user1).mint(user1.address, 100n);
+    expect(await token.balanceOf(user1.address)).to.equal(100n);
+  });
+});
@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { openDatabase, checkDatabaseTarget } = require("../indexer/db");
+const { createIndexer, getLastBlock, sync } = require("../indexer/sync");
+const { createServer } = require("../indexer/api");
+
+describe("Indexer", function () {
+  let simpleSwap;
+  let tokenA, tokenB;
+  let owner, user1;
+  let db, indexer;
+
+  // Helper function to get a deadline after the current chain time
+  const getDeadline = async () => (await time.latest()) + 600;
+
+  // Helper function swapping an exact amount of tokenIn for tokenOut
+  const swap = async (signer, tokenIn, tokenOut, amountIn) =>
+    simpleSwap.connect(signer).swapExactTokensForTokens(amountIn, 0, [tokenIn.target, tokenOut.target], signer.address, await getDeadline());
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const ERC20DecimalsMock = await ethers.getContractFactory("ERC20DecimalsMock");
+    tokenA = await ERC20Mock.deploy("Token A", "TKA", ethers.parseEther("1000000"));
+    tokenB = await ERC20DecimalsMock.deploy("Test USD", "TUSD", 6, ethers.parseUnits("1000000", 6));
+
+    const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
+    simpleSwap = await SimpleSwap.deploy();
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    await tokenA.transfer(user1.address, ethers.parseEther("1000"));
+    await tokenB.transfer(user1.address, ethers.parseUnits("1000", 6));
+    for (const signer of [owner, user1]) {
+      await tokenA.connect(signer).approve(simpleSwap.target, ethers.MaxUint256);
+      await tokenB.connect(signer).approve(simpleSwap.target, ethers.MaxUint256);
+    }
+    await simpleSwap.addLiquidity(
+      tokenA.target, tokenB.target, ethers.parseEther("100"), ethers.parseUnits("200", 6), 0, 0, owner.address, await getDeadline()
+    );
+
+    db = openDatabase(":memory:");
+    checkDatabaseTarget(db, 31337, simpleSwap.target);
+    indexer = createIndexer({ provider: ethers.provider, db, swap: simpleSwap.target, startBlock });
+  });
+
+  afterEach(function () {
+    db.close();
+  });
+
+  it("should index pools, tokens, liquidity events and reserves", async function () {
+    await sync(indexer);
+
+    const pool = db.prepare("SELECT * FROM pools").get();
+    expect(pool.pair).to.equal((await simpleSwap.getPair(tokenA.target, tokenB.target)).toLowerCase());
+    expect(db.prepare("SELECT symbol, decimals FROM tokens WHERE address = ?").get(tokenB.target.toLowerCase()))
+      .to.deep.equal({ symbol: "TUSD", decimals: 6 });
+
+    const event = db.prepare("SELECT * FROM liquidity_events").get();
+    expect(event.type).to.equal("LiquidityAdded");
+    expect(event.amount_a).to.equal(ethers.parseEther("100").toString());
+
+    const [reserve0, reserve1] = await simpleSwap.getReserves(pool.token0, pool.token1);
+    const reserves = db.prepare("SELECT * FROM reserves WHERE pair = ?").get(pool.pair);
+    expect(reserves.reserve0).to.equal(reserve0.toString());
+    expect(reserves.reserve1).to.equal(reserve1.toString());
+  });
+
+  it("should build hourly candles from swaps", async function () {
+    await swap(user1, tokenA, tokenB, ethers.parseEther("1"));
+    await swap(user1, tokenB, tokenA, ethers.parseUnits("10", 6));
+    await swap(user1, tokenA, tokenB, ethers.parseEther("2"));
+    await sync(indexer);
+
+    const swaps = db.prepare("SELECT * FROM swaps ORDER BY block_number").all();
+    expect(swaps).to.have.length(3);
+    expect(swaps[0].trader).to.equal(user1.address.toLowerCase());
+
+    // Prices are TUSD per TKA whatever the direction of the swap, inverted when TUSD is token0
+    const price = (swap) => swap.token_in === tokenA.target.toLowerCase()
+      ? (Number(swap.amount_out) / 1e6) / (Number(swap.amount_in) / 1e18)
+      : (Number(swap.amount_in) / 1e6) / (Number(swap.amount_out) / 1e18);
+    const { token0 } = db.prepare("SELECT token0 FROM pools").get();
+    const prices = swaps.map(swap => token0 === tokenA.target.toLowerCase() ? price(swap) : 1 / price(swap));
+
+    const candles = db.prepare("SELECT * FROM candles").all();
+    const trades = candles.reduce((sum, candle) => sum + candle.trades, 0);
+    expect(trades).to.equal(3);
+    const first = candles[0];
+    const last = candles[candles.length - 1];
+    expect(first.open).to.be.closeTo(prices[0], 1e-9);
+    expect(last.close).to.be.closeTo(prices[2], 1e-9);
+    expect(Math.max(...candles.map(candle => candle.high))).to.be.closeTo(Math.max(...prices), 1e-9);
+  });
+
+  it("should only index blocks past the confirmation depth", async function () {
+    indexer.confirmations = 2;
+    await swap(user1, tokenA, tokenB, ethers.parseEther("1"));
+    await sync(indexer);
+
+    expect(db.prepare("SELECT COUNT(*) AS count FROM swaps").get().count).to.equal(0);
+    expect(getLastBlock(indexer)).to.equal(await ethers.provider.getBlockNumber() - 2);
+
+    await network.provider.send("hardhat_mine", ["0x2"]);
+    await sync(indexer);
+    expect(db.prepare("SELECT COUNT(*) AS count FROM swaps").get().count).to.equal(1);
+  });
+
+  it("should roll back blocks dropped by a reorg", async function () {
+    await sync(indexer);
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    await swap(user1, tokenA, tokenB, ethers.parseEther("5"));
+    await sync(indexer);
+    expect(db.prepare("SELECT COUNT(*) AS count FROM swaps").get().count).to.equal(1);
+
+    // Replace the swap block by another chain of the same length
+    await network.provider.send("evm_revert", [snapshot]);
+    await swap(owner, tokenB, tokenA, ethers.parseUnits("3", 6));
+    await network.provider.send("hardhat_mine", ["0x1"]);
+    const result = await sync(indexer);
+
+    expect(result.reorgedTo).to.not.equal(null);
+    const swaps = db.prepare("SELECT trader, token_in FROM swaps").all();
+    expect(swaps).to.deep.equal([{ trader: owner.address.toLowerCase(), token_in: tokenB.target.toLowerCase() }]);
+
+    const pool = db.prepare("SELECT * FROM pools").get();
+    const [reserve0] = await simpleSwap.getReserves(pool.token0, pool.token1);
+    const reserves = db.prepare("SELECT reserve0 FROM reserves WHERE pair = ? ORDER BY block_number DESC").get(pool.pair);
+    expect(reserves.reserve0).to.equal(reserve0.toString());
+  });
+
+  it("should credit the trades and liquidity of the ETH router to its callers", async function () {
+    const weth = await (await ethers.getContractFactory("WETHMock")).deploy();
+    const router = await (await ethers.getContractFactory("SimpleSwapETHRouter")).deploy(simpleSwap.target, weth.target);
+    indexer = createIndexer({ provider: ethers.provider, db, swap: simpleSwap.target, router: router.target, startBlock: indexer.startBlock });
+
+    await tokenA.connect(user1).approve(router.target, ethers.MaxUint256);
+    await router.connect(user1).addLiquidityETH(tokenA.target, ethers.parseEther("10"), 0, 0, user1.address, await getDeadline(), {
+      value: ethers.parseEther("1")
+    });
+    await router.connect(owner).swapExactETHForTokens(
+      0, [weth.target, tokenA.target, tokenB.target], owner.address, await getDeadline(), { value: ethers.parseEther("0.1") }
+    );
+    await sync(indexer);
+
+    const added = db.prepare("SELECT provider FROM liquidity_events WHERE token_b = ?").get(weth.target.toLowerCase());
+    expect(added.provider).to.equal(user1.address.toLowerCase());
+    const swaps = db.prepare("SELECT trader FROM swaps ORDER BY log_index").all();
+    expect(swaps).to.deep.equal([{ trader: owner.address.toLowerCase() }, { trader: owner.address.toLowerCase() }]);
+  });
+
+  describe("API", function () {
+    let server, baseUrl;
+
+    beforeEach(async function () {
+      await swap(user1, tokenA, tokenB, ethers.parseEther("1"));
+      await sync(indexer);
+      server = createServer(db);
+      await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const get = async (path) => {
+      const response = await fetch(`${baseUrl}${path}`);
+      return { status: response.status, body: await response.json() };
+    };
+
+    it("should list pools with reserves, price and volume", async function () {
+      const { status, body } = await get("/pools");
+      expect(status).to.equal(200);
+      expect(body).to.have.length(1);
+      const [reserveA, reserveB] = await simpleSwap.getReserves(tokenA.target, tokenB.target);
+      const [pool] = body;
+      const tokenAIs0 = pool.token0.address === tokenA.target.toLowerCase();
+      expect(tokenAIs0 ? pool.reserve0 : pool.reserve1).to.equal(reserveA.toString());
+      expect(tokenAIs0 ? pool.reserve1 : pool.reserve0).to.equal(reserveB.toString());
+      expect(BigInt(pool.volume24h.volume0)).to.be.gt(0n);
+
+      const single = await get(`/pools/${pool.pair}`);
+      expect(single.body.pair).to.equal(pool.pair);
+    });
+
+    it("should filter swaps by trader and liquidity events by provider", async function () {
+      expect((await get(`/swaps?trader=${user1.address}`)).body).to.have.length(1);
+      expect((await get(`/swaps?trader=${owner.address}`)).body).to.have.length(0);
+
+      const liquidity = await get(`/liquidity?provider=${owner.address}`);
+      expect(liquidity.body).to.have.length(1);
+      expect(liquidity.body[0].type).to.equal("LiquidityAdded");
+    });
+
+    it("should serve candles and TVL", async function () {
+      const pair = await simpleSwap.getPair(tokenA.target, tokenB.target);
+      // Up to the chain clock, which runs ahead of the wall clock once many blocks are mined
+      const candles = await get(`/candles?pair=${pair}&to=${await time.latest()}`);
+      expect(candles.body).to.have.length(1);
+      expect(candles.body[0].trades).to.equal(1);
+
+      const tvl = await get("/tvl");
+      const tusd = tvl.body.tokens.find(token => token.symbol === "TUSD");
+      expect(tusd.amount).to.equal((await tokenB.balanceOf(simpleSwap.target)).toString());
+    });
+
+    it("should reject invalid requests", async function () {
+      expect((await get("/candles")).status).to.equal(400);
+      expect((await get("/swaps?trader=nope")).status).to.equal(400);
+      expect((await get("/pools/0x0000000000000000000000000000000000000001")).status).to.equal(404);
+      expect((await get("/unknown")).status).to.equal(404);
+    });
+  });
+});
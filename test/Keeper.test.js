@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createKeeper, loadOpenOrders, fillReadyOrders } = require("../keeper");
+
+describe("Keeper", function () {
+  let simpleSwap, limitOrders;
+  let tokenA, tokenB, tokenC;
+  let owner, maker, keeperAccount;
+  let keeper;
+
+  // Helper function to get a deadline based on the chain clock
+  const getDeadline = async (seconds = 600) => (await time.latest()) + seconds;
+
+  // Helper function placing an order of 10 tokens at a target price of 1.2
+  const placeOrder = async (tokenIn, tokenOut) => {
+    await limitOrders.connect(maker).placeOrder(
+      tokenIn.target, tokenOut.target, ethers.parseEther("10"), ethers.parseEther("1.2"), ethers.parseEther("0.1"), await getDeadline()
+    );
+  };
+
+  beforeEach(async function () {
+    [owner, maker, keeperAccount] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    tokenA = await ERC20Mock.deploy("Token A", "TKA", ethers.parseEther("1000000"));
+    tokenB = await ERC20Mock.deploy("Token B", "TKB", ethers.parseEther("1000000"));
+    tokenC = await ERC20Mock.deploy("Token C", "TKC", ethers.parseEther("1000000"));
+    simpleSwap = await (await ethers.getContractFactory("SimpleSwap")).deploy();
+    limitOrders = await (await ethers.getContractFactory("SimpleSwapLimitOrders")).deploy(simpleSwap.target);
+
+    for (const token of [tokenA, tokenB, tokenC]) {
+      await token.approve(simpleSwap.target, ethers.MaxUint256);
+      await token.transfer(maker.address, ethers.parseEther("100"));
+      await token.connect(maker).approve(limitOrders.target, ethers.MaxUint256);
+    }
+    for (const token of [tokenB, tokenC]) {
+      await simpleSwap.addLiquidity(
+        tokenA.target, token.target, ethers.parseEther("1000"), ethers.parseEther("1000"), 0, 0, owner.address, await getDeadline()
+      );
+    }
+
+    keeper = createKeeper({ limitOrders: limitOrders.target, signer: keeperAccount });
+  });
+
+  it("should load the open orders of the contract", async function () {
+    await placeOrder(tokenA, tokenB);
+    await placeOrder(tokenA, tokenC);
+    await limitOrders.connect(maker).cancelOrder(0);
+
+    expect(await loadOpenOrders(keeper)).to.equal(1);
+    expect([...keeper.open.keys()]).to.deep.equal([1n]);
+  });
+
+  it("should fill the orders of a pool once its price reaches the target", async function () {
+    await placeOrder(tokenA, tokenB);
+    await placeOrder(tokenA, tokenC);
+    await loadOpenOrders(keeper);
+    expect(await fillReadyOrders(keeper)).to.deep.equal([]);
+
+    // Raise the price of TKA in TKB only
+    await simpleSwap.swapExactTokensForTokens(
+      ethers.parseEther("200"), 0, [tokenB.target, tokenA.target], owner.address, await getDeadline()
+    );
+    const fills = await fillReadyOrders(keeper, [tokenB.target, tokenA.target]);
+
+    expect(fills.map((fill) => fill.orderId)).to.deep.equal([0n]);
+    expect((await ethers.provider.getTransaction(fills[0].txHash)).from).to.equal(keeperAccount.address);
+    expect(await tokenA.balanceOf(keeperAccount.address)).to.equal(ethers.parseEther("0.1"));
+    expect((await limitOrders.orders(0)).status).to.equal(2);
+    expect((await limitOrders.orders(1)).status).to.equal(1);
+    expect([...keeper.open.keys()]).to.deep.equal([1n]);
+  });
+
+  it("should log failed reads without rejecting", async function () {
+    const broken = createKeeper({ limitOrders: tokenA.target, signer: keeperAccount });
+    broken.open.set(0n, { tokenIn: tokenA.target, tokenOut: tokenB.target });
+    const error = console.error;
+    console.error = () => {};
+    try {
+      expect(await fillReadyOrders(broken)).to.deep.equal([]);
+    } finally {
+      console.error = error;
+    }
+    expect(broken.open.size).to.equal(1);
+  });
+
+  it("should forget orders closed by someone else", async function () {
+    await placeOrder(tokenA, tokenB);
+    await loadOpenOrders(keeper);
+    await limitOrders.connect(maker).cancelOrder(0);
+
+    expect(await fillReadyOrders(keeper)).to.deep.equal([]);
+    expect(keeper.open.size).to.equal(0);
+  });
+});
@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildSwapOrder, signSwapOrder } = require("../lib/gasless");
+const { createRelayer, createServer } = require("../relayer");
+
+describe("Relayer", function () {
+  let simpleSwap, gasless;
+  let tokenA, tokenB;
+  let owner, trader, relayerAccount;
+  let server, baseUrl;
+
+  // Helper function sending a JSON request to the relayer API
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body, (_, value) => typeof value === "bigint" ? value.toString() : value)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // Helper function signing an order of 10 TKA for TKB
+  const signOrder = async (fields = {}) => {
+    const order = await buildSwapOrder(gasless, {
+      trader: trader.address,
+      path: [tokenA.target, tokenB.target],
+      amountIn: ethers.parseEther("10"),
+      minOut: 0n,
+      deadline: (await time.latest()) + 600,
+      ...fields
+    });
+    return { order, signature: await signSwapOrder(trader, gasless.target, order) };
+  };
+
+  beforeEach(async function () {
+    [owner, trader, relayerAccount] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    tokenA = await ERC20Mock.deploy("Token A", "TKA", ethers.parseEther("1000000"));
+    tokenB = await ERC20Mock.deploy("Token B", "TKB", ethers.parseEther("1000000"));
+    simpleSwap = await (await ethers.getContractFactory("SimpleSwap")).deploy();
+    gasless = await (await ethers.getContractFactory("SimpleSwapGasless")).deploy(simpleSwap.target);
+
+    await tokenA.approve(simpleSwap.target, ethers.MaxUint256);
+    await tokenB.approve(simpleSwap.target, ethers.MaxUint256);
+    await simpleSwap.addLiquidity(
+      tokenA.target, tokenB.target, ethers.parseEther("100"), ethers.parseEther("100"), 0, 0, owner.address, (await time.latest()) + 600
+    );
+    await tokenA.transfer(trader.address, ethers.parseEther("100"));
+    await tokenA.connect(trader).approve(gasless.target, ethers.MaxUint256);
+
+    server = createServer(createRelayer({ gasless: gasless.target, signer: relayerAccount }));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("should report its chain, contract and account", async function () {
+    const { status, body } = await request("GET", "/status");
+    expect(status).to.equal(200);
+    expect(body).to.deep.equal({ chainId: 31337, contract: gasless.target, relayer: relayerAccount.address });
+  });
+
+  it("should submit a signed order and pay its gas", async function () {
+    const { order, signature } = await signOrder();
+    const [, quoted] = await simpleSwap.getAmountsOut(order.amountIn, order.path);
+    const traderEth = await ethers.provider.getBalance(trader.address);
+
+    const { status, body } = await request("POST", "/orders", { order, signature });
+
+    expect(status).to.equal(200);
+    expect(body.amountOut).to.equal(quoted.toString());
+    expect((await ethers.provider.getTransaction(body.txHash)).from).to.equal(relayerAccount.address);
+    expect(await tokenB.balanceOf(trader.address)).to.equal(quoted);
+    expect(await ethers.provider.getBalance(trader.address)).to.equal(traderEth);
+  });
+
+  it("should refuse orders that would revert without sending them", async function () {
+    const { order, signature } = await signOrder();
+    await request("POST", "/orders", { order, signature });
+    const relayerNonce = await ethers.provider.getTransactionCount(relayerAccount.address);
+
+    const replay = await request("POST", "/orders", { order, signature });
+    expect(replay.status).to.equal(400);
+    expect(await ethers.provider.getTransactionCount(relayerAccount.address)).to.equal(relayerNonce);
+
+    const invalid = await request("POST", "/orders", { order: { ...order, trader: "nope" }, signature });
+    expect(invalid.status).to.equal(400);
+    expect(invalid.body.error).to.equal("Invalid trader.");
+  });
+});
@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SimpleSwapETHRouter", function () {
+  let simpleSwap, router, weth;
+  let tokenA, tokenB;
+  let owner, user1;
+
+  // Helper function to get a deadline based on the chain clock
+  const getDeadline = async (seconds = 600) => (await time.latest()) + seconds;
+
+  // Helper function checking that the router kept no ETH, WETH or tokens
+  const expectRouterEmpty = async () => {
+    expect(await ethers.provider.getBalance(router.target)).to.equal(0);
+    expect(await weth.balanceOf(router.target)).to.equal(0);
+    expect(await tokenA.balanceOf(router.target)).to.equal(0);
+  };
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    tokenA = await ERC20Mock.deploy("Token A", "TKA", ethers.parseEther("1000000"));
+    tokenB = await ERC20Mock.deploy("Token B", "TKB", ethers.parseEther("1000000"));
+    weth = await (await ethers.getContractFactory("WETHMock")).deploy();
+    simpleSwap = await (await ethers.getContractFactory("SimpleSwap")).deploy();
+    router = await (await ethers.getContractFactory("SimpleSwapETHRouter")).deploy(simpleSwap.target, weth.target);
+
+    // 100 TKA / 10 ETH pool, and 100 TKA / 100 TKB for multi-hop paths
+    await tokenA.approve(router.target, ethers.MaxUint256);
+    await router.addLiquidityETH(tokenA.target, ethers.parseEther("100"), 0, 0, owner.address, await getDeadline(), {
+      value: ethers.parseEther("10")
+    });
+    await tokenA.approve(simpleSwap.target, ethers.MaxUint256);
+    await tokenB.approve(simpleSwap.target, ethers.MaxUint256);
+    await simpleSwap.addLiquidity(
+      tokenA.target, tokenB.target, ethers.parseEther("100"), ethers.parseEther("100"), 0, 0, owner.address, await getDeadline()
+    );
+  });
+
+  it("should seed a WETH pool from ETH", async function () {
+    const [reserveA, reserveWETH] = await simpleSwap.getReserves(tokenA.target, weth.target);
+    expect(reserveA).to.equal(ethers.parseEther("100"));
+    expect(reserveWETH).to.equal(ethers.parseEther("10"));
+    expect(await weth.balanceOf(simpleSwap.target)).to.equal(ethers.parseEther("10"));
+    await expectRouterEmpty();
+  });
+
+  it("should swap exact ETH for tokens", async function () {
+    const path = [weth.target, tokenA.target];
+    const [, quoted] = await simpleSwap.getAmountsOut(ethers.parseEther("1"), path);
+
+    const tx = router.connect(user1).swapExactETHForTokens(quoted, path, user1.address, await getDeadline(), {
+      value: ethers.parseEther("1")
+    });
+    await expect(tx).to.changeEtherBalance(user1, -ethers.parseEther("1"));
+    await expect(tx).to.changeTokenBalance(tokenA, user1, quoted);
+    await expectRouterEmpty();
+  });
+
+  it("should refund the ETH an exact output swap does not use", async function () {
+    const path = [weth.target, tokenA.target];
+    const [needed] = await simpleSwap.getAmountsIn(ethers.parseEther("5"), path);
+
+    const tx = router.connect(user1).swapETHForExactTokens(ethers.parseEther("5"), path, user1.address, await getDeadline(), {
+      value: ethers.parseEther("2")
+    });
+    await expect(tx).to.changeEtherBalance(user1, -needed);
+    await expect(tx).to.changeTokenBalance(tokenA, user1, ethers.parseEther("5"));
+    await expectRouterEmpty();
+  });
+
+  it("should swap exact tokens for ETH", async function () {
+    const path = [tokenA.target, weth.target];
+    const [, quoted] = await simpleSwap.getAmountsOut(ethers.parseEther("10"), path);
+
+    const tx = router.swapExactTokensForETH(ethers.parseEther("10"), quoted, path, user1.address, await getDeadline());
+    await expect(tx).to.changeEtherBalance(user1, quoted);
+    await expect(tx).to.changeTokenBalance(tokenA, owner, -ethers.parseEther("10"));
+    await expectRouterEmpty();
+  });
+
+  it("should take only the quoted input for exact ETH", async function () {
+    const path = [tokenB.target, tokenA.target, weth.target];
+    const [needed] = await simpleSwap.getAmountsIn(ethers.parseEther("0.5"), path);
+    await tokenB.approve(router.target, ethers.MaxUint256);
+
+    const tx = router.swapTokensForExactETH(ethers.parseEther("0.5"), needed * 2n, path, user1.address, await getDeadline());
+    await expect(tx).to.changeEtherBalance(user1, ethers.parseEther("0.5"));
+    await expect(tx).to.changeTokenBalance(tokenB, owner, -needed);
+    await expect(
+      router.swapTokensForExactETH(ethers.parseEther("0.5"), needed - 1n, path, user1.address, await getDeadline())
+    ).to.be.revertedWith("SSwap: Excessive input.");
+    await expectRouterEmpty();
+  });
+
+  it("should swap ETH along a multi-hop path", async function () {
+    const path = [weth.target, tokenA.target, tokenB.target];
+    const amounts = await simpleSwap.getAmountsOut(ethers.parseEther("1"), path);
+
+    const tx = router.connect(user1).swapExactETHForTokens(0, path, user1.address, await getDeadline(), {
+      value: ethers.parseEther("1")
+    });
+    await expect(tx).to.changeTokenBalance(tokenB, user1, amounts[2]);
+    await expectRouterEmpty();
+  });
+
+  it("should refund what the pool ratio leaves unused when adding ETH liquidity", async function () {
+    // 10 TKA match 1 ETH: 1 of the 2 ETH sent comes back
+    const tx = router.addLiquidityETH(tokenA.target, ethers.parseEther("10"), 0, 0, user1.address, await getDeadline(), {
+      value: ethers.parseEther("2")
+    });
+    await expect(tx).to.changeEtherBalance(owner, -ethers.parseEther("1"));
+    await expect(tx).to.changeTokenBalance(tokenA, owner, -ethers.parseEther("10"));
+
+    const lpToken = await ethers.getContractAt("SimpleSwapLP", await simpleSwap.getPair(tokenA.target, weth.target));
+    expect(await lpToken.balanceOf(user1.address)).to.be.gt(0);
+    await expectRouterEmpty();
+  });
+
+  it("should remove ETH liquidity for tokens and ETH", async function () {
+    const lpToken = await ethers.getContractAt("SimpleSwapLP", await simpleSwap.getPair(tokenA.target, weth.target));
+    const liquidity = (await lpToken.balanceOf(owner.address)) / 2n;
+    const [amountA, amountETH] = await simpleSwap.quoteRemoveLiquidity(tokenA.target, weth.target, liquidity);
+    await lpToken.approve(router.target, liquidity);
+
+    const tx = router.removeLiquidityETH(tokenA.target, liquidity, amountA, amountETH, user1.address, await getDeadline());
+    await expect(tx).to.changeEtherBalance(user1, amountETH);
+    await expect(tx).to.changeTokenBalance(tokenA, user1, amountA);
+    await expectRouterEmpty();
+    expect(await lpToken.balanceOf(router.target)).to.equal(0);
+  });
+
+  it("should emit events naming the caller, not the router", async function () {
+    const path = [weth.target, tokenA.target, tokenB.target];
+    const amounts = await simpleSwap.getAmountsOut(ethers.parseEther("1"), path);
+    await expect(router.connect(user1).swapExactETHForTokens(0, path, user1.address, await getDeadline(), {
+      value: ethers.parseEther("1")
+    }))
+      .to.emit(router, "TokenSwapped")
+      .withArgs(user1.address, weth.target, tokenB.target, amounts[0], amounts[2]);
+
+    await tokenA.transfer(user1.address, ethers.parseEther("10"));
+    await tokenA.connect(user1).approve(router.target, ethers.MaxUint256);
+    const lpToken = await ethers.getContractAt("SimpleSwapLP", await simpleSwap.getPair(tokenA.target, weth.target));
+    const before = await lpToken.balanceOf(user1.address);
+    await expect(router.connect(user1).addLiquidityETH(tokenA.target, ethers.parseEther("10"), 0, 0, user1.address, await getDeadline(), {
+      value: ethers.parseEther("2")
+    })).to.emit(router, "LiquidityAdded");
+    const liquidity = (await lpToken.balanceOf(user1.address)) - before;
+
+    const [amountA, amountETH] = await simpleSwap.quoteRemoveLiquidity(tokenA.target, weth.target, liquidity);
+    await lpToken.connect(user1).approve(router.target, liquidity);
+    await expect(router.connect(user1).removeLiquidityETH(tokenA.target, liquidity, 0, 0, user1.address, await getDeadline()))
+      .to.emit(router, "LiquidityRemoved")
+      .withArgs(user1.address, tokenA.target, weth.target, amountA, amountETH, liquidity);
+  });
+
+  it("should trade and pool tokens taking a fee on transfer", async function () {
+    // 1% of every transfer is burned
+    const feeToken = await (await ethers.getContractFactory("ERC20FeeOnTransferMock"))
+      .deploy("Fee Token", "FOT", ethers.parseEther("1000000"), 100);
+    await feeToken.approve(router.target, ethers.MaxUint256);
+
+    // 100 FOT sent, 99 reach the router and 98.01 the pool
+    await router.addLiquidityETH(feeToken.target, ethers.parseEther("100"), 0, 0, owner.address, await getDeadline(), {
+      value: ethers.parseEther("10")
+    });
+    const [reserveFee] = await simpleSwap.getReserves(feeToken.target, weth.target);
+    expect(reserveFee).to.equal(ethers.parseEther("98.01"));
+    expect(await feeToken.balanceOf(simpleSwap.target)).to.equal(reserveFee);
+    expect(await feeToken.balanceOf(router.target)).to.equal(0);
+
+    await expect(
+      router.swapExactTokensForETHSupportingFeeOnTransferTokens(
+        ethers.parseEther("1"), 1n, [feeToken.target, weth.target], user1.address, await getDeadline()
+      )
+    ).to.changeEtherBalance(user1, (amount) => amount > 0n);
+
+    const tx = router.connect(user1).swapExactETHForTokensSupportingFeeOnTransferTokens(
+      1n, [weth.target, feeToken.target], user1.address, await getDeadline(), { value: ethers.parseEther("0.1") }
+    );
+    await expect(tx).to.changeEtherBalance(user1, -ethers.parseEther("0.1"));
+    expect(await feeToken.balanceOf(user1.address)).to.be.gt(0);
+    await expectRouterEmpty();
+  });
+
+  it("should reject paths without WETH at the ETH end and ETH from other senders", async function () {
+    await expect(
+      router.swapExactETHForTokens(0, [tokenA.target, weth.target], owner.address, await getDeadline(), { value: 1n })
+    ).to.be.revertedWith("SSwapRouter: Invalid path.");
+    await expect(
+      router.swapExactTokensForETH(1n, 0, [weth.target, tokenA.target], owner.address, await getDeadline())
+    ).to.be.revertedWith("SSwapRouter: Invalid path.");
+    await expect(
+      router.removeLiquidityETH(tokenB.target, 1n, 0, 0, owner.address, await getDeadline())
+    ).to.be.revertedWith("SSwap: Pair not found.");
+    await expect(owner.sendTransaction({ to: router.target, value: 1n }))
+      .to.be.revertedWith("SSwapRouter: Only WETH.");
+  });
+});
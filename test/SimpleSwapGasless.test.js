@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { NO_PERMIT, buildSwapOrder, signSwapOrder } = require("../lib/gasless");
+
+describe("SimpleSwapGasless", function () {
+  let simpleSwap, gasless;
+  let tokenA, tokenB;
+  let owner, trader, relayer;
+
+  // Helper function to get a deadline based on the chain clock
+  const getDeadline = async (seconds = 600) => (await time.latest()) + seconds;
+
+  // Helper function building and signing an order of 10 TKA for TKB
+  const signOrder = async (fields = {}, signer = trader, contract = gasless) => {
+    const order = await buildSwapOrder(contract, {
+      trader: trader.address,
+      path: [tokenA.target, tokenB.target],
+      amountIn: ethers.parseEther("10"),
+      minOut: 0n,
+      deadline: await getDeadline(),
+      ...fields
+    });
+    return { order, signature: await signSwapOrder(signer, contract.target, order) };
+  };
+
+  // Helper function signing an EIP-2612 permit of the trader's TKA for the gasless contract
+  const signPermit = async (value) => {
+    const { chainId } = await ethers.provider.getNetwork();
+    const deadline = await getDeadline();
+    const signature = await trader.signTypedData(
+      { name: await tokenA.name(), version: "1", chainId, verifyingContract: tokenA.target },
+      {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      },
+      { owner: trader.address, spender: gasless.target, value, nonce: await tokenA.nonces(trader.address), deadline }
+    );
+    const { v, r, s } = ethers.Signature.from(signature);
+    return { value, deadline, v, r, s };
+  };
+
+  beforeEach(async function () {
+    [owner, trader, relayer] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    tokenA = await ERC20Mock.deploy("Token A", "TKA", ethers.parseEther("1000000"));
+    tokenB = await ERC20Mock.deploy("Token B", "TKB", ethers.parseEther("1000000"));
+    simpleSwap = await (await ethers.getContractFactory("SimpleSwap")).deploy();
+    gasless = await (await ethers.getContractFactory("SimpleSwapGasless")).deploy(simpleSwap.target);
+
+    await tokenA.approve(simpleSwap.target, ethers.MaxUint256);
+    await tokenB.approve(simpleSwap.target, ethers.MaxUint256);
+    await simpleSwap.addLiquidity(
+      tokenA.target, tokenB.target, ethers.parseEther("100"), ethers.parseEther("100"), 0, 0, owner.address, await getDeadline()
+    );
+    await tokenA.transfer(trader.address, ethers.parseEther("100"));
+  });
+
+  it("should execute a signed order with a permit, the relayer paying the gas", async function () {
+    const { order, signature } = await signOrder();
+    const [, quoted] = await simpleSwap.getAmountsOut(order.amountIn, order.path);
+    const permit = await signPermit(order.amountIn);
+
+    const tx = gasless.connect(relayer).executeSwapOrder(order, signature, permit);
+    await expect(tx).to.emit(gasless, "SwapOrderExecuted")
+      .withArgs(trader.address, relayer.address, 0, order.amountIn, quoted);
+    await expect(tx).to.changeEtherBalance(trader, 0);
+    await expect(tx).to.changeTokenBalances(tokenA, [trader, gasless], [-order.amountIn, 0]);
+    await expect(tx).to.changeTokenBalance(tokenB, trader, quoted);
+    expect(await gasless.nonces(trader.address)).to.equal(1);
+  });
+
+  it("should reject replayed orders and orders out of nonce order", async function () {
+    await tokenA.connect(trader).approve(gasless.target, ethers.MaxUint256);
+    const first = await signOrder();
+    const skipped = await signOrder({ nonce: 1n });
+    await expect(gasless.connect(relayer).executeSwapOrder(skipped.order, skipped.signature, NO_PERMIT))
+      .to.be.revertedWithCustomError(gasless, "InvalidAccountNonce")
+      .withArgs(trader.address, 0);
+
+    await gasless.connect(relayer).executeSwapOrder(first.order, first.signature, NO_PERMIT);
+    await expect(gasless.connect(relayer).executeSwapOrder(first.order, first.signature, NO_PERMIT))
+      .to.be.revertedWithCustomError(gasless, "InvalidAccountNonce")
+      .withArgs(trader.address, 1);
+  });
+
+  it("should reject altered orders and signatures of other accounts or contracts", async function () {
+    await tokenA.connect(trader).approve(gasless.target, ethers.MaxUint256);
+    const { order, signature } = await signOrder();
+
+    await expect(gasless.connect(relayer).executeSwapOrder({ ...order, minOut: 1n }, signature, NO_PERMIT))
+      .to.be.revertedWith("SSwap: Invalid signature.");
+
+    const forged = await signOrder({}, relayer);
+    await expect(gasless.connect(relayer).executeSwapOrder(forged.order, forged.signature, NO_PERMIT))
+      .to.be.revertedWith("SSwap: Invalid signature.");
+
+    // Same order signed for another deployment
+    const other = await (await ethers.getContractFactory("SimpleSwapGasless")).deploy(simpleSwap.target);
+    const elsewhere = await signOrder({}, trader, other);
+    await expect(gasless.connect(relayer).executeSwapOrder(elsewhere.order, elsewhere.signature, NO_PERMIT))
+      .to.be.revertedWith("SSwap: Invalid signature.");
+  });
+
+  it("should reject expired orders and keep the nonce of orders that revert", async function () {
+    await tokenA.connect(trader).approve(gasless.target, ethers.MaxUint256);
+    const expired = await signOrder({ deadline: await getDeadline(60) });
+    await time.increase(120);
+    await expect(gasless.connect(relayer).executeSwapOrder(expired.order, expired.signature, NO_PERMIT))
+      .to.be.revertedWith("SSwap: Deadline reached.");
+
+    const greedy = await signOrder({ minOut: ethers.parseEther("10") });
+    await expect(gasless.connect(relayer).executeSwapOrder(greedy.order, greedy.signature, NO_PERMIT))
+      .to.be.revertedWith("SSwap: Transfer cancelled.");
+    expect(await gasless.nonces(trader.address)).to.equal(0);
+  });
+
+  it("should let the trader cancel a signed order", async function () {
+    await tokenA.connect(trader).approve(gasless.target, ethers.MaxUint256);
+    const { order, signature } = await signOrder();
+
+    await expect(gasless.connect(trader).cancelNextOrder())
+      .to.emit(gasless, "SwapOrderCancelled")
+      .withArgs(trader.address, 0);
+    await expect(gasless.connect(relayer).executeSwapOrder(order, signature, NO_PERMIT))
+      .to.be.revertedWithCustomError(gasless, "InvalidAccountNonce");
+  });
+});
@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SimpleSwapLimitOrders", function () {
+  let simpleSwap, limitOrders;
+  let tokenA, tokenB;
+  let owner, maker, keeper, trader;
+
+  const amountIn = ethers.parseEther("10");
+  const tip = ethers.parseEther("0.1");
+  // 1.2 TKB per TKA, while the pool starts at 1
+  const targetPrice = ethers.parseEther("1.2");
+
+  // Helper function to get a deadline based on the chain clock
+  const getDeadline = async (seconds = 600) => (await time.latest()) + seconds;
+
+  // Helper function placing the maker's order selling 10 TKA for at least 1.2 TKB each
+  const placeOrder = async (deadline) => {
+    await limitOrders.connect(maker).placeOrder(
+      tokenA.target, tokenB.target, amountIn, targetPrice, tip, deadline || await getDeadline()
+    );
+    return (await limitOrders.orderCount()) - 1n;
+  };
+
+  // Helper function buying TKA with TKB, which raises the price of TKA
+  const buyTokenA = async (amountB) => {
+    await simpleSwap.connect(trader).swapExactTokensForTokens(
+      ethers.parseEther(amountB), 0, [tokenB.target, tokenA.target], trader.address, await getDeadline()
+    );
+  };
+
+  beforeEach(async function () {
+    [owner, maker, keeper, trader] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    tokenA = await ERC20Mock.deploy("Token A", "TKA", ethers.parseEther("1000000"));
+    tokenB = await ERC20Mock.deploy("Token B", "TKB", ethers.parseEther("1000000"));
+    simpleSwap = await (await ethers.getContractFactory("SimpleSwap")).deploy();
+    limitOrders = await (await ethers.getContractFactory("SimpleSwapLimitOrders")).deploy(simpleSwap.target);
+
+    // 1000 TKA / 1000 TKB pool
+    await tokenA.approve(simpleSwap.target, ethers.MaxUint256);
+    await tokenB.approve(simpleSwap.target, ethers.MaxUint256);
+    await simpleSwap.addLiquidity(
+      tokenA.target, tokenB.target, ethers.parseEther("1000"), ethers.parseEther("1000"), 0, 0, owner.address, await getDeadline()
+    );
+
+    await tokenA.transfer(maker.address, ethers.parseEther("100"));
+    await tokenA.connect(maker).approve(limitOrders.target, ethers.MaxUint256);
+    await tokenB.transfer(trader.address, ethers.parseEther("1000"));
+    await tokenB.connect(trader).approve(simpleSwap.target, ethers.MaxUint256);
+  });
+
+  it("should escrow the input and the tip when placing an order", async function () {
+    const deadline = await getDeadline();
+    const tx = limitOrders.connect(maker).placeOrder(tokenA.target, tokenB.target, amountIn, targetPrice, tip, deadline);
+
+    await expect(tx).to.emit(limitOrders, "OrderPlaced")
+      .withArgs(0, maker.address, tokenA.target, tokenB.target, amountIn, targetPrice, tip, deadline);
+    await expect(tx).to.changeTokenBalances(tokenA, [maker, limitOrders], [-(amountIn + tip), amountIn + tip]);
+
+    const order = await limitOrders.orders(0);
+    expect(order.maker).to.equal(maker.address);
+    expect(order.status).to.equal(1);
+    expect(await limitOrders.orderCount()).to.equal(1);
+    expect(await limitOrders.minAmountOut(0)).to.equal(ethers.parseEther("12"));
+  });
+
+  it("should refuse invalid orders", async function () {
+    await expect(limitOrders.connect(maker).placeOrder(tokenA.target, tokenB.target, 0, targetPrice, tip, await getDeadline()))
+      .to.be.revertedWith("SSwapOrders: Invalid amount.");
+    await expect(limitOrders.connect(maker).placeOrder(tokenA.target, tokenB.target, amountIn, targetPrice, tip, await time.latest()))
+      .to.be.revertedWith("SSwapOrders: Deadline reached.");
+
+    const tokenC = await (await ethers.getContractFactory("ERC20Mock")).deploy("Token C", "TKC", ethers.parseEther("1000"));
+    await expect(limitOrders.connect(maker).placeOrder(tokenA.target, tokenC.target, amountIn, targetPrice, tip, await getDeadline()))
+      .to.be.revertedWith("SSwapOrders: Pair not found.");
+
+    const feeToken = await (await ethers.getContractFactory("ERC20FeeOnTransferMock"))
+      .deploy("Fee Token", "FEE", ethers.parseEther("1000000"), 100);
+    await feeToken.approve(simpleSwap.target, ethers.MaxUint256);
+    await feeToken.approve(limitOrders.target, ethers.MaxUint256);
+    await simpleSwap.addLiquidity(
+      feeToken.target, tokenB.target, ethers.parseEther("100"), ethers.parseEther("100"), 0, 0, owner.address, await getDeadline()
+    );
+    await expect(limitOrders.placeOrder(feeToken.target, tokenB.target, amountIn, targetPrice, tip, await getDeadline()))
+      .to.be.revertedWith("SSwapOrders: Fee on transfer.");
+  });
+
+  it("should not fill an order before the pool reaches the target price", async function () {
+    const orderId = await placeOrder();
+    expect(await limitOrders.isFillable(orderId)).to.equal(false);
+    await expect(limitOrders.connect(keeper).fillOrder(orderId))
+      .to.be.revertedWith("SSwap: Transfer cancelled.");
+  });
+
+  it("should not fill an order while the swap would give less than the target price", async function () {
+    const orderId = await placeOrder();
+    // Pool price just past 1.2, but the fee and price impact leave less than 12 TKB
+    await buyTokenA("100");
+    expect(await simpleSwap.getPrice(tokenA.target, tokenB.target)).to.be.gte(targetPrice);
+
+    expect(await limitOrders.isFillable(orderId)).to.equal(false);
+    await expect(limitOrders.connect(keeper).fillOrder(orderId))
+      .to.be.revertedWith("SSwap: Transfer cancelled.");
+  });
+
+  it("should fill an order once the target is reached, paying the maker and the keeper", async function () {
+    const orderId = await placeOrder();
+    await buyTokenA("200");
+    expect(await limitOrders.isFillable(orderId)).to.equal(true);
+    const [, quoted] = await simpleSwap.getAmountsOut(amountIn, [tokenA.target, tokenB.target]);
+    expect(quoted).to.be.gte(await limitOrders.minAmountOut(orderId));
+
+    const tx = limitOrders.connect(keeper).fillOrder(orderId);
+    await expect(tx).to.emit(limitOrders, "OrderFilled").withArgs(orderId, maker.address, keeper.address, quoted);
+    await expect(tx).to.changeTokenBalance(tokenB, maker, quoted);
+    await expect(tx).to.changeTokenBalances(tokenA, [keeper, limitOrders], [tip, -(amountIn + tip)]);
+
+    expect((await limitOrders.orders(orderId)).status).to.equal(2);
+    expect(await limitOrders.isFillable(orderId)).to.equal(false);
+    await expect(limitOrders.connect(keeper).fillOrder(orderId))
+      .to.be.revertedWith("SSwapOrders: Order not open.");
+  });
+
+  it("should let the maker cancel an order and get the escrow back", async function () {
+    const orderId = await placeOrder();
+    await expect(limitOrders.connect(keeper).cancelOrder(orderId))
+      .to.be.revertedWith("SSwapOrders: Not allowed.");
+
+    const tx = limitOrders.connect(maker).cancelOrder(orderId);
+    await expect(tx).to.emit(limitOrders, "OrderCancelled").withArgs(orderId, maker.address, maker.address);
+    await expect(tx).to.changeTokenBalance(tokenA, maker, amountIn + tip);
+
+    await buyTokenA("200");
+    await expect(limitOrders.connect(keeper).fillOrder(orderId))
+      .to.be.revertedWith("SSwapOrders: Order not open.");
+    await expect(limitOrders.connect(maker).cancelOrder(orderId))
+      .to.be.revertedWith("SSwapOrders: Order not open.");
+  });
+
+  it("should not fill expired orders and let anyone return their escrow", async function () {
+    const orderId = await placeOrder(await getDeadline(60));
+    await buyTokenA("200");
+    await time.increase(120);
+
+    expect(await limitOrders.isFillable(orderId)).to.equal(false);
+    await expect(limitOrders.connect(keeper).fillOrder(orderId))
+      .to.be.revertedWith("SSwapOrders: Deadline reached.");
+
+    const tx = limitOrders.connect(keeper).cancelOrder(orderId);
+    await expect(tx).to.emit(limitOrders, "OrderCancelled").withArgs(orderId, maker.address, keeper.address);
+    await expect(tx).to.changeTokenBalances(tokenA, [maker, keeper], [amountIn + tip, 0]);
+  });
+});
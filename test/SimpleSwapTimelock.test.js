@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SimpleSwapTimelock", function () {
+  let simpleSwap, timelock;
+  let tokenA, tokenB;
+  let owner, admin, feeRecipient, user1;
+
+  const DELAY = 2 * 24 * 3600;
+  const GRACE_PERIOD = 14 * 24 * 3600;
+
+  // Parameter enum of the contract
+  const Parameter = { SwapFee: 0, ProtocolFee: 1, FeeRecipient: 2, Delay: 3, SwapOwner: 4 };
+
+  // Helper function to get a deadline based on the chain clock
+  const getDeadline = async (seconds = 600) => (await time.latest()) + seconds;
+
+  // Helper function queueing a change as the admin and returning its id
+  const queue = async (parameter, value) => {
+    await timelock.connect(admin).queueChange(parameter, value);
+    return (await timelock.changeCount()) - 1n;
+  };
+
+  beforeEach(async function () {
+    [owner, admin, feeRecipient, user1] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    tokenA = await ERC20Mock.deploy("Token A", "TKA", ethers.parseEther("1000000"));
+    tokenB = await ERC20Mock.deploy("Token B", "TKB", ethers.parseEther("1000000"));
+    simpleSwap = await (await ethers.getContractFactory("SimpleSwap")).deploy();
+    timelock = await (await ethers.getContractFactory("SimpleSwapTimelock"))
+      .deploy(simpleSwap.target, DELAY, feeRecipient.address, admin.address);
+    await simpleSwap.transferOwnership(timelock.target);
+
+    await tokenA.approve(simpleSwap.target, ethers.MaxUint256);
+    await tokenB.approve(simpleSwap.target, ethers.MaxUint256);
+    await simpleSwap.addLiquidity(
+      tokenA.target, tokenB.target, ethers.parseEther("100"), ethers.parseEther("100"), 0, 0, owner.address, await getDeadline()
+    );
+  });
+
+  it("should check its settings on deployment", async function () {
+    const Timelock = await ethers.getContractFactory("SimpleSwapTimelock");
+    await expect(Timelock.deploy(simpleSwap.target, 60, feeRecipient.address, admin.address))
+      .to.be.revertedWith("SSwapTimelock: Invalid delay.");
+    await expect(Timelock.deploy(simpleSwap.target, DELAY, ethers.ZeroAddress, admin.address))
+      .to.be.revertedWith("SSwapTimelock: Invalid address.");
+
+    expect(await timelock.delay()).to.equal(DELAY);
+    expect(await timelock.feeRecipient()).to.equal(feeRecipient.address);
+    expect(await timelock.owner()).to.equal(admin.address);
+    expect(await simpleSwap.owner()).to.equal(timelock.target);
+  });
+
+  it("should apply a queued fee change only after the delay", async function () {
+    const tx = timelock.connect(admin).queueChange(Parameter.SwapFee, 50);
+    const eta = (await time.latest()) + 1 + DELAY;
+    await expect(tx).to.emit(timelock, "ChangeQueued").withArgs(0, Parameter.SwapFee, 50, eta);
+
+    await expect(timelock.connect(admin).executeChange(0))
+      .to.be.revertedWith("SSwapTimelock: Change locked.");
+
+    await time.increaseTo(eta);
+    await expect(timelock.connect(admin).executeChange(0))
+      .to.emit(timelock, "ChangeExecuted").withArgs(0, Parameter.SwapFee, 50)
+      .and.to.emit(simpleSwap, "SwapFeeUpdated").withArgs(30, 50);
+    expect(await simpleSwap.swapFeeBps()).to.equal(50);
+
+    await expect(timelock.connect(admin).executeChange(0))
+      .to.be.revertedWith("SSwapTimelock: Change not queued.");
+  });
+
+  it("should only let the owner queue, execute and cancel changes", async function () {
+    await expect(timelock.connect(user1).queueChange(Parameter.SwapFee, 50))
+      .to.be.revertedWithCustomError(timelock, "OwnableUnauthorizedAccount");
+    const id = await queue(Parameter.SwapFee, 50);
+    await time.increase(DELAY);
+
+    await expect(timelock.connect(user1).executeChange(id))
+      .to.be.revertedWithCustomError(timelock, "OwnableUnauthorizedAccount");
+    await expect(timelock.connect(user1).cancelChange(id))
+      .to.be.revertedWithCustomError(timelock, "OwnableUnauthorizedAccount");
+
+    // Setters of SimpleSwap are out of reach of its former owner
+    await expect(simpleSwap.setSwapFee(50))
+      .to.be.revertedWithCustomError(simpleSwap, "OwnableUnauthorizedAccount");
+  });
+
+  it("should reject invalid values when queueing", async function () {
+    await expect(timelock.connect(admin).queueChange(Parameter.SwapFee, 1001))
+      .to.be.revertedWith("SSwap: Fee too high.");
+    await expect(timelock.connect(admin).queueChange(Parameter.ProtocolFee, 5001))
+      .to.be.revertedWith("SSwap: Fee too high.");
+    await expect(timelock.connect(admin).queueChange(Parameter.Delay, 31 * 24 * 3600))
+      .to.be.revertedWith("SSwapTimelock: Invalid delay.");
+    await expect(timelock.connect(admin).queueChange(Parameter.FeeRecipient, 0))
+      .to.be.revertedWith("SSwapTimelock: Invalid address.");
+    await expect(timelock.connect(admin).queueChange(Parameter.SwapOwner, 2n ** 160n))
+      .to.be.revertedWith("SSwapTimelock: Invalid address.");
+  });
+
+  it("should cancel queued changes and expire stale ones", async function () {
+    const cancelled = await queue(Parameter.ProtocolFee, 5000);
+    await expect(timelock.connect(admin).cancelChange(cancelled))
+      .to.emit(timelock, "ChangeCancelled").withArgs(cancelled, Parameter.ProtocolFee);
+    await time.increase(DELAY);
+    await expect(timelock.connect(admin).executeChange(cancelled))
+      .to.be.revertedWith("SSwapTimelock: Change not queued.");
+
+    const stale = await queue(Parameter.ProtocolFee, 5000);
+    await time.increase(DELAY + GRACE_PERIOD + 1);
+    await expect(timelock.connect(admin).executeChange(stale))
+      .to.be.revertedWith("SSwapTimelock: Change stale.");
+    expect(await simpleSwap.protocolFeeBps()).to.equal(0);
+  });
+
+  it("should collect protocol fees to the fee recipient, changed through the timelock", async function () {
+    const id = await queue(Parameter.ProtocolFee, 5000);
+    const recipientChange = await queue(Parameter.FeeRecipient, user1.address);
+    await time.increase(DELAY);
+    await timelock.connect(admin).executeChange(id);
+    await expect(timelock.connect(admin).executeChange(recipientChange))
+      .to.emit(timelock, "FeeRecipientUpdated").withArgs(feeRecipient.address, user1.address);
+
+    await simpleSwap.swapExactTokensForTokens(
+      ethers.parseEther("10"), 0, [tokenA.target, tokenB.target], owner.address, await getDeadline()
+    );
+    const accrued = await simpleSwap.protocolFees(tokenA.target);
+    expect(accrued).to.be.gt(0);
+
+    // Anyone can collect; the fees always go to the recipient
+    await expect(timelock.connect(owner).collectProtocolFees(tokenA.target))
+      .to.changeTokenBalance(tokenA, user1, accrued);
+  });
+
+  it("should change its own delay and hand SimpleSwap to a new owner", async function () {
+    const delayChange = await queue(Parameter.Delay, 3600);
+    await time.increase(DELAY);
+    await expect(timelock.connect(admin).executeChange(delayChange))
+      .to.emit(timelock, "DelayUpdated").withArgs(DELAY, 3600);
+
+    const ownerChange = await queue(Parameter.SwapOwner, admin.address);
+    await time.increase(3600);
+    await timelock.connect(admin).executeChange(ownerChange);
+    expect(await simpleSwap.owner()).to.equal(admin.address);
+  });
+
+  it("should hold changes queued before a delay increase to the new delay", async function () {
+    const delayChange = await queue(Parameter.Delay, 10 * 24 * 3600);
+    await time.increase(DELAY / 2);
+    const feeChange = await queue(Parameter.SwapFee, 1000);
+    const queuedAt = await time.latest();
+    await time.increase(DELAY / 2);
+    await timelock.connect(admin).executeChange(delayChange);
+
+    expect(await timelock.getEta(feeChange)).to.equal(queuedAt + 10 * 24 * 3600);
+    await time.increaseTo(queuedAt + DELAY);
+    await expect(timelock.connect(admin).executeChange(feeChange))
+      .to.be.revertedWith("SSwapTimelock: Change locked.");
+
+    await time.increaseTo(queuedAt + 10 * 24 * 3600);
+    await timelock.connect(admin).executeChange(feeChange);
+    expect(await simpleSwap.swapFeeBps()).to.equal(1000);
+    expect(await timelock.getEta(feeChange)).to.equal(0);
+  });
+
+  it("should pause and unpause SimpleSwap without delay", async function () {
+    await expect(timelock.connect(user1).pause())
+      .to.be.revertedWithCustomError(timelock, "OwnableUnauthorizedAccount");
+
+    await expect(timelock.connect(admin).pause())
+      .to.emit(simpleSwap, "Paused").withArgs(timelock.target);
+    await expect(simpleSwap.swapExactTokensForTokens(
+      ethers.parseEther("1"), 0, [tokenA.target, tokenB.target], owner.address, await getDeadline()
+    )).to.be.revertedWithCustomError(simpleSwap, "EnforcedPause");
+
+    await timelock.connect(admin).unpause();
+    expect(await simpleSwap.paused()).to.equal(false);
+  });
+});
@@ -0,0 +1,182 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SimpleSwap Tasks", function () {
+  let simpleSwap;
+  let tokenA, tokenB, tokenC;
+  let owner;
+
+  // Helper function running a task with its output silenced
+  const runTask = async (name, args) => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await hre.run(name, { swap: simpleSwap.target, ...args });
+    } finally {
+      console.log = log;
+    }
+  };
+
+  beforeEach(async function () {
+    [owner] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const ERC20DecimalsMock = await ethers.getContractFactory("ERC20DecimalsMock");
+    tokenA = await ERC20Mock.deploy("Token A", "TKA", ethers.parseEther("1000000"));
+    tokenB = await ERC20Mock.deploy("Token B", "TKB", ethers.parseEther("1000000"));
+    tokenC = await ERC20DecimalsMock.deploy("Test USD", "TUSD", 6, ethers.parseUnits("1000000", 6));
+
+    const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
+    simpleSwap = await SimpleSwap.deploy();
+
+    await runTask("swap:add-liquidity", {
+      tokenA: tokenA.target,
+      tokenB: tokenB.target,
+      amountA: "100",
+      amountB: "200"
+    });
+  });
+
+  it("should approve and add liquidity with human readable amounts", async function () {
+    const result = await runTask("swap:add-liquidity", {
+      tokenA: tokenB.target,
+      tokenB: tokenC.target,
+      amountA: "50",
+      amountB: "25.5"
+    });
+
+    expect(result.approvals).to.have.length(2);
+    expect(result.amountA.amount).to.equal("50.0");
+    expect(result.amountB.amount).to.equal("25.5");
+    expect(await tokenC.balanceOf(simpleSwap.target)).to.equal(ethers.parseUnits("25.5", 6));
+  });
+
+  it("should resolve tokens by the symbol of an existing pool", async function () {
+    const result = await runTask("swap:price", { tokenA: "TKA", tokenB: "tkb" });
+
+    expect(result.price).to.equal("2.0");
+    expect(result.inversePrice).to.equal("0.5");
+    expect(result.reserveA.amount).to.equal("100.0");
+    expect(result.feeBps).to.equal(30);
+  });
+
+  it("should swap for the quoted output", async function () {
+    const quote = await runTask("swap:quote", { path: "TKA,TKB", amount: "10" });
+    const balanceBefore = await tokenB.balanceOf(owner.address);
+
+    const result = await runTask("swap:swap", { path: "TKA,TKB", amount: "10" });
+
+    expect(result.amountOut).to.deep.equal(quote.amountOut);
+    expect(await tokenB.balanceOf(owner.address) - balanceBefore)
+      .to.equal(ethers.parseEther(quote.amountOut.amount));
+  });
+
+  it("should swap for an exact output", async function () {
+    const result = await runTask("swap:swap", { path: "TKA,TKB", amount: "5", exactOutput: true });
+
+    expect(result.amountOut.amount).to.equal("5.0");
+    expect(result.hops).to.have.length(1);
+  });
+
+  it("should remove all liquidity of a pool", async function () {
+    const result = await runTask("swap:remove-liquidity", { tokenA: "TKA", tokenB: "TKB", liquidity: "all" });
+
+    expect(result.amountA.amount).to.equal("100.0");
+    expect(result.amountB.amount).to.equal("200.0");
+    const [reserveA, reserveB] = await simpleSwap.getReserves(tokenA.target, tokenB.target);
+    expect(reserveA).to.equal(0);
+    expect(reserveB).to.equal(0);
+  });
+
+  it("should credit direct transfers when syncing a pool", async function () {
+    await tokenA.transfer(simpleSwap.target, ethers.parseEther("1"));
+
+    const result = await runTask("swap:sync", { tokenA: "TKA", tokenB: "TKB" });
+
+    expect(result.before.reserveA.amount).to.equal("100.0");
+    expect(result.after.reserveA.amount).to.equal("101.0");
+  });
+
+  it("should collect the accrued protocol fees", async function () {
+    await simpleSwap.setProtocolFee(5000);
+    await runTask("swap:swap", { path: "TKA,TKB", amount: "10" });
+    const balanceBefore = await tokenA.balanceOf(owner.address);
+
+    const result = await runTask("swap:collect-fees", {});
+
+    // Half of the 0.3% fee on 10 TKA
+    expect(result.collected).to.have.length(1);
+    expect(result.collected[0].symbol).to.equal("TKA");
+    expect(result.collected[0].amount).to.equal("0.015");
+    expect(await tokenA.balanceOf(owner.address) - balanceBefore).to.equal(ethers.parseEther("0.015"));
+    expect((await runTask("swap:collect-fees", {})).collected).to.have.length(0);
+  });
+
+  it("should pause swaps and deposits while letting liquidity out", async function () {
+    const paused = await runTask("swap:pause", {});
+    expect(paused.paused).to.equal(true);
+    expect(paused.via).to.equal(null);
+
+    await expect(runTask("swap:swap", { path: "TKA,TKB", amount: "1" }))
+      .to.be.rejectedWith("EnforcedPause");
+    await runTask("swap:remove-liquidity", { tokenA: "TKA", tokenB: "TKB", liquidity: "1" });
+
+    await runTask("swap:unpause", {});
+    expect(await simpleSwap.paused()).to.equal(false);
+  });
+
+  it("should queue, list and execute changes through a timelock", async function () {
+    const [, feeRecipient] = await ethers.getSigners();
+    await expect(runTask("swap:changes", {})).to.be.rejectedWith("not owned by a SimpleSwapTimelock");
+    expect((await runTask("swap:price", { tokenA: "TKA", tokenB: "TKB" })).timelock).to.equal(null);
+
+    const Timelock = await ethers.getContractFactory("SimpleSwapTimelock");
+    const timelock = await Timelock.deploy(simpleSwap.target, 3600, feeRecipient.address, owner.address);
+    await simpleSwap.transferOwnership(timelock.target);
+    expect((await runTask("swap:price", { tokenA: "TKA", tokenB: "TKB" })).timelock).to.equal(timelock.target);
+
+    const fee = await runTask("swap:queue-change", { parameter: "protocol-fee", value: "5000" });
+    const cancelled = await runTask("swap:queue-change", { parameter: "swap-owner", value: owner.address });
+    await runTask("swap:cancel-change", { id: cancelled.id });
+    await expect(runTask("swap:queue-change", { parameter: "fee", value: "1" }))
+      .to.be.rejectedWith("Unknown parameter");
+
+    let changes = await runTask("swap:changes", {});
+    expect(changes.pending).to.have.length(1);
+    expect(changes.pending[0]).to.include({ id: fee.id, parameter: "protocol-fee", value: "5000", status: "locked" });
+
+    await time.increaseTo(fee.eta);
+    expect((await runTask("swap:changes", {})).pending[0].status).to.equal("ready");
+    await runTask("swap:execute-change", { id: fee.id });
+    expect(await simpleSwap.protocolFeeBps()).to.equal(5000);
+    changes = await runTask("swap:changes", {});
+    expect(changes.pending).to.have.length(0);
+
+    // Pausing and collecting go through the timelock too
+    expect((await runTask("swap:pause", {})).via).to.equal(timelock.target);
+    await runTask("swap:unpause", {});
+    await runTask("swap:swap", { path: "TKA,TKB", amount: "10" });
+    const result = await runTask("swap:collect-fees", {});
+    expect(result.to).to.equal(feeRecipient.address);
+    expect(await tokenA.balanceOf(feeRecipient.address)).to.equal(ethers.parseEther("0.015"));
+  });
+
+  it("should list every pool", async function () {
+    await runTask("swap:add-liquidity", { tokenA: "TKB", tokenB: tokenC.target, amountA: "10", amountB: "10" });
+
+    const result = await runTask("swap:pools", {});
+
+    expect(result.pools).to.have.length(2);
+    expect(result.pools[1].totalSupply).to.not.equal("0.0");
+    expect([result.pools[1].reserve0.symbol, result.pools[1].reserve1.symbol]).to.have.members(["TKB", "TUSD"]);
+  });
+
+  it("should reject unknown symbols and invalid amounts", async function () {
+    await expect(runTask("swap:price", { tokenA: "NOPE", tokenB: "TKB" }))
+      .to.be.rejectedWith('Unknown token "NOPE"');
+    await expect(runTask("swap:quote", { path: "TKA,TKB", amount: "abc" }))
+      .to.be.rejectedWith("Invalid amount");
+  });
+});
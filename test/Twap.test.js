@@ -0,0 +1,62 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PRICE_SCALE, computeTwap, consult, formatPrice, getOracle, getTwap } = require("../lib/twap");
+
+describe("TWAP Helpers", function () {
+  let simpleSwap, oracle;
+  let tokenA, tokenB;
+  let owner;
+
+  beforeEach(async function () {
+    [owner] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const ERC20DecimalsMock = await ethers.getContractFactory("ERC20DecimalsMock");
+    tokenA = await ERC20Mock.deploy("Token A", "TKA", ethers.parseEther("1000000"));
+    tokenB = await ERC20DecimalsMock.deploy("Test USD", "TUSD", 6, ethers.parseUnits("1000000", 6));
+
+    const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
+    simpleSwap = await SimpleSwap.deploy();
+    const SimpleSwapOracle = await ethers.getContractFactory("SimpleSwapOracle");
+    oracle = getOracle((await SimpleSwapOracle.deploy(simpleSwap.target)).target, ethers.provider);
+
+    await tokenA.approve(simpleSwap.target, ethers.MaxUint256);
+    await tokenB.approve(simpleSwap.target, ethers.MaxUint256);
+    await simpleSwap.addLiquidity(
+      tokenA.target, tokenB.target, ethers.parseEther("100"), ethers.parseUnits("200", 6), 0, 0, owner.address, (await time.latest()) + 600
+    );
+  });
+
+  it("should average prices between two blocks like the contract", async function () {
+    const fromBlock = await ethers.provider.getBlockNumber();
+    await time.increase(100);
+    await simpleSwap.swapExactTokensForTokens(
+      ethers.parseEther("25"), 0, [tokenA.target, tokenB.target], owner.address, (await time.latest()) + 600
+    );
+    await time.increase(100);
+
+    const window = (await time.latest()) - (await ethers.provider.getBlock(fromBlock)).timestamp;
+    const { priceA, priceB } = await getTwap(oracle, tokenA.target, tokenB.target, fromBlock);
+    expect((ethers.parseEther("1") * priceA) / PRICE_SCALE)
+      .to.equal(await consult(oracle, tokenA.target, tokenB.target, ethers.parseEther("1"), window));
+    expect((ethers.parseUnits("1", 6) * priceB) / PRICE_SCALE)
+      .to.equal(await consult(oracle, tokenB.target, tokenA.target, ethers.parseUnits("1", 6), window));
+
+    // 2 TUSD per TKA before the swap, less after it
+    const average = Number(formatPrice(priceA, 18, 6));
+    expect(average).to.be.lt(2).and.to.be.gt(1.2);
+  });
+
+  it("should handle accumulators that overflowed", function () {
+    const modulus = 2n ** 224n;
+    const start = { priceACumulative: modulus - 50n * PRICE_SCALE, priceBCumulative: 0n, timestamp: 1000 };
+    const end = { priceACumulative: 50n * PRICE_SCALE, priceBCumulative: 100n * PRICE_SCALE, timestamp: 1100 };
+    expect(computeTwap(start, end)).to.deep.equal({ priceA: PRICE_SCALE, priceB: PRICE_SCALE });
+  });
+
+  it("should reject periods that do not move forward", function () {
+    const read = { priceACumulative: 0n, priceBCumulative: 0n, timestamp: 1000 };
+    expect(() => computeTwap(read, read)).to.throw("TWAP: the end of the period must be later than its start.");
+  });
+});